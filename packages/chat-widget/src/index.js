@@ -58,6 +58,13 @@ class LLMCrafterChatWidget {
       dynamicContext: config.dynamicContext || null, // Additional context to send with messages (can be function or object)
       quickButtons: config.quickButtons || null, // Array of {label, message} objects or strings shown at conversation start
       componentResolvers: config.componentResolvers || null, // Object mapping component type names to async resolver functions
+
+      // Feedback
+      enableFeedback: config.enableFeedback || false, // Show thumbs up/down under agent replies
+      feedbackCommentPlaceholder:
+        config.feedbackCommentPlaceholder || 'What could be better? (optional)',
+      feedbackThanksText:
+        config.feedbackThanksText || 'Thank you for your feedback!',
     };
 
     this.conversationId = null;
@@ -472,7 +479,13 @@ class LLMCrafterChatWidget {
             senderName = this.config.botName;
           }
 
-          this.addMessage(msg.content, false, senderName, isHumanOperator);
+          this.addMessage(
+            msg.content,
+            false,
+            senderName,
+            isHumanOperator,
+            msg._id
+          );
           if (msg._id) {
             this.displayedMessageIds.add(msg._id);
           }
@@ -585,7 +598,13 @@ class LLMCrafterChatWidget {
     // 1. There's actual content
     // 2. Conversation is not human controlled (human will respond via polling)
     if (botMessage && !this.isHumanControlled) {
-      this.addMessage(botMessage, false, this.config.botName);
+      this.addMessage(
+        botMessage,
+        false,
+        this.config.botName,
+        false,
+        data.message_id
+      );
 
       // Track the message to prevent duplicate from polling
       // Use message_id if available, otherwise create a tracking key from content
@@ -803,6 +822,10 @@ class LLMCrafterChatWidget {
       // Track the message to prevent duplicate from polling
       if (messageId) {
         this.displayedMessageIds.add(messageId);
+        this.addFeedbackControls(
+          messageDiv.querySelector('.llm-crafter-message-content'),
+          messageId
+        );
       }
       // Also track by content hash as fallback (for streaming responses without message_id)
       this.displayedMessageIds.add(this.createMessageKey(fullResponse));
@@ -1055,7 +1078,16 @@ class LLMCrafterChatWidget {
     this.scrollToBottom();
   }
 
-  addMessage(text, isUser = false, senderName = null, isHumanOperator = false) {
+  addMessage(
+    text,
+    isUser = false,
+    senderName = null,
+    isHumanOperator = false,
+    messageId = null
+  ) {
+    // Agent replies with an ID can be rated
+    const canRate = !isUser && !isHumanOperator && messageId;
+
     // Determine the sender name to display
     const displayName = senderName || (isUser ? null : this.config.botName);
 
@@ -1097,6 +1129,9 @@ class LLMCrafterChatWidget {
             newBubble.className = 'llm-crafter-message-bubble';
             newBubble.innerHTML = transformedText;
             contentDiv.appendChild(newBubble);
+            if (canRate) {
+              this.addFeedbackControls(contentDiv, messageId);
+            }
             this.scrollToBottom();
 
             // Resolve any async component tokens (fire-and-forget)
@@ -1150,6 +1185,13 @@ class LLMCrafterChatWidget {
       </div>
     `;
 
+    if (canRate) {
+      this.addFeedbackControls(
+        messageDiv.querySelector('.llm-crafter-message-content'),
+        messageId
+      );
+    }
+
     this.elements.messagesContainer.appendChild(messageDiv);
     this.scrollToBottom();
 
@@ -1166,6 +1208,141 @@ class LLMCrafterChatWidget {
     });
   }
 
+  /**
+   * Thumbs up/down under an agent reply. A thumbs down also asks for an
+   * optional comment.
+   */
+  addFeedbackControls(contentDiv, messageId) {
+    if (!this.config.enableFeedback || !contentDiv) return;
+
+    // Bundled replies share one set of controls, for the latest reply
+    const existing = contentDiv.querySelector('.llm-crafter-feedback');
+    if (existing) existing.remove();
+
+    const controls = document.createElement('div');
+    controls.className = 'llm-crafter-feedback';
+    controls.innerHTML = `
+      <button type="button" class="llm-crafter-feedback-btn" data-rating="up" aria-label="Helpful">👍</button>
+      <button type="button" class="llm-crafter-feedback-btn" data-rating="down" aria-label="Not helpful">👎</button>
+    `;
+
+    controls.querySelectorAll('.llm-crafter-feedback-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const rating = btn.getAttribute('data-rating');
+        controls
+          .querySelectorAll('.llm-crafter-feedback-btn')
+          .forEach(other => other.classList.toggle('selected', other === btn));
+
+        const sent = await this.sendFeedback({
+          type: 'message',
+          message_id: messageId,
+          rating,
+        });
+        if (sent && rating === 'down') {
+          this.showFeedbackComment(controls, messageId);
+        }
+      });
+    });
+
+    contentDiv.appendChild(controls);
+  }
+
+  showFeedbackComment(controls, messageId) {
+    if (controls.querySelector('.llm-crafter-feedback-comment')) return;
+
+    const form = document.createElement('form');
+    form.className = 'llm-crafter-feedback-comment';
+    form.innerHTML = `
+      <input type="text" maxlength="2000" placeholder="${this.escapeHtml(this.getLocalizedText(this.config.feedbackCommentPlaceholder))}" />
+      <button type="submit">➤</button>
+    `;
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      const comment = form.querySelector('input').value.trim();
+      if (!comment) return;
+
+      const sent = await this.sendFeedback({
+        type: 'message',
+        message_id: messageId,
+        rating: 'down',
+        comment,
+      });
+      if (sent) {
+        form.remove();
+        this.addSystemMessage(
+          this.getLocalizedText(this.config.feedbackThanksText)
+        );
+      }
+    });
+
+    controls.appendChild(form);
+    this.scrollToBottomIfNeeded();
+  }
+
+  /**
+   * End-of-conversation satisfaction survey, scores 1 to 5.
+   */
+  showCsatSurvey(question) {
+    const survey = document.createElement('div');
+    survey.className = 'llm-crafter-csat';
+    survey.innerHTML = `
+      <p class="llm-crafter-csat-question">${this.escapeHtml(question)}</p>
+      <div class="llm-crafter-csat-scores">
+        ${[1, 2, 3, 4, 5]
+          .map(
+            score =>
+              `<button type="button" class="llm-crafter-csat-btn" data-score="${score}">${score}</button>`
+          )
+          .join('')}
+      </div>
+    `;
+
+    survey.querySelectorAll('.llm-crafter-csat-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const sent = await this.sendFeedback({
+          type: 'csat',
+          score: Number(btn.getAttribute('data-score')),
+        });
+        if (sent) {
+          survey.remove();
+          this.addSystemMessage(
+            this.getLocalizedText(this.config.feedbackThanksText)
+          );
+        }
+      });
+    });
+
+    this.lastMessageSender = null;
+    this.elements.messagesContainer.appendChild(survey);
+    this.scrollToBottom();
+  }
+
+  async sendFeedback(feedback) {
+    if (!this.conversationId || !this.sessionToken) return false;
+
+    try {
+      const response = await fetch(
+        `${this.config.apiUrl}/api/v1/external/conversations/${this.conversationId}/feedback`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Session-Token': this.sessionToken,
+          },
+          body: JSON.stringify(feedback),
+        }
+      );
+      if (!response.ok) {
+        console.warn('Failed to send feedback:', response.status);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.warn('Error sending feedback:', error);
+      return false;
+    }
+  }
+
   showTypingIndicator() {
     if (this.isTyping) return;
 
@@ -1431,6 +1608,16 @@ class LLMCrafterChatWidget {
       // Process new messages (skip system messages, they're internal)
       if (data.new_messages && data.new_messages.length > 0) {
         for (const msg of data.new_messages) {
+          // The agent asks for a rating of the conversation
+          if (
+            msg.code === 'CSAT_REQUESTED' &&
+            !this.displayedMessageIds.has(msg._id)
+          ) {
+            this.displayedMessageIds.add(msg._id);
+            this.showCsatSurvey(msg.content);
+            continue;
+          }
+
           // Skip system messages - they are internal and not meant for users
           if (msg.role === 'system') {
             continue;
@@ -1492,7 +1679,13 @@ class LLMCrafterChatWidget {
               senderName = this.config.botName;
             }
 
-            this.addMessage(msg.content, false, senderName, isHumanOperator);
+            this.addMessage(
+              msg.content,
+              false,
+              senderName,
+              isHumanOperator,
+              msg._id
+            );
 
             // Track this message ID to prevent duplicates
             if (msg._id) {
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: build the conversation search index
+ *
+ * Conversation search matches words through keyed hashes stored in
+ * `search_tokens` on conversations (title and summary) and messages
+ * (content). New messages are indexed when they are saved; this script
+ * indexes what was stored before, decrypting gdpr-encrypted content in
+ * memory only.
+ *
+ * The hashes are keyed with ENCRYPTION_KEY. After changing that key, run
+ * the script with --reindex to rebuild every token.
+ *
+ * Usage:
+ *   node scripts/index-conversation-search.js
+ *   node scripts/index-conversation-search.js --reindex
+ *   node scripts/index-conversation-search.js --dry-run
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const encryption = require('../src/utils/encryption');
+const searchIndex = require('../src/utils/searchIndex');
+
+const BATCH_SIZE = 100;
+const SEARCHABLE_ROLES = ['user', 'assistant', 'human_operator'];
+
+const dryRun = process.argv.includes('--dry-run');
+const reindex = process.argv.includes('--reindex');
+
+function plaintext(content) {
+  if (!content || !encryption.isEncrypted(content)) {
+    return content;
+  }
+  try {
+    return encryption.decrypt(content);
+  } catch {
+    // Encrypted with another key: leave the message out of the index
+    return '';
+  }
+}
+
+async function indexConversation(conversation) {
+  await Conversation.collection.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        search_tokens: searchIndex.indexTokens(
+          conversation.title,
+          conversation.summary,
+          (conversation.conversation_summary?.key_topics || []).join(' ')
+        ),
+      },
+    }
+  );
+
+  const filter = {
+    conversation: conversation._id,
+    role: { $in: SEARCHABLE_ROLES },
+  };
+  if (!reindex) {
+    filter.search_tokens = { $exists: false };
+  }
+  const messages = await Message.collection
+    .find(filter)
+    .project({ content: 1 })
+    .toArray();
+  if (messages.length > 0) {
+    await Message.collection.bulkWrite(
+      messages.map(message => ({
+        updateOne: {
+          filter: { _id: message._id },
+          update: {
+            $set: {
+              search_tokens: searchIndex.indexTokens(
+                plaintext(message.content)
+              ),
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  return messages.length;
+}
+
+async function migrate() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const filter = reindex ? {} : { search_tokens: { $exists: false } };
+  const total = await Conversation.collection.countDocuments(filter);
+  console.log(`${total} conversation(s) to index`);
+
+  if (dryRun) {
+    console.log('Dry run: nothing was changed');
+    return;
+  }
+
+  await Promise.all([Conversation.init(), Message.init()]);
+
+  let indexed = 0;
+  let messageTotal = 0;
+  const cursor = Conversation.collection
+    .find(filter)
+    .project({ title: 1, summary: 1, 'conversation_summary.key_topics': 1 })
+    .batchSize(BATCH_SIZE);
+
+  for await (const conversation of cursor) {
+    messageTotal += await indexConversation(conversation);
+    indexed++;
+    if (indexed % BATCH_SIZE === 0) {
+      console.log(`  ${indexed}/${total} conversations indexed`);
+    }
+  }
+
+  console.log(
+    `Done: indexed ${indexed} conversation(s) and ${messageTotal} message(s)`
+  );
+}
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(async error => {
+    console.error('Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
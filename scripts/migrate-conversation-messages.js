@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: move conversation messages to the messages collection
+ *
+ * Conversations used to embed their messages in a `messages` array. They are
+ * now stored as Message documents keyed by conversation and `seq` (the
+ * message's position in the conversation). This script copies every
+ * embedded array to the messages collection, sets `message_count` and removes
+ * the array.
+ *
+ * Run it with the application stopped: the new version appends messages
+ * after `message_count`, which is 0 until a conversation is migrated.
+ *
+ * The script can be re-run safely: messages that were already copied are
+ * skipped (they keep their original _id), and migrated conversations no
+ * longer have a `messages` array.
+ *
+ * Usage:
+ *   node scripts/migrate-conversation-messages.js
+ *   node scripts/migrate-conversation-messages.js --dry-run
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Message = require('../src/models/Message');
+
+const BATCH_SIZE = 100;
+const DUPLICATE_KEY = 11000;
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateConversation(conversations, conversation) {
+  const messages = conversation.messages || [];
+  const docs = messages.map((message, index) => ({
+    ...message,
+    _id: String(message._id || new mongoose.Types.ObjectId()),
+    conversation: conversation._id,
+    seq: index,
+  }));
+
+  if (docs.length > 0) {
+    try {
+      await Message.collection.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // Copied by an earlier, interrupted run
+      const writeErrors = error.writeErrors || [];
+      const onlyDuplicates =
+        writeErrors.length > 0 &&
+        writeErrors.every(writeError => writeError.code === DUPLICATE_KEY);
+      if (!onlyDuplicates) {
+        throw error;
+      }
+    }
+  }
+
+  await conversations.updateOne(
+    { _id: conversation._id },
+    { $set: { message_count: docs.length }, $unset: { messages: '' } }
+  );
+  return docs.length;
+}
+
+async function migrate() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  // The unique (conversation, seq) index makes re-runs idempotent
+  await Message.init();
+
+  const conversations = mongoose.connection.collection('conversations');
+  const filter = { messages: { $exists: true } };
+  const total = await conversations.countDocuments(filter);
+  console.log(`${total} conversation(s) with embedded messages`);
+
+  if (dryRun) {
+    console.log('Dry run: nothing was changed');
+    return;
+  }
+
+  let migrated = 0;
+  let messageTotal = 0;
+  const cursor = conversations
+    .find(filter)
+    .project({ messages: 1 })
+    .batchSize(BATCH_SIZE);
+
+  for await (const conversation of cursor) {
+    messageTotal += await migrateConversation(conversations, conversation);
+    migrated++;
+    if (migrated % BATCH_SIZE === 0) {
+      console.log(`  ${migrated}/${total} conversations migrated`);
+    }
+  }
+
+  console.log(
+    `Done: moved ${messageTotal} message(s) of ${migrated} conversation(s)`
+  );
+}
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(async error => {
+    console.error('Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -108,6 +108,30 @@ initializeDefaultProviders().catch(console.error);
 console.log('🚀 Initializing RAG indexing job processor...');
 require('./services/indexingJobProcessor');
 
+// Evaluation runs are queued on the job queue (evals.run) and replayed here
+require('./services/evalService').startWorker();
+
+// Workflow runs resume here after an approval or when the process running
+// them died (expired lease)
+require('./services/workflowService').startWorker();
+
+// Routed handoffs: expire offers nobody took and route queued handoffs to
+// operators with free capacity
+require('./services/handoffRoutingService').startWorker();
+
+// Handoff SLA: report missed first-response and handling thresholds
+require('./services/handoffSlaService').startWorker();
+
+// Inactivity hooks: delayed jobs restarted by every message, fired once the
+// conversation has been quiet long enough
+require('./services/hookService').startWorker();
+
+// Knowledge base crawlers: each crawl schedules the next one on the job queue
+require('./services/knowledgeBaseCrawlerService').startWorker();
+
+// Knowledge base re-indexes after a change of embedding settings
+require('./services/knowledgeBaseReindexService').startWorker();
+
 // Initialize email pipeline (IMAP poller scheduler + ingest worker + outbound sender).
 // Gated by EMAIL_PIPELINE_ENABLED so existing deployments stay unaffected.
 // Safe to run in multi-instance setups — per-account locks + atomic queue claims
@@ -1,4 +1,5 @@
 const Provider = require('../models/Provider');
+const stubProvider = require('../services/stubProvider');
 
 const defaultProviders = [
   {
@@ -203,6 +204,11 @@ const defaultProviders = [
   },
 ];
 
+// Offline provider for tests and CI evaluation runs (see services/stubProvider)
+if (stubProvider.isEnabled()) {
+  defaultProviders.push({ name: 'stub', models: stubProvider.STUB_MODELS });
+}
+
 async function initializeDefaultProviders() {
   console.log('Initializing default providers...');
 
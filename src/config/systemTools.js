@@ -490,28 +490,12 @@ const systemTools = [
           enum: ['semantic', 'hybrid', 'keyword'],
           default: 'semantic',
         },
-        brands: {
-          type: 'array',
-          description: 'Filter results by specific brands',
-          items: { type: 'string' },
-          default: [],
-        },
-        models: {
-          type: 'array',
-          description: 'Filter results by specific models',
-          items: { type: 'string' },
-          default: [],
-        },
-        themes: {
-          type: 'array',
-          description: 'Filter results by specific themes/topics',
-          items: { type: 'string' },
-          default: [],
-        },
-        sentiment: {
-          type: 'string',
-          description: 'Filter results by sentiment',
-          enum: ['positive', 'negative', 'neutral'],
+        // Replaced for each agent by the metadata fields of its knowledge
+        // bases (see agentService.getRagSearchSchema)
+        filters: {
+          type: 'object',
+          description:
+            'Metadata filters keyed by field, all of which must match: a value, a list of values, or an object of operators (eq, in, gt, gte, lt, lte, exists)',
         },
         include_metadata: {
           type: 'boolean',
@@ -536,25 +520,23 @@ const systemTools = [
               similarity: { type: 'number' },
               metadata: {
                 type: 'object',
+                description:
+                  'Citation metadata, plus the metadata fields of the knowledge base',
                 properties: {
-                  type: { type: 'string' },
-                  url: { type: 'string' },
                   title: { type: 'string' },
-                  brand: { type: 'string' },
-                  model: { type: 'string' },
-                  author: { type: 'string' },
-                  themes: {
-                    type: 'array',
-                    items: { type: 'string' },
-                  },
-                  pros: {
-                    type: 'array',
-                    items: { type: 'string' },
-                  },
-                  cons: {
-                    type: 'array',
-                    items: { type: 'string' },
-                  },
+                  source: { type: 'string' },
+                  document_id: { type: 'string' },
+                  chunk_index: { type: 'number' },
+                  page: { type: 'number' },
+                  heading: { type: 'string' },
+                },
+                additionalProperties: true,
+              },
+              knowledge_base: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
                 },
               },
             },
@@ -607,6 +589,12 @@ const systemTools = [
           description:
             'Custom message to display to the user when handing off to a human agent. This message should be in the same language as the conversation and provide specific context about why the handoff is happening. If not provided, a default English message will be used. Example: "Since you\'ve requested to negotiate the price, our human agent will intervene. Please wait patiently and someone will reply in this conversation."',
         },
+        skills: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Skills the human operator needs for this request (e.g. ["billing"], ["technical"]). Used to route the conversation to a suitable operator; leave out when unsure.',
+        },
       },
       required: ['reason'],
       additionalProperties: false,
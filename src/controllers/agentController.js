@@ -1,5 +1,6 @@
 const Agent = require('../models/Agent');
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const AgentExecution = require('../models/AgentExecution');
 const Project = require('../models/Project');
 const ApiKey = require('../models/ApiKey');
@@ -7,13 +8,33 @@ const FileUpload = require('../models/FileUpload');
 const Organization = require('../models/Organization');
 const agentService = require('../services/agentService');
 const toolService = require('../services/toolService');
+const embeddingService = require('../services/embeddingService');
 const summarizationService = require('../services/summarizationService');
+const hookService = require('../services/hookService');
+const hookActionService = require('../services/hookActionService');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const encryptionUtil = require('../utils/encryption');
+const mcpService = require('../services/mcpService');
+const agentRevisionService = require('../services/agentRevisionService');
+const agentRouterService = require('../services/agentRouterService');
+const workflowService = require('../services/workflowService');
+const AgentRevision = require('../models/AgentRevision');
+
+// Fields updateAgent accepts when saving to the draft (?draft=true)
+const DRAFT_UPDATABLE_FIELDS = [
+  'system_prompt',
+  'llm_settings',
+  'tools',
+  'config',
+  'question_suggestions',
+  'message_transformers',
+  'routing',
+  'workflow',
+];
 
 /**
  * Store uploaded files (from multer memoryStorage) for a task agent execution.
@@ -138,7 +159,10 @@ const createAgent = async (req, res) => {
     }
 
     // Get available tools
-    const availableTools = await toolService.getAvailableTools();
+    const availableTools = await toolService.getAvailableTools(
+      [],
+      req.params.orgId
+    );
     const requestedTools = req.body.tools || [];
 
     // Validate requested tools exist
@@ -291,8 +315,30 @@ const createAgent = async (req, res) => {
       question_suggestions: questionSuggestions,
       gdpr: gdprConfig,
       message_transformers: messageTransformers || [],
+      routing: req.body.routing,
     });
 
+    if (req.body.routing && agent.type !== 'router') {
+      return res
+        .status(400)
+        .json({ error: 'routing is only supported for router agents' });
+    }
+    if (agent.type === 'router') {
+      await agentRouterService.validateRouting(agent, req.body.routing);
+    }
+    if (req.body.workflow && agent.type !== 'workflow') {
+      return res
+        .status(400)
+        .json({ error: 'workflow is only supported for workflow agents' });
+    }
+    if (agent.type === 'workflow') {
+      await workflowService.validateDefinition(
+        agent,
+        req.body.workflow,
+        apiKey.provider.models
+      );
+    }
+
     await agent.save();
 
     res.status(201).json(agent);
@@ -302,6 +348,9 @@ const createAgent = async (req, res) => {
         .status(400)
         .json({ error: 'Agent name already exists in this project' });
     }
+    if (['ROUTING_INVALID', 'WORKFLOW_INVALID'].includes(error.code)) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create agent error:', error);
     res.status(500).json({ error: 'Failed to create agent' });
   }
@@ -365,6 +414,23 @@ const updateAgent = async (req, res) => {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
+    // ?draft=true edits the draft instead of the live agent
+    const asDraft = req.query.draft === 'true';
+    if (asDraft) {
+      const unsupported = Object.keys(req.body).filter(
+        key => !DRAFT_UPDATABLE_FIELDS.includes(key)
+      );
+      if (unsupported.length > 0) {
+        return res.status(400).json({
+          error: `Drafts only cover ${DRAFT_UPDATABLE_FIELDS.join(', ')}; update ${unsupported.join(', ')} on the live agent`,
+        });
+      }
+      // Apply the existing draft so the edit builds on it
+      if (agentRevisionService.hasDraft(agent)) {
+        agentRevisionService.applyDraft(agent);
+      }
+    }
+
     // Validate API key if being updated
     if (req.body.api_key) {
       const apiKey = await ApiKey.findOne({
@@ -393,7 +459,10 @@ const updateAgent = async (req, res) => {
 
     // Update tools if provided
     if (req.body.tools) {
-      const availableTools = await toolService.getAvailableTools();
+      const availableTools = await toolService.getAvailableTools(
+        [],
+        req.params.orgId
+      );
       const toolNames = availableTools.map(tool => tool.name);
       const invalidTools = req.body.tools.filter(
         toolName => !toolNames.includes(toolName)
@@ -444,6 +513,31 @@ const updateAgent = async (req, res) => {
     if (req.body.is_active !== undefined) {
       agent.is_active = req.body.is_active;
     }
+    if (req.body.routing !== undefined) {
+      if (agent.type !== 'router') {
+        return res
+          .status(400)
+          .json({ error: 'routing is only supported for router agents' });
+      }
+      await agentRouterService.validateRouting(agent, req.body.routing);
+      agent.routing = req.body.routing;
+    }
+    if (req.body.workflow !== undefined) {
+      if (agent.type !== 'workflow') {
+        return res
+          .status(400)
+          .json({ error: 'workflow is only supported for workflow agents' });
+      }
+      const workflowApiKey = await ApiKey.findById(agent.api_key).populate(
+        'provider'
+      );
+      await workflowService.validateDefinition(
+        agent,
+        req.body.workflow,
+        workflowApiKey?.provider.models
+      );
+      agent.workflow = req.body.workflow;
+    }
 
     // Update question suggestions if provided
     if (req.body.question_suggestions !== undefined) {
@@ -556,8 +650,17 @@ const updateAgent = async (req, res) => {
       agent.message_transformers = transformers;
     }
 
-    // Increment version on update
-    agent.version += 1;
+    if (asDraft) {
+      const draft = await agentRevisionService.saveDraft(
+        agent,
+        AgentRevision.snapshotOf(agent),
+        req.user?._id
+      );
+      return res.json({ draft, live_revision: agent.version });
+    }
+
+    // The pre-save hook bumps the version when a versioned field changed
+    agent.$locals.revisionContext = { created_by: req.user?._id };
 
     await agent.save();
 
@@ -578,6 +681,9 @@ const updateAgent = async (req, res) => {
         .status(400)
         .json({ error: 'Agent name already exists in this project' });
     }
+    if (['ROUTING_INVALID', 'WORKFLOW_INVALID'].includes(error.code)) {
+      return res.status(400).json({ error: error.message });
+    }
     console.log('Update agent error:', error);
     res.status(500).json({ error: 'Failed to update agent' });
   }
@@ -652,7 +758,9 @@ const executeChatbotAgent = async (req, res) => {
       conversation_id,
       message,
       user_identifier,
-      context
+      context,
+      null,
+      { useDraft: req.query.draft === 'true' }
     );
 
     res.json(result);
@@ -684,7 +792,8 @@ const executeTaskAgent = async (req, res) => {
       req.params.agentId,
       input,
       user_identifier,
-      dynamicContext
+      dynamicContext,
+      { useDraft: req.query.draft === 'true' }
     );
 
     res.json(result);
@@ -746,7 +855,17 @@ const executeTaskAgentStream = async (req, res) => {
         input,
         user_identifier,
         dynamicContext,
-        streamCallback
+        streamCallback,
+        {
+          useDraft: req.query.draft === 'true',
+          // Workflow agents: step_started / step_completed / step_failed /
+          // approval_requested events
+          onWorkflowEvent: event => {
+            if (!isResponseComplete) {
+              res.write(`data: ${JSON.stringify(event)}\n\n`);
+            }
+          },
+        }
       );
 
       isResponseComplete = true;
@@ -758,6 +877,7 @@ const executeTaskAgentStream = async (req, res) => {
         token_usage: result.token_usage,
         tools_used: result.tools_used,
         status: result.status,
+        ...(result.approval && { approval: result.approval }),
       });
       res.write(`data: ${completionData}\n\n`);
 
@@ -829,7 +949,9 @@ const executeChatbotAgentStream = async (req, res) => {
         message,
         user_identifier,
         context,
-        streamCallback
+        streamCallback,
+        null,
+        { useDraft: req.query.draft === 'true' }
       );
 
       isResponseComplete = true;
@@ -866,7 +988,7 @@ const executeChatbotAgentStream = async (req, res) => {
 
 const getConversations = async (req, res) => {
   try {
-    const { page = 1, limit = 10, user_identifier, status } = req.query;
+    const { page = 1, limit = 10, user_identifier, status, tags } = req.query;
     const skip = (page - 1) * limit;
 
     const filter = { agent: req.params.agentId };
@@ -876,6 +998,11 @@ const getConversations = async (req, res) => {
     if (status) {
       filter.status = status;
     }
+    // Comma-separated; conversations with all of them
+    if (tags) {
+      const tagList = String(tags).split(',');
+      filter.tags = { $all: tagList.map(tag => tag.trim()) };
+    }
 
     const [conversations, total] = await Promise.all([
       Conversation.find(filter)
@@ -883,7 +1010,7 @@ const getConversations = async (req, res) => {
         .skip(skip)
         .limit(parseInt(limit))
         .select(
-          '_id user_identifier title status channel channel_metadata metadata created_at updated_at dynamic_context dynamic_context_updated_at'
+          '_id user_identifier title status channel channel_metadata metadata created_at updated_at dynamic_context dynamic_context_updated_at tags custom_fields'
         ),
 
       Conversation.countDocuments(filter),
@@ -905,7 +1032,7 @@ const getConversation = async (req, res) => {
     const conversation = await Conversation.findOne({
       _id: req.params.conversationId,
       agent: req.params.agentId,
-    });
+    }).withMessages();
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -917,6 +1044,46 @@ const getConversation = async (req, res) => {
   }
 };
 
+/**
+ * Page through a conversation's messages in order. Without a cursor the
+ * newest `limit` messages are returned; pass `next_cursor` back as `before`
+ * for older messages, or a message's `seq` as `after` for newer ones.
+ */
+const getConversationMessages = async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      agent: req.params.agentId,
+    }).select('gdpr');
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { before, after } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = await Message.paginate(conversation._id, {
+      before,
+      after,
+      limit,
+    });
+
+    res.json({
+      conversation_id: conversation._id,
+      messages: page.messages.map(msg => {
+        const obj = msg.toJSON();
+        obj.content = conversation.decryptContent(obj.content);
+        return obj;
+      }),
+      has_more: page.has_more,
+      next_cursor: page.next_cursor,
+    });
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+};
+
 // ===== EXECUTION HISTORY =====
 
 const getAgentExecutions = async (req, res) => {
@@ -970,6 +1137,33 @@ const getAgentExecution = async (req, res) => {
   }
 };
 
+const decideWorkflowApproval = async (req, res) => {
+  try {
+    const execution = await AgentExecution.findOne({
+      _id: req.params.executionId,
+      agent: req.params.agentId,
+    });
+
+    if (!execution) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    await workflowService.decide(
+      execution,
+      { approved: req.body.approved, comment: req.body.comment },
+      req.user._id
+    );
+
+    res.json(execution);
+  } catch (error) {
+    if (error.code === 'WORKFLOW_NOT_WAITING') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Workflow approval error:', error);
+    res.status(500).json({ error: 'Failed to record approval' });
+  }
+};
+
 // ===== API ENDPOINTS CONFIGURATION =====
 
 const configureApiEndpoints = async (req, res) => {
@@ -1534,7 +1728,7 @@ const configureFAQs = async (req, res) => {
         .json({ error: 'Agent does not have faq tool configured' });
     }
 
-    const { faqs } = req.body;
+    const { faqs, embedding } = req.body;
 
     // Validate FAQs configuration
     if (faqs && !Array.isArray(faqs)) {
@@ -1567,14 +1761,31 @@ const configureFAQs = async (req, res) => {
       }
     }
 
-    await agent.configureFAQs(faqs || []);
+    // Embedding settings of the semantic matching; null uses the agent's
+    // API key
+    let embeddingSettings;
+    if (embedding) {
+      embeddingSettings = await embeddingService.normalizeSettings(
+        embedding,
+        agent.getFAQs().embedding,
+        req.params.projectId
+      );
+    } else if (embedding === null) {
+      embeddingSettings = null;
+    }
+
+    await agent.configureFAQs(faqs || [], { embedding: embeddingSettings });
 
     res.json({
       message: 'FAQ configuration updated successfully',
       faqs: faqs || [],
       count: (faqs || []).length,
+      embedding: agent.getFAQs().embedding,
     });
   } catch (error) {
+    if (error.code === 'EMBEDDING_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Configure FAQs error:', error);
     res.status(500).json({ error: 'Failed to configure FAQs' });
   }
@@ -1603,6 +1814,7 @@ const getFAQs = async (req, res) => {
       faqs: faqConfig.faqs,
       enable_partial_matching: faqConfig.enable_partial_matching,
       default_threshold: faqConfig.default_threshold,
+      embedding: faqConfig.embedding,
       count: faqConfig.faqs.length,
     });
   } catch (error) {
@@ -1618,7 +1830,7 @@ const summarizeConversation = async (req, res) => {
     const conversation = await Conversation.findOne({
       _id: req.params.conversationId,
       agent: req.params.agentId,
-    });
+    }).withMessages();
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -1635,7 +1847,7 @@ const summarizeConversation = async (req, res) => {
         message: 'Conversation does not need summarization',
         summary_status: {
           has_summary: !!conversation.conversation_summary,
-          messages_count: conversation.messages.length,
+          messages_count: conversation.message_count,
           last_summary_index: conversation.metadata.last_summary_index,
           requires_summarization: conversation.metadata.requires_summarization,
         },
@@ -1653,7 +1865,7 @@ const summarizeConversation = async (req, res) => {
       summary: updatedConversation.conversation_summary,
       summary_status: {
         has_summary: true,
-        messages_count: updatedConversation.messages.length,
+        messages_count: updatedConversation.message_count,
         last_summary_index: updatedConversation.metadata.last_summary_index,
         summary_version: updatedConversation.metadata.summary_version,
         requires_summarization: false,
@@ -1671,7 +1883,7 @@ const getConversationSummary = async (req, res) => {
       _id: req.params.conversationId,
       agent: req.params.agentId,
     }).select(
-      'conversation_summary metadata.last_summary_index metadata.summary_version metadata.requires_summarization messages'
+      'conversation_summary metadata.last_summary_index metadata.summary_version metadata.requires_summarization message_count'
     );
 
     if (!conversation) {
@@ -1679,14 +1891,16 @@ const getConversationSummary = async (req, res) => {
     }
 
     const messagesSinceLastSummary =
-      conversation.messages.length -
+      conversation.message_count -
       (conversation.metadata.last_summary_index + 1);
     const estimatedTokenSavings = conversation.conversation_summary
       ? summarizationService.estimateTokenSavings(
-          conversation.messages.slice(
-            0,
-            conversation.metadata.last_summary_index + 1
-          )
+          await Message.find({
+            conversation: conversation._id,
+            seq: { $lte: conversation.metadata.last_summary_index },
+          })
+            .select('content')
+            .lean()
         )
       : 0;
 
@@ -1694,7 +1908,7 @@ const getConversationSummary = async (req, res) => {
       summary: conversation.conversation_summary,
       summary_status: {
         has_summary: !!conversation.conversation_summary,
-        messages_count: conversation.messages.length,
+        messages_count: conversation.message_count,
         messages_since_last_summary: messagesSinceLastSummary,
         last_summary_index: conversation.metadata.last_summary_index,
         summary_version: conversation.metadata.summary_version || 0,
@@ -1829,6 +2043,16 @@ const executeChatbotAgentWithSession = async (req, res) => {
     const { message, conversationId, userIdentifier, dynamicContext, files } =
       req.body;
 
+    // A session acts for one end user (see SessionToken.bindUserIdentifier)
+    const sessionUserIdentifier =
+      await req.sessionToken.bindUserIdentifier(userIdentifier);
+    if (!sessionUserIdentifier) {
+      return res.status(403).json({
+        error: 'userIdentifier does not match the session',
+        code: 'USER_IDENTIFIER_MISMATCH',
+      });
+    }
+
     // req.session is populated by sessionAuth middleware
     // req.agent is the agent this session is authorized for
     // req.remainingInteractions shows how many interactions are left
@@ -1850,7 +2074,7 @@ const executeChatbotAgentWithSession = async (req, res) => {
       req.agent._id,
       conversationId,
       message,
-      userIdentifier || `session_${req.sessionID}`,
+      sessionUserIdentifier,
       resolvedContext
     );
 
@@ -1921,6 +2145,16 @@ const executeChatbotAgentWithSessionStream = async (req, res) => {
     const { message, conversationId, userIdentifier, dynamicContext, files } =
       req.body;
 
+    // A session acts for one end user (see SessionToken.bindUserIdentifier)
+    const sessionUserIdentifier =
+      await req.sessionToken.bindUserIdentifier(userIdentifier);
+    if (!sessionUserIdentifier) {
+      return res.status(403).json({
+        error: 'userIdentifier does not match the session',
+        code: 'USER_IDENTIFIER_MISMATCH',
+      });
+    }
+
     // Resolve uploaded file attachments (if any)
     const resolvedContext = { ...(dynamicContext || {}) };
     const mediaAttachments = await resolveFileAttachments(files, req.agent._id);
@@ -1968,7 +2202,7 @@ const executeChatbotAgentWithSessionStream = async (req, res) => {
         req.agent._id,
         conversationId,
         message,
-        userIdentifier || `session_${req.sessionID}`,
+        sessionUserIdentifier,
         resolvedContext,
         streamCallback
       );
@@ -2626,7 +2860,10 @@ const addToolToAgent = async (req, res) => {
     }
 
     // Check if tool exists in available tools
-    const availableTools = await toolService.getAvailableTools();
+    const availableTools = await toolService.getAvailableTools(
+      [],
+      req.params.orgId
+    );
     const toolExists = availableTools.find(tool => tool.name === tool_name);
 
     if (!toolExists) {
@@ -2765,6 +3002,7 @@ const configureHooks = async (req, res) => {
     }
 
     const hooks = req.body.hooks;
+    const asDraft = req.query.draft === 'true';
 
     if (!Array.isArray(hooks)) {
       return res.status(400).json({ error: 'hooks must be an array' });
@@ -2776,8 +3014,9 @@ const configureHooks = async (req, res) => {
       'human_controlled_only',
       'new_conversation',
       'inactivity',
+      'handoff_requested',
     ];
-    const validTypes = ['llm', 'webhook'];
+    const validTypes = ['llm', 'webhook', 'action'];
 
     for (const hook of hooks) {
       if (!hook.name || typeof hook.name !== 'string') {
@@ -2803,6 +3042,14 @@ const configureHooks = async (req, res) => {
           .status(400)
           .json({ error: `Webhook hook "${hook.name}" requires a webhook_url` });
       }
+      try {
+        hookActionService.validate(hook);
+      } catch (error) {
+        if (error.code !== 'HOOK_INVALID') {
+          throw error;
+        }
+        return res.status(400).json({ error: error.message });
+      }
       if (hook.trigger === 'inactivity') {
         if (hook.inactivity_seconds !== undefined) {
           const secs = Number(hook.inactivity_seconds);
@@ -2823,8 +3070,21 @@ const configureHooks = async (req, res) => {
       }
     }
 
+    if (asDraft) {
+      if (agentRevisionService.hasDraft(agent)) {
+        agentRevisionService.applyDraft(agent);
+      }
+      agent.hooks = hooks;
+      const draft = await agentRevisionService.saveDraft(
+        agent,
+        AgentRevision.snapshotOf(agent),
+        req.user?._id
+      );
+      return res.json({ hooks: draft.snapshot.hooks, draft: true });
+    }
+
     agent.hooks = hooks;
-    agent.version += 1;
+    agent.$locals.revisionContext = { created_by: req.user?._id };
     await agent.save();
 
     const updatedAgent = await Agent.findById(agent._id);
@@ -2854,6 +3114,337 @@ const getHooks = async (req, res) => {
   }
 };
 
+/**
+ * Pending inactivity hook timers of the agent, soonest first.
+ * Optional `conversation_id` query filter.
+ */
+const getScheduledHooks = async (req, res) => {
+  try {
+    const agent = await Agent.findOne({
+      _id: req.params.agentId,
+      project: req.params.projectId,
+      organization: req.params.orgId,
+    }).select('_id');
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const scheduled = await hookService.listScheduledInactivityHooks(
+      agent._id,
+      { conversationId: req.query.conversation_id }
+    );
+    res.json({ scheduled, count: scheduled.length });
+  } catch (error) {
+    console.error('Get scheduled hooks error:', error);
+    res.status(500).json({ error: 'Failed to get scheduled hooks' });
+  }
+};
+
+// ===== MCP SERVERS CONFIGURATION =====
+
+const configureMcpServers = async (req, res) => {
+  try {
+    const agent = await Agent.findOne({
+      _id: req.params.agentId,
+      project: req.params.projectId,
+      organization: req.params.orgId,
+    });
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const servers = req.body.mcp_servers;
+
+    if (!Array.isArray(servers)) {
+      return res.status(400).json({ error: 'mcp_servers must be an array' });
+    }
+
+    const names = new Set();
+    for (const server of servers) {
+      if (names.has(server.name)) {
+        return res
+          .status(400)
+          .json({ error: `Duplicate MCP server name "${server.name}"` });
+      }
+      names.add(server.name);
+
+      if (server.transport === 'stdio' && !server.command) {
+        return res
+          .status(400)
+          .json({ error: `MCP server "${server.name}" requires a command` });
+      }
+      if (server.transport === 'http' && !server.url) {
+        return res
+          .status(400)
+          .json({ error: `MCP server "${server.name}" requires a url` });
+      }
+    }
+
+    // Secrets omitted from the request keep their stored value
+    agent.mcp_servers = servers.map(server =>
+      mcpService.encryptServer(
+        server,
+        (agent.mcp_servers || []).find(s => s.name === server.name)
+      )
+    );
+    agent.$locals.revisionContext = { created_by: req.user?._id };
+    await agent.save();
+
+    res.json({
+      mcp_servers: agent.mcp_servers.map(s => mcpService.redactServer(s)),
+      stdio_enabled: mcpService.isStdioAllowed(),
+    });
+  } catch (error) {
+    console.error('Configure MCP servers error:', error);
+    res.status(500).json({ error: 'Failed to configure MCP servers' });
+  }
+};
+
+const getMcpServers = async (req, res) => {
+  try {
+    const agent = await Agent.findOne({
+      _id: req.params.agentId,
+      project: req.params.projectId,
+      organization: req.params.orgId,
+    });
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    res.json({
+      mcp_servers: (agent.mcp_servers || []).map(s => mcpService.redactServer(s)),
+      stdio_enabled: mcpService.isStdioAllowed(),
+    });
+  } catch (error) {
+    console.error('Get MCP servers error:', error);
+    res.status(500).json({ error: 'Failed to get MCP servers' });
+  }
+};
+
+const getMcpServerTools = async (req, res) => {
+  try {
+    const agent = await Agent.findOne({
+      _id: req.params.agentId,
+      project: req.params.projectId,
+      organization: req.params.orgId,
+    });
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const server = (agent.mcp_servers || []).find(
+      s => s.name === req.params.serverName
+    );
+    if (!server) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+
+    let tools;
+    try {
+      tools = await mcpService.discoverTools(agent._id, server, {
+        refresh: true,
+      });
+    } catch (error) {
+      return res.status(502).json({
+        error: 'Failed to connect to MCP server',
+        details: error.message,
+      });
+    }
+
+    res.json({
+      server: server.name,
+      tools: tools.map(tool => ({
+        name: mcpService.buildToolName(server.name, tool.name),
+        server_tool_name: tool.name,
+        description: tool.description || '',
+        input_schema: tool.inputSchema || { type: 'object', properties: {} },
+      })),
+    });
+  } catch (error) {
+    console.error('Get MCP server tools error:', error);
+    res.status(500).json({ error: 'Failed to list MCP server tools' });
+  }
+};
+
+// ===== REVISIONS & DRAFTS =====
+
+const REVISION_ERROR_STATUS = {
+  NO_DRAFT: 404,
+  REVISION_NOT_FOUND: 404,
+  DRAFT_STALE: 409,
+};
+
+const findProjectAgent = req =>
+  Agent.findOne({
+    _id: req.params.agentId,
+    project: req.params.projectId,
+    organization: req.params.orgId,
+  });
+
+const sendRevisionError = (res, error, fallback) => {
+  const status = REVISION_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+const getDraft = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (!agentRevisionService.hasDraft(agent)) {
+      return res.status(404).json({ error: 'Agent has no draft' });
+    }
+
+    res.json({
+      draft: agent.draft,
+      live_revision: agent.version,
+      changes: await agentRevisionService.diff(agent, 'live', 'draft'),
+    });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to get draft');
+  }
+};
+
+const discardDraft = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (!agentRevisionService.hasDraft(agent)) {
+      return res.status(404).json({ error: 'Agent has no draft' });
+    }
+
+    await agentRevisionService.discardDraft(agent);
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to discard draft');
+  }
+};
+
+const publishDraft = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    await agentRevisionService.publishDraft(agent, {
+      userId: req.user?._id,
+      note: req.body.note,
+      force: req.body.force === true,
+    });
+
+    res.json({
+      message: `Draft published as revision ${agent.version}`,
+      revision: agent.version,
+    });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to publish draft');
+  }
+};
+
+const getRevisions = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+    const { revisions, total } = await agentRevisionService.listRevisions(
+      agent._id,
+      { limit, skip }
+    );
+
+    res.json({
+      live_revision: agent.version,
+      has_draft: agentRevisionService.hasDraft(agent),
+      revisions,
+      total,
+    });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to get revisions');
+  }
+};
+
+const getRevision = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const revision = await agentRevisionService.getRevision(
+      agent._id,
+      parseInt(req.params.revision, 10)
+    );
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to get revision');
+  }
+};
+
+const diffRevisions = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const from = req.query.from;
+    const to = req.query.to || 'live';
+    const changes = await agentRevisionService.diff(agent, from, to);
+
+    res.json({ from, to, changes });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to diff revisions');
+  }
+};
+
+const rollbackRevision = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const target = parseInt(req.params.revision, 10);
+    if (target === agent.version) {
+      return res
+        .status(400)
+        .json({ error: `Revision ${target} is already live` });
+    }
+
+    await agentRevisionService.rollback(agent, target, {
+      userId: req.user?._id,
+      note: req.body.note,
+    });
+
+    res.json({
+      message: `Revision ${target} restored as revision ${agent.version}`,
+      revision: agent.version,
+      restored_from: target,
+    });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to roll back agent');
+  }
+};
+
 module.exports = {
   createAgent,
   getAgents,
@@ -2867,8 +3458,10 @@ module.exports = {
   executeTaskAgentStream,
   getConversations,
   getConversation,
+  getConversationMessages,
   getAgentExecutions,
   getAgentExecution,
+  decideWorkflowApproval,
   configureApiEndpoints,
   getApiEndpoints,
   addApiEndpoint,
@@ -2904,4 +3497,15 @@ module.exports = {
   deleteAllConversations,
   configureHooks,
   getHooks,
+  getScheduledHooks,
+  configureMcpServers,
+  getMcpServers,
+  getMcpServerTools,
+  getDraft,
+  discardDraft,
+  publishDraft,
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackRevision,
 };
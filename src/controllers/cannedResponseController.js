@@ -0,0 +1,134 @@
+const CannedResponse = require('../models/CannedResponse');
+const Project = require('../models/Project');
+const cannedResponseService = require('../services/cannedResponseService');
+
+const RESPONSE_FIELDS = ['title', 'shortcut', 'content', 'tags'];
+
+const findProjectResponse = req =>
+  CannedResponse.findOne({
+    _id: req.params.responseId,
+    project: req.params.projectId,
+  });
+
+const createCannedResponse = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.projectId,
+      organization: req.params.orgId,
+    });
+
+    if (!project) {
+      return res
+        .status(404)
+        .json({ error: 'Project not found in this organization' });
+    }
+
+    const response = new CannedResponse({
+      title: req.body.title,
+      shortcut: req.body.shortcut || undefined,
+      content: req.body.content,
+      tags: req.body.tags || [],
+      project: req.params.projectId,
+      organization: req.params.orgId,
+      created_by: req.user._id,
+    });
+    await response.save();
+
+    res.status(201).json(response);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: 'Shortcut already exists in this project' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create canned response error:', error);
+    res.status(500).json({ error: 'Failed to create canned response' });
+  }
+};
+
+const getCannedResponses = async (req, res) => {
+  try {
+    const responses = await cannedResponseService.list(req.params.projectId, {
+      q: req.query.q,
+      tag: req.query.tag,
+    });
+
+    res.json(responses);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch canned responses' });
+  }
+};
+
+const getCannedResponse = async (req, res) => {
+  try {
+    const response = await findProjectResponse(req);
+
+    if (!response) {
+      return res.status(404).json({ error: 'Canned response not found' });
+    }
+
+    res.json(response);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch canned response' });
+  }
+};
+
+const updateCannedResponse = async (req, res) => {
+  try {
+    const response = await findProjectResponse(req);
+
+    if (!response) {
+      return res.status(404).json({ error: 'Canned response not found' });
+    }
+
+    for (const field of RESPONSE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        // An empty shortcut removes it
+        response[field] =
+          field === 'shortcut' ? req.body[field] || undefined : req.body[field];
+      }
+    }
+    await response.save();
+
+    res.json(response);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: 'Shortcut already exists in this project' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update canned response error:', error);
+    res.status(500).json({ error: 'Failed to update canned response' });
+  }
+};
+
+const deleteCannedResponse = async (req, res) => {
+  try {
+    const response = await CannedResponse.findOneAndDelete({
+      _id: req.params.responseId,
+      project: req.params.projectId,
+    });
+
+    if (!response) {
+      return res.status(404).json({ error: 'Canned response not found' });
+    }
+
+    res.json({ message: 'Canned response deleted successfully' });
+  } catch {
+    res.status(500).json({ error: 'Failed to delete canned response' });
+  }
+};
+
+module.exports = {
+  createCannedResponse,
+  getCannedResponses,
+  getCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+};
@@ -4,6 +4,8 @@
  */
 
 const channelOrchestrator = require('../services/channelOrchestrator');
+const businessHoursService = require('../services/businessHoursService');
+const channelRateLimitService = require('../services/channelRateLimitService');
 const ChannelConfig = require('../models/ChannelConfig');
 const Agent = require('../models/Agent');
 const encryption = require('../utils/encryption');
@@ -691,6 +693,16 @@ const updateChannelConfig = async (req, res) => {
 
     // Update global settings
     if (updates.global_settings) {
+      try {
+        businessHoursService.validate(
+          updates.global_settings.business_hours,
+          updates.global_settings.timezone ||
+            channelConfig.global_settings?.timezone
+        );
+        channelRateLimitService.validate(updates.global_settings.rate_limiting);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
       channelConfig.global_settings = {
         ...channelConfig.global_settings,
         ...updates.global_settings,
@@ -889,6 +901,121 @@ const getEnabledChannels = async (req, res) => {
   }
 };
 
+/**
+ * List senders blocked by flood control or by an admin
+ */
+const listBlockedSenders = async (req, res) => {
+  try {
+    const { agentId, orgId, projectId } = req.params;
+
+    const agent = await Agent.findOne({
+      _id: agentId,
+      organization: orgId,
+      project: projectId,
+    });
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { blocked, total } = await channelRateLimitService.listBlocked(
+      agentId,
+      { limit, offset }
+    );
+
+    res.json({ blocked_senders: blocked, total, limit, offset });
+  } catch (error) {
+    console.error('List blocked senders error:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked senders' });
+  }
+};
+
+/**
+ * Block a sender on all channels of an agent
+ */
+const blockSender = async (req, res) => {
+  try {
+    const { agentId, orgId, projectId } = req.params;
+    const { user_identifier, duration_minutes, reason, channel } = req.body;
+
+    if (!user_identifier || typeof user_identifier !== 'string') {
+      return res.status(400).json({ error: 'user_identifier is required' });
+    }
+    if (
+      duration_minutes !== undefined &&
+      duration_minutes !== null &&
+      !(Number.isInteger(duration_minutes) && duration_minutes > 0)
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'duration_minutes must be a positive integer' });
+    }
+
+    const agent = await Agent.findOne({
+      _id: agentId,
+      organization: orgId,
+      project: projectId,
+    });
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const blocked = await channelRateLimitService.block(
+      agent,
+      user_identifier,
+      {
+        channel: channel || null,
+        reason: reason || null,
+        durationMinutes: duration_minutes || 0,
+        userId: req.user._id,
+      }
+    );
+
+    res.status(201).json({
+      message: 'Sender blocked successfully',
+      blocked_sender: blocked,
+    });
+  } catch (error) {
+    console.error('Block sender error:', error);
+    res.status(500).json({ error: 'Failed to block sender' });
+  }
+};
+
+/**
+ * Lift a sender's block
+ */
+const unblockSender = async (req, res) => {
+  try {
+    const { agentId, orgId, projectId, userIdentifier } = req.params;
+
+    const agent = await Agent.findOne({
+      _id: agentId,
+      organization: orgId,
+      project: projectId,
+    });
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const removed = await channelRateLimitService.unblock(
+      agentId,
+      userIdentifier
+    );
+    if (!removed) {
+      return res.status(404).json({ error: 'Sender is not blocked' });
+    }
+
+    res.json({ message: 'Sender unblocked successfully' });
+  } catch (error) {
+    console.error('Unblock sender error:', error);
+    res.status(500).json({ error: 'Failed to unblock sender' });
+  }
+};
+
 module.exports = {
   // Webhooks
   handleWhatsAppWebhook,
@@ -907,6 +1034,11 @@ module.exports = {
   setupTelegramWebhook,
   getTelegramWebhookInfo,
 
+  // Flood control
+  listBlockedSenders,
+  blockSender,
+  unblockSender,
+
   // Utility
   getEnabledChannels,
 };
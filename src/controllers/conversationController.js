@@ -0,0 +1,144 @@
+const Agent = require('../models/Agent');
+const Conversation = require('../models/Conversation');
+const conversationAttributeService = require('../services/conversationAttributeService');
+const conversationSearchService = require('../services/conversationSearchService');
+const feedbackService = require('../services/feedbackService');
+
+const ATTRIBUTE_FIELDS = ['tags', 'add_tags', 'remove_tags', 'custom_fields'];
+
+/**
+ * Load a conversation of one of the organization's agents (of the project
+ * in the URL, for API key routes).
+ */
+const findOrganizationConversation = async req => {
+  const conversation = await Conversation.findById(req.params.conversationId);
+  if (!conversation) {
+    return null;
+  }
+  const agent = await Agent.exists({
+    _id: conversation.agent,
+    organization: req.params.orgId,
+    ...(req.params.projectId && { project: req.params.projectId }),
+  });
+  return agent ? conversation : null;
+};
+
+/**
+ * Load the conversation of a feedback request: with a session token (chat
+ * widget) a conversation of the session's agent and end user, otherwise one
+ * of the organization's.
+ */
+const findFeedbackConversation = async req => {
+  if (!req.sessionToken) {
+    return findOrganizationConversation(req);
+  }
+  const userIdentifier = req.sessionToken.user_identifier;
+  if (!userIdentifier) {
+    return null;
+  }
+  return Conversation.findOne({
+    _id: req.params.conversationId,
+    agent: req.agent._id,
+    user_identifier: userIdentifier,
+  });
+};
+
+/**
+ * Search the organization's conversations. See
+ * conversationSearchService.search for the query parameters.
+ */
+const searchConversations = async (req, res) => {
+  try {
+    const result = await conversationSearchService.search(req.params.orgId, {
+      ...req.query,
+      ...(req.params.projectId && { project_id: req.params.projectId }),
+      facets: req.query.facets !== 'false',
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'SEARCH_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Search conversations error:', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+};
+
+/**
+ * Change the tags and custom fields of a conversation.
+ */
+const updateConversationAttributes = async (req, res) => {
+  try {
+    const conversation = await findOrganizationConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const changes = {};
+    for (const field of ATTRIBUTE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+    await conversationAttributeService.update(conversation, changes);
+
+    const { tags, custom_fields } = conversation.toJSON();
+    res.json({ conversation_id: conversation._id, tags, custom_fields });
+  } catch (error) {
+    if (error.code === 'CONVERSATION_ATTRIBUTES_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update conversation attributes error:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+};
+
+/**
+ * Rate an agent reply or the whole conversation, on behalf of the end user.
+ */
+const submitFeedback = async (req, res) => {
+  try {
+    const conversation = await findFeedbackConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const feedback = await feedbackService.submit(
+      conversation,
+      req.body,
+      req.sessionToken ? 'widget' : 'api'
+    );
+    res.json(feedback);
+  } catch (error) {
+    if (error.code === 'FEEDBACK_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Submit feedback error:', error);
+    res.status(500).json({ error: 'Failed to record feedback' });
+  }
+};
+
+/**
+ * Send the end-of-conversation CSAT survey to the user.
+ */
+const requestCsat = async (req, res) => {
+  try {
+    const conversation = await findOrganizationConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const result = await feedbackService.requestCsat(conversation);
+    res.json({ conversation_id: conversation._id, ...result });
+  } catch (error) {
+    console.error('Request CSAT error:', error);
+    res.status(500).json({ error: 'Failed to send the CSAT survey' });
+  }
+};
+
+module.exports = {
+  searchConversations,
+  updateConversationAttributes,
+  submitFeedback,
+  requestCsat,
+};
@@ -0,0 +1,246 @@
+const EvalDataset = require('../models/EvalDataset');
+const EvalRun = require('../models/EvalRun');
+const Project = require('../models/Project');
+const evalService = require('../services/evalService');
+
+const DATASET_FIELDS = ['name', 'description', 'cases'];
+
+const findProjectDataset = req =>
+  EvalDataset.findOne({
+    _id: req.params.datasetId,
+    project: req.params.projectId,
+  });
+
+// ===== DATASETS =====
+
+const createDataset = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.projectId,
+      organization: req.params.orgId,
+    });
+
+    if (!project) {
+      return res
+        .status(404)
+        .json({ error: 'Project not found in this organization' });
+    }
+
+    const dataset = new EvalDataset({
+      name: req.body.name,
+      description: req.body.description,
+      target_type: req.body.target_type,
+      cases: req.body.cases || [],
+      project: req.params.projectId,
+      organization: req.params.orgId,
+      created_by: req.user._id,
+    });
+    await dataset.save();
+
+    res.status(201).json(dataset);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: 'Dataset name already exists in this project' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create eval dataset error:', error);
+    res.status(500).json({ error: 'Failed to create dataset' });
+  }
+};
+
+const getDatasets = async (req, res) => {
+  try {
+    const datasets = await EvalDataset.find({ project: req.params.projectId })
+      .select('-cases')
+      .sort({ createdAt: -1 });
+
+    res.json(datasets);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch datasets' });
+  }
+};
+
+const getDataset = async (req, res) => {
+  try {
+    const dataset = await findProjectDataset(req);
+
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    res.json(dataset);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch dataset' });
+  }
+};
+
+const updateDataset = async (req, res) => {
+  try {
+    const dataset = await findProjectDataset(req);
+
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    // target_type is fixed: runs of one dataset must stay comparable
+    for (const field of DATASET_FIELDS) {
+      if (req.body[field] !== undefined) {
+        dataset[field] = req.body[field];
+      }
+    }
+    await dataset.save();
+
+    res.json(dataset);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ error: 'Dataset name already exists in this project' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update eval dataset error:', error);
+    res.status(500).json({ error: 'Failed to update dataset' });
+  }
+};
+
+const deleteDataset = async (req, res) => {
+  try {
+    const dataset = await EvalDataset.findOneAndDelete({
+      _id: req.params.datasetId,
+      project: req.params.projectId,
+    });
+
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    await EvalRun.deleteMany({ dataset: dataset._id });
+
+    res.json({ message: 'Dataset deleted successfully' });
+  } catch {
+    res.status(500).json({ error: 'Failed to delete dataset' });
+  }
+};
+
+// ===== RUNS =====
+
+const createRun = async (req, res) => {
+  try {
+    const dataset = await findProjectDataset(req);
+
+    if (!dataset) {
+      return res.status(404).json({ error: 'Dataset not found' });
+    }
+
+    const wait = req.body.wait === true;
+    const run = await evalService.createRun(dataset, {
+      agentId: req.body.agent_id,
+      useDraft: req.body.use_draft === true,
+      promptId: req.body.prompt_id,
+      promptVersion: req.body.prompt_version,
+      promptLabel: req.body.prompt_label,
+      judge: req.body.judge,
+      note: req.body.note,
+      userId: req.user._id,
+      wait,
+    });
+
+    res.status(wait ? 200 : 202).json(run);
+  } catch (error) {
+    if (error.code === 'EVAL_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create eval run error:', error);
+    res.status(500).json({ error: 'Failed to start eval run' });
+  }
+};
+
+const getRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filter = {
+      dataset: req.params.datasetId,
+      project: req.params.projectId,
+    };
+
+    const [runs, total] = await Promise.all([
+      EvalRun.find(filter)
+        .select('-results')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      EvalRun.countDocuments(filter),
+    ]);
+
+    res.json({
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      runs,
+    });
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch eval runs' });
+  }
+};
+
+const getRun = async (req, res) => {
+  try {
+    const run = await EvalRun.findOne({
+      _id: req.params.runId,
+      project: req.params.projectId,
+    });
+
+    if (!run) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+
+    res.json(run);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch eval run' });
+  }
+};
+
+const compareRuns = async (req, res) => {
+  try {
+    const [base, head] = await Promise.all(
+      [req.query.base, req.query.head].map(id =>
+        EvalRun.findOne({ _id: id, project: req.params.projectId })
+      )
+    );
+
+    if (!base || !head) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+    if (base.status !== 'completed' || head.status !== 'completed') {
+      return res
+        .status(400)
+        .json({ error: 'Both runs must be completed to compare them' });
+    }
+
+    res.json(evalService.compareRuns(base, head));
+  } catch (error) {
+    if (error.code === 'EVAL_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Compare eval runs error:', error);
+    res.status(500).json({ error: 'Failed to compare eval runs' });
+  }
+};
+
+module.exports = {
+  createDataset,
+  getDatasets,
+  getDataset,
+  updateDataset,
+  deleteDataset,
+  createRun,
+  getRuns,
+  getRun,
+  compareRuns,
+};
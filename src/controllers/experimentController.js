@@ -0,0 +1,154 @@
+const Agent = require('../models/Agent');
+const AgentExperiment = require('../models/AgentExperiment');
+const experimentService = require('../services/experimentService');
+
+const EXPERIMENT_ERROR_STATUS = {
+  EXPERIMENT_INVALID: 400,
+  EXPERIMENT_CONFLICT: 409,
+};
+
+const findProjectAgent = req =>
+  Agent.findOne({
+    _id: req.params.agentId,
+    project: req.params.projectId,
+    organization: req.params.orgId,
+  }).populate({
+    path: 'api_key',
+    populate: {
+      path: 'provider',
+    },
+  });
+
+const findAgentExperiment = req =>
+  AgentExperiment.findOne({
+    _id: req.params.experimentId,
+    agent: req.params.agentId,
+    project: req.params.projectId,
+  });
+
+const sendExperimentError = (res, error, fallback) => {
+  const status = EXPERIMENT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, code: error.code });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+const getExperiments = async (req, res) => {
+  try {
+    const experiments = await AgentExperiment.find({
+      agent: req.params.agentId,
+      project: req.params.projectId,
+    }).sort({ createdAt: -1 });
+
+    res.json(experiments);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch experiments' });
+  }
+};
+
+const getExperiment = async (req, res) => {
+  try {
+    const experiment = await findAgentExperiment(req);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(experiment);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch experiment' });
+  }
+};
+
+const createExperiment = async (req, res) => {
+  try {
+    const agent = await findProjectAgent(req);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const experiment = await experimentService.create(
+      agent,
+      req.body,
+      req.user._id
+    );
+
+    res.status(201).json(experiment);
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to create experiment');
+  }
+};
+
+const updateExperiment = async (req, res) => {
+  try {
+    const [agent, experiment] = await Promise.all([
+      findProjectAgent(req),
+      findAgentExperiment(req),
+    ]);
+    if (!agent || !experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(await experimentService.update(agent, experiment, req.body));
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to update experiment');
+  }
+};
+
+const startExperiment = async (req, res) => {
+  try {
+    const [agent, experiment] = await Promise.all([
+      findProjectAgent(req),
+      findAgentExperiment(req),
+    ]);
+    if (!agent || !experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(await experimentService.start(agent, experiment));
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to start experiment');
+  }
+};
+
+const stopExperiment = async (req, res) => {
+  try {
+    const experiment = await findAgentExperiment(req);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(await experimentService.stop(experiment));
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to stop experiment');
+  }
+};
+
+const deleteExperiment = async (req, res) => {
+  try {
+    const experiment = await findAgentExperiment(req);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    await experimentService.remove(experiment);
+
+    res.json({ message: 'Experiment deleted successfully' });
+  } catch (error) {
+    sendExperimentError(res, error, 'Failed to delete experiment');
+  }
+};
+
+module.exports = {
+  getExperiments,
+  getExperiment,
+  createExperiment,
+  updateExperiment,
+  startExperiment,
+  stopExperiment,
+  deleteExperiment,
+};
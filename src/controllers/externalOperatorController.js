@@ -1,4 +1,17 @@
 const ExternalOperator = require('../models/ExternalOperator');
+const handoffRoutingService = require('../services/handoffRoutingService');
+
+/**
+ * Route waiting handoffs to operators who just became available.
+ * Runs in the background; the response does not wait for it.
+ */
+function routeWaitingHandoffs(projectId) {
+  handoffRoutingService
+    .dispatch(projectId)
+    .catch(error =>
+      console.error('[HandoffRouting] Dispatch failed:', error.message)
+    );
+}
 
 /**
  * Register or update an external operator
@@ -6,7 +19,16 @@ const ExternalOperator = require('../models/ExternalOperator');
 const upsertOperator = async (req, res) => {
   try {
     const { orgId, projectId } = req.params;
-    const { external_id, name, email, avatar_url, skills, status, metadata } = req.body;
+    const {
+      external_id,
+      name,
+      email,
+      avatar_url,
+      skills,
+      max_concurrent,
+      status,
+      metadata,
+    } = req.body;
 
     if (!external_id || !name) {
       return res
@@ -22,6 +44,7 @@ const upsertOperator = async (req, res) => {
         email,
         avatar_url,
         skills,
+        max_concurrent,
         status,
         metadata,
         organization: orgId,
@@ -30,6 +53,10 @@ const upsertOperator = async (req, res) => {
       { upsert: true, new: true, runValidators: true }
     );
 
+    if (operator.status === 'online') {
+      routeWaitingHandoffs(projectId);
+    }
+
     res.json({ success: true, operator });
   } catch (error) {
     console.error('Error upserting external operator:', error);
@@ -107,6 +134,10 @@ const updateOperatorStatus = async (req, res) => {
       return res.status(404).json({ error: 'Operator not found' });
     }
 
+    if (status === 'online') {
+      routeWaitingHandoffs(projectId);
+    }
+
     res.json({ success: true, operator });
   } catch (error) {
     console.error('Error updating operator status:', error);
@@ -158,6 +189,10 @@ const bulkUpdateStatus = async (req, res) => {
 
     const result = await ExternalOperator.updateMany(filter, { status });
 
+    if (status === 'online') {
+      routeWaitingHandoffs(projectId);
+    }
+
     res.json({
       success: true,
       modified_count: result.modifiedCount,
@@ -1,9 +1,14 @@
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const User = require('../models/User');
 const ExternalOperator = require('../models/ExternalOperator');
 const Agent = require('../models/Agent');
 const channelOrchestrator = require('../services/channelOrchestrator');
 const mediaStorageService = require('../services/mediaStorageService');
+const handoffRoutingService = require('../services/handoffRoutingService');
+const handoffSlaService = require('../services/handoffSlaService');
+const hookService = require('../services/hookService');
+const cannedResponseService = require('../services/cannedResponseService');
 
 /**
  * Resolve S3 keys to presigned URLs for all media in an array of messages.
@@ -45,6 +50,7 @@ const getPendingHandoffs = async (req, res) => {
       page = 1,
       limit = 20,
       urgency,
+      queued,
       organizationId,
       projectId,
     } = req.query;
@@ -93,6 +99,13 @@ const getPendingHandoffs = async (req, res) => {
       filter['handoff_info.urgency'] = urgency;
     }
 
+    // queued=true: only handoffs still waiting for business hours to start;
+    // queued=false: only handoffs that can be picked up now
+    if (queued !== undefined) {
+      filter['handoff_info.queued_until'] =
+        queued === 'true' ? { $gt: new Date() } : { $not: { $gt: new Date() } };
+    }
+
     const conversations = await Conversation.find(filter)
       .populate('agent', 'name type')
       .sort({ 'handoff_info.requested_at': -1 })
@@ -122,7 +135,7 @@ const getPendingHandoffs = async (req, res) => {
 const getOrganizationPendingHandoffs = async (req, res) => {
   try {
     const { orgId } = req.params;
-    const { page = 1, limit = 20, urgency } = req.query;
+    const { page = 1, limit = 20, urgency, queued } = req.query;
     const skip = (page - 1) * limit;
 
     // Get Agent model to query agents by organization
@@ -142,6 +155,13 @@ const getOrganizationPendingHandoffs = async (req, res) => {
       filter['handoff_info.urgency'] = urgency;
     }
 
+    // queued=true: only handoffs still waiting for business hours to start;
+    // queued=false: only handoffs that can be picked up now
+    if (queued !== undefined) {
+      filter['handoff_info.queued_until'] =
+        queued === 'true' ? { $gt: new Date() } : { $not: { $gt: new Date() } };
+    }
+
     const conversations = await Conversation.find(filter)
       .populate('agent', 'name type')
       .sort({ 'handoff_info.requested_at': -1 })
@@ -179,7 +199,8 @@ const takeoverConversation = async (req, res) => {
     const { conversationId } = req.params;
     const { message, external_operator } = req.body;
 
-    const conversation = await Conversation.findById(conversationId);
+    const conversation =
+      await Conversation.findById(conversationId).withMessages();
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
@@ -200,6 +221,21 @@ const takeoverConversation = async (req, res) => {
         });
       }
 
+      // A routed handoff offered to another operator is theirs until the
+      // offer expires
+      if (
+        !handoffRoutingService.canTakeOver(
+          conversation,
+          external_operator.external_id
+        )
+      ) {
+        return res.status(409).json({
+          error: 'Handoff is offered to another operator',
+          offered_to: conversation.handoff_info.routing.operator.external_id,
+          expires_at: conversation.handoff_info.routing.expires_at,
+        });
+      }
+
       // Enrich with registered operator data if available
       const registeredOp = await ExternalOperator.findOne({
         external_id: external_operator.external_id,
@@ -209,6 +245,11 @@ const takeoverConversation = async (req, res) => {
       const avatarUrl =
         external_operator.avatar_url || registeredOp?.avatar_url || null;
 
+      handoffRoutingService.markAccepted(
+        conversation,
+        external_operator.external_id,
+        external_operator.name
+      );
       await conversation.assignExternalOperator(
         external_operator.external_id,
         external_operator.name,
@@ -225,6 +266,11 @@ const takeoverConversation = async (req, res) => {
     } else {
       // Internal user path (backwards compatible)
       const humanOperator = req.user;
+      handoffRoutingService.markAccepted(
+        conversation,
+        null,
+        humanOperator.name || humanOperator.email
+      );
       await conversation.assignHuman(
         humanOperator._id,
         humanOperator.name || humanOperator.email,
@@ -237,6 +283,7 @@ const takeoverConversation = async (req, res) => {
         email: humanOperator.email,
       };
     }
+    await handoffSlaService.recordAssigned(conversationId, operatorInfo);
 
     // Send initial message if provided
     if (message) {
@@ -266,6 +313,7 @@ const takeoverConversation = async (req, res) => {
         handler_info: handlerInfo,
       });
       await conversation.save();
+      await handoffSlaService.recordResponse(conversationId);
 
       // Send message through the appropriate channel
       if (conversation.channel && conversation.channel !== 'website') {
@@ -307,17 +355,23 @@ const takeoverConversation = async (req, res) => {
  * If `external_operator_id` is provided, the message is attributed to that
  * operator. Otherwise it defaults to the operator who took over the
  * conversation (internal or external).
+ * Instead of `message`, a `canned_response_id` of the project can be sent;
+ * its placeholders are filled from the conversation and `variables`.
  */
 const sendHumanMessage = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { message, external_operator_id } = req.body;
+    const { canned_response_id, variables, external_operator_id } = req.body;
+    let { message } = req.body;
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    if (!message && !canned_response_id) {
+      return res
+        .status(400)
+        .json({ error: 'Message or canned_response_id is required' });
     }
 
-    const conversation = await Conversation.findById(conversationId);
+    const conversation =
+      await Conversation.findById(conversationId).withMessages();
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
@@ -385,6 +439,39 @@ const sendHumanMessage = async (req, res) => {
       };
     }
 
+    if (canned_response_id) {
+      try {
+        message = await cannedResponseService.renderForConversation(
+          conversation,
+          canned_response_id,
+          {
+            operator:
+              handlerInfo.external_operator || handlerInfo.human_operator,
+            variables,
+          }
+        );
+      } catch (error) {
+        if (error.code === 'CANNED_RESPONSE_INVALID') {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    // The first reply accepts an auto-assigned handoff
+    const routing = conversation.handoff_info?.routing;
+    if (
+      routing?.state === 'assigned' &&
+      routing.operator?.external_id ===
+        handlerInfo.external_operator?.external_id
+    ) {
+      handoffRoutingService.markAccepted(
+        conversation,
+        routing.operator.external_id,
+        routing.operator.name
+      );
+    }
+
     // Add message
     conversation.messages.push({
       role: 'human_operator',
@@ -394,6 +481,15 @@ const sendHumanMessage = async (req, res) => {
     });
 
     await conversation.save();
+    await handoffSlaService.recordResponse(conversationId);
+
+    // Operator replies restart inactivity timers too
+    const agent = await Agent.findById(conversation.agent)
+      .select('hooks')
+      .lean();
+    if (agent) {
+      hookService.scheduleInactivityHooks(agent, conversation);
+    }
 
     // Send message through the appropriate channel
     if (conversation.channel && conversation.channel !== 'website') {
@@ -442,7 +538,8 @@ const handBackToAgent = async (req, res) => {
     const { conversationId } = req.params;
     const { external_operator_id } = req.body || {};
 
-    const conversation = await Conversation.findById(conversationId);
+    const conversation =
+      await Conversation.findById(conversationId).withMessages();
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
@@ -474,6 +571,15 @@ const handBackToAgent = async (req, res) => {
     }
 
     await conversation.handBackToAgent();
+    await handoffSlaService.close(conversationId, 'handed_back');
+
+    // The operator has capacity again for routed handoffs
+    Agent.findById(conversation.agent)
+      .select('project')
+      .then(agent => agent && handoffRoutingService.dispatch(agent.project))
+      .catch(error =>
+        console.error('[HandoffRouting] Dispatch failed:', error.message)
+      );
 
     res.json({
       success: true,
@@ -541,6 +647,7 @@ const getOrganizationConversations = async (req, res) => {
   try {
     const { orgId } = req.params;
     const { page = 1, limit = 20, status, channel, archived, conversationIds } = req.query;
+    const { tags } = req.query;
     const skip = (page - 1) * limit;
 
     // Get Agent model to query agents by organization
@@ -572,6 +679,11 @@ const getOrganizationConversations = async (req, res) => {
             .filter(Boolean);
       filter.channel = channels.length > 1 ? { $in: channels } : channels[0];
     }
+    // Comma-separated; conversations with all of them
+    if (tags) {
+      const tagList = String(tags).split(',');
+      filter.tags = { $all: tagList.map(tag => tag.trim()) };
+    }
     // archived filter: 'true' = only archived, 'false' = only not archived (incl. null/missing), omitted = all
     if (archived === 'true') {
       filter.archived = true;
@@ -611,7 +723,8 @@ const archiveConversation = async (req, res) => {
   try {
     const { conversationId } = req.params;
 
-    const conversation = await Conversation.findById(conversationId);
+    const conversation =
+      await Conversation.findById(conversationId).withMessages();
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
@@ -681,9 +794,12 @@ const streamConversation = async (req, res) => {
         const conversation = await Conversation.findById(conversationId);
         if (conversation) {
           // Check if there are new messages
-          if (conversation.messages.length > lastMessageCount) {
-            const newMessages = conversation.messages.slice(lastMessageCount);
-            lastMessageCount = conversation.messages.length;
+          if (conversation.message_count > lastMessageCount) {
+            const newMessages = await Message.find({
+              conversation: conversation._id,
+              seq: { $gte: lastMessageCount },
+            }).sort({ seq: 1 });
+            lastMessageCount = conversation.message_count;
 
             res.write(
               `data: ${JSON.stringify({
@@ -701,7 +817,7 @@ const streamConversation = async (req, res) => {
               type: 'status_update',
               conversation_status: conversation.status,
               current_handler: conversation.current_handler,
-              message_count: conversation.messages.length,
+              message_count: conversation.message_count,
             })}\n\n`
           );
         }
@@ -737,10 +853,9 @@ const getConversationDetails = async (req, res) => {
   try {
     const { conversationId } = req.params;
 
-    const conversation = await Conversation.findById(conversationId).populate(
-      'agent',
-      'name type description'
-    );
+    const conversation = await Conversation.findById(conversationId)
+      .populate('agent', 'name type description')
+      .withMessages();
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -814,22 +929,23 @@ const getLatestMessages = async (req, res) => {
       sinceDate = new Date(Date.now() - 30000);
     }
 
-    // Filter messages (use decrypted view for GDPR-encrypted conversations)
-    const allMessages = conversation.getDecryptedMessages();
-    let newMessages = allMessages.filter(msg => {
-      const msgDate = new Date(msg.timestamp);
-      const matchesTime = msgDate > sinceDate;
-
-      // Include/exclude system messages based on query parameter
-      if (include_system !== 'true' && msg.role === 'system') {
-        return false;
-      }
+    const messageFilter = {
+      conversation: conversation._id,
+      timestamp: { $gt: sinceDate },
+    };
+    // Include/exclude system messages based on query parameter
+    if (include_system !== 'true') {
+      messageFilter.role = { $ne: 'system' };
+    }
 
-      return matchesTime;
+    // Sort by timestamp (oldest first)
+    conversation.messages = await Message.find(messageFilter).sort({
+      timestamp: 1,
+      seq: 1,
     });
 
-    // Sort by timestamp (oldest first)
-    newMessages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    // Use decrypted view for GDPR-encrypted conversations
+    const newMessages = conversation.getDecryptedMessages();
 
     // Resolve S3 keys to presigned URLs for media attachments
     await resolveMediaUrls(newMessages, conversation);
@@ -869,6 +985,9 @@ const getLatestMessages = async (req, res) => {
       handoff_active:
         conversationStatus === 'human_controlled' ||
         conversationStatus === 'handoff_requested',
+      handoff_queue: handoffInfo.routing?.state
+        ? await handoffRoutingService.getQueueStatus(conversation._id)
+        : null,
       handler_info: {
         assigned_human: handoffInfo.assigned_human || null,
         assigned_external_operator:
@@ -927,6 +1046,7 @@ const refuseHandoff = async (req, res) => {
 
     // Revert to agent control and inject system message
     await conversation.refuseHandoff(refusedBy, reason);
+    await handoffSlaService.close(conversationId, 'refused', { refusedBy });
 
     // Ask the agent to respond immediately so the user isn't left in silence
     const agentService = require('../services/agentService');
@@ -950,6 +1070,155 @@ const refuseHandoff = async (req, res) => {
   }
 };
 
+/**
+ * Decline a handoff that routing offered or auto-assigned to an external
+ * operator. The handoff goes back to the queue and is routed to another
+ * operator with the required skills.
+ *
+ * Body:
+ *   external_operator_id {string} – The operator declining (required)
+ */
+const declineHandoff = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { external_operator_id } = req.body || {};
+
+    if (!external_operator_id) {
+      return res
+        .status(400)
+        .json({ error: 'external_operator_id is required' });
+    }
+
+    const conversation = await Conversation.findById(conversationId).select(
+      'status handoff_info.routing'
+    );
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const released = await handoffRoutingService.release(
+      conversationId,
+      external_operator_id
+    );
+    if (!released) {
+      return res.status(409).json({
+        error: 'Handoff is not offered or assigned to this operator',
+        routing_state: conversation.handoff_info?.routing?.state || null,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Handoff declined and returned to the queue',
+      handoff_queue:
+        await handoffRoutingService.getQueueStatus(conversationId),
+    });
+  } catch (error) {
+    console.error('Error declining handoff:', error);
+    res.status(500).json({ error: 'Failed to decline handoff' });
+  }
+};
+
+/**
+ * Operator filling a canned response: the assigned external operator, else
+ * the authenticated user.
+ */
+function currentOperator(req, conversation) {
+  const extOp = conversation.handoff_info?.assigned_external_operator;
+  if (extOp?.external_id) {
+    return { name: extOp.name, email: extOp.email || null };
+  }
+  return req.user
+    ? { name: req.user.name || req.user.email, email: req.user.email }
+    : null;
+}
+
+/**
+ * List the canned responses of the conversation's project, with their
+ * placeholders filled in for this conversation.
+ *
+ * Query:
+ *   q   {string} – Search in title, shortcut and content
+ *   tag {string} – Only responses with this tag
+ */
+const getConversationCannedResponses = async (req, res) => {
+  try {
+    const { conversationId, projectId } = req.params;
+
+    const conversation = await Conversation.findById(conversationId);
+    const agent = conversation
+      ? await cannedResponseService.getConversationAgent(
+          conversation,
+          projectId
+        )
+      : null;
+    if (!agent) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const responses = await cannedResponseService.listForConversation(
+      conversation,
+      agent,
+      {
+        q: req.query.q,
+        tag: req.query.tag,
+        operator: currentOperator(req, conversation),
+      }
+    );
+
+    res.json({ success: true, canned_responses: responses });
+  } catch (error) {
+    console.error('Error fetching canned responses:', error);
+    res.status(500).json({ error: 'Failed to fetch canned responses' });
+  }
+};
+
+/**
+ * Have the agent draft a reply for the operator. The draft is returned
+ * only: the operator edits it and sends it with sendHumanMessage.
+ *
+ * Body:
+ *   instructions {string} – Optional guidance, e.g. "offer a refund"
+ */
+const draftReply = async (req, res) => {
+  try {
+    const { conversationId, projectId } = req.params;
+    const { instructions } = req.body || {};
+
+    if (
+      instructions !== undefined &&
+      (typeof instructions !== 'string' || instructions.length > 2000)
+    ) {
+      return res.status(400).json({
+        error: 'instructions must be a string of at most 2000 characters',
+      });
+    }
+
+    const conversation =
+      await Conversation.findById(conversationId).withMessages();
+    const agent = conversation
+      ? await cannedResponseService.getConversationAgent(
+          conversation,
+          projectId
+        )
+      : null;
+    if (!agent) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    // Lazy require to avoid circular dependency
+    const agentService = require('../services/agentService');
+    const result = await agentService.draftOperatorReply(conversation, {
+      instructions,
+    });
+
+    res.json({ success: true, conversation_id: conversationId, ...result });
+  } catch (error) {
+    console.error('Error drafting operator reply:', error);
+    res.status(500).json({ error: 'Failed to draft reply' });
+  }
+};
+
 module.exports = {
   getPendingHandoffs,
   getOrganizationPendingHandoffs,
@@ -957,10 +1226,13 @@ module.exports = {
   sendHumanMessage,
   handBackToAgent,
   refuseHandoff,
+  declineHandoff,
   getMyConversations,
   getOrganizationConversations,
   archiveConversation,
   streamConversation,
   getConversationDetails,
   getLatestMessages,
+  getConversationCannedResponses,
+  draftReply,
 };
@@ -0,0 +1,239 @@
+const KnowledgeBase = require('../models/KnowledgeBase');
+const CrawledPage = require('../models/CrawledPage');
+const Project = require('../models/Project');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const knowledgeBaseCrawlerService = require('../services/knowledgeBaseCrawlerService');
+const knowledgeBaseReindexService = require('../services/knowledgeBaseReindexService');
+const ragService = require('../services/ragService');
+
+const findProjectKnowledgeBase = req =>
+  KnowledgeBase.findOne({
+    _id: req.params.knowledgeBaseId,
+    organization_id: req.params.orgId,
+    project_id: req.params.projectId,
+  });
+
+const handleError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res
+      .status(400)
+      .json({ error: 'A knowledge base with this name already exists' });
+  }
+  if (error.code === 'KNOWLEDGE_BASE_INVALID') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${action} knowledge base error:`, error);
+  res
+    .status(500)
+    .json({ error: `Failed to ${action.toLowerCase()} knowledge base` });
+};
+
+// Saves the knowledge base. A new or changed crawler configuration crawls
+// right away, then on its schedule. New embedding settings of a knowledge
+// base holding documents re-index them in the background.
+const applyBackgroundConfig = async (knowledgeBase, body) => {
+  if (body.crawler !== undefined) {
+    await knowledgeBaseCrawlerService.applyConfig(knowledgeBase, body.crawler);
+  }
+  const reindex =
+    body.embedding !== undefined &&
+    (await knowledgeBaseReindexService.applyEmbedding(
+      knowledgeBase,
+      body.embedding
+    ));
+  await knowledgeBase.save();
+  if (body.crawler !== undefined) {
+    await knowledgeBaseCrawlerService.schedule(knowledgeBase);
+  }
+  if (reindex) {
+    await knowledgeBaseReindexService.schedule(knowledgeBase);
+  }
+};
+
+const createKnowledgeBase = async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.projectId,
+      organization: req.params.orgId,
+    });
+
+    if (!project) {
+      return res
+        .status(404)
+        .json({ error: 'Project not found in this organization' });
+    }
+
+    const knowledgeBase = new KnowledgeBase({
+      organization_id: req.params.orgId,
+      project_id: req.params.projectId,
+      created_by: req.user._id,
+    });
+    await knowledgeBaseService.applySettings(knowledgeBase, req.body);
+    await applyBackgroundConfig(knowledgeBase, req.body);
+
+    res.status(201).json(knowledgeBase);
+  } catch (error) {
+    handleError(res, error, 'Create');
+  }
+};
+
+const getKnowledgeBases = async (req, res) => {
+  try {
+    const knowledgeBases = await KnowledgeBase.find({
+      organization_id: req.params.orgId,
+      project_id: req.params.projectId,
+    }).sort({ name: 1 });
+
+    res.json(knowledgeBases);
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch knowledge bases' });
+  }
+};
+
+const getKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findProjectKnowledgeBase(req);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+
+    const indexStats = await ragService.getStats(
+      req.params.orgId,
+      req.params.projectId,
+      knowledgeBase
+    );
+
+    res.json({ ...knowledgeBase.toObject(), index_stats: indexStats });
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch knowledge base' });
+  }
+};
+
+const updateKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findProjectKnowledgeBase(req);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+
+    await knowledgeBaseService.applySettings(knowledgeBase, req.body);
+    await applyBackgroundConfig(knowledgeBase, req.body);
+
+    res.json(knowledgeBase);
+  } catch (error) {
+    handleError(res, error, 'Update');
+  }
+};
+
+const deleteKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findProjectKnowledgeBase(req);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+
+    await knowledgeBaseCrawlerService.unschedule(knowledgeBase);
+    await knowledgeBaseService.remove(knowledgeBase);
+
+    res.json({ message: 'Knowledge base deleted successfully' });
+  } catch (error) {
+    if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Delete knowledge base error:', error);
+    res.status(500).json({ error: 'Failed to delete knowledge base' });
+  }
+};
+
+const crawlKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findProjectKnowledgeBase(req);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+    if (!knowledgeBase.crawler.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'The crawler of this knowledge base is not enabled' });
+    }
+
+    const nextRunAt = await knowledgeBaseCrawlerService.schedule(knowledgeBase);
+
+    res.status(202).json({ message: 'Crawl queued', next_run_at: nextRunAt });
+  } catch (error) {
+    console.error('Crawl knowledge base error:', error);
+    res.status(500).json({ error: 'Failed to queue crawl' });
+  }
+};
+
+const reindexKnowledgeBase = async (req, res) => {
+  try {
+    const knowledgeBase = await findProjectKnowledgeBase(req);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+
+    const reindex =
+      await knowledgeBaseReindexService.requestReindex(knowledgeBase);
+
+    res.status(202).json({ message: 'Re-index queued', reindex });
+  } catch (error) {
+    handleError(res, error, 'Re-index');
+  }
+};
+
+const getCrawledPages = async (req, res) => {
+  try {
+    const knowledgeBase = await findProjectKnowledgeBase(req);
+
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: 'Knowledge base not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const filter = { knowledge_base_id: knowledgeBase._id };
+
+    const [pages, total] = await Promise.all([
+      CrawledPage.find(filter)
+        .sort({ url: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CrawledPage.countDocuments(filter),
+    ]);
+
+    res.json({
+      pages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch {
+    res.status(500).json({ error: 'Failed to fetch crawled pages' });
+  }
+};
+
+module.exports = {
+  createKnowledgeBase,
+  getKnowledgeBases,
+  getKnowledgeBase,
+  updateKnowledgeBase,
+  deleteKnowledgeBase,
+  crawlKnowledgeBase,
+  reindexKnowledgeBase,
+  getCrawledPages,
+};
@@ -526,7 +526,7 @@ const getEmailThread = async (req, res) => {
       _id: req.params.conversationId,
       agent: agent._id,
       channel: 'email',
-    });
+    }).withMessages();
     if (!conversation) {
       return res.status(404).json({ error: 'Thread not found' });
     }
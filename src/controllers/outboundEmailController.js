@@ -17,7 +17,7 @@
 const Agent = require('../models/Agent');
 const MailAccount = require('../models/MailAccount');
 const OutboundEmail = require('../models/OutboundEmail');
-const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const draftService = require('../services/email/draftService');
 
 async function getAgentOr404(req, res) {
@@ -146,12 +146,12 @@ const updateDraft = async (req, res) => {
     // Keep the conversation message in sync so the thread view shows the
     // edited body instead of the original AI-drafted content.
     if (outbound.conversation && body.text !== undefined) {
-      await Conversation.updateOne(
+      await Message.updateOne(
         {
-          _id: outbound.conversation,
-          'messages.metadata.outbound_id': outbound._id,
+          conversation: outbound.conversation,
+          'metadata.outbound_id': outbound._id,
         },
-        { $set: { 'messages.$.content': outbound.text } }
+        { $set: { content: outbound.text } }
       ).catch(() => {});
     }
 
@@ -224,16 +224,16 @@ const sendDraft = async (req, res) => {
     // Sync state, final content, and timestamp on the conversation message
     // so the thread view reflects what was actually sent.
     if (claimed.conversation) {
-      await Conversation.updateOne(
+      await Message.updateOne(
         {
-          _id: claimed.conversation,
-          'messages.metadata.outbound_id': claimed._id,
+          conversation: claimed.conversation,
+          'metadata.outbound_id': claimed._id,
         },
         {
           $set: {
-            'messages.$.metadata.outbound_state': 'queued',
-            'messages.$.content': claimed.text,
-            'messages.$.timestamp': new Date(),
+            'metadata.outbound_state': 'queued',
+            content: claimed.text,
+            timestamp: new Date(),
           },
         }
       ).catch(() => {});
@@ -1,5 +1,6 @@
 const Project = require('../models/Project');
 const Organization = require('../models/Organization');
+const conversationAttributeService = require('../services/conversationAttributeService');
 
 const createProject = async (req, res) => {
   try {
@@ -69,8 +70,38 @@ const getProject = async (req, res) => {
   }
 };
 
+/**
+ * Replace the custom fields the project's conversations can carry. Values
+ * already set on conversations are kept, but fields no longer defined can
+ * not be set anymore.
+ */
+const updateConversationFields = async (req, res) => {
+  try {
+    const fields = req.body.conversation_fields;
+    conversationAttributeService.validateFieldDefinitions(fields);
+
+    const project = await Project.findOneAndUpdate(
+      { _id: req.params.projectId, organization: req.params.orgId },
+      { $set: { conversation_fields: fields } },
+      { new: true, runValidators: true }
+    );
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ conversation_fields: project.conversation_fields });
+  } catch (error) {
+    if (error.code === 'CONVERSATION_ATTRIBUTES_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update conversation fields error:', error);
+    res.status(500).json({ error: 'Failed to update conversation fields' });
+  }
+};
+
 module.exports = {
   createProject,
   getProjects,
   getProject,
+  updateConversationFields,
 };
@@ -1,6 +1,13 @@
 const Prompt = require('../models/Prompt');
 const Project = require('../models/Project');
 const ApiKey = require('../models/ApiKey');
+const PromptVersion = require('../models/PromptVersion');
+const promptVersionService = require('../services/promptVersionService');
+
+const PROMPT_VERSION_ERROR_STATUS = {
+  PROMPT_VERSION_NOT_FOUND: 404,
+  PROMPT_LABEL_NOT_FOUND: 404,
+};
 
 const createPrompt = async (req, res) => {
   try {
@@ -16,6 +23,16 @@ const createPrompt = async (req, res) => {
         .json({ error: 'Project not found in this organization' });
     }
 
+    const schemaErrors = promptVersionService.checkVariablesSchema(
+      req.body.variables_schema,
+      [req.body.content, req.body.system_prompt]
+    );
+    if (schemaErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid variables schema', details: schemaErrors });
+    }
+
     // Create prompt with just the name
     const prompt = new Prompt({
       name: req.body.name.toLowerCase(),
@@ -23,7 +40,12 @@ const createPrompt = async (req, res) => {
       description: req.body.description,
       content: req.body.content,
       system_prompt: req.body.system_prompt,
+      variables_schema: req.body.variables_schema,
     });
+    prompt.$locals.versionContext = {
+      created_by: req.user?._id,
+      note: req.body.version_note,
+    };
 
     await prompt.save();
 
@@ -81,11 +103,23 @@ const updatePrompt = async (req, res) => {
     }
     if (req.body.content !== undefined) {
       prompt.content = req.body.content;
-      prompt.version += 1;
     }
     if (req.body.system_prompt !== undefined) {
       prompt.system_prompt = req.body.system_prompt;
     }
+    if (req.body.variables_schema !== undefined) {
+      prompt.variables_schema = req.body.variables_schema;
+    }
+
+    const schemaErrors = promptVersionService.checkVariablesSchema(
+      prompt.variables_schema,
+      [prompt.content, prompt.system_prompt]
+    );
+    if (schemaErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid variables schema', details: schemaErrors });
+    }
     if (req.body.llm_settings) {
       prompt.llm_settings = {
         ...prompt.llm_settings,
@@ -94,6 +128,11 @@ const updatePrompt = async (req, res) => {
     }
     console.log(prompt.llm_settings);
 
+    // Versioned edits are recorded as a new PromptVersion by the model hooks
+    prompt.$locals.versionContext = {
+      created_by: req.user?._id,
+      note: req.body.version_note,
+    };
     await prompt.save();
 
     // Fetch updated prompt with populated fields
@@ -123,6 +162,8 @@ const deletePrompt = async (req, res) => {
       return res.status(404).json({ error: 'Prompt not found' });
     }
 
+    await PromptVersion.deleteMany({ prompt: prompt._id });
+
     res.json({ message: 'Prompt deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete prompt' });
@@ -146,9 +187,123 @@ const getPrompt = async (req, res) => {
   }
 };
 
+// ===== VERSIONS & LABELS =====
+
+const findProjectPrompt = req =>
+  Prompt.findOne({
+    _id: req.params.promptId,
+    project: req.params.projectId,
+  });
+
+const sendPromptVersionError = (res, error, fallback) => {
+  const status = PROMPT_VERSION_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+};
+
+const getPromptVersions = async (req, res) => {
+  try {
+    const prompt = await findProjectPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await promptVersionService.ensureBaseline(prompt);
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const skip = parseInt(req.query.skip, 10) || 0;
+    const { versions, total } = await promptVersionService.listVersions(
+      prompt._id,
+      { limit, skip }
+    );
+
+    res.json({
+      latest_version: prompt.version,
+      labels: prompt.labels,
+      versions,
+      total,
+    });
+  } catch (error) {
+    sendPromptVersionError(res, error, 'Failed to fetch prompt versions');
+  }
+};
+
+const getPromptVersion = async (req, res) => {
+  try {
+    const prompt = await findProjectPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const versionNumber = parseInt(req.params.version, 10);
+    if (versionNumber === prompt.version) {
+      await promptVersionService.ensureBaseline(prompt);
+    }
+
+    const version = await promptVersionService.getVersion(
+      prompt._id,
+      versionNumber
+    );
+    if (!version) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    res.json({
+      version,
+      labels: prompt.labels
+        .filter(label => label.version === version.version)
+        .map(label => label.name),
+    });
+  } catch (error) {
+    sendPromptVersionError(res, error, 'Failed to fetch prompt version');
+  }
+};
+
+const setPromptLabel = async (req, res) => {
+  try {
+    const prompt = await findProjectPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const label = await promptVersionService.setLabel(
+      prompt,
+      req.params.label,
+      parseInt(req.body.version, 10),
+      req.user?._id
+    );
+
+    res.json({ label, labels: prompt.labels });
+  } catch (error) {
+    sendPromptVersionError(res, error, 'Failed to set prompt label');
+  }
+};
+
+const deletePromptLabel = async (req, res) => {
+  try {
+    const prompt = await findProjectPrompt(req);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await promptVersionService.removeLabel(prompt, req.params.label);
+
+    res.json({ message: 'Label removed', labels: prompt.labels });
+  } catch (error) {
+    sendPromptVersionError(res, error, 'Failed to remove prompt label');
+  }
+};
+
 module.exports = {
   createPrompt,
   updatePrompt,
   deletePrompt,
   getPrompt,
+  getPromptVersions,
+  getPromptVersion,
+  setPromptLabel,
+  deletePromptLabel,
 };
@@ -3,13 +3,20 @@ const APIKey = require('../models/ApiKey');
 const PromptExecution = require('../models/PromptExecution');
 const OpenAIService = require('../services/openaiService');
 const cacheService = require('../services/cacheService');
+const promptVersionService = require('../services/promptVersionService');
 const Mustache = require('mustache');
 
 const testPrompt = async (req, res) => {
   try {
-    // Assume all data is in body: { content, system_prompt, llm_settings, api_key_id, variables }
-    const { content, system_prompt, llm_settings, api_key_id, variables } =
-      req.body;
+    // Assume all data is in body: { content, system_prompt, llm_settings, api_key_id, variables, variables_schema }
+    const {
+      content,
+      system_prompt,
+      llm_settings,
+      api_key_id,
+      variables,
+      variables_schema,
+    } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: 'Prompt content is required' });
@@ -56,6 +63,18 @@ const testPrompt = async (req, res) => {
       return res.status(400).json({ error: 'Unsupported provider' });
     }
 
+    const variableErrors = promptVersionService.validateVariables(
+      variables_schema,
+      variables
+    );
+    if (variableErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid prompt variables',
+        code: 'INVALID_VARIABLES',
+        details: variableErrors,
+      });
+    }
+
     // Mustache render
     const processedPrompt = Mustache.render(content, variables || {});
     const processedSystemPrompt = system_prompt
@@ -114,11 +133,27 @@ const executePrompt = async (req, res) => {
       return res.status(404).json({ error: 'Prompt not found' });
     }
 
-    if (!prompt.content) {
+    // Pick the version to run: explicit version, label, or the latest
+    let promptVersion;
+    try {
+      promptVersion = await promptVersionService.resolve(prompt, {
+        version: req.body.version ?? req.query.version,
+        label: req.body.label ?? req.query.label,
+      });
+    } catch (error) {
+      if (error.code) {
+        return res
+          .status(404)
+          .json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+
+    if (!promptVersion.content) {
       return res.status(400).json({ error: 'Prompt content not configured' });
     }
 
-    if (!prompt.api_key) {
+    if (!promptVersion.api_key) {
       return res
         .status(400)
         .json({ error: 'No API key configured for this prompt' });
@@ -127,26 +162,38 @@ const executePrompt = async (req, res) => {
     // Get decrypted API key
     let decryptedApiKey;
     try {
-      decryptedApiKey = prompt.api_key.getDecryptedKey();
+      decryptedApiKey = promptVersion.api_key.getDecryptedKey();
     } catch (error) {
       return res.status(500).json({ error: 'Failed to decrypt API key' });
     }
 
     // Verify provider is supported
     const supportedProviders = ['openai', 'deepseek', 'openrouter'];
-    if (!supportedProviders.includes(prompt.api_key.provider.name)) {
+    if (!supportedProviders.includes(promptVersion.api_key.provider.name)) {
       return res.status(400).json({ error: 'Unsupported provider' });
     }
 
+    const variableErrors = promptVersionService.validateVariables(
+      promptVersion.variables_schema,
+      req.body.variables
+    );
+    if (variableErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid prompt variables',
+        code: 'INVALID_VARIABLES',
+        details: variableErrors,
+      });
+    }
+
     // Replace variables in prompt template
     const processedPrompt = Mustache.render(
-      prompt.content,
+      promptVersion.content,
       req.body.variables || {}
     );
 
     // Replace variables in system prompt template if it exists
-    const processedSystemPrompt = prompt.system_prompt
-      ? Mustache.render(prompt.system_prompt, req.body.variables || {})
+    const processedSystemPrompt = promptVersion.system_prompt
+      ? Mustache.render(promptVersion.system_prompt, req.body.variables || {})
       : null;
 
     // Generate cache hash
@@ -154,7 +201,7 @@ const executePrompt = async (req, res) => {
       prompt,
       processedPrompt,
       req.body.variables,
-      prompt.llm_settings,
+      promptVersion.llm_settings,
       processedSystemPrompt
     );
 
@@ -173,18 +220,18 @@ const executePrompt = async (req, res) => {
     } else {
       // Execute the prompt
       if (
-        prompt.api_key.provider.name == 'openai' ||
-        prompt.api_key.provider.name == 'deepseek' ||
-        prompt.api_key.provider.name == 'openrouter'
+        promptVersion.api_key.provider.name === 'openai' ||
+        promptVersion.api_key.provider.name === 'deepseek' ||
+        promptVersion.api_key.provider.name === 'openrouter'
       ) {
         const openai = new OpenAIService(
           decryptedApiKey,
-          prompt.api_key.provider.name
+          promptVersion.api_key.provider.name
         );
         result = await openai.generateCompletion(
-          prompt.llm_settings.model,
+          promptVersion.llm_settings.model,
           processedPrompt,
-          prompt.llm_settings.parameters,
+          promptVersion.llm_settings.parameters,
           processedSystemPrompt
         );
       }
@@ -196,7 +243,7 @@ const executePrompt = async (req, res) => {
         result.content,
         result.usage,
         {
-          model: prompt.llm_settings.model,
+          model: promptVersion.llm_settings.model,
           finish_reason: result.finish_reason,
         }
       );
@@ -212,10 +259,12 @@ const executePrompt = async (req, res) => {
 
       executionRecord = new PromptExecution({
         prompt: prompt._id,
+        prompt_version: promptVersion.version,
+        prompt_label: promptVersion.label,
         project: req.params.projectId,
-        api_key: prompt.api_key._id,
+        api_key: promptVersion.api_key._id,
         metadata: {
-          model: prompt.llm_settings.model,
+          model: promptVersion.llm_settings.model,
           finish_reason: result.finish_reason,
         },
         status: 'cached',
@@ -227,10 +276,12 @@ const executePrompt = async (req, res) => {
     } else {
       executionRecord = new PromptExecution({
         prompt: prompt._id,
+        prompt_version: promptVersion.version,
+        prompt_label: promptVersion.label,
         project: req.params.projectId,
-        api_key: prompt.api_key._id,
+        api_key: promptVersion.api_key._id,
         metadata: {
-          model: prompt.llm_settings.model,
+          model: promptVersion.llm_settings.model,
           finish_reason: result.finish_reason,
         },
         status: 'success',
@@ -242,14 +293,14 @@ const executePrompt = async (req, res) => {
 
     // Only update API key usage if not cached
     if (!result.cached) {
-      await APIKey.findByIdAndUpdate(prompt.api_key._id, {
+      await APIKey.findByIdAndUpdate(promptVersion.api_key._id, {
         $inc: {
           'usage.total_tokens': result.usage.total_tokens,
           'usage.total_cost': result.usage.cost,
         },
         $push: {
           'usage.usage_by_model': {
-            model: prompt.llm_settings.model,
+            model: promptVersion.llm_settings.model,
             input_tokens: result.usage.prompt_tokens,
             output_tokens: result.usage.completion_tokens,
             cost: result.usage.cost,
@@ -260,6 +311,8 @@ const executePrompt = async (req, res) => {
 
     res.json({
       execution_id: executionRecord._id,
+      version: promptVersion.version,
+      label: promptVersion.label,
       result: result.content,
       usage: result.usage,
       cached: result.cached || false,
@@ -339,14 +392,30 @@ const executePromptWithApiKey = async (req, res) => {
       });
     }
 
-    if (!prompt.content) {
+    // Pick the version to run: explicit version, label, or the latest
+    let promptVersion;
+    try {
+      promptVersion = await promptVersionService.resolve(prompt, {
+        version: req.body.version,
+        label: req.body.label,
+      });
+    } catch (error) {
+      if (error.code) {
+        return res
+          .status(404)
+          .json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+
+    if (!promptVersion.content) {
       return res.status(400).json({
         error: 'Prompt content not configured',
         code: 'PROMPT_NOT_CONFIGURED',
       });
     }
 
-    if (!prompt.api_key) {
+    if (!promptVersion.api_key) {
       return res.status(400).json({
         error: 'No API key configured for this prompt',
         code: 'PROMPT_API_KEY_NOT_CONFIGURED',
@@ -356,7 +425,7 @@ const executePromptWithApiKey = async (req, res) => {
     // Get decrypted API key
     let decryptedApiKey;
     try {
-      decryptedApiKey = prompt.api_key.getDecryptedKey();
+      decryptedApiKey = promptVersion.api_key.getDecryptedKey();
     } catch (error) {
       return res.status(500).json({
         error: 'Failed to decrypt API key',
@@ -372,17 +441,32 @@ const executePromptWithApiKey = async (req, res) => {
       'anthropic',
       'google',
     ];
-    if (!supportedProviders.includes(prompt.api_key.provider.name)) {
+    if (!supportedProviders.includes(promptVersion.api_key.provider.name)) {
       return res.status(400).json({
         error: 'Unsupported provider',
         code: 'UNSUPPORTED_PROVIDER',
       });
     }
 
+    const variableErrors = promptVersionService.validateVariables(
+      promptVersion.variables_schema,
+      variables
+    );
+    if (variableErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid prompt variables',
+        code: 'INVALID_VARIABLES',
+        details: variableErrors,
+      });
+    }
+
     // Process the prompt with variables
-    const processedPrompt = Mustache.render(prompt.content, variables || {});
-    const processedSystemPrompt = prompt.system_prompt
-      ? Mustache.render(prompt.system_prompt, variables || {})
+    const processedPrompt = Mustache.render(
+      promptVersion.content,
+      variables || {}
+    );
+    const processedSystemPrompt = promptVersion.system_prompt
+      ? Mustache.render(promptVersion.system_prompt, variables || {})
       : undefined;
 
     // Check cache first
@@ -392,7 +476,7 @@ const executePromptWithApiKey = async (req, res) => {
       .update(
         processedPrompt +
           (processedSystemPrompt || '') +
-          JSON.stringify(prompt.llm_settings)
+          JSON.stringify(promptVersion.llm_settings)
       )
       .digest('hex');
 
@@ -402,18 +486,18 @@ const executePromptWithApiKey = async (req, res) => {
     if (!cached) {
       // Execute the prompt
       if (
-        prompt.api_key.provider.name == 'openai' ||
-        prompt.api_key.provider.name == 'deepseek' ||
-        prompt.api_key.provider.name == 'openrouter'
+        promptVersion.api_key.provider.name === 'openai' ||
+        promptVersion.api_key.provider.name === 'deepseek' ||
+        promptVersion.api_key.provider.name === 'openrouter'
       ) {
         const openai = new OpenAIService(
           decryptedApiKey,
-          prompt.api_key.provider.name
+          promptVersion.api_key.provider.name
         );
         result = await openai.generateCompletion(
-          prompt.llm_settings.model,
+          promptVersion.llm_settings.model,
           processedPrompt,
-          prompt.llm_settings.parameters,
+          promptVersion.llm_settings.parameters,
           processedSystemPrompt
         );
       }
@@ -425,7 +509,7 @@ const executePromptWithApiKey = async (req, res) => {
         result.content,
         result.usage,
         {
-          model: prompt.llm_settings.model,
+          model: promptVersion.llm_settings.model,
           finish_reason: result.finish_reason,
         }
       );
@@ -441,12 +525,14 @@ const executePromptWithApiKey = async (req, res) => {
     // Create execution record
     const executionRecord = new PromptExecution({
       prompt: prompt._id,
+      prompt_version: promptVersion.version,
+      prompt_label: promptVersion.label,
       project: req.params.projectId,
-      api_key: prompt.api_key._id,
+      api_key: promptVersion.api_key._id,
       user_api_key: req.apiKey._id, // Track which user API key was used
       status: cached ? 'cached' : 'success',
       metadata: {
-        model: prompt.llm_settings.model,
+        model: promptVersion.llm_settings.model,
         finish_reason: result.finish_reason,
         cached: !!cached,
         external_execution: true, // Mark as external API execution
@@ -471,7 +557,9 @@ const executePromptWithApiKey = async (req, res) => {
         cached: !!cached,
         execution_id: executionRecord._id,
         prompt_name: prompt.name,
-        model: prompt.llm_settings.model,
+        prompt_version: promptVersion.version,
+        prompt_label: promptVersion.label,
+        model: promptVersion.llm_settings.model,
       },
     });
   } catch (error) {
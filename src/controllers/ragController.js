@@ -1,5 +1,9 @@
 const ragService = require('../services/ragService');
+const fileIngestionService = require('../services/fileIngestionService');
 const indexingJobProcessor = require('../services/indexingJobProcessor');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const knowledgeBaseCrawlerService = require('../services/knowledgeBaseCrawlerService');
+const ragMetadata = require('../utils/ragMetadata');
 const { validationResult } = require('express-validator');
 
 class RAGController {
@@ -18,7 +22,12 @@ class RAGController {
       }
 
       const { orgId, projectId } = req.params;
-      const { documents, api_key_id, process_in_background = true } = req.body;
+      const {
+        documents,
+        api_key_id,
+        knowledge_base_id,
+        process_in_background = true,
+      } = req.body;
 
       if (!documents || !Array.isArray(documents)) {
         return res.status(400).json({
@@ -34,6 +43,14 @@ class RAGController {
         });
       }
 
+      const knowledgeBase = await knowledgeBaseService.resolve(
+        orgId,
+        projectId,
+        knowledge_base_id
+      );
+      // Refused now rather than when a background job runs
+      await ragService.assertWritable(knowledgeBase);
+
       // Check if background processing is requested (default: true)
       if (process_in_background) {
         console.log(`📋 Queuing ${documents.length} documents for background indexing...`);
@@ -45,6 +62,7 @@ class RAGController {
           api_key_id,
           {
             type: 'single',
+            knowledgeBaseId: knowledgeBase?._id,
             userAgent: req.get('User-Agent'),
             ipAddress: req.ip
           }
@@ -67,7 +85,8 @@ class RAGController {
           documents,
           orgId,
           projectId,
-          api_key_id
+          api_key_id,
+          knowledgeBase
         );
 
         res.json({
@@ -79,6 +98,15 @@ class RAGController {
         });
       }
     } catch (error) {
+      if (error.code === 'INDEXING_JOB_TOO_LARGE') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+        return res.status(409).json({ success: false, error: error.message });
+      }
       console.error('RAG indexing error:', error);
       res.status(500).json({
         success: false,
@@ -101,18 +129,16 @@ class RAGController {
         });
       }
 
-      const { organizationId, projectId } = req.params;
+      const { orgId: organizationId, projectId } = req.params;
       const {
         query,
         limit = 5,
         threshold = 0.7,
         search_type = 'semantic',
-        brands = [],
-        models = [],
-        themes = [],
-        sentiment = null,
+        filters = {},
         include_metadata = true,
         api_key_id,
+        knowledge_base_ids,
       } = req.body;
 
       if (!query) {
@@ -131,6 +157,36 @@ class RAGController {
 
       let results;
 
+      if (Array.isArray(knowledge_base_ids) && knowledge_base_ids.length > 0) {
+        const knowledgeBases = await Promise.all(
+          knowledge_base_ids.map(id =>
+            knowledgeBaseService.resolve(organizationId, projectId, id)
+          )
+        );
+        ragService.validateFilters(filters, knowledgeBases);
+        results = await ragService.searchKnowledgeBases(
+          query,
+          organizationId,
+          projectId,
+          api_key_id,
+          knowledgeBases,
+          {
+            searchType: search_type,
+            limit,
+            threshold,
+            filters,
+            includeMetadata: include_metadata,
+          }
+        );
+        return res.json({
+          success: true,
+          ...results,
+        });
+      }
+
+      // The default index has no metadata fields to filter on
+      ragService.validateFilters(filters);
+
       switch (search_type) {
         case 'hybrid':
           results = await ragService.hybridSearch(
@@ -138,13 +194,7 @@ class RAGController {
             organizationId,
             projectId,
             api_key_id,
-            {
-              limit,
-              brands,
-              models,
-              themes,
-              sentiment,
-            }
+            { limit }
           );
           break;
 
@@ -152,8 +202,7 @@ class RAGController {
           const keywordResults = ragService.keywordSearch(
             query,
             organizationId,
-            projectId,
-            { brands, models, themes, sentiment }
+            projectId
           );
 
           results = {
@@ -178,7 +227,6 @@ class RAGController {
             {
               limit,
               threshold,
-              filters: { brands, models, themes, sentiment },
               includeMetadata: include_metadata,
             }
           );
@@ -190,6 +238,12 @@ class RAGController {
         ...results,
       });
     } catch (error) {
+      if (error.code === 'RAG_METADATA_INVALID') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
       console.error('RAG search error:', error);
       res.status(500).json({
         success: false,
@@ -205,14 +259,22 @@ class RAGController {
   async getStats(req, res) {
     try {
       const { orgId, projectId } = req.params;
+      const knowledgeBase = await knowledgeBaseService.resolve(
+        orgId,
+        projectId,
+        req.query.knowledge_base_id
+      );
 
-      const stats = await ragService.getStats(orgId, projectId);
+      const stats = await ragService.getStats(orgId, projectId, knowledgeBase);
 
       res.json({
         success: true,
         stats,
       });
     } catch (error) {
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
       console.error('RAG stats error:', error);
       res.status(500).json({
         success: false,
@@ -228,8 +290,20 @@ class RAGController {
   async clearKnowledgeBase(req, res) {
     try {
       const { orgId, projectId } = req.params;
+      const knowledgeBase = await knowledgeBaseService.resolve(
+        orgId,
+        projectId,
+        req.query.knowledge_base_id
+      );
 
-      const result = await ragService.clearIndex(orgId, projectId);
+      const result = await ragService.clearIndex(
+        orgId,
+        projectId,
+        knowledgeBase
+      );
+      if (knowledgeBase) {
+        await knowledgeBaseCrawlerService.forgetPages(knowledgeBase);
+      }
 
       res.json({
         success: true,
@@ -237,6 +311,12 @@ class RAGController {
         deleted_count: result.deleted_count,
       });
     } catch (error) {
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+        return res.status(409).json({ success: false, error: error.message });
+      }
       console.error('RAG clear error:', error);
       res.status(500).json({
         success: false,
@@ -260,7 +340,12 @@ class RAGController {
       }
 
       const { orgId, projectId } = req.params;
-      const { document_batches, api_key_id, process_in_background = true } = req.body;
+      const {
+        document_batches,
+        api_key_id,
+        knowledge_base_id,
+        process_in_background = true,
+      } = req.body;
 
       if (!document_batches || !Array.isArray(document_batches)) {
         return res.status(400).json({
@@ -269,6 +354,14 @@ class RAGController {
         });
       }
 
+      const knowledgeBase = await knowledgeBaseService.resolve(
+        orgId,
+        projectId,
+        knowledge_base_id
+      );
+      // Refused now rather than when a background job runs
+      await ragService.assertWritable(knowledgeBase);
+
       // Check if background processing is requested (default: true for batch operations)
       if (process_in_background) {
         console.log(`📋 Queuing ${document_batches.length} document batches for background indexing...`);
@@ -280,6 +373,7 @@ class RAGController {
           api_key_id,
           {
             type: 'batch',
+            knowledgeBaseId: knowledgeBase?._id,
             userAgent: req.get('User-Agent'),
             ipAddress: req.ip
           }
@@ -313,7 +407,8 @@ class RAGController {
               batch.documents,
               orgId,
               projectId,
-              api_key_id
+              api_key_id,
+              knowledgeBase
             );
 
             results.successful_batches++;
@@ -335,6 +430,12 @@ class RAGController {
         });
       }
     } catch (error) {
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+        return res.status(409).json({ success: false, error: error.message });
+      }
       console.error('RAG batch indexing error:', error);
       res.status(500).json({
         success: false,
@@ -343,6 +444,167 @@ class RAGController {
     }
   }
 
+  /**
+   * Index uploaded files (PDF, DOCX, HTML, Markdown, text, CSV)
+   * POST /api/v1/organizations/:organizationId/projects/:projectId/rag/files
+   */
+  async indexFiles(req, res) {
+    try {
+      const { orgId, projectId } = req.params;
+      const {
+        api_key_id,
+        knowledge_base_id,
+        document_id,
+        title,
+        source,
+        chunk_size,
+        chunk_overlap,
+      } = req.body;
+      // Multipart fields arrive as strings
+      const processInBackground =
+        String(req.body.process_in_background) !== 'false';
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'At least one file is required in the "files" field',
+        });
+      }
+
+      if (files.length > 1 && (document_id || title)) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'document_id and title can only be set when uploading one file',
+        });
+      }
+
+      const knowledgeBase = await knowledgeBaseService.resolve(
+        orgId,
+        projectId,
+        knowledge_base_id
+      );
+      // Refused now rather than when a background job runs
+      await ragService.assertWritable(knowledgeBase);
+
+      // Values of the knowledge base's metadata fields, as a JSON object
+      let metadata;
+      if (req.body.metadata) {
+        try {
+          metadata = JSON.parse(req.body.metadata);
+        } catch {
+          return res.status(400).json({
+            success: false,
+            error: 'metadata must be a JSON object',
+          });
+        }
+        ragMetadata.toStoredMetadata(
+          ragService.getMetadataFields(knowledgeBase),
+          metadata,
+          { strict: true }
+        );
+      }
+
+      // Extract and chunk now so unreadable files are reported right away
+      const chunking = fileIngestionService.normalizeChunking({
+        chunk_size,
+        chunk_overlap,
+      });
+      const extracted = [];
+      for (const file of files) {
+        const ingested = await fileIngestionService.ingestFile(file, {
+          chunking,
+          document_id,
+          title,
+          source,
+        });
+        extracted.push(metadata ? { ...ingested, metadata } : ingested);
+      }
+
+      const summary = extracted.map(file => ({
+        document_id: file.document_id,
+        filename: file.filename,
+        format: file.format,
+        chunk_count: file.chunks.length,
+      }));
+
+      if (processInBackground) {
+        console.log(
+          `📋 Queuing ${extracted.length} files for background indexing...`
+        );
+
+        const jobInfo = await indexingJobProcessor.queueIndexingJob(
+          extracted,
+          orgId,
+          projectId,
+          api_key_id,
+          {
+            type: 'file',
+            knowledgeBaseId: knowledgeBase?._id,
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip,
+          }
+        );
+
+        return res.json({
+          success: true,
+          background_processing: true,
+          job_id: jobInfo.job_id,
+          estimated_time: jobInfo.estimated_time,
+          message: `Files queued for background indexing. Use job ID ${jobInfo.job_id} to check status.`,
+          chunking,
+          files: summary,
+          status_endpoint: `/api/v1/organizations/${orgId}/projects/${projectId}/rag/jobs/${jobInfo.job_id}`,
+        });
+      }
+
+      console.log(`🔄 Processing ${extracted.length} files synchronously...`);
+
+      const indexedIds = [];
+      for (const file of extracted) {
+        indexedIds.push(
+          ...(await ragService.indexFileChunks(
+            file,
+            orgId,
+            projectId,
+            api_key_id,
+            knowledgeBase
+          ))
+        );
+      }
+
+      res.json({
+        success: true,
+        background_processing: false,
+        indexed_count: indexedIds.length,
+        indexed_ids: indexedIds,
+        chunking,
+        files: summary,
+        message: `Successfully indexed ${indexedIds.length} document chunks`,
+      });
+    } catch (error) {
+      if (
+        error.code === 'FILE_INGESTION_INVALID' ||
+        error.code === 'RAG_METADATA_INVALID' ||
+        error.code === 'INDEXING_JOB_TOO_LARGE'
+      ) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+        return res.status(409).json({ success: false, error: error.message });
+      }
+      console.error('RAG file indexing error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Get indexing job status
    * GET /api/v1/organizations/:organizationId/projects/:projectId/rag/jobs/:jobId
@@ -462,12 +724,24 @@ class RAGController {
   async deleteByDocumentId(req, res) {
     try {
       const { orgId, projectId, documentId } = req.params;
+      const knowledgeBase = await knowledgeBaseService.resolve(
+        orgId,
+        projectId,
+        req.query.knowledge_base_id
+      );
 
       const result = await ragService.deleteByDocumentId(
         documentId,
         orgId,
-        projectId
+        projectId,
+        knowledgeBase
       );
+      if (knowledgeBase) {
+        await knowledgeBaseCrawlerService.forgetPages(
+          knowledgeBase,
+          documentId
+        );
+      }
 
       res.json({
         success: true,
@@ -476,6 +750,12 @@ class RAGController {
         document_id: documentId,
       });
     } catch (error) {
+      if (error.code === 'KNOWLEDGE_BASE_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      if (error.code === 'KNOWLEDGE_BASE_REINDEXING') {
+        return res.status(409).json({ success: false, error: error.message });
+      }
       console.error('RAG document deletion error:', error);
       res.status(500).json({
         success: false,
@@ -493,6 +773,7 @@ ragController.searchDocuments =
   ragController.searchDocuments.bind(ragController);
 ragController.batchIndexDocuments =
   ragController.batchIndexDocuments.bind(ragController);
+ragController.indexFiles = ragController.indexFiles.bind(ragController);
 ragController.getJobStatus = ragController.getJobStatus.bind(ragController);
 ragController.getJobs = ragController.getJobs.bind(ragController);
 ragController.getJobStats = ragController.getJobStats.bind(ragController);
@@ -7,7 +7,12 @@ const crypto = require('crypto');
  */
 const generateSessionToken = async (req, res) => {
   try {
-    const { agentId, maxInteractions = 100, expiresIn = 3600 } = req.body;
+    const {
+      agentId,
+      maxInteractions = 100,
+      expiresIn = 3600,
+      userIdentifier,
+    } = req.body;
 
     // Validate required scope
     if (!req.apiKey.hasScope('agents:execute')) {
@@ -79,6 +84,7 @@ const generateSessionToken = async (req, res) => {
       token_hash: tokenHash,
       user_api_key: req.apiKey._id,
       agent: agentId,
+      user_identifier: userIdentifier || null,
       expires_at: expiresAt,
       max_interactions: maxInteractions,
       client_ip: req.ip || req.connection.remoteAddress,
@@ -93,6 +99,7 @@ const generateSessionToken = async (req, res) => {
         session_token: sessionToken, // Only shown once!
         session_id: session._id,
         agent_id: agentId,
+        user_identifier: session.user_identifier,
         expires_at: expiresAt,
         max_interactions: maxInteractions,
         expires_in: expiresIn,
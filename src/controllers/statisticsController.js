@@ -2,7 +2,11 @@ const PromptExecution = require('../models/PromptExecution');
 const AgentExecution = require('../models/AgentExecution');
 const Conversation = require('../models/Conversation');
 const Agent = require('../models/Agent');
+const AgentExperiment = require('../models/AgentExperiment');
+const Feedback = require('../models/Feedback');
+const HandoffSession = require('../models/HandoffSession');
 const Project = require('../models/Project');
+const feedbackService = require('../services/feedbackService');
 
 /**
  * Get time range filter based on period
@@ -305,7 +309,7 @@ const getDashboardStats = async (req, res) => {
           $group: {
             _id: null,
             totalConversations: { $sum: 1 },
-            totalMessages: { $sum: { $size: '$messages' } },
+            totalMessages: { $sum: '$message_count' },
             totalTokens: { $sum: '$metadata.total_tokens_used' },
             totalCost: { $sum: '$metadata.total_cost' },
             totalToolsExecuted: { $sum: '$metadata.tools_executed_count' },
@@ -530,6 +534,208 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
+/**
+ * Format a ratio as a percentage string, matching successRate
+ * @param {number} part
+ * @param {number} total
+ * @returns {string|number}
+ */
+const toPercent = (part, total) =>
+  total > 0 ? ((part / total) * 100).toFixed(2) : 0;
+
+/**
+ * Get per-variant metrics for the agent's experiments active in the period
+ * @param {string} agentId - Agent ID
+ * @param {Date} startDate - Start date for filtering
+ * @returns {Array} Experiments with per-variant conversation metrics
+ */
+const getExperimentStats = async (agentId, startDate) => {
+  const experiments = await AgentExperiment.find({
+    agent: agentId,
+    started_at: { $ne: null },
+    $or: [{ stopped_at: null }, { stopped_at: { $gte: startDate } }],
+  }).sort({ started_at: -1 });
+
+  if (experiments.length === 0) {
+    return [];
+  }
+
+  const variantStats = await Conversation.aggregate([
+    {
+      $match: {
+        experiment: { $in: experiments.map(e => e._id) },
+        created_at: { $gte: startDate },
+      },
+    },
+    {
+      $addFields: {
+        handedOff: {
+          $cond: [{ $ifNull: ['$handoff_info.requested_at', false] }, 1, 0],
+        },
+        closed: {
+          $cond: [{ $in: ['$status', ['ended', 'archived', 'timeout']] }, 1, 0],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { experiment: '$experiment', variant: '$experiment_variant' },
+        conversations: { $sum: 1 },
+        totalMessages: { $sum: '$message_count' },
+        totalTokens: { $sum: { $ifNull: ['$metadata.total_tokens_used', 0] } },
+        totalCost: { $sum: { $ifNull: ['$metadata.total_cost', 0] } },
+        handoffs: { $sum: '$handedOff' },
+        closedConversations: { $sum: '$closed' },
+        // Closed without ever being handed to a human
+        resolvedByAgent: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$closed', 1] }, { $eq: ['$handedOff', 0] }] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return experiments.map(experiment => ({
+    id: experiment._id,
+    name: experiment.name,
+    status: experiment.status,
+    startedAt: experiment.started_at,
+    stoppedAt: experiment.stopped_at,
+    variants: experiment.variants.map(variant => {
+      const stats = variantStats.find(
+        s =>
+          s._id.experiment === experiment._id && s._id.variant === variant.key
+      ) || {
+        conversations: 0,
+        totalMessages: 0,
+        totalTokens: 0,
+        totalCost: 0,
+        handoffs: 0,
+        closedConversations: 0,
+        resolvedByAgent: 0,
+      };
+      const perConversation = value =>
+        stats.conversations > 0 ? value / stats.conversations : 0;
+
+      return {
+        key: variant.key,
+        weight: variant.weight,
+        overrides: variant.overrides,
+        conversations: stats.conversations,
+        totalMessages: stats.totalMessages,
+        avgMessagesPerConversation: perConversation(
+          stats.totalMessages
+        ).toFixed(2),
+        totalTokens: stats.totalTokens,
+        avgTokensPerConversation: Math.round(
+          perConversation(stats.totalTokens)
+        ),
+        totalCost: stats.totalCost,
+        avgCostPerConversation: perConversation(stats.totalCost),
+        handoffs: stats.handoffs,
+        handoffRate: toPercent(stats.handoffs, stats.conversations),
+        closedConversations: stats.closedConversations,
+        resolvedByAgent: stats.resolvedByAgent,
+        // Share of closed conversations the agent resolved on its own
+        resolutionRate: toPercent(
+          stats.resolvedByAgent,
+          stats.closedConversations
+        ),
+      };
+    }),
+  }));
+};
+
+const CSAT_SCORES = [1, 2, 3, 4, 5];
+
+/**
+ * Get end-user feedback for the agent in the period, in total and per agent
+ * revision, so the revisions users rate badly stand out
+ * @param {string} agentId - Agent ID
+ * @param {Date} startDate - Start date for filtering
+ * @returns {Object} Message ratings, CSAT scores and per-revision breakdown
+ */
+const getFeedbackStats = async (agentId, startDate) => {
+  const count = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+  const isCsat = { $eq: ['$type', 'csat'] };
+
+  const revisions = await Feedback.aggregate([
+    { $match: { agent: agentId, createdAt: { $gte: startDate } } },
+    {
+      $group: {
+        _id: '$agent_revision',
+        up: count({ $eq: ['$rating', 'up'] }),
+        down: count({ $eq: ['$rating', 'down'] }),
+        withComment: count({
+          $and: [
+            { $eq: ['$type', 'message'] },
+            { $gt: [{ $strLenCP: { $ifNull: ['$comment', ''] } }, 0] },
+          ],
+        }),
+        csatResponses: count(isCsat),
+        csatTotal: { $sum: { $cond: [isCsat, '$score', 0] } },
+        ...Object.fromEntries(
+          CSAT_SCORES.map(score => [
+            `score${score}`,
+            count({ $and: [isCsat, { $eq: ['$score', score] }] }),
+          ])
+        ),
+      },
+    },
+    { $sort: { _id: -1 } },
+  ]);
+
+  const sum = field =>
+    revisions.reduce((total, revision) => total + revision[field], 0);
+  const averageScore = (total, responses) =>
+    responses > 0 ? (total / responses).toFixed(2) : null;
+
+  const up = sum('up');
+  const down = sum('down');
+  const csatResponses = sum('csatResponses');
+  const distribution = Object.fromEntries(
+    CSAT_SCORES.map(score => [score, sum(`score${score}`)])
+  );
+
+  return {
+    messages: {
+      total: up + down,
+      up,
+      down,
+      withComment: sum('withComment'),
+      // Share of rated replies that got a thumbs up
+      satisfactionRate: toPercent(up, up + down),
+    },
+    csat: {
+      responses: csatResponses,
+      avgScore: averageScore(sum('csatTotal'), csatResponses),
+      // Share of responses scoring 4 or 5
+      satisfiedRate: toPercent(
+        distribution[4] + distribution[5],
+        csatResponses
+      ),
+      distribution,
+    },
+    byRevision: revisions.map(revision => ({
+      revision: revision._id,
+      messages: {
+        up: revision.up,
+        down: revision.down,
+        satisfactionRate: toPercent(revision.up, revision.up + revision.down),
+      },
+      csat: {
+        responses: revision.csatResponses,
+        avgScore: averageScore(revision.csatTotal, revision.csatResponses),
+      },
+    })),
+  };
+};
+
 /**
  * Get detailed statistics for a specific agent
  */
@@ -598,7 +804,7 @@ const getAgentStats = async (req, res) => {
             $group: {
               _id: null,
               totalConversations: { $sum: 1 },
-              totalMessages: { $sum: { $size: '$messages' } },
+              totalMessages: { $sum: '$message_count' },
               totalTokens: { $sum: '$metadata.total_tokens_used' },
               totalCost: { $sum: '$metadata.total_cost' },
               activeConversations: {
@@ -615,6 +821,12 @@ const getAgentStats = async (req, res) => {
           .select('status createdAt execution_time_ms usage.total_tokens type'),
       ]);
 
+    // Per-variant metrics for A/B experiments
+    const [experimentStats, feedbackStats] = await Promise.all([
+      getExperimentStats(agentId, startDate),
+      getFeedbackStats(agentId, startDate),
+    ]);
+
     const execStats = executionStats[0] || {
       totalExecutions: 0,
       totalTokens: 0,
@@ -674,6 +886,8 @@ const getAgentStats = async (req, res) => {
         totalCost: convStats.totalCost,
       },
       recentActivity: recentExecutions,
+      experiments: experimentStats,
+      feedback: feedbackStats,
     };
 
     res.json(response);
@@ -683,7 +897,349 @@ const getAgentStats = async (req, res) => {
   }
 };
 
+/**
+ * List an agent's end-user feedback, newest first, with each rated reply and
+ * the user message it answered
+ */
+const getAgentFeedback = async (req, res) => {
+  try {
+    const { orgId, agentId } = req.params;
+    const { type, rating, revision, from } = req.query;
+
+    if (type && !['message', 'csat'].includes(type)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid type. Use "message" or "csat"' });
+    }
+    if (rating && !['up', 'down'].includes(rating)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid rating. Use "up" or "down"' });
+    }
+    if (revision !== undefined && !/^\d+$/.test(revision)) {
+      return res.status(400).json({ error: 'revision must be a number' });
+    }
+    if (from && isNaN(new Date(from).getTime())) {
+      return res.status(400).json({ error: 'from must be a date' });
+    }
+
+    const agent = await Agent.exists({ _id: agentId, organization: orgId });
+    if (!agent) {
+      return res
+        .status(404)
+        .json({ error: 'Agent not found in this organization' });
+    }
+
+    res.json(await feedbackService.list(agentId, req.query));
+  } catch (error) {
+    console.error('Error fetching agent feedback:', error);
+    res.status(500).json({ error: 'Failed to fetch agent feedback' });
+  }
+};
+
+const HANDOFF_PERIODS = ['1d', '1w', '1m', 'current-month', 'last-month'];
+
+/**
+ * Milliseconds between two HandoffSession dates, null when either is missing
+ */
+const msBetween = (from, to) => ({
+  $cond: [
+    { $and: [{ $ifNull: [from, false] }, { $ifNull: [to, false] }] },
+    { $subtract: [to, from] },
+    null,
+  ],
+});
+
+const countWhen = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const hasBreach = metric => ({
+  $in: [metric, { $ifNull: ['$breaches.metric', []] }],
+});
+
+/**
+ * $group accumulators shared by every handoff report grouping
+ */
+const handoffAccumulators = {
+  handoffs: { $sum: 1 },
+  assigned: countWhen({ $ifNull: ['$assigned_at', false] }),
+  responded: countWhen({ $ifNull: ['$first_response_at', false] }),
+  avgWaitMs: { $avg: '$waitMs' },
+  avgFirstResponseMs: { $avg: '$firstResponseMs' },
+  maxFirstResponseMs: { $max: '$firstResponseMs' },
+  avgHandlingMs: { $avg: '$handlingMs' },
+  handedBack: countWhen({ $eq: ['$outcome', 'handed_back'] }),
+  refused: countWhen({ $eq: ['$outcome', 'refused'] }),
+  ended: countWhen({ $eq: ['$outcome', 'ended'] }),
+  abandoned: countWhen({ $eq: ['$outcome', 'abandoned'] }),
+  open: countWhen({ $eq: [{ $ifNull: ['$ended_at', null] }, null] }),
+  withFirstResponseSla: countWhen({
+    $ifNull: ['$sla.first_response_seconds', false],
+  }),
+  firstResponseBreaches: countWhen(hasBreach('first_response')),
+  withHandlingSla: countWhen({
+    $and: [
+      { $ifNull: ['$sla.handling_seconds', false] },
+      { $ifNull: ['$assigned_at', false] },
+    ],
+  }),
+  handlingBreaches: countWhen(hasBreach('handling')),
+};
+
+// Accumulator values when no handoff matched
+const emptyHandoffStats = Object.fromEntries(
+  Object.keys(handoffAccumulators).map(key => [
+    key,
+    /^(avg|max)/.test(key) ? null : 0,
+  ])
+);
+
+const toSeconds = ms =>
+  ms === null || ms === undefined ? null : Math.round(ms / 1000);
+
+/**
+ * Shape one group of handoff accumulators for the response
+ * @param {Object} stats - $group output using handoffAccumulators
+ * @returns {Object} Handoff metrics with durations in seconds
+ */
+const formatHandoffStats = stats => ({
+  handoffs: stats.handoffs,
+  assigned: stats.assigned,
+  responded: stats.responded,
+  // Wait and first response count from the request (or the business hours
+  // opening a queued handoff waited for); handling from the takeover
+  avgWaitSeconds: toSeconds(stats.avgWaitMs),
+  avgFirstResponseSeconds: toSeconds(stats.avgFirstResponseMs),
+  maxFirstResponseSeconds: toSeconds(stats.maxFirstResponseMs),
+  avgHandlingSeconds: toSeconds(stats.avgHandlingMs),
+  outcomes: {
+    handedBack: stats.handedBack,
+    refused: stats.refused,
+    ended: stats.ended,
+    abandoned: stats.abandoned,
+    open: stats.open,
+  },
+  sla: {
+    firstResponseBreaches: stats.firstResponseBreaches,
+    firstResponseCompliance: toPercent(
+      stats.withFirstResponseSla - stats.firstResponseBreaches,
+      stats.withFirstResponseSla
+    ),
+    handlingBreaches: stats.handlingBreaches,
+    handlingCompliance: toPercent(
+      stats.withHandlingSla - stats.handlingBreaches,
+      stats.withHandlingSla
+    ),
+  },
+});
+
+/**
+ * Handoff metrics of the matching sessions, overall and per project and
+ * operator. Refusals count for the operator who refused.
+ * @param {Object} match - HandoffSession filter
+ * @returns {Object} { overview, projects, operators }
+ */
+const getHandoffReport = async match => {
+  const [report] = await HandoffSession.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        waitMs: msBetween('$sla_started_at', '$assigned_at'),
+        firstResponseMs: msBetween('$sla_started_at', '$first_response_at'),
+        handlingMs: msBetween('$assigned_at', '$ended_at'),
+        operatorKey: { $ifNull: ['$operator.id', '$refused_by'] },
+      },
+    },
+    {
+      $facet: {
+        overview: [{ $group: { _id: null, ...handoffAccumulators } }],
+        projects: [
+          { $group: { _id: '$project', ...handoffAccumulators } },
+          { $sort: { handoffs: -1 } },
+        ],
+        operators: [
+          { $match: { operatorKey: { $ne: null } } },
+          {
+            $group: {
+              _id: '$operatorKey',
+              type: { $max: '$operator.type' },
+              name: { $max: '$operator.name' },
+              ...handoffAccumulators,
+            },
+          },
+          { $sort: { handoffs: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const projectNames = new Map(
+    (
+      await Project.find({
+        _id: { $in: report.projects.map(p => p._id) },
+      }).select('name')
+    ).map(p => [p._id, p.name])
+  );
+
+  return {
+    overview: formatHandoffStats(report.overview[0] || emptyHandoffStats),
+    projects: report.projects.map(p => ({
+      id: p._id,
+      name: projectNames.get(p._id) || null,
+      ...formatHandoffStats(p),
+    })),
+    operators: report.operators.map(o => ({
+      id: o._id,
+      type: o.type || null,
+      name: o.name || null,
+      ...formatHandoffStats(o),
+    })),
+  };
+};
+
+/**
+ * Validate the period and project_id query params of handoff reports
+ * @returns {{ error?: string, match?: Object, startDate?: Date }}
+ */
+const getHandoffFilter = (orgId, { period, project_id }) => {
+  if (!HANDOFF_PERIODS.includes(period)) {
+    return {
+      error: `Invalid period. Use ${HANDOFF_PERIODS.map(p => `'${p}'`).join(', ')}`,
+    };
+  }
+
+  const startDate = getTimeFilter(period);
+  const match = {
+    organization: orgId,
+    requested_at: { $gte: startDate },
+  };
+  if (project_id) {
+    match.project = project_id;
+  }
+  return { match, startDate };
+};
+
+/**
+ * Get handoff SLA and operator performance statistics for an organization
+ */
+const getHandoffStats = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { period = '1w', project_id } = req.query;
+
+    const { error, match, startDate } = getHandoffFilter(orgId, {
+      period,
+      project_id,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const report = await getHandoffReport(match);
+
+    res.json({
+      period,
+      timeRange: {
+        start: startDate,
+        end: new Date(),
+      },
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error fetching handoff statistics:', error);
+    res.status(500).json({ error: 'Failed to fetch handoff statistics' });
+  }
+};
+
+/**
+ * Get handoff statistics for one operator: totals, daily breakdown and
+ * recent handoffs. `operatorId` is a user ID or an external operator's
+ * external_id.
+ */
+const getOperatorHandoffStats = async (req, res) => {
+  try {
+    const { orgId, operatorId } = req.params;
+    const { period = '1w', project_id } = req.query;
+
+    const { error, match, startDate } = getHandoffFilter(orgId, {
+      period,
+      project_id,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const operatorMatch = {
+      ...match,
+      $or: [{ 'operator.id': operatorId }, { refused_by: operatorId }],
+    };
+
+    const [report, daily, recent] = await Promise.all([
+      getHandoffReport(operatorMatch),
+      HandoffSession.aggregate([
+        { $match: operatorMatch },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: '%Y-%m-%d',
+                date: '$requested_at',
+                timezone: 'UTC',
+              },
+            },
+            handoffs: { $sum: 1 },
+            avgFirstResponseMs: {
+              $avg: msBetween('$sla_started_at', '$first_response_at'),
+            },
+            avgHandlingMs: { $avg: msBetween('$assigned_at', '$ended_at') },
+            breaches: { $sum: { $size: { $ifNull: ['$breaches', []] } } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      HandoffSession.find(operatorMatch)
+        .sort({ requested_at: -1 })
+        .limit(20)
+        .select(
+          'conversation agent project channel urgency requested_at assigned_at first_response_at ended_at outcome breaches'
+        )
+        .lean(),
+    ]);
+
+    const operator = report.operators.find(o => o.id === operatorId);
+    if (!operator) {
+      return res
+        .status(404)
+        .json({ error: 'No handoffs found for this operator in the period' });
+    }
+
+    res.json({
+      period,
+      timeRange: {
+        start: startDate,
+        end: new Date(),
+      },
+      operator,
+      daily: daily.map(day => ({
+        date: day._id,
+        handoffs: day.handoffs,
+        avgFirstResponseSeconds: toSeconds(day.avgFirstResponseMs),
+        avgHandlingSeconds: toSeconds(day.avgHandlingMs),
+        slaBreaches: day.breaches,
+      })),
+      recentHandoffs: recent,
+    });
+  } catch (error) {
+    console.error('Error fetching operator handoff statistics:', error);
+    res
+      .status(500)
+      .json({ error: 'Failed to fetch operator handoff statistics' });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getAgentStats,
+  getAgentFeedback,
+  getHandoffStats,
+  getOperatorHandoffStats,
 };
@@ -324,51 +324,13 @@ const sendTemplate = async (req, res) => {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    if (conversation.channel !== 'whatsapp') {
-      return res.status(400).json({ error: 'Template messages are only supported for WhatsApp' });
-    }
-
-    const recipientPhone =
-      conversation.channel_metadata?.whatsapp?.phone_number ||
-      conversation.user_identifier;
-
-    if (!recipientPhone) {
-      return res.status(400).json({ error: 'No recipient phone number found' });
-    }
-
-    // Get the WhatsApp channel service
-    await channelOrchestrator.initializeChannelsForAgent(agent._id);
-    const channelService = channelOrchestrator.getChannelService(agent._id, 'whatsapp');
-
-    if (!channelService) {
-      return res.status(400).json({ error: 'WhatsApp channel not configured for this agent' });
-    }
-
-    if (channelService.whatsappConfig.provider !== 'meta') {
-      return res.status(400).json({ error: 'Template messages are only supported with Meta provider' });
-    }
-
-    // Send
-    const result = await channelService.sendTemplateViaMetaAPI(
-      recipientPhone,
-      template.name,
-      template.language,
+    const result = await channelOrchestrator.sendTemplate(
+      agent._id,
+      conversation,
+      template,
       parameters || []
     );
 
-    // Record in conversation
-    conversation.messages.push({
-      role: 'system',
-      content: `Template message sent: ${template.label || template.name} (${template.language})`,
-      code: 'TEMPLATE_SENT',
-      timestamp: new Date(),
-      channel_info: {
-        channel: 'whatsapp',
-        message_id: result.message_id,
-      },
-    });
-    await conversation.save();
-
     return res.json({
       success: true,
       message_id: result.message_id,
@@ -377,6 +339,10 @@ const sendTemplate = async (req, res) => {
   } catch (error) {
     console.error('Error sending template:', error);
 
+    if (error.code === 'TEMPLATE_NOT_SENDABLE') {
+      return res.status(400).json({ error: error.message });
+    }
+
     if (error.response?.data?.error) {
       const metaError = error.response.data.error;
       return res.status(400).json({
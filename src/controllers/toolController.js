@@ -1,11 +1,36 @@
 const Tool = require('../models/Tool');
 const toolService = require('../services/toolService');
+const customToolService = require('../services/customToolService');
+const codeToolService = require('../services/codeToolService');
+
+// Strip encrypted secrets from a tool before returning it to clients
+const serializeTool = tool => {
+  const data = tool.toObject ? tool.toObject() : { ...tool };
+  if (data.implementation?.config) {
+    data.implementation.config = customToolService.redactSecrets(
+      data.implementation.config
+    );
+  }
+  return data;
+};
+
+// HTTP tools hold credentials and decide where requests are sent, and code
+// tools run arbitrary code on the server, so only organization admins may
+// create, change or delete them
+const ADMIN_TOOL_TYPES = ['external_api', 'webhook', 'code'];
+
+const requiresAdmin = (req, ...types) =>
+  req.userRole !== 'admin' && types.some(t => ADMIN_TOOL_TYPES.includes(t));
+
+// Tools are listed under an organization (system tools plus its own) or at
+// the top level (system tools only)
+const toolScope = req => Tool.visibleTo(req.params.orgId);
 
 const getTools = async (req, res) => {
   try {
     const { category, search } = req.query;
 
-    const filter = { is_active: true };
+    const filter = { is_active: true, ...toolScope(req) };
     if (category) {
       filter.category = category;
     }
@@ -34,13 +59,14 @@ const getTool = async (req, res) => {
     const tool = await Tool.findOne({
       name: req.params.toolName,
       is_active: true,
+      ...toolScope(req),
     });
 
     if (!tool) {
       return res.status(404).json({ error: 'Tool not found' });
     }
 
-    res.json(tool);
+    res.json(serializeTool(tool));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch tool' });
   }
@@ -48,28 +74,46 @@ const getTool = async (req, res) => {
 
 const createTool = async (req, res) => {
   try {
+    if (requiresAdmin(req, req.body.implementation?.type)) {
+      return res
+        .status(403)
+        .json({ error: 'Access denied: admin role required' });
+    }
+
+    // Custom tools may not shadow a system tool
+    if (await Tool.exists({ name: req.body.name, organization: null })) {
+      return res.status(400).json({ error: 'Tool name already exists' });
+    }
+
+    if (req.body.implementation?.type === 'code') {
+      const syntaxError = codeToolService.checkSyntax(
+        req.body.implementation.code
+      );
+      if (syntaxError) {
+        return res.status(400).json({ error: `Invalid code: ${syntaxError}` });
+      }
+    }
+
     const tool = new Tool({
       name: req.body.name,
+      organization: req.params.orgId,
       display_name: req.body.display_name,
       description: req.body.description,
       category: req.body.category,
       parameters_schema: req.body.parameters_schema,
       return_schema: req.body.return_schema,
-      implementation: req.body.implementation,
+      implementation: {
+        ...req.body.implementation,
+        config: customToolService.encryptSecrets(
+          req.body.implementation?.config || {}
+        ),
+      },
       is_system_tool: false, // Custom tools are not system tools
     });
 
     await tool.save();
 
-    // Register handler if implementation type is 'code'
-    if (tool.implementation.type === 'code') {
-      // In a real implementation, you might dynamically load the handler
-      console.log(
-        `Custom tool '${tool.name}' created. Handler registration required.`
-      );
-    }
-
-    res.status(201).json(tool);
+    res.status(201).json(serializeTool(tool));
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({ error: 'Tool name already exists' });
@@ -80,7 +124,10 @@ const createTool = async (req, res) => {
 
 const updateTool = async (req, res) => {
   try {
-    const tool = await Tool.findOne({ name: req.params.toolName });
+    const tool = await Tool.findOne({
+      name: req.params.toolName,
+      ...toolScope(req),
+    });
 
     if (!tool) {
       return res.status(404).json({ error: 'Tool not found' });
@@ -91,6 +138,18 @@ const updateTool = async (req, res) => {
       return res.status(403).json({ error: 'Cannot update system tools' });
     }
 
+    if (
+      requiresAdmin(
+        req,
+        tool.implementation?.type,
+        req.body.implementation?.type
+      )
+    ) {
+      return res
+        .status(403)
+        .json({ error: 'Access denied: admin role required' });
+    }
+
     // Update fields
     if (req.body.display_name !== undefined) {
       tool.display_name = req.body.display_name;
@@ -108,7 +167,25 @@ const updateTool = async (req, res) => {
       tool.return_schema = req.body.return_schema;
     }
     if (req.body.implementation !== undefined) {
-      tool.implementation = req.body.implementation;
+      if (req.body.implementation.type === 'code') {
+        const syntaxError = codeToolService.checkSyntax(
+          req.body.implementation.code
+        );
+        if (syntaxError) {
+          return res
+            .status(400)
+            .json({ error: `Invalid code: ${syntaxError}` });
+        }
+      }
+
+      // Secrets omitted from the update keep their stored encrypted value
+      tool.implementation = {
+        ...req.body.implementation,
+        config: customToolService.encryptSecrets(
+          req.body.implementation.config || {},
+          tool.implementation?.config || {}
+        ),
+      };
     }
     if (req.body.is_active !== undefined) {
       tool.is_active = req.body.is_active;
@@ -116,7 +193,7 @@ const updateTool = async (req, res) => {
 
     await tool.save();
 
-    res.json(tool);
+    res.json(serializeTool(tool));
   } catch (error) {
     res.status(500).json({ error: 'Failed to update tool' });
   }
@@ -124,7 +201,10 @@ const updateTool = async (req, res) => {
 
 const deleteTool = async (req, res) => {
   try {
-    const tool = await Tool.findOne({ name: req.params.toolName });
+    const tool = await Tool.findOne({
+      name: req.params.toolName,
+      ...toolScope(req),
+    });
 
     if (!tool) {
       return res.status(404).json({ error: 'Tool not found' });
@@ -135,7 +215,13 @@ const deleteTool = async (req, res) => {
       return res.status(403).json({ error: 'Cannot delete system tools' });
     }
 
-    await Tool.findOneAndDelete({ name: req.params.toolName });
+    if (requiresAdmin(req, tool.implementation?.type)) {
+      return res
+        .status(403)
+        .json({ error: 'Access denied: admin role required' });
+    }
+
+    await Tool.deleteOne({ _id: tool._id });
 
     res.json({ message: 'Tool deleted successfully' });
   } catch (error) {
@@ -149,7 +235,8 @@ const executeTool = async (req, res) => {
 
     const result = await toolService.executeTool(
       req.params.toolName,
-      parameters
+      parameters,
+      req.params.orgId
     );
 
     if (result.success) {
@@ -178,7 +265,10 @@ const executeTool = async (req, res) => {
 
 const getToolCategories = async (req, res) => {
   try {
-    const categories = await Tool.distinct('category', { is_active: true });
+    const categories = await Tool.distinct('category', {
+      is_active: true,
+      ...toolScope(req),
+    });
     res.json(categories.sort());
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch tool categories' });
@@ -190,6 +280,7 @@ const getToolUsageStats = async (req, res) => {
     const tool = await Tool.findOne({
       name: req.params.toolName,
       is_active: true,
+      ...toolScope(req),
     }).select('name usage_stats');
 
     if (!tool) {
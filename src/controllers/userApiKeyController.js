@@ -47,6 +47,8 @@ const createApiKey = async (req, res) => {
       'agents:chat',
       'projects:read',
       'statistics:read',
+      'conversations:read',
+      'conversations:manage',
     ];
 
     const invalidScopes = scopes.filter(scope => !validScopes.includes(scope));
@@ -216,6 +218,8 @@ const updateApiKey = async (req, res) => {
         'agents:chat',
         'projects:read',
         'statistics:read',
+        'conversations:read',
+        'conversations:manage',
       ];
 
       const invalidScopes = scopes.filter(
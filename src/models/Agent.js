@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AgentRevision = require('./AgentRevision');
 const { v4: uuidv4 } = require('uuid');
 
 const agentSchema = new mongoose.Schema(
@@ -18,7 +19,7 @@ const agentSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['chatbot', 'task', 'workflow', 'api'],
+      enum: ['chatbot', 'task', 'workflow', 'api', 'router'],
       required: true,
       default: 'chatbot',
     },
@@ -124,9 +125,10 @@ const agentSchema = new mongoose.Schema(
         },
         // 'llm' — runs a cheap LLM call with prompt + agent tools
         // 'webhook' — POSTs message content + operator info to a URL
+        // 'action' — runs the built-in `actions` below, no LLM or webhook
         type: {
           type: String,
-          enum: ['llm', 'webhook'],
+          enum: ['llm', 'webhook', 'action'],
           required: true,
         },
         // When the hook fires
@@ -138,6 +140,7 @@ const agentSchema = new mongoose.Schema(
             'human_controlled_only',   // fires only when conversation is human-controlled
             'new_conversation',        // fires when a new conversation is created
             'inactivity',              // fires after N seconds of no messages
+            'handoff_requested',       // fires when a human handoff is requested
           ],
           required: true,
         },
@@ -178,8 +181,165 @@ const agentSchema = new mongoose.Schema(
           min: 1,
           max: 50,
         },
+        // The hook only fires when every condition holds
+        // (see services/hookActionService.js)
+        conditions: [
+          {
+            _id: false,
+            field: {
+              type: String,
+              enum: [
+                'message',
+                'language',
+                'channel',
+                'status',
+                'tags',
+                'dynamic_context',
+              ],
+              required: true,
+            },
+            // dynamic_context only: dotted path of the value, e.g. "plan.tier"
+            key: { type: String, default: null },
+            operator: {
+              type: String,
+              enum: [
+                'equals',
+                'not_equals',
+                'in',
+                'not_in',
+                'contains',
+                'not_contains',
+                'matches',
+                'exists',
+                'not_exists',
+              ],
+              default: 'equals',
+            },
+            value: mongoose.Schema.Types.Mixed,
+          },
+        ],
+        // Action hook config, run in order; the first failure stops the rest
+        actions: [
+          {
+            _id: false,
+            type: {
+              type: String,
+              enum: [
+                'tag',
+                'set_field',
+                'set_context',
+                'send_template',
+                'request_handoff',
+                'request_csat',
+                'archive',
+              ],
+              required: true,
+            },
+            // tag
+            tags: [String],
+            // set_field (project conversation field) and set_context
+            key: String,
+            value: mongoose.Schema.Types.Mixed,
+            // send_template: approved WhatsApp template of the agent
+            template_name: String,
+            template_language: String,
+            parameters: mongoose.Schema.Types.Mixed,
+            // request_handoff
+            reason: String,
+            urgency: {
+              type: String,
+              enum: ['low', 'medium', 'high'],
+            },
+            handoff_message: String,
+          },
+        ],
       },
     ],
+    // Model Context Protocol servers whose tools are exposed to the agent
+    // alongside agent.tools (see services/mcpService.js)
+    mcp_servers: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        // 'stdio' — spawn a local command (requires MCP_ALLOW_STDIO=true)
+        // 'http'  — streamable-HTTP endpoint
+        transport: {
+          type: String,
+          enum: ['stdio', 'http'],
+          required: true,
+        },
+        // stdio config
+        command: {
+          type: String,
+          default: null,
+        },
+        args: [String],
+        // Encrypted JSON object of environment variables for the command
+        encrypted_env: {
+          type: String,
+          default: null,
+        },
+        // http config
+        url: {
+          type: String,
+          default: null,
+        },
+        // Encrypted JSON object of request headers (e.g. Authorization)
+        encrypted_headers: {
+          type: String,
+          default: null,
+        },
+        // Only expose these server tools (empty = all)
+        allowed_tools: [String],
+        timeout_ms: {
+          type: Number,
+          default: 30000,
+          min: 1000,
+          max: 120000,
+        },
+      },
+    ],
+    // Router agents: each agent-controlled turn is classified and delegated
+    // to one of these chatbot agents, or answered by the router itself
+    // (see services/agentRouterService.js)
+    routing: {
+      specialists: [
+        {
+          _id: false,
+          agent: {
+            type: String,
+            ref: 'Agent',
+            required: true,
+          },
+          // When to route to this specialist; shown to the classifier
+          description: {
+            type: String,
+            trim: true,
+            default: '',
+          },
+        },
+      ],
+      // Recent messages the classifier sees besides the new user message
+      context_messages: {
+        type: Number,
+        default: 6,
+        min: 0,
+        max: 20,
+      },
+    },
+    // Workflow agents: declarative step graph executed by
+    // services/workflowService.js. Shape is validated there, since steps
+    // nest (loop bodies) and differ per step type.
+    workflow: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
     config: {
       // Chatbot specific config
       max_conversation_length: {
@@ -247,6 +407,16 @@ const agentSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
+      // How the reasoning loop asks the model to use tools.
+      // 'text'   — the model emits a JSON/text action that is parsed from its reply
+      // 'native' — agent.tools are sent as provider function definitions and
+      //            the model answers with tool_calls (several per turn allowed)
+      // Ignored by the small agent graph, which has its own planner.
+      tool_calling_mode: {
+        type: String,
+        enum: ['text', 'native'],
+        default: 'text',
+      },
       // Small agent graph mode (optional, chatbot-only)
       // When true, routes chatbot reasoning through a multi-role orchestrator
       // (planner → responder → optional critic) instead of the single iterative loop.
@@ -292,6 +462,30 @@ const agentSchema = new mongoose.Schema(
         guardrails: { type: String, default: '' },
         domain_workflows: { type: String, default: '' },
       },
+      // End-user feedback (see services/feedbackService.js). The widget and
+      // the API accept ratings whatever these settings; they control what
+      // WhatsApp and Telegram users are asked.
+      feedback: {
+        // Send thumbs up/down buttons after each agent reply
+        message_ratings: {
+          type: Boolean,
+          default: false,
+        },
+        rating_prompt: {
+          type: String,
+          default: 'Was this answer helpful?',
+        },
+        // Question of the end-of-conversation CSAT survey, sent by the
+        // request_csat hook action or the csat-request endpoints
+        csat_question: {
+          type: String,
+          default: 'How satisfied are you with this conversation?',
+        },
+        csat_thank_you: {
+          type: String,
+          default: 'Thank you for your feedback!',
+        },
+      },
       // Human handoff configuration
       handoff_config: {
         allow_agent_handoff: {
@@ -349,6 +543,63 @@ const agentSchema = new mongoose.Schema(
           default: 1,
           min: 1,
         },
+        // Handoff SLA: a handoff_sla_breached webhook event is sent when no
+        // operator replied within first_response_seconds of the request, or
+        // the operator still has the conversation handling_seconds after
+        // taking over. null (default) disables a threshold.
+        sla: {
+          first_response_seconds: {
+            type: Number,
+            default: null,
+            min: 1,
+          },
+          handling_seconds: {
+            type: Number,
+            default: null,
+            min: 1,
+          },
+        },
+        // Skill-based routing of handoffs to the project's external
+        // operators (see services/handoffRoutingService.js)
+        routing: {
+          enabled: {
+            type: Boolean,
+            default: false,
+          },
+          // 'offer' waits for the operator to take over;
+          // 'auto_assign' hands the conversation over right away
+          mode: {
+            type: String,
+            enum: ['offer', 'auto_assign'],
+            default: 'offer',
+          },
+          strategy: {
+            type: String,
+            enum: ['least_active', 'round_robin'],
+            default: 'least_active',
+          },
+          max_concurrent_per_operator: {
+            type: Number,
+            default: 3,
+            min: 1,
+          },
+          // Time an operator has to take an offer, or to reply to an
+          // auto-assigned conversation, before it goes to someone else
+          accept_timeout_seconds: {
+            type: Number,
+            default: 120,
+            min: 10,
+          },
+          // Skills required when the handoff reason or context summary
+          // contains one of the keywords (case-insensitive)
+          skill_rules: [
+            {
+              _id: false,
+              skill: String,
+              keywords: [String],
+            },
+          ],
+        },
       },
     },
     question_suggestions: {
@@ -377,10 +628,34 @@ const agentSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Live revision number. Bumped whenever a versioned field changes; each
+    // value has a matching AgentRevision snapshot.
     version: {
       type: Number,
       default: 1,
     },
+    // Unpublished edits to the versioned fields (see AgentRevision). Served
+    // only to draft test conversations until published.
+    draft: {
+      snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+      // Live revision the draft was started from
+      base_revision: {
+        type: Number,
+        default: null,
+      },
+      updated_by: {
+        type: String,
+        ref: 'User',
+        default: null,
+      },
+      updated_at: {
+        type: Date,
+        default: null,
+      },
+    },
     // Message transformers: post-process AI responses before sending to channels.
     // Each transformer matches a regex pattern, calls a webhook, and replaces
     // the match with a channel-specific rich message (card, interactive, etc.)
@@ -439,6 +714,53 @@ agentSchema.virtual('executions', {
   justOne: false,
 });
 
+// Revision history: any save that changes a versioned field bumps `version`
+// and records an AgentRevision. Callers can describe the change through
+// agent.$locals.revisionContext ({ source, created_by, note, restored_from }).
+agentSchema.pre('save', function (next) {
+  if (this.$locals.draftApplied) {
+    return next(new Error('Cannot save an agent with its draft applied'));
+  }
+  if (this.$locals.experimentVariant) {
+    return next(
+      new Error('Cannot save an agent with an experiment variant applied')
+    );
+  }
+
+  const versionedChanged = AgentRevision.VERSIONED_FIELDS.some(field =>
+    this.isModified(field)
+  );
+  if (versionedChanged && !this.isNew && !this.isModified('version')) {
+    this.version += 1;
+  }
+
+  this.$locals.recordRevision =
+    this.isNew || versionedChanged || this.isModified('version');
+  next();
+});
+
+agentSchema.post('save', async function () {
+  if (!this.$locals.recordRevision) {
+    return;
+  }
+  this.$locals.recordRevision = false;
+
+  const context = this.$locals.revisionContext || {};
+  this.$locals.revisionContext = null;
+
+  try {
+    await AgentRevision.record(this, {
+      ...context,
+      source: context.source || (this.version === 1 ? 'create' : 'update'),
+    });
+  } catch (error) {
+    console.error(
+      `Failed to record revision ${this.version} for agent ${this._id}:`,
+      error.message
+    );
+  }
+});
+
 // Method to configure API endpoints for api_caller tool
 agentSchema.methods.configureApiEndpoints = function (
   endpointsConfig,
@@ -479,8 +801,9 @@ agentSchema.methods.getApiEndpoints = function () {
   };
 };
 
-// Method to configure FAQ questions and answers for faq tool
-agentSchema.methods.configureFAQs = function (faqsConfig) {
+// Method to configure FAQ questions and answers for faq tool, and the
+// embedding settings of its semantic matching (see embeddingService)
+agentSchema.methods.configureFAQs = function (faqsConfig, options = {}) {
   const faqTool = this.tools.find(tool => tool.name === 'faq');
   if (!faqTool) {
     throw new Error('FAQ tool not found in agent tools');
@@ -490,6 +813,7 @@ agentSchema.methods.configureFAQs = function (faqsConfig) {
   faqTool.parameters = {
     ...faqTool.parameters,
     faqs: faqsConfig,
+    ...(options.embedding !== undefined && { embedding: options.embedding }),
   };
 
   return this.save();
@@ -507,6 +831,7 @@ agentSchema.methods.getFAQs = function () {
     enable_partial_matching:
       faqTool.parameters?.enable_partial_matching !== false,
     default_threshold: faqTool.parameters?.default_threshold || 0.7,
+    embedding: faqTool.parameters?.embedding || null,
   };
 };
 
@@ -17,6 +17,16 @@ const agentExecutionSchema = new mongoose.Schema(
       enum: ['task', 'workflow', 'api'],
       required: true,
     },
+    // Agent revision that served the execution (draft runs record the
+    // revision the draft is based on)
+    agent_revision: {
+      type: Number,
+      default: null,
+    },
+    agent_draft: {
+      type: Boolean,
+      default: false,
+    },
     input: {
       type: mongoose.Schema.Types.Mixed,
       required: true,
@@ -26,7 +36,15 @@ const agentExecutionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'running', 'completed', 'failed', 'timeout'],
+      // waiting_approval: workflow paused on an approval step
+      enum: [
+        'pending',
+        'running',
+        'waiting_approval',
+        'completed',
+        'failed',
+        'timeout',
+      ],
       default: 'pending',
     },
     thinking_process: [
@@ -49,6 +67,8 @@ const agentExecutionSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Provider-assigned id when the call came from native tool calling
+        tool_call_id: String,
         parameters: mongoose.Schema.Types.Mixed,
         result: mongoose.Schema.Types.Mixed,
         execution_time_ms: Number,
@@ -75,6 +95,65 @@ const agentExecutionSchema = new mongoose.Schema(
         created_at: { type: Date, default: Date.now },
       },
     ],
+    // Workflow runs: one entry per executed step (and per loop iteration of
+    // a loop body step), persisted as soon as the step finishes
+    step_runs: [
+      {
+        _id: false,
+        step_id: {
+          type: String,
+          required: true,
+        },
+        // Nested so mongoose does not read it as the array's type
+        type: {
+          type: String,
+        },
+        // interrupted: the process died while the step was running; the
+        // step is executed again on resume
+        status: {
+          type: String,
+          enum: [
+            'running',
+            'completed',
+            'failed',
+            'waiting',
+            'rejected',
+            'interrupted',
+          ],
+          default: 'running',
+        },
+        // Set for steps inside a loop body
+        parent_step: String,
+        iteration: Number,
+        input: mongoose.Schema.Types.Mixed,
+        output: mongoose.Schema.Types.Mixed,
+        error: String,
+        started_at: {
+          type: Date,
+          default: Date.now,
+        },
+        completed_at: Date,
+      },
+    ],
+    workflow_state: {
+      // Definition the run started with; later agent edits do not affect it
+      definition: mongoose.Schema.Types.Mixed,
+      context: mongoose.Schema.Types.Mixed,
+      // Next step to execute (null once the run finished)
+      cursor: String,
+      // Held by the process executing the run; an expired lease on a running
+      // execution means that process died and the run can be resumed
+      lease_until: Date,
+      approval: {
+        step_id: String,
+        message: String,
+        requested_at: Date,
+        approved: Boolean,
+        comment: String,
+        decided_by: String,
+        decided_at: Date,
+      },
+    },
     usage: {
       prompt_tokens: {
         type: Number,
@@ -150,6 +229,11 @@ const agentExecutionSchema = new mongoose.Schema(
 agentExecutionSchema.index({ agent: 1, status: 1 });
 agentExecutionSchema.index({ agent: 1, createdAt: -1 });
 agentExecutionSchema.index({ status: 1, createdAt: 1 });
+agentExecutionSchema.index({
+  type: 1,
+  status: 1,
+  'workflow_state.lease_until': 1,
+});
 
 // Methods for execution management
 agentExecutionSchema.methods.start = function () {
@@ -198,10 +282,12 @@ agentExecutionSchema.methods.addToolExecution = function (
   result,
   executionTime,
   status = 'success',
-  errorMessage = null
+  errorMessage = null,
+  toolCallId = null
 ) {
   this.tools_executed.push({
     tool_name: toolName,
+    tool_call_id: toolCallId,
     parameters,
     result,
     execution_time_ms: executionTime,
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Agent settings a variant may override. Anything not set falls back to the
+// agent's published configuration.
+const OVERRIDE_FIELDS = ['model', 'system_prompt', 'enable_small_agent_graph'];
+
+const variantSchema = new mongoose.Schema(
+  {
+    // Short identifier recorded on conversations, e.g. "control", "gpt-4.1"
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Share of new conversations in percent; weights of an experiment sum to 100
+    weight: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    overrides: {
+      model: String, // llm_settings.model
+      system_prompt: String,
+      enable_small_agent_graph: Boolean, // config.enable_small_agent_graph
+    },
+  },
+  { _id: false }
+);
+
+const agentExperimentSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    agent: {
+      type: String,
+      ref: 'Agent',
+      required: true,
+    },
+    project: {
+      type: String,
+      ref: 'Project',
+      required: true,
+    },
+    organization: {
+      type: String,
+      ref: 'Organization',
+      required: true,
+    },
+    // draft: editable, receives no traffic
+    // running: splits new conversations between the variants
+    // stopped: final; all traffic back on the published agent
+    status: {
+      type: String,
+      enum: ['draft', 'running', 'stopped'],
+      default: 'draft',
+    },
+    variants: [variantSchema],
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    stopped_at: {
+      type: Date,
+      default: null,
+    },
+    created_by: {
+      type: String,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+agentExperimentSchema.index({ agent: 1, createdAt: -1 });
+// At most one running experiment per agent
+agentExperimentSchema.index(
+  { agent: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+agentExperimentSchema.statics.OVERRIDE_FIELDS = OVERRIDE_FIELDS;
+
+module.exports = mongoose.model('AgentExperiment', agentExperimentSchema);
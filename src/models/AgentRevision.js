@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Agent fields that define its behaviour. These are captured in every
+// revision, edited through drafts and restored on rollback. Identity and
+// operational fields (name, api_key, is_active, gdpr, …) are not versioned.
+const VERSIONED_FIELDS = [
+  'system_prompt',
+  'llm_settings',
+  'tools',
+  'hooks',
+  'mcp_servers',
+  'config',
+  'message_transformers',
+  'question_suggestions',
+  'routing',
+  'workflow',
+];
+
+const agentRevisionSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    agent: {
+      type: String,
+      ref: 'Agent',
+      required: true,
+    },
+    // Matches Agent.version at the time the revision went live
+    revision: {
+      type: Number,
+      required: true,
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // What produced the revision
+    source: {
+      type: String,
+      enum: [
+        'create', // agent created
+        'update', // direct edit of the live agent
+        'publish', // draft published
+        'rollback', // earlier revision restored
+        'baseline', // snapshot of an agent that predates revision history
+      ],
+      default: 'update',
+    },
+    restored_from: {
+      type: Number,
+      default: null,
+    },
+    created_by: {
+      type: String,
+      ref: 'User',
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+agentRevisionSchema.index({ agent: 1, revision: -1 }, { unique: true });
+
+// Revisions are immutable once written
+agentRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Agent revisions are immutable'));
+  }
+  next();
+});
+
+agentRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  next => next(new Error('Agent revisions are immutable'))
+);
+
+/**
+ * Plain copy of an agent's versioned fields.
+ */
+agentRevisionSchema.statics.snapshotOf = function (agent) {
+  const plain = agent.toObject ? agent.toObject({ virtuals: false }) : agent;
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (plain[field] !== undefined) {
+      snapshot[field] = JSON.parse(JSON.stringify(plain[field]));
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * Store the agent's current state as revision `agent.version`.
+ * A revision that already exists for that number is left untouched.
+ */
+agentRevisionSchema.statics.record = async function (agent, context = {}) {
+  try {
+    return await this.create({
+      agent: agent._id,
+      revision: agent.version,
+      snapshot: this.snapshotOf(agent),
+      source: context.source || 'update',
+      restored_from: context.restored_from ?? null,
+      created_by: context.created_by || null,
+      note: context.note || null,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ agent: agent._id, revision: agent.version });
+    }
+    throw error;
+  }
+};
+
+agentRevisionSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+module.exports = mongoose.model('AgentRevision', agentRevisionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * BlockedSender — a channel user whose inbound messages an agent ignores.
+ *
+ * Created automatically when a sender keeps exceeding the channel rate
+ * limits, or by an admin. Temporary blocks end at `blocked_until` and are
+ * then removed by the TTL index; `blocked_until: null` blocks until an
+ * admin unblocks the sender.
+ */
+const blockedSenderSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    agent: { type: String, ref: 'Agent', required: true },
+    organization: { type: String, ref: 'Organization', required: true },
+    project: { type: String, ref: 'Project', required: true },
+    user_identifier: { type: String, required: true },
+    // Channel the sender was blocked on; the block applies to all channels
+    channel: { type: String, default: null },
+    reason: { type: String, default: null },
+    // true when the rate limiter blocked the sender
+    automatic: { type: Boolean, default: false },
+    // Throttled messages that led to an automatic block
+    violations: { type: Number, default: 0 },
+    blocked_until: { type: Date, default: null },
+    created_by: { type: String, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+blockedSenderSchema.index({ agent: 1, user_identifier: 1 }, { unique: true });
+blockedSenderSchema.index({ blocked_until: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BlockedSender', blockedSenderSchema);
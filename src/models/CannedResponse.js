@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * CannedResponse — a reply human operators of a project reuse in the handoff
+ * console. The content may contain {{placeholders}} filled from the
+ * conversation when the reply is sent (see services/cannedResponseService.js).
+ */
+const cannedResponseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    project: {
+      type: String,
+      ref: 'Project',
+      required: true,
+    },
+    organization: {
+      type: String,
+      ref: 'Organization',
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    // Optional keyword operators type to find the reply (e.g. "refund")
+    shortcut: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9_-]{1,50}$/,
+      default: undefined,
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 4000,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    usage_count: {
+      type: Number,
+      default: 0,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+    created_by: {
+      type: String,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cannedResponseSchema.index(
+  { project: 1, shortcut: 1 },
+  { unique: true, partialFilterExpression: { shortcut: { $type: 'string' } } }
+);
+cannedResponseSchema.index({ project: 1, tags: 1 });
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
@@ -279,7 +279,27 @@ const channelConfigSchema = new mongoose.Schema(
           type: Boolean,
           default: false,
         },
-        schedule: mongoose.Schema.Types.Mixed, // {monday: {start: '09:00', end: '17:00'}, ...}
+        // {monday: {start: '09:00', end: '17:00'}, ...}; a weekday may also
+        // hold a list of ranges. Missing weekdays are closed.
+        schedule: mongoose.Schema.Types.Mixed,
+        // Dates (YYYY-MM-DD, in global_settings.timezone) that are closed,
+        // or open with their own start/end
+        holidays: [
+          {
+            _id: false,
+            date: String,
+            name: String,
+            start: String,
+            end: String,
+          },
+        ],
+        // What happens outside business hours
+        // (see services/businessHoursService.js)
+        out_of_hours_policy: {
+          type: String,
+          enum: ['auto_reply', 'ai_only', 'queue_handoffs'],
+          default: 'auto_reply',
+        },
         out_of_hours_message: String,
       },
       rate_limiting: {
@@ -295,6 +315,19 @@ const channelConfigSchema = new mongoose.Schema(
           type: Number,
           default: 100,
         },
+        // Sent once per window to a sender over the limit
+        // (see services/channelRateLimitService.js)
+        throttle_message: String,
+        // Throttled messages within an hour before the sender is blocked;
+        // 0 never blocks
+        block_after_violations: {
+          type: Number,
+          default: 20,
+        },
+        block_duration_minutes: {
+          type: Number,
+          default: 60,
+        },
       },
     },
     // Analytics and monitoring
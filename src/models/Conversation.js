@@ -1,108 +1,7 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
-
-const messageSchema = new mongoose.Schema({
-  role: {
-    type: String,
-    enum: ['user', 'assistant', 'system', 'tool', 'human_operator'],
-    required: true,
-  },
-  content: {
-    type: String,
-    required: false,
-    default: '',
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now,
-  },
-  // Handler information for tracking who sent the message
-  handler_info: {
-    agent_id: String, // If message was from agent
-    human_operator: {
-      // If message was from human (internal llm-crafter user)
-      user_id: String,
-      name: String,
-      email: String,
-      timestamp: Date,
-    },
-    external_operator: {
-      // If message was from an external operator (3rd party integration)
-      external_id: String,
-      name: String,
-      email: String,
-      avatar_url: String,
-      timestamp: Date,
-    },
-  },
-  // Agent thinking process (only for assistant messages)
-  thinking_process: [
-    {
-      step: String,
-      reasoning: String,
-      timestamp: {
-        type: Date,
-        default: Date.now,
-      },
-    },
-  ],
-  // Tools used in this message
-  tools_used: [
-    {
-      tool_name: String,
-      parameters: mongoose.Schema.Types.Mixed,
-      result: mongoose.Schema.Types.Mixed,
-      execution_time_ms: Number,
-      timestamp: {
-        type: Date,
-        default: Date.now,
-      },
-    },
-  ],
-  // Token usage for this message
-  token_usage: {
-    prompt_tokens: Number,
-    completion_tokens: Number,
-    total_tokens: Number,
-    cost: Number,
-  },
-  // Mark if message is part of a summary
-  is_summarized: {
-    type: Boolean,
-    default: false,
-  },
-  // Machine-readable code for system state-transition messages
-  // Allows 3rd-party applications to render these messages as they please
-  code: {
-    type: String,
-    enum: ['HUMAN_JOINED', 'AI_JOINED', 'HANDOFF_REFUSED', 'HANDOFF_REQUESTED', 'TEMPLATE_SENT'],
-    default: null,
-  },
-  // Channel-specific information for each message
-  channel_info: {
-    channel: String, // 'whatsapp', 'telegram', 'email', 'instagram', 'messenger', 'website'
-    message_id: String, // Platform-specific message ID
-    reply_to: String, // For threading/replies
-    media: [
-      {
-        type: { type: String }, // 'image', 'video', 'document', 'audio'
-        url: String,
-        mime_type: String,
-        file_size: Number,
-        filename: String,
-      },
-    ],
-    // Email-specific fields — stored as Mixed so any shape is accepted.
-    // See channel_info.email schema in docs/api/individual-api-endpoints.md.
-    email: { type: mongoose.Schema.Types.Mixed, default: undefined },
-  },
-  // Free-form metadata for channel-specific annotations (e.g. outbound_id,
-  // outbound_state for email drafts/sent tracking).
-  metadata: {
-    type: mongoose.Schema.Types.Mixed,
-    default: undefined,
-  },
-});
+const Message = require('./Message');
+const searchIndex = require('../utils/searchIndex');
 
 const conversationSchema = new mongoose.Schema(
   {
@@ -120,6 +19,34 @@ const conversationSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Agent revision that last served this conversation (see AgentRevision)
+    agent_revision: {
+      type: Number,
+      default: null,
+    },
+    // Draft test conversation: runs the agent's unpublished draft
+    agent_draft: {
+      type: Boolean,
+      default: false,
+    },
+    // Router conversations: specialist agent currently handling the
+    // conversation; null while the router itself answers
+    active_agent: {
+      type: String,
+      ref: 'Agent',
+      default: null,
+    },
+    // A/B experiment and variant the conversation was assigned to (see
+    // AgentExperiment); the variant's overrides apply to every agent turn
+    experiment: {
+      type: String,
+      ref: 'AgentExperiment',
+      default: null,
+    },
+    experiment_variant: {
+      type: String,
+      default: null,
+    },
     title: {
       type: String,
       trim: true,
@@ -131,7 +58,13 @@ const conversationSchema = new mongoose.Schema(
         text: { type: String, required: true },
       },
     ],
-    messages: [messageSchema],
+    // Messages are stored in the Message collection (see models/Message.js)
+    // and loaded with `.withMessages()` or loadMessages(). This counts them
+    // and allocates their `seq` numbers.
+    message_count: {
+      type: Number,
+      default: 0,
+    },
     // Channel where this conversation is taking place
     channel: {
       type: String,
@@ -220,6 +153,12 @@ const conversationSchema = new mongoose.Schema(
         enum: ['low', 'medium', 'high'],
         default: 'medium',
       },
+      // Requested outside business hours with the queue_handoffs policy:
+      // the handoff waits for this opening time
+      queued_until: {
+        type: Date,
+        default: null,
+      },
       // Fallback AI messages sent while waiting for a human to join
       fallback_attempts: {
         type: Number,
@@ -249,6 +188,34 @@ const conversationSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
+      // Skill-based routing to external operators
+      // (see services/handoffRoutingService.js)
+      routing: {
+        required_skills: {
+          type: [String],
+          default: undefined,
+        },
+        // queued   — waiting for an operator with the required skills
+        // offered  — offered to `operator`, who accepts by taking over
+        // assigned — given to `operator`, who must reply before expires_at
+        // accepted — the operator is handling the conversation
+        state: {
+          type: String,
+          enum: ['queued', 'offered', 'assigned', 'accepted'],
+        },
+        operator: {
+          external_id: String,
+          name: String,
+        },
+        offered_at: Date,
+        expires_at: Date,
+        // Operators who declined or let the handoff time out
+        excluded_operators: {
+          type: [String],
+          default: undefined,
+        },
+        attempts: Number,
+      },
     },
     // Timestamp of the last message sent by the end-user (customer).
     // Used to compute channel-specific messaging windows (e.g. WhatsApp 24 h).
@@ -342,6 +309,33 @@ const conversationSchema = new mongoose.Schema(
         default: false,
       },
     },
+    // Free-form labels, set by operators, the API and hook actions
+    tags: {
+      type: [String],
+      default: [],
+    },
+    // Values of the project's conversation_fields, one entry per field
+    // (stored as key/value pairs so every field shares one index)
+    custom_fields: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        value: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // When the end-of-conversation CSAT survey was sent (see
+    // services/feedbackService.js); the survey is sent once
+    csat_requested_at: {
+      type: Date,
+      default: null,
+    },
+    // Blind index of the title and summary for conversation search (see
+    // utils/searchIndex.js)
+    search_tokens: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
     // Whether this conversation has been archived by a human operator
     archived: {
       type: Boolean,
@@ -354,7 +348,7 @@ const conversationSchema = new mongoose.Schema(
         hook_name: { type: String, required: true },
         triggered_at: { type: Date, default: Date.now },
         trigger: { type: String },
-        type: { type: String, enum: ['llm', 'webhook'] },
+        type: { type: String, enum: ['llm', 'webhook', 'action'] },
         success: { type: Boolean, default: true },
         tools_used: [
           {
@@ -371,6 +365,15 @@ const conversationSchema = new mongoose.Schema(
         },
         llm_response: { type: String, default: null },
         rejected_tools: [{ tool_name: { type: String }, reason: { type: String } }],
+        // Action hooks: one entry per action that ran
+        actions: [
+          {
+            _id: false,
+            type: { type: String },
+            success: { type: Boolean },
+            error: { type: String, default: null },
+          },
+        ],
         error: { type: String, default: null },
       },
     ],
@@ -379,6 +382,18 @@ const conversationSchema = new mongoose.Schema(
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
     toJSON: {
       transform(doc, ret) {
+        delete ret.search_tokens;
+        if (Array.isArray(ret.custom_fields)) {
+          ret.custom_fields = Object.fromEntries(
+            ret.custom_fields.map(field => [field.key, field.value])
+          );
+        }
+        // Loaded messages are serialised as if they were still embedded
+        if (doc.$locals.messagesLoaded) {
+          ret.messages = doc.messages.map(msg =>
+            msg.toJSON ? msg.toJSON() : Object.assign({}, msg)
+          );
+        }
         // Auto-decrypt message content when serialising (e.g. res.json)
         if (ret.gdpr && ret.gdpr.encrypt_messages && Array.isArray(ret.messages)) {
           const encryptionUtil = require('../utils/encryption');
@@ -402,22 +417,224 @@ const conversationSchema = new mongoose.Schema(
 // Index for efficient queries
 conversationSchema.index({ agent: 1, user_identifier: 1 });
 conversationSchema.index({ agent: 1, status: 1 });
+conversationSchema.index({ experiment: 1, experiment_variant: 1 });
 conversationSchema.index({ 'metadata.last_activity': 1 });
 conversationSchema.index({ agent: 1, channel: 1, status: 1 }); // New index for channel queries
 conversationSchema.index({ channel: 1, 'metadata.last_activity': 1 }); // New index for channel analytics
 conversationSchema.index({ archived: 1 });
+conversationSchema.index({ agent: 1, tags: 1 });
+conversationSchema.index({ 'custom_fields.key': 1, 'custom_fields.value': 1 });
+conversationSchema.index(
+  { search_tokens: 1 },
+  { partialFilterExpression: { search_tokens: { $exists: true } } }
+);
+conversationSchema.index({
+  'handoff_info.routing.state': 1,
+  'handoff_info.routing.expires_at': 1,
+});
 conversationSchema.index({ agent: 1, archived: 1 });
 
-// Update last activity on message addition and check for summarization needs
-// Also auto-unarchive the conversation when a new message arrives
-conversationSchema.pre('save', function (next) {
-  if (this.isModified('messages')) {
+// Messages are kept on the document in $locals and persisted to the Message
+// collection on save: loaded messages are Message documents, pushed ones
+// plain objects until they are saved.
+conversationSchema
+  .virtual('messages')
+  .get(function () {
+    if (!this.$locals.messages) {
+      this.$locals.messages = [];
+    }
+    return this.$locals.messages;
+  })
+  .set(function (messages) {
+    this.$locals.messages = messages;
+  });
+
+const isStored = msg => msg instanceof Message;
+
+// Tool results and system notices are not searched
+const SEARCHABLE_ROLES = ['user', 'assistant', 'human_operator'];
+
+// Messages before the summary cutoff kept in the agent context for continuity
+const SUMMARY_OVERLAP = 4;
+// Most messages loaded for the agent context, should summaries fall behind
+const MAX_CONTEXT_MESSAGES = 100;
+
+/**
+ * The messages getContextForAgent uses: those after the summary cutoff and
+ * the overlap before it, or the newest ones while there is no summary.
+ * Works on documents and lean results.
+ */
+function contextWindow(conversation) {
+  const summaryIndex = conversation.metadata?.last_summary_index ?? -1;
+  const fromSeq =
+    conversation.conversation_summary && summaryIndex >= 0
+      ? Math.max(0, summaryIndex + 1 - SUMMARY_OVERLAP)
+      : 0;
+  return { fromSeq, last: MAX_CONTEXT_MESSAGES };
+}
+
+/**
+ * Load this conversation's messages into `messages`, oldest first.
+ * Messages pushed but not saved yet stay at the end.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.last] - only the newest `last` messages
+ * @param {number} [options.fromSeq] - only messages from this position on
+ * @param {boolean} [options.context] - only the messages the agent context
+ *   needs (see contextWindow)
+ * @returns {Promise<Conversation>} this
+ */
+conversationSchema.methods.loadMessages = async function ({
+  last,
+  fromSeq,
+  context,
+} = {}) {
+  if (context) {
+    return this.loadMessages(contextWindow(this));
+  }
+  const query = Message.find({
+    conversation: this._id,
+    ...(fromSeq > 0 && { seq: { $gte: fromSeq } }),
+  });
+  if (last) {
+    query.sort({ seq: -1 }).limit(last);
+  } else {
+    query.sort({ seq: 1 });
+  }
+  const loaded = await query;
+  if (last) {
+    loaded.reverse();
+  }
+
+  const unsaved = this.messages.filter(msg => !isStored(msg));
+  this.messages = [...loaded, ...unsaved];
+  this.$locals.messagesLoaded = true;
+  return this;
+};
+
+/**
+ * Query helper: load the messages of the conversations found.
+ * Lean results get a plain `messages` array.
+ *
+ *   Conversation.findById(id).withMessages()
+ *   Conversation.findById(id).withMessages({ last: 50 })
+ *   Conversation.findById(id).withMessages({ context: true })
+ */
+conversationSchema.query.withMessages = function (options = {}) {
+  this._withMessages = options;
+  return this;
+};
+
+conversationSchema.post(
+  ['find', 'findOne', 'findOneAndUpdate'],
+  async function (result) {
+    if (!this._withMessages || !result) {
+      return;
+    }
+    const conversations = Array.isArray(result) ? result : [result];
+    await Promise.all(
+      conversations.map(async conversation => {
+        if (typeof conversation.loadMessages === 'function') {
+          await conversation.loadMessages(this._withMessages);
+          return;
+        }
+        // Lean document
+        const { last, fromSeq } = this._withMessages.context
+          ? contextWindow(conversation)
+          : this._withMessages;
+        const messages = await Message.find({
+          conversation: conversation._id,
+          ...(fromSeq > 0 && { seq: { $gte: fromSeq } }),
+        })
+          .sort({ seq: last ? -1 : 1 })
+          .limit(last || 0)
+          .lean();
+        conversation.messages = last ? messages.reverse() : messages;
+      })
+    );
+  }
+);
+
+// Deleting conversations deletes their messages
+conversationSchema.pre(['deleteOne', 'deleteMany'], async function () {
+  this._deletedConversationIds = await this.model
+    .find(this.getFilter())
+    .distinct('_id');
+});
+
+conversationSchema.post(['deleteOne', 'deleteMany'], async function () {
+  if (this._deletedConversationIds?.length) {
+    await Message.deleteMany({
+      conversation: { $in: this._deletedConversationIds },
+    });
+  }
+});
+
+// Persist new and changed messages, update last activity and check for
+// summarization needs. Also auto-unarchive the conversation when a new
+// message arrives
+conversationSchema.pre('save', async function () {
+  if (this.isNew) {
+    // Every message of a new conversation is in memory
+    this.$locals.messagesLoaded = true;
+  }
+
+  const pending = this.messages.filter(msg => !isStored(msg));
+  const changed = this.messages.filter(
+    msg => isStored(msg) && msg.isModified()
+  );
+
+  if (pending.length > 0) {
+    // Validate before allocating seq numbers so a bad message leaves no gap
+    const docs = pending.map(
+      msg =>
+        new Message({
+          ...msg,
+          conversation: this._id,
+          seq: 0,
+          search_tokens: SEARCHABLE_ROLES.includes(msg.role)
+            ? searchIndex.indexTokens(this.decryptContent(msg.content))
+            : undefined,
+        })
+    );
+    await Promise.all(docs.map(doc => doc.validate()));
+
+    let firstSeq;
+    if (this.isNew) {
+      firstSeq = this.message_count;
+      this.message_count += docs.length;
+    } else {
+      // Atomic: other processes may append to the same conversation
+      const counter = await this.constructor
+        .findOneAndUpdate(
+          { _id: this._id },
+          { $inc: { message_count: docs.length } },
+          { new: true, projection: { message_count: 1 } }
+        )
+        .lean();
+      if (!counter) {
+        throw new Error(`Conversation ${this._id} not found`);
+      }
+      firstSeq = counter.message_count - docs.length;
+      this.message_count = counter.message_count;
+      this.unmarkModified('message_count');
+    }
+    docs.forEach((doc, i) => {
+      doc.seq = firstSeq + i;
+    });
+    await Message.insertMany(docs);
+
+    // Saved messages replace the plain objects that were pushed
+    this.messages = this.messages.map(msg =>
+      isStored(msg) ? msg : docs[pending.indexOf(msg)]
+    );
+
     this.metadata.last_activity = new Date();
 
     // Track when the customer (end-user) last sent a message.
     // Used for channel messaging-window calculations (e.g. WhatsApp 24 h).
-    const lastMsg = this.messages[this.messages.length - 1];
-    if (lastMsg && lastMsg.role === 'user') {
+    const lastMsg = docs[docs.length - 1];
+    if (lastMsg.role === 'user') {
       this.last_customer_message_at = new Date();
     }
 
@@ -428,12 +645,26 @@ conversationSchema.pre('save', function (next) {
 
     // Check if summarization is needed (every 15 messages after the last summary)
     const messagesSinceLastSummary =
-      this.messages.length - (this.metadata.last_summary_index + 1);
+      this.message_count - (this.metadata.last_summary_index + 1);
     if (messagesSinceLastSummary >= 15) {
       this.metadata.requires_summarization = true;
     }
   }
-  next();
+
+  if (
+    this.isNew ||
+    this.isModified('title') ||
+    this.isModified('summary') ||
+    this.isModified('conversation_summary')
+  ) {
+    this.search_tokens = searchIndex.indexTokens(
+      this.title,
+      this.summary,
+      (this.conversation_summary?.key_topics || []).join(' ')
+    );
+  }
+
+  await Promise.all(changed.map(msg => msg.save()));
 });
 
 // Method to add message and update metadata
@@ -466,6 +697,33 @@ conversationSchema.methods.addMessage = function (messageData) {
   return this.save();
 };
 
+/**
+ * The first messages of the conversation, decrypted, whichever messages are
+ * loaded
+ *
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>}
+ */
+conversationSchema.methods.getFirstMessages = async function (limit) {
+  const messages = await Message.find({
+    conversation: this._id,
+    seq: { $lt: limit },
+  })
+    .sort({ seq: 1 })
+    .lean();
+  return messages.map(msg => ({
+    ...msg,
+    content: this.decryptContent(msg.content),
+  }));
+};
+
+/**
+ * Number of stored messages, e.g. of one role, whichever are loaded
+ */
+conversationSchema.methods.countMessages = function (filter = {}) {
+  return Message.countDocuments({ ...filter, conversation: this._id });
+};
+
 // Method to get recent messages (for context management)
 conversationSchema.methods.getRecentMessages = function (limit = 10) {
   return this.messages.slice(-limit);
@@ -526,13 +784,18 @@ conversationSchema.methods.getContextForAgent = function (maxTokens = 4000) {
       is_summarized: true,
     });
 
-    // Include a small overlap of messages before the summary cutoff for continuity
-    const overlapCount = 4;
-    const overlapStart = Math.max(0, this.metadata.last_summary_index + 1 - overlapCount);
-    const overlapMessages = workingMessages.slice(
-      overlapStart,
-      this.metadata.last_summary_index + 1
-    ).filter(m => m.role !== 'system');
+    // Include a small overlap of messages before the summary cutoff for continuity.
+    // Positions are seq numbers: only the newest messages may be loaded, and
+    // unsaved ones (no seq yet) are the newest of all
+    const summaryIndex = this.metadata.last_summary_index;
+    const position = m => (m.seq === undefined ? Infinity : m.seq);
+    const overlapStart = Math.max(0, summaryIndex + 1 - SUMMARY_OVERLAP);
+    const overlapMessages = workingMessages.filter(
+      m =>
+        position(m) >= overlapStart &&
+        position(m) <= summaryIndex &&
+        m.role !== 'system'
+    );
 
     if (overlapMessages.length > 0) {
       messages.push(...overlapMessages);
@@ -544,7 +807,7 @@ conversationSchema.methods.getContextForAgent = function (maxTokens = 4000) {
     const alreadyUsed = this.estimateTokenCount(messages);
     const remainingTokens = Math.max(maxTokens - alreadyUsed, 500);
     const recentMessages = this._getSmartTruncatedFromArray(
-      workingMessages.slice(this.metadata.last_summary_index + 1),
+      workingMessages.filter(m => position(m) > summaryIndex),
       remainingTokens
     );
     messages.push(...recentMessages);
@@ -674,13 +937,13 @@ conversationSchema.methods.updateSummary = function (summaryData, summaryTransla
     tool_results: summaryData.tool_results || [],
     summary_translations: summaryTranslations,
     created_at: new Date(),
-    message_count_when_summarized: this.messages.length,
+    message_count_when_summarized: this.message_count,
   };
 
   // Leave a buffer of recent messages outside the summary window
   // so the agent retains raw conversation context for continuity
   const bufferSize = 6;
-  this.metadata.last_summary_index = Math.max(0, this.messages.length - 1 - bufferSize);
+  this.metadata.last_summary_index = Math.max(0, this.message_count - 1 - bufferSize);
   this.metadata.summary_version += 1;
   this.metadata.requires_summarization = false;
 
@@ -732,7 +995,7 @@ conversationSchema.methods.summarizeConversation = function () {
 
   // Update summary fields
   this.summary = summaryContent;
-  this.metadata.last_summary_index = this.messages.length - 1;
+  this.metadata.last_summary_index = this.message_count - 1;
   this.metadata.summary_version += 1;
   this.metadata.requires_summarization = false;
 
@@ -749,7 +1012,8 @@ conversationSchema.methods.requestHandoff = function (
   requestedBy,
   reason,
   urgency = 'medium',
-  contextSummary = ''
+  contextSummary = '',
+  queuedUntil = null
 ) {
   this.status = 'handoff_requested';
   this.handoff_info = {
@@ -758,6 +1022,7 @@ conversationSchema.methods.requestHandoff = function (
     reason: reason,
     urgency: urgency,
     handoff_message: contextSummary,
+    queued_until: queuedUntil,
   };
   return this.save();
 };
@@ -845,6 +1110,44 @@ conversationSchema.methods.handBackToAgent = function () {
   return this.save();
 };
 
+// Router conversations: hand the conversation to a specialist agent
+conversationSchema.methods.transferToAgent = function (
+  agentId,
+  agentName,
+  reason = ''
+) {
+  const fromAgent = this.active_agent || this.agent;
+  this.active_agent = agentId;
+
+  this.messages.push({
+    role: 'system',
+    content: `You are now chatting with ${agentName}.`,
+    code: 'AGENT_TRANSFERRED',
+    timestamp: new Date(),
+    handler_info: { agent_id: agentId },
+    metadata: { from_agent: fromAgent, reason: reason || null },
+  });
+
+  return this.save();
+};
+
+// Router conversations: hand the conversation back to the router
+conversationSchema.methods.returnToRouter = function (routerName, reason = '') {
+  const fromAgent = this.active_agent;
+  this.active_agent = null;
+
+  this.messages.push({
+    role: 'system',
+    content: `You are now back with ${routerName}.`,
+    code: 'AGENT_RETURNED',
+    timestamp: new Date(),
+    handler_info: { agent_id: this.agent },
+    metadata: { from_agent: fromAgent, reason: reason || null },
+  });
+
+  return this.save();
+};
+
 // Refuse a pending handoff — revert to agent control and record the refusal
 conversationSchema.methods.refuseHandoff = function (
   refusedBy,
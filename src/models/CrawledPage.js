@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * CrawledPage — a web page indexed into a knowledge base by its crawler
+ * (see services/knowledgeBaseCrawlerService.js). The page URL is the
+ * document_id of its chunks in the vector database, and the content hash
+ * tells the next crawl whether the page must be embedded again.
+ */
+const crawledPageSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    organization_id: {
+      type: String,
+      ref: 'Organization',
+      required: true,
+    },
+    project_id: {
+      type: String,
+      ref: 'Project',
+      required: true,
+    },
+    knowledge_base_id: {
+      type: String,
+      ref: 'KnowledgeBase',
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      default: '',
+    },
+    // SHA-256 of the extracted text and chunking settings
+    content_hash: {
+      type: String,
+      required: true,
+    },
+    chunk_count: {
+      type: Number,
+      default: 0,
+    },
+    last_crawled_at: {
+      type: Date,
+      default: Date.now,
+    },
+    last_changed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+crawledPageSchema.index({ knowledge_base_id: 1, url: 1 }, { unique: true });
+
+module.exports = mongoose.model('CrawledPage', crawledPageSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// One test case. Which input field is used depends on the dataset's
+// target_type: `messages` for chatbots, `input` for task agents and
+// `variables` for prompts.
+const evalCaseSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Chatbot: user messages replayed in order within one conversation
+  messages: [String],
+  // Task agent input
+  input: mongoose.Schema.Types.Mixed,
+  // Prompt template variables
+  variables: mongoose.Schema.Types.Mixed,
+  // Dynamic context passed to agents
+  context: mongoose.Schema.Types.Mixed,
+  expected: {
+    // Case-insensitive substrings the final answer must / must not contain
+    must_mention: [String],
+    must_not_mention: [String],
+    // Tools that must be called; `arguments` is matched as a subset
+    tool_calls: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        arguments: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Whether the agent must (true) or must not (false) hand off to a human
+    handoff: {
+      type: Boolean,
+      default: null,
+    },
+    // JSON schema the (parsed) output must match
+    json_schema: mongoose.Schema.Types.Mixed,
+    // Free-text grading instructions for the LLM judge
+    rubric: String,
+  },
+  // Scripted replies used when the target runs on the stub provider
+  stub_responses: [mongoose.Schema.Types.Mixed],
+  // Scripted judge verdict ({ score, reasoning }) for stub judges
+  stub_judge: mongoose.Schema.Types.Mixed,
+  tags: [String],
+});
+
+const evalDatasetSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    project: {
+      type: String,
+      ref: 'Project',
+      required: true,
+    },
+    organization: {
+      type: String,
+      ref: 'Organization',
+      required: true,
+    },
+    target_type: {
+      type: String,
+      enum: ['chatbot', 'task', 'prompt'],
+      required: true,
+    },
+    cases: [evalCaseSchema],
+    created_by: {
+      type: String,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+evalDatasetSchema.index({ project: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('EvalDataset', evalDatasetSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const evalCheckSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'must_mention',
+        'must_not_mention',
+        'tool_call',
+        'handoff',
+        'json_schema',
+        'judge',
+      ],
+      required: true,
+    },
+    passed: Boolean,
+    // 0-1; deterministic checks score 0 or 1
+    score: Number,
+    detail: String,
+  },
+  { _id: false }
+);
+
+const evalCaseResultSchema = new mongoose.Schema(
+  {
+    case_id: String,
+    case_name: String,
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'error'],
+      required: true,
+    },
+    score: Number,
+    checks: [evalCheckSchema],
+    output: mongoose.Schema.Types.Mixed,
+    tools_called: [
+      {
+        _id: false,
+        name: String,
+        arguments: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    handoff_requested: Boolean,
+    token_usage: {
+      prompt_tokens: Number,
+      completion_tokens: Number,
+      total_tokens: Number,
+      cost: Number,
+    },
+    duration_ms: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+const evalRunSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    dataset: {
+      type: String,
+      ref: 'EvalDataset',
+      required: true,
+    },
+    project: {
+      type: String,
+      ref: 'Project',
+      required: true,
+    },
+    organization: {
+      type: String,
+      ref: 'Organization',
+      required: true,
+    },
+    // What was evaluated
+    target: {
+      type: {
+        type: String,
+        enum: ['chatbot', 'task', 'prompt'],
+        required: true,
+      },
+      agent: {
+        type: String,
+        ref: 'Agent',
+      },
+      agent_revision: Number,
+      agent_draft: {
+        type: Boolean,
+        default: false,
+      },
+      prompt: {
+        type: String,
+        ref: 'Prompt',
+      },
+      prompt_version: Number,
+      prompt_label: String,
+    },
+    // Optional LLM-as-judge for cases with a rubric
+    judge: {
+      api_key: {
+        type: String,
+        ref: 'ApiKey',
+      },
+      model: String,
+      pass_threshold: {
+        type: Number,
+        default: 0.7,
+      },
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    results: [evalCaseResultSchema],
+    summary: {
+      total: Number,
+      passed: Number,
+      failed: Number,
+      errors: Number,
+      pass_rate: Number,
+      average_score: Number,
+      total_tokens: Number,
+      total_cost: Number,
+    },
+    note: String,
+    error: String,
+    started_at: Date,
+    completed_at: Date,
+    created_by: {
+      type: String,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+evalRunSchema.index({ dataset: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EvalRun', evalRunSchema);
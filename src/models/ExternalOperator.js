@@ -42,6 +42,18 @@ const externalOperatorSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    // Handoffs this operator may handle at once; null uses the agent's
+    // handoff_config.routing.max_concurrent_per_operator
+    max_concurrent: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Last handoff routed to this operator (round-robin order)
+    last_assigned_at: {
+      type: Date,
+      default: null,
+    },
     // Online status — updated by the 3rd party app
     status: {
       type: String,
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Feedback — an end user's rating of one assistant message (thumbs up or
+ * down, with an optional comment) or of a whole conversation (CSAT score).
+ *
+ * Each message and each conversation has at most one feedback of its kind:
+ * rating again replaces the earlier answer. `agent_revision` is the revision
+ * that produced the rated message (or last served the conversation), so
+ * ratings can be compared across prompt changes (see services/feedbackService.js).
+ */
+const feedbackSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    type: {
+      type: String,
+      enum: ['message', 'csat'],
+      required: true,
+    },
+    agent: { type: String, ref: 'Agent', required: true },
+    agent_revision: { type: Number, default: null },
+    conversation: { type: String, ref: 'Conversation', required: true },
+    // Rated assistant message (message feedback only)
+    message: { type: String, ref: 'Message', default: null },
+    // Message feedback
+    rating: {
+      type: String,
+      enum: ['up', 'down'],
+      default: null,
+    },
+    // CSAT feedback, 1 (very unsatisfied) to 5 (very satisfied)
+    score: { type: Number, min: 1, max: 5, default: null },
+    comment: { type: String, maxlength: 2000, default: null },
+    source: {
+      type: String,
+      enum: ['widget', 'api', 'whatsapp', 'telegram'],
+      required: true,
+    },
+    user_identifier: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+feedbackSchema.index(
+  { message: 1 },
+  { unique: true, partialFilterExpression: { type: 'message' } }
+);
+feedbackSchema.index(
+  { conversation: 1 },
+  { unique: true, partialFilterExpression: { type: 'csat' } }
+);
+feedbackSchema.index({ agent: 1, createdAt: -1 });
+feedbackSchema.index({ agent: 1, agent_revision: 1, type: 1 });
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
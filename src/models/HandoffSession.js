@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * HandoffSession — one human handoff of a conversation, from the request
+ * until the conversation is handed back, refused or closed.
+ *
+ * `Conversation.handoff_info` only describes the current handoff and is
+ * replaced by the next request; sessions keep the timings of every handoff
+ * for SLA tracking and operator reports (see services/handoffSlaService.js).
+ */
+const handoffSessionSchema = new mongoose.Schema(
+  {
+    _id: { type: String, default: uuidv4 },
+    conversation: { type: String, ref: 'Conversation', required: true },
+    agent: { type: String, ref: 'Agent', required: true },
+    organization: { type: String, ref: 'Organization', required: true },
+    project: { type: String, ref: 'Project', required: true },
+    channel: { type: String, default: null },
+    urgency: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium',
+    },
+    requested_at: { type: Date, required: true },
+    // SLA clocks start here: the request time, or the opening a handoff
+    // requested outside business hours waited for
+    sla_started_at: { type: Date, required: true },
+    // Operator who took the conversation over
+    operator: {
+      type: {
+        type: String,
+        enum: ['internal', 'external'],
+      },
+      id: String,
+      name: String,
+    },
+    assigned_at: { type: Date, default: null },
+    first_response_at: { type: Date, default: null },
+    ended_at: { type: Date, default: null },
+    // handed_back: returned to the agent by the operator
+    // refused:     declined by an operator before anyone took over
+    // ended:       closed while an operator had it
+    // abandoned:   closed while waiting for an operator
+    outcome: {
+      type: String,
+      enum: ['handed_back', 'refused', 'ended', 'abandoned'],
+      default: null,
+    },
+    refused_by: { type: String, default: null },
+    // Thresholds of the agent when the handoff was requested
+    sla: {
+      first_response_seconds: { type: Number, default: null },
+      handling_seconds: { type: Number, default: null },
+    },
+    first_response_due_at: { type: Date, default: null },
+    handling_due_at: { type: Date, default: null },
+    breaches: [
+      {
+        _id: false,
+        metric: {
+          type: String,
+          enum: ['first_response', 'handling'],
+        },
+        breached_at: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+handoffSessionSchema.index({ conversation: 1, ended_at: 1 });
+handoffSessionSchema.index({ project: 1, requested_at: -1 });
+handoffSessionSchema.index({ 'operator.id': 1, requested_at: -1 });
+handoffSessionSchema.index({ ended_at: 1, first_response_due_at: 1 });
+handoffSessionSchema.index({ ended_at: 1, handling_due_at: 1 });
+
+module.exports = mongoose.model('HandoffSession', handoffSessionSchema);
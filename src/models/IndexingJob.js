@@ -24,7 +24,7 @@ const indexingJobSchema = new mongoose.Schema({
   
   type: {
     type: String,
-    enum: ['single', 'batch'],
+    enum: ['single', 'batch', 'file'],
     required: true
   },
   
@@ -41,6 +41,13 @@ const indexingJobSchema = new mongoose.Schema({
     required: true
   },
   
+  // Named knowledge base to index into; the project's default index if null
+  knowledge_base_id: {
+    type: String,
+    ref: 'KnowledgeBase',
+    default: null
+  },
+
   // Job data
   documents: {
     type: mongoose.Schema.Types.Mixed,
@@ -133,7 +140,7 @@ indexingJobSchema.statics.findJobsByOrganization = function(organizationId, proj
   return this.find(filter)
     .sort({ createdAt: -1 })
     .limit(limit)
-    .select('job_id type status progress started_at completed_at processing_time_ms error createdAt');
+    .select('job_id type knowledge_base_id status progress started_at completed_at processing_time_ms error createdAt');
 };
 
 indexingJobSchema.statics.getJobStats = function(organizationId, projectId) {
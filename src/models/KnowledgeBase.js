@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Embedding model and where it runs (see services/embeddingService.js)
+function embeddingSettings() {
+  return {
+    model: {
+      type: String,
+      default: 'text-embedding-3-small',
+    },
+    dimensions: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // API key whose provider creates the embeddings; the caller's when not
+    // set
+    api_key_id: { type: String, ref: 'ApiKey', default: null },
+    // OpenAI-compatible embedding server, e.g. self-hosted
+    endpoint: { type: String, default: null },
+  };
+}
+
+/**
+ * KnowledgeBase — a named collection of RAG documents within a project.
+ * Each knowledge base is stored apart from the others (its own Weaviate
+ * class, Pinecone namespace or memory store), and agents only search the
+ * knowledge bases listed in their rag_search tool configuration.
+ *
+ * Documents indexed without a knowledge base form the project's default
+ * index, searched by agents that list none.
+ */
+const knowledgeBaseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    organization_id: {
+      type: String,
+      ref: 'Organization',
+      required: true,
+    },
+    project_id: {
+      type: String,
+      ref: 'Project',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // Vector database holding the documents; the project's default one
+    // when not set
+    vector_database_config: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VectorDatabaseConfig',
+      default: null,
+    },
+    // Embedding model and where it runs (see services/embeddingService.js).
+    // Vectors of different models or sizes cannot be compared: changing it
+    // once documents are indexed re-indexes them (see reindex below)
+    embedding: embeddingSettings(),
+    // Incremented by each re-index, which writes to a new Weaviate class or
+    // Pinecone namespace and switches over once done
+    index_version: {
+      type: Number,
+      default: 0,
+    },
+    // Last re-index (see services/knowledgeBaseReindexService.js)
+    reindex: {
+      status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      },
+      // Settings the documents are re-embedded with
+      embedding: embeddingSettings(),
+      queued_at: Date,
+      started_at: Date,
+      finished_at: Date,
+      chunks_total: Number,
+      chunks_done: Number,
+      error: String,
+    },
+    // Metadata fields of the documents, which searches can filter on (see
+    // utils/ragMetadata.js)
+    metadata_fields: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        type: {
+          type: String,
+          enum: ['string', 'number', 'boolean', 'date', 'string_array'],
+          required: true,
+        },
+        description: { type: String, default: '' },
+      },
+    ],
+    // Website crawler keeping the knowledge base in sync with a site (see
+    // services/knowledgeBaseCrawlerService.js)
+    crawler: {
+      enabled: { type: Boolean, default: false },
+      seed_urls: [String],
+      sitemap_urls: [String],
+      // Regular expressions matched against page URLs
+      include_patterns: [String],
+      exclude_patterns: [String],
+      max_depth: { type: Number, default: 3 },
+      max_pages: { type: Number, default: 500 },
+      respect_robots_txt: { type: Boolean, default: true },
+      interval_hours: { type: Number, default: 24 },
+      // API key used to create the embeddings
+      api_key_id: { type: String, ref: 'ApiKey', default: null },
+      chunking: {
+        chunk_size: { type: Number, default: 500 },
+        chunk_overlap: { type: Number, default: 50 },
+      },
+      next_run_at: { type: Date, default: null },
+      last_run: {
+        status: { type: String, enum: ['running', 'completed', 'failed'] },
+        started_at: Date,
+        finished_at: Date,
+        pages_crawled: Number,
+        pages_indexed: Number,
+        pages_unchanged: Number,
+        pages_removed: Number,
+        pages_failed: Number,
+        failed_urls: [{ _id: false, url: String, error: String }],
+        error: String,
+      },
+    },
+    stats: {
+      indexed_chunks: { type: Number, default: 0 },
+      last_indexed_at: { type: Date, default: null },
+      total_searches: { type: Number, default: 0 },
+      last_searched_at: { type: Date, default: null },
+    },
+    created_by: {
+      type: String,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+knowledgeBaseSchema.index({ project_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Message — one message of a Conversation.
+ *
+ * Messages live in their own collection so long threads do not grow the
+ * conversation document. `seq` is the 0-based position of the message in its
+ * conversation (allocated from Conversation.message_count), so it matches
+ * indexes such as `metadata.last_summary_index` and serves as the cursor for
+ * paginating a conversation's history.
+ */
+const messageSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    conversation: {
+      type: String,
+      ref: 'Conversation',
+      required: true,
+    },
+    seq: {
+      type: Number,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['user', 'assistant', 'system', 'tool', 'human_operator'],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: false,
+      default: '',
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+    // Handler information for tracking who sent the message
+    handler_info: {
+      agent_id: String, // If message was from agent
+      agent_revision: Number, // Agent revision that produced the message
+      human_operator: {
+        // If message was from human (internal llm-crafter user)
+        user_id: String,
+        name: String,
+        email: String,
+        timestamp: Date,
+      },
+      external_operator: {
+        // If message was from an external operator (3rd party integration)
+        external_id: String,
+        name: String,
+        email: String,
+        avatar_url: String,
+        timestamp: Date,
+      },
+    },
+    // Agent thinking process (only for assistant messages)
+    thinking_process: [
+      {
+        step: String,
+        reasoning: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Tools used in this message
+    tools_used: [
+      {
+        tool_name: String,
+        parameters: mongoose.Schema.Types.Mixed,
+        result: mongoose.Schema.Types.Mixed,
+        execution_time_ms: Number,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Token usage for this message
+    token_usage: {
+      prompt_tokens: Number,
+      completion_tokens: Number,
+      total_tokens: Number,
+      cost: Number,
+    },
+    // Mark if message is part of a summary
+    is_summarized: {
+      type: Boolean,
+      default: false,
+    },
+    // Machine-readable code for system state-transition messages
+    // Allows 3rd-party applications to render these messages as they please
+    code: {
+      type: String,
+      enum: [
+        'HUMAN_JOINED',
+        'AI_JOINED',
+        'HANDOFF_REFUSED',
+        'HANDOFF_REQUESTED',
+        'TEMPLATE_SENT',
+        'AGENT_TRANSFERRED', // router handed the conversation to a specialist
+        'AGENT_RETURNED', // specialist handed the conversation back to the router
+        'OUT_OF_HOURS', // out-of-hours auto reply sent instead of the agent
+        'CSAT_REQUESTED', // end-of-conversation satisfaction survey sent
+      ],
+      default: null,
+    },
+    // Channel-specific information for each message
+    channel_info: {
+      channel: String, // 'whatsapp', 'telegram', 'email', 'instagram', 'messenger', 'website'
+      message_id: String, // Platform-specific message ID
+      reply_to: String, // For threading/replies
+      media: [
+        {
+          type: { type: String }, // 'image', 'video', 'document', 'audio'
+          url: String,
+          mime_type: String,
+          file_size: Number,
+          filename: String,
+        },
+      ],
+      // Email-specific fields — stored as Mixed so any shape is accepted.
+      // See channel_info.email schema in docs/api/individual-api-endpoints.md.
+      email: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    },
+    // Free-form metadata for channel-specific annotations (e.g. outbound_id,
+    // outbound_state for email drafts/sent tracking).
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Blind index of the content for conversation search (see
+    // utils/searchIndex.js); set when the message is first saved
+    search_tokens: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+  },
+  {
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.conversation;
+        delete ret.search_tokens;
+        return ret;
+      },
+    },
+  }
+);
+
+messageSchema.index({ conversation: 1, seq: 1 }, { unique: true });
+messageSchema.index({ conversation: 1, role: 1 });
+messageSchema.index({ conversation: 1, timestamp: 1 });
+messageSchema.index(
+  { 'channel_info.message_id': 1 },
+  { partialFilterExpression: { 'channel_info.message_id': { $exists: true } } }
+);
+messageSchema.index(
+  { search_tokens: 1 },
+  { partialFilterExpression: { search_tokens: { $exists: true } } }
+);
+messageSchema.index(
+  { 'metadata.outbound_id': 1 },
+  { partialFilterExpression: { 'metadata.outbound_id': { $exists: true } } }
+);
+
+/**
+ * A page of a conversation's messages in `seq` order.
+ *
+ * @param {string} conversationId
+ * @param {Object} [options]
+ * @param {number} [options.before] - only messages with a lower seq (older)
+ * @param {number} [options.after] - only messages with a higher seq (newer)
+ * @param {number} [options.limit=50] - at most this many messages; without
+ *   `after` the newest ones are returned
+ * @returns {Promise<{ messages: Object[], has_more: boolean,
+ *   next_cursor: number|null }>} next_cursor continues in the same direction
+ */
+messageSchema.statics.paginate = async function (
+  conversationId,
+  { before, after, limit = 50 } = {}
+) {
+  const filter = { conversation: conversationId };
+  if (before !== undefined && before !== null) {
+    filter.seq = { $lt: Number(before) };
+  }
+  if (after !== undefined && after !== null) {
+    filter.seq = { ...filter.seq, $gt: Number(after) };
+  }
+  const forward = after !== undefined && after !== null;
+
+  const page = await this.find(filter)
+    .sort({ seq: forward ? 1 : -1 })
+    .limit(limit + 1);
+  const hasMore = page.length > limit;
+  const messages = page.slice(0, limit);
+  if (!forward) {
+    messages.reverse();
+  }
+
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = forward ? messages[messages.length - 1].seq : messages[0].seq;
+  }
+  return { messages, has_more: hasMore, next_cursor: nextCursor };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
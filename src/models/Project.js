@@ -18,6 +18,22 @@ const projectSchema = new mongoose.Schema(
       ref: 'Organization',
       required: true,
     },
+    // Typed custom fields the project's conversations can carry
+    // (see services/conversationAttributeService.js)
+    conversation_fields: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        label: { type: String, default: null },
+        type: {
+          type: String,
+          enum: ['text', 'number', 'boolean', 'date', 'select'],
+          required: true,
+        },
+        // Allowed values of select fields
+        options: { type: [String], default: undefined },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const PromptVersion = require('./PromptVersion');
 
 const promptSchema = new mongoose.Schema(
   {
@@ -21,10 +22,38 @@ const promptSchema = new mongoose.Schema(
       ref: 'Project',
       required: true,
     },
+    // Latest version; every edit of a versioned field increments it and is
+    // stored as a PromptVersion
     version: {
       type: Number,
       default: 1,
     },
+    // Movable pointers to versions, e.g. production -> 3, staging -> 5
+    labels: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          match: /^[a-z0-9_-]+$/,
+        },
+        version: {
+          type: Number,
+          required: true,
+        },
+        updated_by: String,
+        updated_at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // JSON schema (object type) describing the Mustache variables the
+    // templates expect; executions with invalid variables are rejected
+    variables_schema: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
     api_key: {
       type: String,
       ref: 'ApiKey',
@@ -48,4 +77,42 @@ const promptSchema = new mongoose.Schema(
 // Ensure unique prompt names within a project
 promptSchema.index({ project: 1, name: 1 }, { unique: true });
 
+// Version history: any save that changes a versioned field bumps `version`
+// and records a PromptVersion. Callers can describe the change through
+// prompt.$locals.versionContext ({ created_by, note }).
+promptSchema.pre('save', function (next) {
+  const versionedChanged = PromptVersion.VERSIONED_FIELDS.some(field =>
+    this.isModified(field)
+  );
+  if (versionedChanged && !this.isNew && !this.isModified('version')) {
+    this.version += 1;
+  }
+
+  this.$locals.recordVersion = this.isNew || versionedChanged;
+  next();
+});
+
+promptSchema.post('save', async function () {
+  if (!this.$locals.recordVersion) {
+    return;
+  }
+  this.$locals.recordVersion = false;
+
+  const context = this.$locals.versionContext || {};
+  this.$locals.versionContext = null;
+
+  try {
+    await PromptVersion.record(this, context);
+  } catch (error) {
+    console.error(
+      `Failed to record version ${this.version} for prompt ${this._id}:`,
+      error.message
+    );
+  }
+});
+
+promptSchema.methods.getLabel = function (name) {
+  return (this.labels || []).find(label => label.name === name) || null;
+};
+
 module.exports = mongoose.model('Prompt', promptSchema);
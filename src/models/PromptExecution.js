@@ -12,6 +12,9 @@ const promptExecutionSchema = new mongoose.Schema(
       ref: 'Prompt',
       required: true,
     },
+    // Prompt version that ran and the label it was resolved from, if any
+    prompt_version: Number,
+    prompt_label: String,
     project: {
       type: String,
       ref: 'Project',
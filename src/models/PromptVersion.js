@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Prompt fields that make up a version. Editing any of them creates a new
+// version; name, description and labels are not versioned.
+const VERSIONED_FIELDS = [
+  'content',
+  'system_prompt',
+  'llm_settings',
+  'api_key',
+  'variables_schema',
+];
+
+const promptVersionSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    prompt: {
+      type: String,
+      ref: 'Prompt',
+      required: true,
+    },
+    // Matches Prompt.version at the time the version was written
+    version: {
+      type: Number,
+      required: true,
+    },
+    content: String,
+    system_prompt: String,
+    llm_settings: {
+      model: String,
+      parameters: {
+        temperature: Number,
+        max_tokens: Number,
+        top_p: Number,
+        frequency_penalty: Number,
+        presence_penalty: Number,
+      },
+    },
+    api_key: {
+      type: String,
+      ref: 'ApiKey',
+    },
+    variables_schema: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    created_by: {
+      type: String,
+      ref: 'User',
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+promptVersionSchema.index({ prompt: 1, version: -1 }, { unique: true });
+
+// Versions are immutable once written
+promptVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Prompt versions are immutable'));
+  }
+  next();
+});
+
+promptVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  next => next(new Error('Prompt versions are immutable'))
+);
+
+/**
+ * Store the prompt's current state as version `prompt.version`.
+ * A version that already exists for that number is left untouched.
+ */
+promptVersionSchema.statics.record = async function (prompt, context = {}) {
+  const plain = prompt.toObject
+    ? prompt.toObject({ depopulate: true })
+    : prompt;
+  const fields = {};
+  for (const field of VERSIONED_FIELDS) {
+    fields[field] = plain[field];
+  }
+
+  try {
+    return await this.create({
+      ...fields,
+      prompt: prompt._id,
+      version: prompt.version,
+      created_by: context.created_by || null,
+      note: context.note || null,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ prompt: prompt._id, version: prompt.version });
+    }
+    throw error;
+  }
+};
+
+promptVersionSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+module.exports = mongoose.model('PromptVersion', promptVersionSchema);
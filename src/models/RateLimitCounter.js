@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * RateLimitCounter — fixed-window hit counter shared by all instances.
+ *
+ * Each document counts the hits of one key in one window, e.g.
+ * "channel:<agentId>:<userIdentifier>:m:<minute>". Counting is a single
+ * atomic `$inc` upsert, so concurrent replicas never lose a hit. Windows
+ * delete themselves through the TTL index once they are over.
+ */
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    // Counter key including the window number
+    _id: { type: String },
+    count: { type: Number, default: 0 },
+    expires_at: { type: Date, required: true },
+  },
+  { timestamps: false }
+);
+
+rateLimitCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -23,6 +23,11 @@ const sessionTokenSchema = new mongoose.Schema(
       ref: 'Agent',
       required: true,
     },
+    // End user the session acts for (see bindUserIdentifier)
+    user_identifier: {
+      type: String,
+      default: null,
+    },
 
     // Security
     expires_at: {
@@ -107,6 +112,19 @@ sessionTokenSchema.methods.useInteraction = async function () {
   return this.max_interactions - this.interactions_used; // Return remaining interactions
 };
 
+// Method to bind the session to one end user: the identifier given when the
+// token was generated, or else the one of its first chat. Returns the bound
+// identifier, or null when another one is requested
+sessionTokenSchema.methods.bindUserIdentifier = async function (requested) {
+  if (!this.user_identifier) {
+    this.user_identifier = requested || `session_${this._id}`;
+    await this.save();
+  }
+  return !requested || requested === this.user_identifier
+    ? this.user_identifier
+    : null;
+};
+
 // Method to revoke the session
 sessionTokenSchema.methods.revoke = async function () {
   this.is_revoked = true;
@@ -10,9 +10,14 @@ const toolSchema = new mongoose.Schema(
     name: {
       type: String,
       required: true,
-      unique: true,
       trim: true,
     },
+    // Owning organization for custom tools; null for system tools
+    organization: {
+      type: String,
+      ref: 'Organization',
+      default: null,
+    },
     display_name: {
       type: String,
       required: true,
@@ -79,6 +84,10 @@ const toolSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.Mixed,
         default: {},
       },
+      // JavaScript function body for 'code' tools (run by codeToolService)
+      code: {
+        type: String,
+      },
     },
     is_system_tool: {
       type: Boolean,
@@ -116,6 +125,14 @@ const toolSchema = new mongoose.Schema(
   }
 );
 
+// Tool names are unique within an organization (system tools share null)
+toolSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+// Filter for the tools an organization can see: system tools and its own
+toolSchema.statics.visibleTo = function (organizationId) {
+  return { organization: { $in: [null, organizationId || null] } };
+};
+
 // Method to increment usage stats
 toolSchema.methods.recordUsage = function (success, executionTime) {
   this.usage_stats.total_calls += 1;
@@ -41,6 +41,8 @@ const userApiKeySchema = new mongoose.Schema(
           'projects:read', // Read project info
           'statistics:read', // Read usage statistics
           'handoffs:manage', // Manage external operators and handoff actions
+          'conversations:read', // Search conversations
+          'conversations:manage', // Tag conversations and set custom fields
         ],
       },
     ],
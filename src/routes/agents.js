@@ -1,8 +1,9 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const multer = require('multer');
 const router = express.Router({ mergeParams: true });
 const agentController = require('../controllers/agentController');
+const experimentController = require('../controllers/experimentController');
 const auth = require('../middleware/auth');
 const validate = require('../middleware/validate');
 const orgAuth = require('../middleware/organizationAuth');
@@ -14,6 +15,41 @@ const taskUpload = multer({
 });
 
 // Validation middleware
+const routingValidation = [
+  body('routing')
+    .optional()
+    .isObject()
+    .withMessage('routing must be an object'),
+  body('routing.specialists')
+    .optional()
+    .isArray()
+    .withMessage('routing.specialists must be an array'),
+  body('routing.specialists.*.agent')
+    .isString()
+    .notEmpty()
+    .withMessage('Each specialist needs an agent id'),
+  body('routing.specialists.*.description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Specialist description must be at most 1000 characters'),
+  body('routing.context_messages')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('routing.context_messages must be between 0 and 20'),
+];
+
+const workflowValidation = [
+  body('workflow')
+    .optional()
+    .isObject()
+    .withMessage('workflow must be an object'),
+  body('workflow.steps')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('workflow.steps must be an array of 1 to 100 steps'),
+];
+
 const createAgentValidation = [
   body('name')
     .trim()
@@ -24,7 +60,7 @@ const createAgentValidation = [
     ),
   body('description').optional().isString(),
   body('type')
-    .isIn(['chatbot', 'task', 'workflow', 'api'])
+    .isIn(['chatbot', 'task', 'workflow', 'api', 'router'])
     .withMessage('Invalid agent type'),
   body('system_prompt').notEmpty().withMessage('System prompt is required'),
   body('api_key').notEmpty().withMessage('API key is required'),
@@ -68,6 +104,28 @@ const createAgentValidation = [
     .optional()
     .isBoolean()
     .withMessage('Enable streaming must be a boolean'),
+  body('config.tool_calling_mode')
+    .optional()
+    .isIn(['text', 'native'])
+    .withMessage('Tool calling mode must be either text or native'),
+  // Feedback configuration validation
+  body('config.feedback')
+    .optional()
+    .isObject()
+    .withMessage('config.feedback must be an object'),
+  body('config.feedback.message_ratings')
+    .optional()
+    .isBoolean()
+    .withMessage('config.feedback.message_ratings must be a boolean'),
+  body([
+    'config.feedback.rating_prompt',
+    'config.feedback.csat_question',
+    'config.feedback.csat_thank_you',
+  ])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('Feedback texts must be between 1 and 1024 characters'),
   // GDPR configuration validation
   body('gdpr')
     .optional()
@@ -87,6 +145,8 @@ const createAgentValidation = [
       }
       return true;
     }),
+  ...routingValidation,
+  ...workflowValidation,
 ];
 
 const updateAgentValidation = [
@@ -141,6 +201,28 @@ const updateAgentValidation = [
     .optional()
     .isBoolean()
     .withMessage('Enable streaming must be a boolean'),
+  body('config.tool_calling_mode')
+    .optional()
+    .isIn(['text', 'native'])
+    .withMessage('Tool calling mode must be either text or native'),
+  // Feedback configuration validation
+  body('config.feedback')
+    .optional()
+    .isObject()
+    .withMessage('config.feedback must be an object'),
+  body('config.feedback.message_ratings')
+    .optional()
+    .isBoolean()
+    .withMessage('config.feedback.message_ratings must be a boolean'),
+  body([
+    'config.feedback.rating_prompt',
+    'config.feedback.csat_question',
+    'config.feedback.csat_thank_you',
+  ])
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1024 })
+    .withMessage('Feedback texts must be between 1 and 1024 characters'),
   // GDPR configuration validation
   body('gdpr')
     .optional()
@@ -160,6 +242,8 @@ const updateAgentValidation = [
       }
       return true;
     }),
+  ...routingValidation,
+  ...workflowValidation,
 ];
 
 const chatbotExecutionValidation = [
@@ -281,6 +365,19 @@ router.get(
   agentController.getConversation
 );
 
+router.get(
+  '/:agentId/conversations/:conversationId/messages',
+  auth,
+  orgAuth.hasRole('viewer'),
+  [
+    query('before').optional().isInt({ min: 0 }),
+    query('after').optional().isInt({ min: -1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+  ],
+  validate,
+  agentController.getConversationMessages
+);
+
 router.delete(
   '/:agentId/conversations',
   auth,
@@ -304,6 +401,25 @@ router.get(
   agentController.getAgentExecution
 );
 
+// Approve or reject the step a workflow execution is waiting on
+router.post(
+  '/:agentId/executions/:executionId/approval',
+  auth,
+  orgAuth.hasRole('member'),
+  [
+    body('approved')
+      .isBoolean({ strict: true })
+      .withMessage('approved must be true or false'),
+    body('comment')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Comment must be at most 2000 characters'),
+  ],
+  validate,
+  agentController.decideWorkflowApproval
+);
+
 // ===== API ENDPOINTS CONFIGURATION ROUTES =====
 
 const apiEndpointsValidation = [
@@ -438,6 +554,10 @@ const faqValidation = [
     .optional()
     .isString()
     .withMessage('FAQ category must be a string'),
+  body('embedding')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('embedding must be an object'),
 ];
 
 router.post(
@@ -708,10 +828,10 @@ const hooksValidation = [
     .isString()
     .withMessage('Each hook must have a name'),
   body('hooks.*.type')
-    .isIn(['llm', 'webhook'])
-    .withMessage('Hook type must be llm or webhook'),
+    .isIn(['llm', 'webhook', 'action'])
+    .withMessage('Hook type must be llm, webhook or action'),
   body('hooks.*.trigger')
-    .isIn(['every_message', 'user_message_only', 'human_controlled_only', 'new_conversation', 'inactivity'])
+    .isIn(['every_message', 'user_message_only', 'human_controlled_only', 'new_conversation', 'inactivity', 'handoff_requested'])
     .withMessage('Invalid trigger'),
   body('hooks.*.enabled')
     .optional()
@@ -745,6 +865,14 @@ const hooksValidation = [
     .optional()
     .isIn(['any', 'human_controlled_only', 'agent_controlled_only'])
     .withMessage('inactivity_condition must be any, human_controlled_only, or agent_controlled_only'),
+  body('hooks.*.conditions')
+    .optional()
+    .isArray()
+    .withMessage('conditions must be an array'),
+  body('hooks.*.actions')
+    .optional()
+    .isArray()
+    .withMessage('actions must be an array'),
 ];
 
 router.post(
@@ -763,4 +891,266 @@ router.get(
   agentController.getHooks
 );
 
+router.get(
+  '/:agentId/hooks/scheduled',
+  auth,
+  orgAuth.hasRole('admin'),
+  [query('conversation_id').optional().isString()],
+  validate,
+  agentController.getScheduledHooks
+);
+
+// ===== MCP SERVERS CONFIGURATION ROUTES =====
+
+const mcpServersValidation = [
+  body('mcp_servers')
+    .isArray()
+    .withMessage('mcp_servers must be an array'),
+  body('mcp_servers.*.name')
+    .matches(/^[a-zA-Z0-9_-]{1,32}$/)
+    .withMessage('MCP server name must be 1-32 letters, numbers, underscores or hyphens'),
+  body('mcp_servers.*.transport')
+    .isIn(['stdio', 'http'])
+    .withMessage('transport must be stdio or http'),
+  body('mcp_servers.*.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  body('mcp_servers.*.command')
+    .optional()
+    .isString()
+    .withMessage('command must be a string'),
+  body('mcp_servers.*.args')
+    .optional()
+    .isArray()
+    .withMessage('args must be an array of strings'),
+  body('mcp_servers.*.env')
+    .optional()
+    .isObject()
+    .withMessage('env must be an object'),
+  body('mcp_servers.*.url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('url must be a valid URL'),
+  body('mcp_servers.*.headers')
+    .optional()
+    .isObject()
+    .withMessage('headers must be an object'),
+  body('mcp_servers.*.allowed_tools')
+    .optional()
+    .isArray()
+    .withMessage('allowed_tools must be an array of tool names'),
+  body('mcp_servers.*.timeout_ms')
+    .optional()
+    .isInt({ min: 1000, max: 120000 })
+    .withMessage('timeout_ms must be between 1000 and 120000'),
+];
+
+router.put(
+  '/:agentId/mcp-servers',
+  auth,
+  orgAuth.hasRole('member'),
+  mcpServersValidation,
+  validate,
+  agentController.configureMcpServers
+);
+
+router.get(
+  '/:agentId/mcp-servers',
+  auth,
+  orgAuth.hasRole('viewer'),
+  agentController.getMcpServers
+);
+
+router.get(
+  '/:agentId/mcp-servers/:serverName/tools',
+  auth,
+  orgAuth.hasRole('member'),
+  agentController.getMcpServerTools
+);
+
+// ===== REVISIONS & DRAFTS ROUTES =====
+
+router.get(
+  '/:agentId/draft',
+  auth,
+  orgAuth.hasRole('viewer'),
+  agentController.getDraft
+);
+
+router.delete(
+  '/:agentId/draft',
+  auth,
+  orgAuth.hasRole('member'),
+  agentController.discardDraft
+);
+
+router.post(
+  '/:agentId/draft/publish',
+  auth,
+  orgAuth.hasRole('member'),
+  [
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('note must be a string of at most 500 characters'),
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('force must be a boolean'),
+  ],
+  validate,
+  agentController.publishDraft
+);
+
+router.get(
+  '/:agentId/revisions',
+  auth,
+  orgAuth.hasRole('viewer'),
+  agentController.getRevisions
+);
+
+// Must be registered before /:agentId/revisions/:revision
+router.get(
+  '/:agentId/revisions/diff',
+  auth,
+  orgAuth.hasRole('viewer'),
+  [
+    query('from')
+      .matches(/^(\d+|live|draft)$/)
+      .withMessage('from must be a revision number, live or draft'),
+    query('to')
+      .optional()
+      .matches(/^(\d+|live|draft)$/)
+      .withMessage('to must be a revision number, live or draft'),
+  ],
+  validate,
+  agentController.diffRevisions
+);
+
+router.get(
+  '/:agentId/revisions/:revision',
+  auth,
+  orgAuth.hasRole('viewer'),
+  [param('revision').isInt({ min: 1 }).withMessage('Invalid revision')],
+  validate,
+  agentController.getRevision
+);
+
+router.post(
+  '/:agentId/revisions/:revision/rollback',
+  auth,
+  orgAuth.hasRole('member'),
+  [
+    param('revision').isInt({ min: 1 }).withMessage('Invalid revision'),
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('note must be a string of at most 500 characters'),
+  ],
+  validate,
+  agentController.rollbackRevision
+);
+
+// ===== EXPERIMENTS ROUTES =====
+
+const variantValidation = [
+  body('variants.*.key')
+    .isString()
+    .trim()
+    .matches(/^[a-zA-Z0-9_-]{1,50}$/)
+    .withMessage(
+      'Variant key must be 1-50 letters, digits, underscores or hyphens'
+    ),
+  body('variants.*.weight')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Variant weight must be a percentage between 0 and 100'),
+  body('variants.*.overrides.model')
+    .optional()
+    .isString()
+    .withMessage('overrides.model must be a string'),
+  body('variants.*.overrides.system_prompt')
+    .optional()
+    .isString()
+    .withMessage('overrides.system_prompt must be a string'),
+  body('variants.*.overrides.enable_small_agent_graph')
+    .optional()
+    .isBoolean()
+    .withMessage('overrides.enable_small_agent_graph must be a boolean'),
+];
+
+const createExperimentValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('description').optional().isString(),
+  body('variants')
+    .isArray({ min: 2 })
+    .withMessage('variants must be an array of at least two variants'),
+  ...variantValidation,
+];
+
+const updateExperimentValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('description').optional().isString(),
+  body('variants')
+    .optional()
+    .isArray({ min: 2 })
+    .withMessage('variants must be an array of at least two variants'),
+  ...variantValidation,
+];
+
+router.get(
+  '/:agentId/experiments',
+  auth,
+  orgAuth.hasRole('viewer'),
+  experimentController.getExperiments
+);
+
+router.post(
+  '/:agentId/experiments',
+  auth,
+  orgAuth.hasRole('member'),
+  createExperimentValidation,
+  validate,
+  experimentController.createExperiment
+);
+
+router.get(
+  '/:agentId/experiments/:experimentId',
+  auth,
+  orgAuth.hasRole('viewer'),
+  experimentController.getExperiment
+);
+
+router.put(
+  '/:agentId/experiments/:experimentId',
+  auth,
+  orgAuth.hasRole('member'),
+  updateExperimentValidation,
+  validate,
+  experimentController.updateExperiment
+);
+
+router.post(
+  '/:agentId/experiments/:experimentId/start',
+  auth,
+  orgAuth.hasRole('member'),
+  experimentController.startExperiment
+);
+
+router.post(
+  '/:agentId/experiments/:experimentId/stop',
+  auth,
+  orgAuth.hasRole('member'),
+  experimentController.stopExperiment
+);
+
+router.delete(
+  '/:agentId/experiments/:experimentId',
+  auth,
+  orgAuth.hasRole('member'),
+  experimentController.deleteExperiment
+);
+
 module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router({ mergeParams: true }); // Important for nested routes
+const cannedResponseController = require('../controllers/cannedResponseController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const orgAuth = require('../middleware/organizationAuth');
+
+// Validation middleware
+const commonValidation = [
+  body('shortcut')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('shortcut must be a string'),
+  body('tags').optional().isArray().withMessage('tags must be an array'),
+  body('tags.*').optional().isString().withMessage('tags must be strings'),
+];
+
+const createValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('content').isString().notEmpty().withMessage('Content is required'),
+  ...commonValidation,
+];
+
+const updateValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty'),
+  body('content')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Content cannot be empty'),
+  ...commonValidation,
+];
+
+router.post(
+  '/',
+  auth,
+  orgAuth.hasRole('member'),
+  createValidation,
+  validate,
+  cannedResponseController.createCannedResponse
+);
+
+router.get(
+  '/',
+  auth,
+  orgAuth.hasRole('viewer'),
+  [
+    query('q').optional().isString().isLength({ max: 200 }),
+    query('tag').optional().isString(),
+  ],
+  validate,
+  cannedResponseController.getCannedResponses
+);
+
+router.get(
+  '/:responseId',
+  auth,
+  orgAuth.hasRole('viewer'),
+  cannedResponseController.getCannedResponse
+);
+
+router.put(
+  '/:responseId',
+  auth,
+  orgAuth.hasRole('member'),
+  updateValidation,
+  validate,
+  cannedResponseController.updateCannedResponse
+);
+
+router.delete(
+  '/:responseId',
+  auth,
+  orgAuth.hasRole('member'),
+  cannedResponseController.deleteCannedResponse
+);
+
+module.exports = router;
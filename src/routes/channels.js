@@ -113,4 +113,30 @@ router.get(
   channelController.getTelegramWebhookInfo
 );
 
+// ===== FLOOD CONTROL =====
+
+// List blocked senders
+router.get(
+  '/organizations/:orgId/projects/:projectId/agents/:agentId/channels/blocked-senders',
+  auth,
+  organizationAuth.hasRole('viewer'),
+  channelController.listBlockedSenders
+);
+
+// Block a sender
+router.post(
+  '/organizations/:orgId/projects/:projectId/agents/:agentId/channels/blocked-senders',
+  auth,
+  organizationAuth.hasRole('member'),
+  channelController.blockSender
+);
+
+// Unblock a sender
+router.delete(
+  '/organizations/:orgId/projects/:projectId/agents/:agentId/channels/blocked-senders/:userIdentifier',
+  auth,
+  organizationAuth.hasRole('member'),
+  channelController.unblockSender
+);
+
 module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router({ mergeParams: true });
+const conversationController = require('../controllers/conversationController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const orgAuth = require('../middleware/organizationAuth');
+const { generalLimiter } = require('../middleware/rateLimiting');
+
+const searchValidation = [
+  query('q').optional().isString().isLength({ max: 500 }),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('archived').optional().isIn(['true', 'false']),
+  query('facets').optional().isIn(['true', 'false']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+];
+
+const attributesValidation = [
+  body('tags').optional().isArray().withMessage('tags must be an array'),
+  body('add_tags')
+    .optional()
+    .isArray()
+    .withMessage('add_tags must be an array'),
+  body('remove_tags')
+    .optional()
+    .isArray()
+    .withMessage('remove_tags must be an array'),
+  body('custom_fields')
+    .optional()
+    .isObject()
+    .withMessage('custom_fields must be an object'),
+];
+
+/**
+ * @route GET /api/v1/organizations/:orgId/conversations/search
+ * @desc Search conversations by message words, tags, custom fields and dates
+ * @access Private (Organization member)
+ */
+router.get(
+  '/search',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  auth,
+  orgAuth.isMember,
+  searchValidation,
+  validate,
+  conversationController.searchConversations
+);
+
+/**
+ * @route PATCH /api/v1/organizations/:orgId/conversations/:conversationId/attributes
+ * @desc Change the tags and custom fields of a conversation
+ * @access Private (Organization member role or above)
+ */
+router.patch(
+  '/:conversationId/attributes',
+  auth,
+  orgAuth.hasRole('member'),
+  attributesValidation,
+  validate,
+  conversationController.updateConversationAttributes
+);
+
+/**
+ * @route POST /api/v1/organizations/:orgId/conversations/:conversationId/csat-request
+ * @desc Send the end-of-conversation CSAT survey to the user
+ * @access Private (Organization member role or above)
+ */
+router.post(
+  '/:conversationId/csat-request',
+  auth,
+  orgAuth.hasRole('member'),
+  conversationController.requestCsat
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router({ mergeParams: true }); // Important for nested routes
+const evalController = require('../controllers/evalController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const orgAuth = require('../middleware/organizationAuth');
+
+// Validation middleware
+const caseValidation = [
+  body('cases').optional().isArray().withMessage('cases must be an array'),
+  body('cases.*.name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each case needs a name'),
+  body('cases.*.messages')
+    .optional()
+    .isArray()
+    .withMessage('messages must be an array of strings'),
+  body('cases.*.messages.*')
+    .optional()
+    .isString()
+    .withMessage('messages must be an array of strings'),
+  body('cases.*.variables')
+    .optional()
+    .isObject()
+    .withMessage('variables must be an object'),
+  body('cases.*.context')
+    .optional()
+    .isObject()
+    .withMessage('context must be an object'),
+  body('cases.*.expected.must_mention')
+    .optional()
+    .isArray()
+    .withMessage('must_mention must be an array of strings'),
+  body('cases.*.expected.must_not_mention')
+    .optional()
+    .isArray()
+    .withMessage('must_not_mention must be an array of strings'),
+  body('cases.*.expected.tool_calls')
+    .optional()
+    .isArray()
+    .withMessage('tool_calls must be an array'),
+  body('cases.*.expected.handoff')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('handoff must be a boolean'),
+  body('cases.*.expected.json_schema')
+    .optional()
+    .isObject()
+    .withMessage('json_schema must be an object'),
+  body('cases.*.expected.rubric')
+    .optional()
+    .isString()
+    .withMessage('rubric must be a string'),
+  body('cases.*.stub_responses')
+    .optional()
+    .isArray()
+    .withMessage('stub_responses must be an array'),
+];
+
+const createDatasetValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('description').optional().isString(),
+  body('target_type')
+    .isIn(['chatbot', 'task', 'prompt'])
+    .withMessage('target_type must be chatbot, task or prompt'),
+  ...caseValidation,
+];
+
+const updateDatasetValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('description').optional().isString(),
+  ...caseValidation,
+];
+
+const runValidation = [
+  body('agent_id').optional().isString(),
+  body('use_draft').optional().isBoolean(),
+  body('prompt_id').optional().isString(),
+  body('prompt_version').optional().isInt({ min: 1 }),
+  body('prompt_label').optional().isString(),
+  body('judge.api_key').optional().isString(),
+  body('judge.model').optional().isString(),
+  body('judge.pass_threshold')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('pass_threshold must be between 0 and 1'),
+  body('note').optional().isString().isLength({ max: 500 }),
+  body('wait').optional().isBoolean(),
+];
+
+// Datasets
+router.post(
+  '/datasets',
+  auth,
+  orgAuth.hasRole('member'),
+  createDatasetValidation,
+  validate,
+  evalController.createDataset
+);
+
+router.get(
+  '/datasets',
+  auth,
+  orgAuth.hasRole('viewer'),
+  evalController.getDatasets
+);
+
+router.get(
+  '/datasets/:datasetId',
+  auth,
+  orgAuth.hasRole('viewer'),
+  evalController.getDataset
+);
+
+router.put(
+  '/datasets/:datasetId',
+  auth,
+  orgAuth.hasRole('member'),
+  updateDatasetValidation,
+  validate,
+  evalController.updateDataset
+);
+
+router.delete(
+  '/datasets/:datasetId',
+  auth,
+  orgAuth.hasRole('admin'),
+  evalController.deleteDataset
+);
+
+// Runs
+router.post(
+  '/datasets/:datasetId/runs',
+  auth,
+  orgAuth.hasRole('member'),
+  runValidation,
+  validate,
+  evalController.createRun
+);
+
+router.get(
+  '/datasets/:datasetId/runs',
+  auth,
+  orgAuth.hasRole('viewer'),
+  evalController.getRuns
+);
+
+// Must be registered before /runs/:runId
+router.get(
+  '/runs/compare',
+  auth,
+  orgAuth.hasRole('viewer'),
+  [
+    query('base').isString().notEmpty().withMessage('base run id is required'),
+    query('head').isString().notEmpty().withMessage('head run id is required'),
+  ],
+  validate,
+  evalController.compareRuns
+);
+
+router.get(
+  '/runs/:runId',
+  auth,
+  orgAuth.hasRole('viewer'),
+  evalController.getRun
+);
+
+module.exports = router;
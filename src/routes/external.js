@@ -4,6 +4,7 @@ const router = express.Router();
 const proxyController = require('../controllers/proxyController');
 const agentController = require('../controllers/agentController');
 const handoffController = require('../controllers/handoffController');
+const conversationController = require('../controllers/conversationController');
 const { uploadMiddleware, uploadFiles } = require('../controllers/uploadController');
 const { apiKeyAuth, flexibleAuth } = require('../middleware/apiKeyAuth');
 const {
@@ -19,6 +20,14 @@ const promptExecutionValidation = [
     .optional()
     .isObject()
     .withMessage('Variables must be an object'),
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  body('label')
+    .optional()
+    .isString()
+    .withMessage('Label must be a string'),
 ];
 
 const agentChatValidation = [
@@ -58,6 +67,29 @@ const agentTaskValidation = [
     .withMessage('Context must be an object'),
 ];
 
+const feedbackValidation = [
+  body('type')
+    .isIn(['message', 'csat'])
+    .withMessage('type must be "message" or "csat"'),
+  body('message_id')
+    .optional()
+    .isString()
+    .withMessage('message_id must be a string'),
+  body('rating')
+    .optional()
+    .isIn(['up', 'down'])
+    .withMessage('rating must be "up" or "down"'),
+  body('score')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('score must be an integer from 1 to 5'),
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('comment must be at most 2000 characters'),
+];
+
 // Middleware to validate project access for API keys
 const validateProjectAccess = (req, res, next) => {
   if (req.apiKey && !req.apiKey.canAccessProject(req.params.projectId)) {
@@ -232,6 +264,59 @@ router.get(
   handoffController.getLatestMessages
 );
 
+// ===== FEEDBACK ROUTES =====
+
+// Rate an agent reply or the conversation (session-based, chat widget)
+// Note: This endpoint does NOT count towards session interaction limits
+router.post(
+  '/conversations/:conversationId/feedback',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  sessionAuth({ skipInteractionCount: true }),
+  feedbackValidation,
+  validate,
+  conversationController.submitFeedback
+);
+
+// Rate an agent reply or the conversation (API key-based)
+router.post(
+  '/organizations/:orgId/projects/:projectId/conversations/:conversationId/feedback',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  apiKeyAuth(['agents:chat']),
+  validateProjectAccess,
+  feedbackValidation,
+  validate,
+  conversationController.submitFeedback
+);
+
+// Send the end-of-conversation CSAT survey to the user
+router.post(
+  '/organizations/:orgId/projects/:projectId/conversations/:conversationId/csat-request',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  apiKeyAuth(['agents:chat']),
+  validateProjectAccess,
+  conversationController.requestCsat
+);
+
+// ===== CONVERSATION SEARCH & ATTRIBUTE ROUTES =====
+
+// Search the project's conversations
+router.get(
+  '/organizations/:orgId/projects/:projectId/conversations/search',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  apiKeyAuth(['conversations:read']),
+  validateProjectAccess,
+  conversationController.searchConversations
+);
+
+// Change the tags and custom fields of a conversation
+router.patch(
+  '/organizations/:orgId/projects/:projectId/conversations/:conversationId/attributes',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  apiKeyAuth(['conversations:manage']),
+  validateProjectAccess,
+  conversationController.updateConversationAttributes
+);
+
 // ===== USAGE STATISTICS ROUTES =====
 
 // Get API key usage statistics
@@ -278,6 +363,15 @@ router.post(
   handoffController.takeoverConversation
 );
 
+// Decline a routed handoff (external_operator_id in body)
+router.post(
+  '/organizations/:orgId/projects/:projectId/conversations/:conversationId/decline',
+  generalLimiter,
+  apiKeyAuth(['handoffs:manage']),
+  validateProjectAccess,
+  handoffController.declineHandoff
+);
+
 // Send message as operator (supports external_operator_id in body)
 router.post(
   '/organizations/:orgId/projects/:projectId/conversations/:conversationId/message',
@@ -287,6 +381,24 @@ router.post(
   handoffController.sendHumanMessage
 );
 
+// List canned responses filled in for the conversation
+router.get(
+  '/organizations/:orgId/projects/:projectId/conversations/:conversationId/canned-responses',
+  generalLimiter,
+  apiKeyAuth(['handoffs:manage']),
+  validateProjectAccess,
+  handoffController.getConversationCannedResponses
+);
+
+// Have the agent draft a reply for the operator (not sent)
+router.post(
+  '/organizations/:orgId/projects/:projectId/conversations/:conversationId/draft',
+  generalLimiter,
+  apiKeyAuth(['handoffs:manage']),
+  validateProjectAccess,
+  handoffController.draftReply
+);
+
 // Hand conversation back to agent (supports external_operator_id in body)
 router.post(
   '/organizations/:orgId/projects/:projectId/conversations/:conversationId/handback',
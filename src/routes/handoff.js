@@ -52,12 +52,30 @@ router.post(
   handoffController.refuseHandoff
 );
 
+// Decline a routed handoff offered or assigned to an external operator
+router.post(
+  '/conversations/:conversationId/decline',
+  handoffController.declineHandoff
+);
+
 // Send message as human operator
 router.post(
   '/conversations/:conversationId/message',
   handoffController.sendHumanMessage
 );
 
+// List canned responses filled in for the conversation
+router.get(
+  '/conversations/:conversationId/canned-responses',
+  handoffController.getConversationCannedResponses
+);
+
+// Have the agent draft a reply for the operator (not sent)
+router.post(
+  '/conversations/:conversationId/draft',
+  handoffController.draftReply
+);
+
 // Hand conversation back to agent
 router.post(
   '/conversations/:conversationId/handback',
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router({ mergeParams: true }); // Important for nested routes
+const knowledgeBaseController = require('../controllers/knowledgeBaseController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const orgAuth = require('../middleware/organizationAuth');
+
+// Validation middleware
+const commonValidation = [
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('description must be a string'),
+  body('vector_database_config')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('vector_database_config must be a configuration ID'),
+  body('metadata_fields')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('metadata_fields must be an array'),
+  body('embedding')
+    .optional()
+    .isObject()
+    .withMessage('embedding must be an object'),
+  body('crawler')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('crawler must be an object'),
+];
+
+const createValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...commonValidation,
+];
+
+const updateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ...commonValidation,
+];
+
+router.post(
+  '/',
+  auth,
+  orgAuth.hasRole('member'),
+  createValidation,
+  validate,
+  knowledgeBaseController.createKnowledgeBase
+);
+
+router.get(
+  '/',
+  auth,
+  orgAuth.hasRole('viewer'),
+  knowledgeBaseController.getKnowledgeBases
+);
+
+router.get(
+  '/:knowledgeBaseId',
+  auth,
+  orgAuth.hasRole('viewer'),
+  knowledgeBaseController.getKnowledgeBase
+);
+
+router.put(
+  '/:knowledgeBaseId',
+  auth,
+  orgAuth.hasRole('member'),
+  updateValidation,
+  validate,
+  knowledgeBaseController.updateKnowledgeBase
+);
+
+router.post(
+  '/:knowledgeBaseId/crawl',
+  auth,
+  orgAuth.hasRole('member'),
+  knowledgeBaseController.crawlKnowledgeBase
+);
+
+router.post(
+  '/:knowledgeBaseId/reindex',
+  auth,
+  orgAuth.hasRole('member'),
+  knowledgeBaseController.reindexKnowledgeBase
+);
+
+router.get(
+  '/:knowledgeBaseId/pages',
+  auth,
+  orgAuth.hasRole('viewer'),
+  knowledgeBaseController.getCrawledPages
+);
+
+// Deleting removes the indexed documents too, like clearing the RAG index
+router.delete(
+  '/:knowledgeBaseId',
+  auth,
+  orgAuth.hasRole('admin'),
+  knowledgeBaseController.deleteKnowledgeBase
+);
+
+module.exports = router;
@@ -18,11 +18,24 @@ const agentRoutes = require('./agents');
 const userApiKeyRoutes = require('./userApiKeys');
 const ragRoutes = require('./rag');
 const gdprRoutes = require('./gdpr');
+const evalRoutes = require('./evals');
+const conversationRoutes = require('./conversations');
+const cannedResponseRoutes = require('./cannedResponses');
+const knowledgeBaseRoutes = require('./knowledgeBases');
+const toolRoutes = require('./tools');
 router.use('/:orgId/projects/:projectId/api-keys', apiKeyRoutes);
 router.use('/:orgId/projects/:projectId/agents', agentRoutes);
 router.use('/:orgId/projects/:projectId/rag', ragRoutes);
+router.use('/:orgId/projects/:projectId/knowledge-bases', knowledgeBaseRoutes);
+router.use('/:orgId/projects/:projectId/evals', evalRoutes);
+router.use(
+  '/:orgId/projects/:projectId/canned-responses',
+  cannedResponseRoutes
+);
 router.use('/:orgId/user-api-keys', userApiKeyRoutes);
 router.use('/:orgId/gdpr', gdprRoutes);
+router.use('/:orgId/conversations', conversationRoutes);
+router.use('/:orgId/tools', toolRoutes);
 
 // Organization validation
 const organizationValidation = [
@@ -101,6 +114,20 @@ router.get(
   projectController.getProject
 );
 
+router.put(
+  '/:orgId/projects/:projectId/conversation-fields',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  auth,
+  orgAuth.hasRole('admin'),
+  [
+    body('conversation_fields')
+      .isArray()
+      .withMessage('conversation_fields must be an array'),
+  ],
+  validate,
+  projectController.updateConversationFields
+);
+
 router.post(
   '/:orgId/members',
   apiKeyLimiter, // Rate limit: 20 requests per 15 minutes (sensitive operation)
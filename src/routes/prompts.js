@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const router = express.Router({ mergeParams: true }); // Important for nested routes
 const promptController = require('../controllers/promptController');
 const auth = require('../middleware/auth');
@@ -18,6 +18,8 @@ const createPromptValidation = [
   body('description').optional().isString(),
   body('content').optional().isString(),
   body('system_prompt').optional().isString(),
+  body('variables_schema').optional({ nullable: true }).isObject(),
+  body('version_note').optional().isString().isLength({ max: 500 }),
 ];
 
 const updatePromptValidation = [
@@ -31,6 +33,16 @@ const updatePromptValidation = [
     .optional()
     .isFloat({ min: 0, max: 1 }),
   body('llm_settings.parameters.max_tokens').optional().isInt({ min: 1 }),
+  body('variables_schema').optional({ nullable: true }).isObject(),
+  body('version_note').optional().isString().isLength({ max: 500 }),
+];
+
+const labelValidation = [
+  param('label')
+    .matches(/^[a-z0-9_-]{1,32}$/)
+    .withMessage(
+      'Label can only contain lowercase letters, numbers, underscores and hyphens'
+    ),
 ];
 
 // Routes
@@ -66,4 +78,42 @@ router.get(
   promptController.getPrompt
 );
 
+// Versions & labels
+router.get(
+  '/:promptId/versions',
+  auth,
+  orgAuth.hasRole('viewer'),
+  promptController.getPromptVersions
+);
+
+router.get(
+  '/:promptId/versions/:version',
+  auth,
+  orgAuth.hasRole('viewer'),
+  [param('version').isInt({ min: 1 }).withMessage('Invalid version')],
+  validate,
+  promptController.getPromptVersion
+);
+
+router.put(
+  '/:promptId/labels/:label',
+  auth,
+  orgAuth.hasRole('member'),
+  [
+    ...labelValidation,
+    body('version').isInt({ min: 1 }).withMessage('version must be a positive integer'),
+  ],
+  validate,
+  promptController.setPromptLabel
+);
+
+router.delete(
+  '/:promptId/labels/:label',
+  auth,
+  orgAuth.hasRole('member'),
+  labelValidation,
+  validate,
+  promptController.deletePromptLabel
+);
+
 module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router({ mergeParams: true });
 const { body, param } = require('express-validator');
 const ragController = require('../controllers/ragController');
@@ -25,6 +26,10 @@ const validateSearchRequest = [
     .optional()
     .isIn(['semantic', 'hybrid', 'keyword'])
     .withMessage('Invalid search type'),
+  body('filters')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('filters must be an object keyed by metadata field'),
 ];
 
 const validateBatchRequest = [
@@ -33,6 +38,37 @@ const validateBatchRequest = [
     .withMessage('Document batches must be an array'),
 ];
 
+const validateFileRequest = [
+  body('api_key_id').notEmpty().withMessage('API key ID is required'),
+  body('chunk_size')
+    .optional()
+    .isInt({ min: 50, max: 4000 })
+    .withMessage('chunk_size must be between 50 and 4000 tokens'),
+  body('chunk_overlap')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('chunk_overlap must be a non-negative integer'),
+];
+
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 },
+});
+
+// Return multer errors (size, count, field name) as JSON
+const uploadFiles = (req, res, next) => {
+  fileUpload.array('files', 10)(req, res, err => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+      });
+    }
+    next();
+  });
+};
+
 /**
  * @route   POST /rag/index
  * @desc    Index JSON documents for RAG search
@@ -94,6 +130,21 @@ router.post(
   ragController.batchIndexDocuments
 );
 
+/**
+ * @route   POST /rag/files
+ * @desc    Index uploaded PDF, DOCX, HTML, Markdown, text or CSV files
+ * @access  Private (Organization Member)
+ */
+router.post(
+  '/files',
+  auth,
+  orgAuth.hasRole('member'),
+  uploadFiles,
+  validateFileRequest,
+  validate,
+  ragController.indexFiles
+);
+
 /**
  * @route   GET /rag/jobs/:jobId
  * @desc    Get indexing job status
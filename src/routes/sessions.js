@@ -19,6 +19,11 @@ const generateSessionValidation = [
     .withMessage(
       'Expires in must be between 60 and 86400 seconds (1 minute to 24 hours)'
     ),
+  body('userIdentifier')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('User identifier must be a string of 1 to 255 characters'),
 ];
 
 // ===== SESSION TOKEN ROUTES =====
@@ -33,4 +33,53 @@ router.get(
   statisticsController.getAgentStats
 );
 
+/**
+ * @route GET /api/v1/organizations/:orgId/statistics/agents/:agentId/feedback
+ * @desc List end-user feedback of an agent with the rated replies
+ * @access Private (Organization member)
+ * @query {string} type - 'message' or 'csat' (optional)
+ * @query {string} rating - 'up' or 'down' (optional)
+ * @query {number} revision - Agent revision (optional)
+ * @query {string} with_comment - 'true' for feedback with a comment only (optional)
+ * @query {string} from - Given on or after this date (optional)
+ * @query {number} page, limit - Pagination (default: 1, 20)
+ */
+router.get(
+  '/:orgId/statistics/agents/:agentId/feedback',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  auth,
+  orgAuth.isMember,
+  statisticsController.getAgentFeedback
+);
+
+/**
+ * @route GET /api/v1/organizations/:orgId/statistics/handoffs
+ * @desc Get handoff SLA statistics per project and operator
+ * @access Private (Organization member)
+ * @query {string} period - Time period: '1d', '1w', '1m', 'current-month', 'last-month' (default: '1w')
+ * @query {string} project_id - Only handoffs of this project (optional)
+ */
+router.get(
+  '/:orgId/statistics/handoffs',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  auth,
+  orgAuth.isMember,
+  statisticsController.getHandoffStats
+);
+
+/**
+ * @route GET /api/v1/organizations/:orgId/statistics/handoffs/operators/:operatorId
+ * @desc Get handoff statistics for one operator (user ID or external_id)
+ * @access Private (Organization member)
+ * @query {string} period - Time period: '1d', '1w', '1m', 'current-month', 'last-month' (default: '1w')
+ * @query {string} project_id - Only handoffs of this project (optional)
+ */
+router.get(
+  '/:orgId/statistics/handoffs/operators/:operatorId',
+  generalLimiter, // Rate limit: 100 requests per 15 minutes
+  auth,
+  orgAuth.isMember,
+  statisticsController.getOperatorHandoffStats
+);
+
 module.exports = router;
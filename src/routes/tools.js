@@ -1,9 +1,10 @@
 const express = require('express');
 const { body } = require('express-validator');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 const toolController = require('../controllers/toolController');
 const auth = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const orgAuth = require('../middleware/organizationAuth');
 const {
   generalLimiter,
   proxyLimiter,
@@ -53,6 +54,31 @@ const createToolValidation = [
   body('implementation.handler')
     .notEmpty()
     .withMessage('Implementation handler is required'),
+  body('implementation.config.url')
+    .if(body('implementation.type').isIn(['external_api', 'webhook']))
+    .matches(/^https?:\/\/\S+$/)
+    .withMessage('A valid implementation.config.url is required for HTTP tools'),
+  body('implementation.config.method')
+    .optional()
+    .isIn(['GET', 'POST', 'PUT', 'PATCH', 'DELETE'])
+    .withMessage('Invalid HTTP method'),
+  body('implementation.config.timeout_ms')
+    .optional()
+    .isInt({ min: 100, max: 60000 })
+    .withMessage('timeout_ms must be between 100 and 60000'),
+  body('implementation.config.retries')
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage('retries must be between 0 and 5'),
+  body('implementation.code')
+    .if(body('implementation.type').equals('code'))
+    .isString()
+    .notEmpty()
+    .withMessage('implementation.code is required for code tools'),
+  body('implementation.config.allowed_hosts')
+    .optional()
+    .isArray()
+    .withMessage('allowed_hosts must be an array of hostnames'),
 ];
 
 const updateToolValidation = [
@@ -71,6 +97,22 @@ const updateToolValidation = [
     ]),
   body('parameters_schema').optional().isObject(),
   body('implementation').optional().isObject(),
+  body('implementation.config.url')
+    .if(body('implementation.type').isIn(['external_api', 'webhook']))
+    .matches(/^https?:\/\/\S+$/)
+    .withMessage('A valid implementation.config.url is required for HTTP tools'),
+  body('implementation.config.method')
+    .optional()
+    .isIn(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']),
+  body('implementation.config.timeout_ms')
+    .optional()
+    .isInt({ min: 100, max: 60000 }),
+  body('implementation.config.retries').optional().isInt({ min: 0, max: 5 }),
+  body('implementation.code')
+    .if(body('implementation.type').equals('code'))
+    .isString()
+    .notEmpty(),
+  body('implementation.config.allowed_hosts').optional().isArray(),
   body('is_active').optional().isBoolean(),
 ];
 
@@ -81,6 +123,16 @@ const executeToolValidation = [
     .withMessage('Parameters must be an object'),
 ];
 
+// This router is mounted at /api/v1/tools, where only system tools are
+// visible, and at /api/v1/organizations/:orgId/tools, where the
+// organization's custom tools are too. Custom tools can only be managed
+// under their organization.
+const orgRole = minimumRole => {
+  const check = orgAuth.hasRole(minimumRole);
+  return (req, res, next) =>
+    req.params.orgId ? check(req, res, next) : next();
+};
+
 // ===== PUBLIC TOOL ROUTES =====
 
 // Get all available tools
@@ -88,6 +140,7 @@ router.get(
   '/',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   auth,
+  orgRole('viewer'),
   toolController.getTools
 );
 
@@ -96,6 +149,7 @@ router.get(
   '/categories',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   auth,
+  orgRole('viewer'),
   toolController.getToolCategories
 );
 
@@ -104,6 +158,7 @@ router.get(
   '/:toolName',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   auth,
+  orgRole('viewer'),
   toolController.getTool
 );
 
@@ -112,6 +167,7 @@ router.get(
   '/:toolName/stats',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   auth,
+  orgRole('viewer'),
   toolController.getToolUsageStats
 );
 
@@ -121,40 +177,45 @@ router.post(
   proxyLimiter, // Rate limit: 60 requests per minute (tool execution)
   generalSlowDown, // Progressive delays
   auth,
+  orgRole('member'),
   executeToolValidation,
   validate,
   toolController.executeTool
 );
 
-// ===== ADMIN TOOL MANAGEMENT ROUTES =====
+// ===== ORGANIZATION TOOL MANAGEMENT ROUTES =====
+// HTTP and code tools additionally require the admin role (see toolController)
 
-// Create custom tool (admin only)
+// Create custom tool
 router.post(
   '/',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   generalSlowDown, // Progressive delays
   auth,
+  orgAuth.hasRole('member'),
   createToolValidation,
   validate,
   toolController.createTool
 );
 
-// Update custom tool (admin only)
+// Update custom tool
 router.put(
   '/:toolName',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   generalSlowDown, // Progressive delays
   auth,
+  orgAuth.hasRole('member'),
   updateToolValidation,
   validate,
   toolController.updateTool
 );
 
-// Delete custom tool (admin only)
+// Delete custom tool
 router.delete(
   '/:toolName',
   generalLimiter, // Rate limit: 100 requests per 15 minutes
   auth,
+  orgAuth.hasRole('member'),
   toolController.deleteTool
 );
 
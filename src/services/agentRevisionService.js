@@ -0,0 +1,228 @@
+/**
+ * Agent Revision Service
+ *
+ * Draft / publish / rollback workflow on top of AgentRevision:
+ *
+ *   - Every change to an agent's versioned fields (see
+ *     AgentRevision.VERSIONED_FIELDS) bumps Agent.version and stores an
+ *     immutable revision snapshot (Agent pre/post save hooks).
+ *   - A draft holds unpublished edits in agent.draft.snapshot. Draft test
+ *     conversations run with the draft applied in memory; live traffic keeps
+ *     using the published fields.
+ *   - Publishing copies the draft onto the live fields as a new revision.
+ *     Rolling back does the same with an earlier revision's snapshot.
+ */
+
+const Agent = require('../models/Agent');
+const AgentRevision = require('../models/AgentRevision');
+const { diffObjects } = require('../utils/objectDiff');
+
+function revisionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class AgentRevisionService {
+  hasDraft(agent) {
+    return !!agent.draft?.snapshot;
+  }
+
+  /**
+   * Overlay the draft onto an agent document in memory so it can be
+   * executed. The document is flagged so it can never be saved.
+   */
+  applyDraft(agent) {
+    if (!this.hasDraft(agent)) {
+      throw revisionError('Agent has no draft', 'NO_DRAFT');
+    }
+    agent.set(JSON.parse(JSON.stringify(agent.draft.snapshot)));
+    agent.$locals.draftApplied = true;
+    return agent;
+  }
+
+  /**
+   * Store a draft snapshot without touching the live fields.
+   *
+   * @param {Object} agent    - live agent document
+   * @param {Object} snapshot - versioned fields (AgentRevision.snapshotOf)
+   * @param {string} userId
+   */
+  async saveDraft(agent, snapshot, userId = null) {
+    const draft = {
+      snapshot,
+      base_revision: this.hasDraft(agent)
+        ? agent.draft.base_revision
+        : agent.version,
+      updated_by: userId,
+      updated_at: new Date(),
+    };
+
+    // updateOne bypasses the revision hooks: a draft is not a live change
+    await Agent.updateOne({ _id: agent._id }, { $set: { draft } });
+    return draft;
+  }
+
+  async discardDraft(agent) {
+    await Agent.updateOne(
+      { _id: agent._id },
+      {
+        $set: {
+          draft: {
+            snapshot: null,
+            base_revision: null,
+            updated_by: null,
+            updated_at: null,
+          },
+        },
+      }
+    );
+  }
+
+  /**
+   * Publish the draft as a new live revision.
+   *
+   * Fails with DRAFT_STALE when the live agent changed after the draft was
+   * started, unless `force` is set.
+   */
+  async publishDraft(
+    agent,
+    { userId = null, note = null, force = false } = {}
+  ) {
+    if (!this.hasDraft(agent)) {
+      throw revisionError('Agent has no draft to publish', 'NO_DRAFT');
+    }
+    if (!force && agent.draft.base_revision !== agent.version) {
+      throw revisionError(
+        `Draft was started from revision ${agent.draft.base_revision} but revision ${agent.version} is live`,
+        'DRAFT_STALE'
+      );
+    }
+
+    const snapshot = agent.draft.snapshot;
+    await this.ensureBaseline(agent);
+
+    agent.set(JSON.parse(JSON.stringify(snapshot)));
+    agent.draft = {
+      snapshot: null,
+      base_revision: null,
+      updated_by: null,
+      updated_at: null,
+    };
+    agent.version += 1;
+    agent.$locals.revisionContext = {
+      source: 'publish',
+      created_by: userId,
+      note,
+    };
+    await agent.save();
+    return agent;
+  }
+
+  /**
+   * Make an earlier revision live again (recorded as a new revision).
+   */
+  async rollback(agent, revisionNumber, { userId = null, note = null } = {}) {
+    await this.ensureBaseline(agent);
+
+    const revision = await AgentRevision.findOne({
+      agent: agent._id,
+      revision: revisionNumber,
+    });
+    if (!revision) {
+      throw revisionError(
+        `Revision ${revisionNumber} not found`,
+        'REVISION_NOT_FOUND'
+      );
+    }
+
+    agent.set(JSON.parse(JSON.stringify(revision.snapshot)));
+    agent.version += 1;
+    agent.$locals.revisionContext = {
+      source: 'rollback',
+      restored_from: revision.revision,
+      created_by: userId,
+      note,
+    };
+    await agent.save();
+    return agent;
+  }
+
+  /**
+   * Agents created before revision history have no snapshot of their live
+   * state; record one so it can be diffed against and rolled back to.
+   */
+  async ensureBaseline(agent) {
+    const exists = await AgentRevision.exists({
+      agent: agent._id,
+      revision: agent.version,
+    });
+    if (!exists) {
+      await AgentRevision.record(agent, { source: 'baseline' });
+    }
+  }
+
+  async listRevisions(agentId, { limit = 50, skip = 0 } = {}) {
+    const [revisions, total] = await Promise.all([
+      AgentRevision.find({ agent: agentId })
+        .select('-snapshot')
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit),
+      AgentRevision.countDocuments({ agent: agentId }),
+    ]);
+    return { revisions, total };
+  }
+
+  getRevision(agentId, revisionNumber) {
+    return AgentRevision.findOne({ agent: agentId, revision: revisionNumber });
+  }
+
+  /**
+   * Resolve a revision reference to a snapshot: a revision number, 'live'
+   * (current published fields) or 'draft'.
+   */
+  async resolveSnapshot(agent, ref) {
+    if (ref === 'live') {
+      return AgentRevision.snapshotOf(agent);
+    }
+    if (ref === 'draft') {
+      if (!this.hasDraft(agent)) {
+        throw revisionError('Agent has no draft', 'NO_DRAFT');
+      }
+      return agent.draft.snapshot;
+    }
+
+    const revisionNumber = parseInt(ref, 10);
+    if (Number.isNaN(revisionNumber)) {
+      throw revisionError(
+        `Invalid revision reference '${ref}'`,
+        'REVISION_NOT_FOUND'
+      );
+    }
+    if (revisionNumber === agent.version) {
+      return AgentRevision.snapshotOf(agent);
+    }
+    const revision = await this.getRevision(agent._id, revisionNumber);
+    if (!revision) {
+      throw revisionError(
+        `Revision ${revisionNumber} not found`,
+        'REVISION_NOT_FOUND'
+      );
+    }
+    return revision.snapshot;
+  }
+
+  /**
+   * Diff between two revision references (numbers, 'live' or 'draft').
+   */
+  async diff(agent, fromRef, toRef) {
+    const [from, to] = await Promise.all([
+      this.resolveSnapshot(agent, fromRef),
+      this.resolveSnapshot(agent, toRef),
+    ]);
+    return diffObjects(from, to);
+  }
+}
+
+module.exports = new AgentRevisionService();
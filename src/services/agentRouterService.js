@@ -0,0 +1,247 @@
+/**
+ * Agent Router Service
+ *
+ * Router agents (type 'router') sit in front of several specialist chatbot
+ * agents of the same project, e.g. billing, technical and sales:
+ *
+ *   - Every agent-controlled turn is classified with the router's own model.
+ *     The turn goes to the chosen specialist, or stays with the router when
+ *     no specialist fits.
+ *   - All agents share the router's Conversation. Transfers are recorded as
+ *     AGENT_TRANSFERRED / AGENT_RETURNED system messages and the current
+ *     specialist is kept in conversation.active_agent.
+ *   - Conversations under human control are not classified; the router
+ *     stores the message like any other chatbot.
+ */
+
+const Agent = require('../models/Agent');
+const OpenAIService = require('./openaiService');
+
+const ROUTER_SYSTEM_PROMPT = `You route customer conversations to the assistant best suited to answer the customer's latest message.
+
+Rules:
+- Choose 0 for greetings, small talk and anything no specialist covers.
+- Stay with the current assistant unless the latest message clearly belongs to another one.
+- Judge the latest message in the context of the conversation: a short reply such as "yes" or an order number continues the current topic.
+
+Respond with JSON only: {"choice": <number>, "reason": "<one short sentence>"}`;
+
+function routingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class AgentRouterService {
+  /**
+   * Check a router's specialist list.
+   * @throws ROUTING_INVALID
+   */
+  async validateRouting(router, routing) {
+    const specialists = routing?.specialists || [];
+    const ids = specialists.map(specialist => specialist.agent);
+
+    if (new Set(ids).size !== ids.length) {
+      throw routingError(
+        'Each specialist can only be listed once',
+        'ROUTING_INVALID'
+      );
+    }
+    if (ids.includes(router._id)) {
+      throw routingError('A router cannot route to itself', 'ROUTING_INVALID');
+    }
+
+    const agents = await Agent.find({
+      _id: { $in: ids },
+      project: router.project,
+    }).select('type');
+
+    for (const id of ids) {
+      const agent = agents.find(a => a._id === id);
+      if (!agent) {
+        throw routingError(
+          `Specialist agent ${id} not found in this project`,
+          'ROUTING_INVALID'
+        );
+      }
+      if (agent.type !== 'chatbot') {
+        throw routingError(
+          `Specialist agent ${id} must be a chatbot agent`,
+          'ROUTING_INVALID'
+        );
+      }
+    }
+  }
+
+  /**
+   * Active specialists of a router, in configured order.
+   */
+  async getSpecialists(router) {
+    const configured = router.routing?.specialists || [];
+    const agents = await Agent.find({
+      _id: { $in: configured.map(specialist => specialist.agent) },
+      project: router.project,
+      type: 'chatbot',
+      is_active: true,
+    }).select('name description');
+
+    return configured
+      .map(specialist => {
+        const agent = agents.find(a => a._id === specialist.agent);
+        return agent
+          ? {
+              id: agent._id,
+              name: agent.name,
+              description: specialist.description || agent.description || '',
+            }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  buildClassificationPrompt(router, conversation, userMessage, specialists) {
+    const options = [
+      `0. ${router.name}: ${router.description || 'general questions'}`,
+      ...specialists.map(
+        (specialist, index) =>
+          `${index + 1}. ${specialist.name}: ${specialist.description}`
+      ),
+    ];
+
+    const currentIndex =
+      specialists.findIndex(s => s.id === conversation.active_agent) + 1;
+
+    const limit = router.routing?.context_messages ?? 6;
+    const history =
+      limit > 0
+        ? conversation
+            .getDecryptedMessages()
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            .slice(-limit)
+            .map(
+              m =>
+                `${m.role === 'user' ? 'Customer' : 'Assistant'}: ${(m.content || '').substring(0, 300)}`
+            )
+        : [];
+
+    let prompt = `ASSISTANTS:\n${options.join('\n')}\n\n`;
+    prompt += `CURRENT ASSISTANT: ${currentIndex}\n\n`;
+    if (history.length > 0) {
+      prompt += `CONVERSATION:\n${history.join('\n')}\n\n`;
+    }
+    prompt += `LATEST CUSTOMER MESSAGE:\n${userMessage}`;
+    return prompt;
+  }
+
+  /**
+   * Pick the agent for this turn.
+   *
+   * @returns {Promise<{ specialist: Object|null, reason: string, usage: Object|null }>}
+   *   specialist null means the router answers itself
+   */
+  async classify(router, conversation, userMessage, specialists) {
+    const current =
+      specialists.find(s => s.id === conversation.active_agent) || null;
+
+    try {
+      const openai = new OpenAIService(
+        router.api_key.getDecryptedKey(),
+        router.api_key.provider.name
+      );
+      const response = await openai.generateCompletion(
+        router.llm_settings.model,
+        this.buildClassificationPrompt(
+          router,
+          conversation,
+          userMessage,
+          specialists
+        ),
+        { temperature: 0, max_tokens: 100 },
+        ROUTER_SYSTEM_PROMPT
+      );
+
+      const match = (response.content || '').match(/\{[\s\S]*\}/);
+      const verdict = match ? JSON.parse(match[0]) : null;
+      const choice = Number(verdict?.choice);
+      if (
+        !Number.isInteger(choice) ||
+        choice < 0 ||
+        choice > specialists.length
+      ) {
+        throw new Error(`Unusable routing decision: ${response.content}`);
+      }
+
+      return {
+        specialist: choice === 0 ? null : specialists[choice - 1],
+        reason: verdict.reason || '',
+        usage: response.usage,
+      };
+    } catch (error) {
+      // Non-blocking — keep the conversation where it is
+      console.error('[AgentRouter] Classification failed:', error.message);
+      return { specialist: current, reason: '', usage: null };
+    }
+  }
+
+  /**
+   * Classify the turn and record a transfer when the handler changes.
+   *
+   * @param {Object} router       - router agent with api_key.provider populated
+   * @param {Object} conversation - the router's conversation
+   * @param {string} userMessage
+   * @returns {Promise<string|null>} specialist agent id, or null when the
+   *   router handles the turn itself
+   */
+  async route(router, conversation, userMessage) {
+    if (
+      !router.is_active ||
+      conversation.current_handler === 'human' ||
+      conversation.status === 'handoff_requested'
+    ) {
+      return null;
+    }
+
+    const specialists = await this.getSpecialists(router);
+    if (specialists.length === 0) {
+      if (conversation.active_agent) {
+        await conversation.returnToRouter(router.name);
+      }
+      return null;
+    }
+
+    const { specialist, reason, usage } = await this.classify(
+      router,
+      conversation,
+      userMessage,
+      specialists
+    );
+
+    // Classification cost is billed to the conversation like titles are
+    if (usage) {
+      conversation.metadata.total_tokens_used += usage.total_tokens || 0;
+      conversation.metadata.total_cost += usage.cost || 0;
+    }
+
+    const targetId = specialist ? specialist.id : null;
+    if (targetId !== (conversation.active_agent || null)) {
+      if (specialist) {
+        await conversation.transferToAgent(
+          specialist.id,
+          specialist.name,
+          reason
+        );
+      } else {
+        await conversation.returnToRouter(router.name, reason);
+      }
+      console.log(
+        `[AgentRouter] Conversation ${conversation._id} → ${specialist ? specialist.name : router.name}${reason ? ` (${reason})` : ''}`
+      );
+    } else if (usage) {
+      await conversation.save();
+    }
+
+    return targetId;
+  }
+}
+
+module.exports = new AgentRouterService();
@@ -9,6 +9,14 @@ const suggestionService = require('./suggestionService');
 const languageDetectionService = require('./languageDetectionService');
 const { systemTools: systemToolDefinitions } = require('../config/systemTools');
 const hookService = require('./hookService');
+const mcpService = require('./mcpService');
+const agentRevisionService = require('./agentRevisionService');
+const experimentService = require('./experimentService');
+const agentRouterService = require('./agentRouterService');
+const workflowService = require('./workflowService');
+const handoffRoutingService = require('./handoffRoutingService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const { describeFilters } = require('../utils/ragMetadata');
 
 class AgentService {
   /**
@@ -65,7 +73,8 @@ class AgentService {
     userMessage,
     userIdentifier,
     dynamicContext = {},
-    cancellationToken = null
+    cancellationToken = null,
+    options = {}
   ) {
     //populate agent with API key and provider of api key
     const agent = await Agent.findById(agentId).populate({
@@ -77,26 +86,40 @@ class AgentService {
     if (!agent) {
       throw new Error('Agent not found');
     }
+    if (options.useDraft) {
+      agentRevisionService.applyDraft(agent);
+    }
 
-    if (agent.type !== 'chatbot') {
+    if (agent.type !== 'chatbot' && agent.type !== 'router') {
       throw new Error('Agent is not a chatbot type');
     }
 
     // Get or create conversation
     let conversation;
     if (conversationId) {
-      conversation = await Conversation.findById(conversationId);
-      if (!conversation || conversation.agent !== agentId) {
+      // Only the messages the agent context needs, not the whole history
+      conversation = await Conversation.findById(conversationId).withMessages({
+        context: true,
+      });
+      // Routed turns run on the router's conversation
+      if (
+        !conversation ||
+        conversation.agent !== (options.routedFrom || agentId)
+      ) {
         throw new Error(
           'Conversation not found or does not belong to this agent'
         );
       }
+      if (!options.routedFrom) {
+        this.assertConversationRevisionMode(agent, conversation);
+      }
     } else {
       conversation = new Conversation({
         agent: agentId,
         user_identifier: userIdentifier,
         title: this.generateConversationTitle(userMessage),
         gdpr: { encrypt_messages: !!(agent.gdpr && agent.gdpr.encrypt_messages) },
+        ...this.getRevisionInfo(agent),
       });
       await conversation.save();
 
@@ -106,6 +129,27 @@ class AgentService {
       });
     }
 
+    // Router agents hand the turn to a specialist sharing this conversation
+    if (agent.type === 'router') {
+      const specialistId = await agentRouterService.route(
+        agent,
+        conversation,
+        userMessage
+      );
+      if (specialistId) {
+        const result = await this.executeChatbotAgent(
+          specialistId,
+          conversation._id,
+          userMessage,
+          userIdentifier,
+          dynamicContext,
+          cancellationToken,
+          { routedFrom: agent._id, skipExperiments: true }
+        );
+        return { ...result, routed_to: specialistId };
+      }
+    }
+
     // If agent is disabled, switch to human handler
     if (!agent.is_active) {
       // Add user message to conversation
@@ -161,16 +205,25 @@ class AgentService {
       hookService.scheduleInactivityHooks(agent, conversation);
 
       // Return handoff notification instead of agent response
-      const handoffMessage =
+      let handoffMessage =
         conversation.status === 'handoff_requested'
           ? 'Your request has been forwarded to a human operator. Please wait for assistance.'
           : `You are currently chatting with a human operator from our support team.`;
 
+      // Routed handoffs tell the customer where they stand in the queue
+      const handoffQueue = conversation.handoff_info?.routing?.state
+        ? await handoffRoutingService.getQueueStatus(conversation._id)
+        : null;
+      if (handoffQueue?.position) {
+        handoffMessage += ` You are number ${handoffQueue.position} in the queue.`;
+      }
+
       return {
         conversation_id: conversation._id,
         response: handoffMessage,
         handoff_requested: conversation.status === 'handoff_requested',
         handoff_info: conversation.handoff_info,
+        handoff_queue: handoffQueue,
         token_usage: {
           prompt_tokens: 0,
           completion_tokens: 0,
@@ -181,6 +234,11 @@ class AgentService {
       };
     }
 
+    // Run the conversation's A/B experiment variant, if any
+    if (!options.skipExperiments) {
+      await experimentService.applyToConversation(agent, conversation);
+    }
+
     // Update dynamic context if provided
     if (dynamicContext && Object.keys(dynamicContext).length > 0) {
       conversation.dynamic_context = dynamicContext;
@@ -229,21 +287,27 @@ class AgentService {
       : await this.executeAgentReasoning(agent, conversation, dynamicContext, cancellationToken);
 
     // Add assistant response to conversation (skip if handoff occurred - message already added by tool)
+    let assistantMessageId = null;
+    const revisionInfo = this.getRevisionInfo(agent);
+    conversation.agent_revision = revisionInfo.agent_revision;
     if (response.content) {
-      await conversation.addMessage({
+      const savedConversation = await conversation.addMessage({
         role: 'assistant',
         content: response.content,
         thinking_process: response.thinking_process,
         tools_used: response.tools_used,
         token_usage: response.token_usage,
+        handler_info: { agent_id: agent._id, agent_revision: revisionInfo.agent_revision },
         timestamp: new Date(),
       });
+      const lastMsg = savedConversation.messages[savedConversation.messages.length - 1];
+      assistantMessageId = lastMsg?._id || null;
     }
 
     // Generate AI-powered conversation title on 2nd message and every 5 messages thereafter
-    const userMessageCount = conversation.messages.filter(
-      msg => msg.role === 'user'
-    ).length;
+    const userMessageCount = await conversation.countMessages({
+      role: 'user',
+    });
     
     const shouldGenerateTitle = userMessageCount === 2 || (userMessageCount > 2 && (userMessageCount - 2) % 5 === 0);
     if (shouldGenerateTitle) {
@@ -294,6 +358,7 @@ class AgentService {
 
     const result = {
       conversation_id: conversation._id,
+      message_id: assistantMessageId,
       response: response.content,
       thinking_process: response.thinking_process,
       tools_used: response.tools_used,
@@ -331,7 +396,8 @@ class AgentService {
     userIdentifier,
     dynamicContext = {},
     streamCallback = null,
-    cancellationToken = null
+    cancellationToken = null,
+    options = {}
   ) {
     //populate agent with API key and provider of api key
     const agent = await Agent.findById(agentId).populate({
@@ -343,26 +409,40 @@ class AgentService {
     if (!agent) {
       throw new Error('Agent not found');
     }
+    if (options.useDraft) {
+      agentRevisionService.applyDraft(agent);
+    }
 
-    if (agent.type !== 'chatbot') {
+    if (agent.type !== 'chatbot' && agent.type !== 'router') {
       throw new Error('Agent is not a chatbot type');
     }
 
     // Get or create conversation
     let conversation;
     if (conversationId) {
-      conversation = await Conversation.findById(conversationId);
-      if (!conversation || conversation.agent !== agentId) {
+      // Only the messages the agent context needs, not the whole history
+      conversation = await Conversation.findById(conversationId).withMessages({
+        context: true,
+      });
+      // Routed turns run on the router's conversation
+      if (
+        !conversation ||
+        conversation.agent !== (options.routedFrom || agentId)
+      ) {
         throw new Error(
           'Conversation not found or does not belong to this agent'
         );
       }
+      if (!options.routedFrom) {
+        this.assertConversationRevisionMode(agent, conversation);
+      }
     } else {
       conversation = new Conversation({
         agent: agentId,
         user_identifier: userIdentifier,
         title: this.generateConversationTitle(userMessage),
         gdpr: { encrypt_messages: !!(agent.gdpr && agent.gdpr.encrypt_messages) },
+        ...this.getRevisionInfo(agent),
       });
       await conversation.save();
 
@@ -372,6 +452,28 @@ class AgentService {
       });
     }
 
+    // Router agents hand the turn to a specialist sharing this conversation
+    if (agent.type === 'router') {
+      const specialistId = await agentRouterService.route(
+        agent,
+        conversation,
+        userMessage
+      );
+      if (specialistId) {
+        const result = await this.executeChatbotAgentStream(
+          specialistId,
+          conversation._id,
+          userMessage,
+          userIdentifier,
+          dynamicContext,
+          streamCallback,
+          cancellationToken,
+          { routedFrom: agent._id, skipExperiments: true }
+        );
+        return { ...result, routed_to: specialistId };
+      }
+    }
+
     // If agent is disabled, switch to human handler
     if (!agent.is_active) {
       // Add user message to conversation
@@ -427,17 +529,26 @@ class AgentService {
       hookService.scheduleInactivityHooks(agent, conversation);
 
       // Return handoff notification instead of agent response
-      const handoffMessage =
+      let handoffMessage =
         conversation.status === 'handoff_requested'
           ? 'Your request has been forwarded to a human operator. Please wait for assistance.'
           : `You are currently chatting with a human operator from our support team.`;
 
+      // Routed handoffs tell the customer where they stand in the queue
+      const handoffQueue = conversation.handoff_info?.routing?.state
+        ? await handoffRoutingService.getQueueStatus(conversation._id)
+        : null;
+      if (handoffQueue?.position) {
+        handoffMessage += ` You are number ${handoffQueue.position} in the queue.`;
+      }
+
       return {
         conversation_id: conversation._id,
         response: handoffMessage,
         handoff_status: conversation.status,
         current_handler: conversation.current_handler,
         handoff_info: conversation.handoff_info,
+        handoff_queue: handoffQueue,
         token_usage: {
           prompt_tokens: 0,
           completion_tokens: 0,
@@ -448,6 +559,11 @@ class AgentService {
       };
     }
 
+    // Run the conversation's A/B experiment variant, if any
+    if (!options.skipExperiments) {
+      await experimentService.applyToConversation(agent, conversation);
+    }
+
     // Update dynamic context if provided
     if (dynamicContext && Object.keys(dynamicContext).length > 0) {
       conversation.dynamic_context = dynamicContext;
@@ -497,6 +613,8 @@ class AgentService {
 
     // Add assistant response to conversation (skip if handoff occurred - message already added by tool)
     let assistantMessageId = null;
+    const revisionInfo = this.getRevisionInfo(agent);
+    conversation.agent_revision = revisionInfo.agent_revision;
     if (response.content) {
       const savedConversation = await conversation.addMessage({
         role: 'assistant',
@@ -504,6 +622,7 @@ class AgentService {
         thinking_process: response.thinking_process,
         tools_used: response.tools_used,
         token_usage: response.token_usage,
+        handler_info: { agent_id: agent._id, agent_revision: revisionInfo.agent_revision },
         timestamp: new Date(),
       });
       const lastMsg = savedConversation.messages[savedConversation.messages.length - 1];
@@ -511,9 +630,9 @@ class AgentService {
     }
 
     // Generate AI-powered conversation title on 2nd message and every 5 messages thereafter
-    const userMessageCount = conversation.messages.filter(
-      msg => msg.role === 'user'
-    ).length;
+    const userMessageCount = await conversation.countMessages({
+      role: 'user',
+    });
     
     const shouldGenerateTitle = userMessageCount === 2 || (userMessageCount > 2 && (userMessageCount - 2) % 5 === 0);
     if (shouldGenerateTitle) {
@@ -599,7 +718,8 @@ class AgentService {
     agentId,
     input,
     userIdentifier = null,
-    dynamicContext = {}
+    dynamicContext = {},
+    options = {}
   ) {
     const agent = await Agent.findById(agentId).populate({
       path: 'api_key',
@@ -610,6 +730,9 @@ class AgentService {
     if (!agent) {
       throw new Error('Agent not found');
     }
+    if (options.useDraft) {
+      agentRevisionService.applyDraft(agent);
+    }
 
     if (!agent.is_active) {
       throw new Error(
@@ -617,8 +740,18 @@ class AgentService {
       );
     }
 
+    if (agent.type === 'workflow') {
+      return workflowService.start(
+        agent,
+        input,
+        userIdentifier,
+        dynamicContext,
+        { depth: options.workflowDepth || 0 }
+      );
+    }
+
     if (agent.type !== 'task') {
-      throw new Error('Agent is not a task type');
+      throw new Error('Agent is not a task or workflow agent');
     }
 
     // Create execution record
@@ -626,6 +759,7 @@ class AgentService {
       agent: agentId,
       type: 'task',
       input,
+      ...this.getRevisionInfo(agent),
       metadata: {
         user_identifier: userIdentifier,
       },
@@ -672,7 +806,8 @@ class AgentService {
     input,
     userIdentifier = null,
     dynamicContext = {},
-    streamCallback = null
+    streamCallback = null,
+    options = {}
   ) {
     const agent = await Agent.findById(agentId).populate({
       path: 'api_key',
@@ -683,6 +818,9 @@ class AgentService {
     if (!agent) {
       throw new Error('Agent not found');
     }
+    if (options.useDraft) {
+      agentRevisionService.applyDraft(agent);
+    }
 
     if (!agent.is_active) {
       throw new Error(
@@ -690,8 +828,27 @@ class AgentService {
       );
     }
 
+    // Workflows stream step events; the final output is sent as one chunk
+    if (agent.type === 'workflow') {
+      const result = await workflowService.start(
+        agent,
+        input,
+        userIdentifier,
+        dynamicContext,
+        { onEvent: options.onWorkflowEvent }
+      );
+      if (streamCallback && result.status === 'completed') {
+        streamCallback(
+          typeof result.output === 'string'
+            ? result.output
+            : JSON.stringify(result.output)
+        );
+      }
+      return result;
+    }
+
     if (agent.type !== 'task') {
-      throw new Error('Agent is not a task type');
+      throw new Error('Agent is not a task or workflow agent');
     }
 
     // Create execution record
@@ -699,6 +856,7 @@ class AgentService {
       agent: agentId,
       type: 'task',
       input,
+      ...this.getRevisionInfo(agent),
       metadata: {
         user_identifier: userIdentifier,
       },
@@ -742,6 +900,14 @@ class AgentService {
    * Core agent reasoning engine
    */
   async executeAgentReasoning(agent, conversation, dynamicContext = {}, cancellationToken = null) {
+    // Expose tools discovered on the agent's MCP servers alongside agent.tools
+    await mcpService.attachMcpTools(agent);
+    await this.attachRagSearchSchema(agent);
+
+    if (this.usesNativeToolCalling(agent)) {
+      return this.executeNativeChatbotReasoning(agent, conversation, dynamicContext, null, cancellationToken);
+    }
+
     const decriptedApiKey = agent.api_key.getDecryptedKey();
     const openai = new OpenAIService(
       decriptedApiKey,
@@ -762,7 +928,7 @@ class AgentService {
     const context = this.buildAgentContext(agent, conversation);
 
     console.log(
-      `[Reasoning] agent=${agent._id} conv=${conversation._id} db_messages=${conversation.messages.length}` +
+      `[Reasoning] agent=${agent._id} conv=${conversation._id} db_messages=${conversation.message_count}` +
       ` history_messages=${context.conversation_history.length}` +
       ` history_chars=${context.conversation_history.reduce((s, m) => s + (m.content?.length ?? 0), 0)}` +
       ` has_summary=${context.has_summary}`
@@ -913,10 +1079,10 @@ class AgentService {
           parsedResponse.tool_name === 'request_human_handoff' &&
           toolResult.success
         ) {
-          // Get the handoff message from parameters or use default
-          const handoffMessage =
-            parsedResponse.tool_parameters.handoff_message ||
-            'I understand this requires specialized assistance. Let me connect you with one of our team members who can better help you with this. Please wait a moment.';
+          const handoffMessage = this.getHandoffMessage(
+            toolResult,
+            parsedResponse.tool_parameters.handoff_message
+          );
 
           // Set as final response so it appears in the response
           finalResponse = handoffMessage;
@@ -1030,6 +1196,14 @@ class AgentService {
     streamCallback = null,
     cancellationToken = null
   ) {
+    // Expose tools discovered on the agent's MCP servers alongside agent.tools
+    await mcpService.attachMcpTools(agent);
+    await this.attachRagSearchSchema(agent);
+
+    if (this.usesNativeToolCalling(agent)) {
+      return this.executeNativeChatbotReasoning(agent, conversation, dynamicContext, streamCallback, cancellationToken);
+    }
+
     const decriptedApiKey = agent.api_key.getDecryptedKey();
     const openai = new OpenAIService(
       decriptedApiKey,
@@ -1314,10 +1488,10 @@ class AgentService {
           parsedResponse.tool_name === 'request_human_handoff' &&
           toolResult.success
         ) {
-          // Get the handoff message from parameters or use default
-          const handoffMessage =
-            parsedResponse.tool_parameters.handoff_message ||
-            'I understand this requires specialized assistance. Let me connect you with one of our team members who can better help you with this. Please wait a moment.';
+          const handoffMessage = this.getHandoffMessage(
+            toolResult,
+            parsedResponse.tool_parameters.handoff_message
+          );
 
           // Stream the handoff message to the frontend
           if (streamCallback) {
@@ -1715,6 +1889,14 @@ class AgentService {
    * Task-specific reasoning with iterative tool usage
    */
   async executeTaskReasoning(agent, input, execution, dynamicContext = {}) {
+    // Expose tools discovered on the agent's MCP servers alongside agent.tools
+    await mcpService.attachMcpTools(agent);
+    await this.attachRagSearchSchema(agent);
+
+    if (this.usesNativeToolCalling(agent)) {
+      return this.executeNativeTaskReasoning(agent, input, execution, dynamicContext);
+    }
+
     const decryptedApiKey = agent.api_key.getDecryptedKey();
     const openai = new OpenAIService(
       decryptedApiKey,
@@ -1939,6 +2121,14 @@ class AgentService {
     dynamicContext = {},
     streamCallback = null
   ) {
+    // Expose tools discovered on the agent's MCP servers alongside agent.tools
+    await mcpService.attachMcpTools(agent);
+    await this.attachRagSearchSchema(agent);
+
+    if (this.usesNativeToolCalling(agent)) {
+      return this.executeNativeTaskReasoning(agent, input, execution, dynamicContext, streamCallback);
+    }
+
     const decryptedApiKey = agent.api_key.getDecryptedKey();
     const openai = new OpenAIService(
       decryptedApiKey,
@@ -2580,6 +2770,511 @@ Your response:`;
     return result;
   }
 
+  // ---------------------------------------------------------------------------
+  // Native tool calling — provider function-calling mode
+  // ---------------------------------------------------------------------------
+  // When agent.config.tool_calling_mode === 'native' the chatbot and task
+  // reasoning loops send agent.tools to the provider as `tools` definitions and
+  // read `tool_calls` back, instead of asking the model to write a JSON/text
+  // action that parseAgentResponse has to scrape out of the reply. All tool
+  // calls returned in one turn run in parallel.
+  //
+  // executeNativeToolReasoning returns the same shape as executeAgentReasoning
+  // (plus output_files for task agents) so callers need no changes.
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether the agent is configured for provider-native tool calling.
+   */
+  usesNativeToolCalling(agent) {
+    return agent.config?.tool_calling_mode === 'native';
+  }
+
+  /**
+   * Resolve the rag_search parameter schema of the agent: its filters
+   * parameter lists the metadata fields of the agent's knowledge bases, and
+   * is left out when they declare none. Kept in agent.$locals.ragSearchSchema
+   * for the prompt and tool definition builders.
+   */
+  async attachRagSearchSchema(agent) {
+    if (!agent?.$locals || agent.$locals.ragSearchSchema !== undefined) {
+      return;
+    }
+    const tool = agent.tools.find(t => t.name === 'rag_search');
+    const systemDef = systemToolDefinitions.find(st => st.name === 'rag_search');
+    if (!tool || !systemDef) {
+      agent.$locals.ragSearchSchema = null;
+      return;
+    }
+
+    let fields = [];
+    const knowledgeBaseIds = tool.parameters?.knowledge_bases;
+    if (Array.isArray(knowledgeBaseIds) && knowledgeBaseIds.length > 0) {
+      try {
+        fields = await knowledgeBaseService.getMetadataFields(agent.organization, agent.project, knowledgeBaseIds);
+      } catch (error) {
+        console.warn(`[RAG] Could not load metadata fields for agent ${agent._id}: ${error.message}`);
+      }
+    }
+
+    const properties = { ...systemDef.parameters_schema.properties };
+    if (fields.length > 0) {
+      properties.filters = describeFilters(fields);
+    } else {
+      delete properties.filters;
+    }
+    agent.$locals.ragSearchSchema = { ...systemDef.parameters_schema, properties };
+  }
+
+  /**
+   * Build OpenAI-compatible `tools` definitions for the agent's tools.
+   * Parameter schemas come from the Tool collection, falling back to the
+   * built-in system tool definitions when the database is unavailable. MCP
+   * tools use the input schema reported by their server.
+   */
+  async buildNativeToolDefinitions(agent) {
+    const toolNames = agent.tools.map(t => t.name);
+    if (toolNames.length === 0) {
+      return [];
+    }
+
+    let storedTools = [];
+    try {
+      storedTools = await toolService.getAvailableTools(
+        toolNames,
+        agent.organization?._id || agent.organization
+      );
+    } catch (error) {
+      console.warn(
+        `[NativeTools] Could not load tool schemas from database: ${error.message}`
+      );
+    }
+
+    return agent.tools.map(tool => {
+      const stored = storedTools.find(t => t.name === tool.name);
+      const systemDef = systemToolDefinitions.find(st => st.name === tool.name);
+      const ragSearchSchema = tool.name === 'rag_search' ? agent.$locals?.ragSearchSchema : null;
+      const rawSchema =
+        mcpService.getAttachedTool(agent, tool.name)?.input_schema || ragSearchSchema || stored?.parameters_schema || systemDef?.parameters_schema;
+      const schema = rawSchema?.toObject ? rawSchema.toObject() : rawSchema;
+
+      let description = tool.description;
+      if (tool.name === 'api_caller' && tool.parameters?.endpoints) {
+        description += ` Available endpoints: ${Object.keys(tool.parameters.endpoints).join(', ')}.`;
+      }
+
+      return {
+        type: 'function',
+        function: {
+          name: tool.name,
+          description,
+          parameters: {
+            type: 'object',
+            properties: schema?.properties || {},
+            required: schema?.required || [],
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Convert the agent context's conversation history into chat messages.
+   * Summaries and state-transition notices become system messages; human
+   * operator replies are presented as assistant turns.
+   */
+  buildNativeConversationMessages(context) {
+    return context.conversation_history
+      .filter(msg => msg.content)
+      .map(msg => {
+        if (msg.role === 'user') {
+          return { role: 'user', content: msg.content };
+        }
+        if (msg.role === 'assistant' || msg.role === 'human_operator') {
+          return { role: 'assistant', content: msg.content };
+        }
+        return { role: 'system', content: msg.content };
+      });
+  }
+
+  /**
+   * Build the initial user message for a task agent in native mode.
+   */
+  buildNativeTaskMessages(input, dynamicContext = {}) {
+    let content = `## Task Input\n${JSON.stringify(input, null, 2)}\n`;
+
+    if (dynamicContext.input_files && dynamicContext.input_files.length > 0) {
+      content += `\n## Attached Files\n`;
+      content += `The following files were uploaded with this task. Use their URLs directly in tool calls (e.g. logo_url, background_image):\n`;
+      dynamicContext.input_files.forEach(f => {
+        const size = f.size ? `${Math.round(f.size / 1024)} KB` : 'unknown size';
+        content += `- **${f.filename}** (${f.mime_type}, ${size}): ${f.url}\n`;
+      });
+    }
+
+    return [{ role: 'user', content }];
+  }
+
+  /**
+   * Run one native tool-calling completion, streaming content when a
+   * callback is provided. In native mode all content is user-facing text,
+   * so chunks are forwarded as they arrive.
+   */
+  async _nativeCompletion(openai, agent, messages, systemPrompt, tools, toolChoice, streamCallback) {
+    const extraOptions = { prompt_cache_key: `agent_${agent._id}` };
+    if (tools.length > 0) {
+      extraOptions.tools = tools;
+      extraOptions.tool_choice = toolChoice;
+    }
+
+    if (streamCallback) {
+      return openai.generateStreamingCompletion(
+        agent.llm_settings.model,
+        messages,
+        agent.llm_settings.parameters,
+        systemPrompt,
+        chunk => streamCallback(chunk),
+        null,
+        extraOptions
+      );
+    }
+
+    return openai.generateCompletion(
+      agent.llm_settings.model,
+      messages,
+      agent.llm_settings.parameters,
+      systemPrompt,
+      null,
+      extraOptions
+    );
+  }
+
+  /**
+   * Reasoning loop using provider-native tool calls.
+   *
+   * Each round the model either answers with text (done) or returns one or
+   * more tool_calls. Those run in parallel, their results are appended as
+   * `tool` messages and the model is called again. `max_tool_calls` is the
+   * tool-call budget for the turn; once spent, the model is asked for a final
+   * answer with tool_choice 'none'.
+   *
+   * @param {Object} agent    – populated Agent document
+   * @param {Array}  messages – initial chat messages (history or task input)
+   * @param {Object} options
+   * @param {Object} [options.dynamicContext]
+   * @param {string} [options.currentTurnLanguage]
+   * @param {string} [options.contextId]        – conversation or execution id passed to tools
+   * @param {Object} [options.execution]        – AgentExecution to log steps and tool calls into
+   * @param {Function} [options.streamCallback]
+   * @param {Object} [options.cancellationToken]
+   * @param {boolean} [options.stopOnHandoff=true] – end the turn after a successful handoff
+   * @param {string} options.initialStep       – first thinking step name
+   * @param {string} options.completedStep     – thinking step recorded with the final answer
+   * @param {string} options.fallbackMessage   – reply used when the model returns nothing
+   * @returns {Promise<{content: string, thinking_process: Array, tools_used: Array, token_usage: Object, output_files: Array}>}
+   */
+  async executeNativeToolReasoning(agent, messages, options = {}) {
+    const {
+      dynamicContext = {},
+      currentTurnLanguage = null,
+      contextId = null,
+      execution = null,
+      streamCallback = null,
+      cancellationToken = null,
+      stopOnHandoff = true,
+      initialStep,
+      completedStep,
+      fallbackMessage,
+    } = options;
+
+    const openai = new OpenAIService(
+      agent.api_key.getDecryptedKey(),
+      agent.api_key.provider.name
+    );
+
+    const thinkingProcess = [];
+    const toolsUsed = [];
+    const outputFiles = [];
+    const totalTokenUsage = {
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      cached_tokens: 0,
+      cost: 0,
+    };
+
+    // Thinking steps are mirrored into the execution record for task agents
+    const recordStep = async (step, reasoning, extra = {}) => {
+      thinkingProcess.push({ step, reasoning, ...extra });
+      if (execution) {
+        await execution.addThinkingStep(step, reasoning);
+      }
+    };
+
+    await recordStep(initialStep, 'Analyzing input with native tool calling enabled');
+
+    const tools = await this.buildNativeToolDefinitions(agent);
+    const validToolNames = new Set(agent.tools.map(t => t.name));
+    const systemPrompt = this.buildEnhancedSystemPrompt(
+      agent.system_prompt,
+      agent,
+      dynamicContext,
+      currentTurnLanguage
+    );
+
+    const history = [...messages];
+    const maxToolCalls = agent.config.max_tool_calls || 5;
+    let remainingBudget = maxToolCalls;
+    // Text the model produced across rounds (some models narrate before calling tools)
+    const replyParts = [];
+    let handoffMessage = null;
+    let round = 0;
+
+    while (handoffMessage === null) {
+      round++;
+
+      // Check if this execution has been cancelled by a newer incoming message
+      if (cancellationToken?.cancelled) {
+        const err = new Error('Execution cancelled — newer message received');
+        err.code = 'EXECUTION_CANCELLED';
+        throw err;
+      }
+
+      const budgetExhausted = remainingBudget <= 0;
+      const llmResponse = await this._nativeCompletion(
+        openai,
+        agent,
+        history,
+        systemPrompt,
+        tools,
+        budgetExhausted ? 'none' : 'auto',
+        streamCallback
+      );
+      this._accumulateUsage(totalTokenUsage, llmResponse.usage);
+
+      if (llmResponse.content && llmResponse.content.trim()) {
+        replyParts.push(llmResponse.content.trim());
+      }
+
+      const toolCalls = budgetExhausted ? [] : llmResponse.tool_calls || [];
+      if (toolCalls.length === 0) {
+        if (budgetExhausted) {
+          await recordStep(
+            'budget_exhausted',
+            `Tool-call budget (${maxToolCalls}) exhausted, forced final response`
+          );
+        }
+        break;
+      }
+
+      history.push({
+        role: 'assistant',
+        content: llmResponse.content || null,
+        tool_calls: toolCalls,
+      });
+
+      // Execute every call from this turn in parallel. Calls beyond the budget,
+      // unknown tools and unparseable arguments still get a tool message back
+      // because the provider requires a result for each tool_call_id.
+      const results = await Promise.all(
+        toolCalls.map(async (toolCall, index) => {
+          const call = {
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            parameters: {},
+          };
+
+          if (index >= remainingBudget) {
+            return { call, toolResult: { success: false, error: 'Tool-call budget exhausted for this turn', execution_time_ms: 0 }, executed: false };
+          }
+          if (!validToolNames.has(call.name)) {
+            return { call, toolResult: { success: false, error: `Tool '${call.name}' is not available for this agent.`, execution_time_ms: 0 }, executed: false };
+          }
+          try {
+            call.parameters = toolCall.function.arguments
+              ? JSON.parse(toolCall.function.arguments)
+              : {};
+          } catch (parseError) {
+            return { call, toolResult: { success: false, error: `Invalid JSON arguments: ${parseError.message}`, execution_time_ms: 0 }, executed: false };
+          }
+
+          const toolResult = await toolService.executeToolWithConfig(
+            call.name,
+            call.parameters,
+            this.getAgentToolConfig(agent, call.name, contextId)
+          );
+          return { call, toolResult, executed: true };
+        })
+      );
+
+      // Record results sequentially — execution.save() cannot run in parallel
+      for (const { call, toolResult, executed } of results) {
+        if (executed) {
+          remainingBudget--;
+        }
+
+        await recordStep(
+          'tool_execution',
+          `Model called tool: ${call.name}`,
+          { tool_name: call.name }
+        );
+
+        const entry = {
+          tool_name: call.name,
+          tool_call_id: call.id,
+          parameters: call.parameters,
+          execution_time_ms: toolResult.execution_time_ms,
+          success: toolResult.success,
+        };
+
+        if (toolResult.success) {
+          entry.result = toolResult.result;
+
+          // Collect file outputs produced by tools (e.g. save_presentation)
+          if (toolResult.result && toolResult.result._output_file) {
+            outputFiles.push({
+              ...toolResult.result._output_file,
+              tool_name: call.name,
+            });
+          }
+        } else {
+          entry.error = toolResult.error;
+          await recordStep('tool_failed', `Tool ${call.name} failed: ${toolResult.error}`);
+        }
+
+        toolsUsed.push(entry);
+
+        if (execution) {
+          await execution.addToolExecution(
+            call.name || 'unknown',
+            call.parameters,
+            toolResult.success ? toolResult.result : null,
+            toolResult.execution_time_ms,
+            toolResult.success ? 'success' : 'error',
+            toolResult.success ? null : toolResult.error,
+            call.id
+          );
+        }
+
+        history.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(
+            toolResult.success
+              ? toolResult.result ?? null
+              : { error: toolResult.error }
+          ),
+        });
+
+        if (
+          stopOnHandoff &&
+          call.name === 'request_human_handoff' &&
+          toolResult.success
+        ) {
+          handoffMessage = this.getHandoffMessage(
+            toolResult,
+            call.parameters.handoff_message ||
+              agent.config?.handoff_config?.handoff_message_template
+          );
+        }
+      }
+
+      console.log(
+        `[NativeTools] Round ${round}: tool_calls=${toolCalls.length}, remaining_budget=${remainingBudget}`
+      );
+    }
+
+    let finalResponse;
+    if (handoffMessage !== null) {
+      finalResponse = handoffMessage;
+      if (streamCallback) {
+        streamCallback(handoffMessage);
+      }
+      await recordStep(
+        'human_handoff_requested',
+        'Human handoff was requested, stopping agent processing and waiting for human operator'
+      );
+    } else if (replyParts.length > 0) {
+      finalResponse = replyParts.join('\n\n');
+      await recordStep(completedStep, 'Model returned a final answer without further tool calls');
+    } else {
+      finalResponse = fallbackMessage;
+      await recordStep('max_iterations_reached', 'Model returned no answer text');
+    }
+
+    return {
+      content: finalResponse,
+      thinking_process: thinkingProcess,
+      tools_used: toolsUsed,
+      token_usage: totalTokenUsage,
+      output_files: outputFiles,
+    };
+  }
+
+  /**
+   * Native tool-calling entry point for chatbot agents (streaming and not).
+   */
+  async executeNativeChatbotReasoning(
+    agent,
+    conversation,
+    dynamicContext = {},
+    streamCallback = null,
+    cancellationToken = null
+  ) {
+    const context = this.buildAgentContext(agent, conversation);
+
+    return this.executeNativeToolReasoning(
+      agent,
+      this.buildNativeConversationMessages(context),
+      {
+        dynamicContext,
+        currentTurnLanguage: conversation.current_turn_language,
+        contextId: conversation._id,
+        streamCallback,
+        cancellationToken,
+        initialStep: 'analyze_input',
+        completedStep: 'final_response',
+        fallbackMessage:
+          "I apologize, but I wasn't able to complete your request within the allowed processing time. Please try rephrasing your request.",
+      }
+    );
+  }
+
+  /**
+   * Native tool-calling entry point for task agents (streaming and not).
+   * Every tool call is logged on the AgentExecution with its tool_call_id.
+   */
+  async executeNativeTaskReasoning(
+    agent,
+    input,
+    execution,
+    dynamicContext = {},
+    streamCallback = null
+  ) {
+    const result = await this.executeNativeToolReasoning(
+      agent,
+      this.buildNativeTaskMessages(input, dynamicContext),
+      {
+        dynamicContext,
+        contextId: execution ? execution._id : null,
+        execution,
+        streamCallback,
+        // Task agents cannot hand off to a human; the loop keeps going
+        stopOnHandoff: false,
+        initialStep: 'analyze_task',
+        completedStep: 'task_completed',
+        fallbackMessage:
+          "I apologize, but I wasn't able to complete the task within the allowed processing iterations. Please try simplifying the request or providing more specific instructions.",
+      }
+    );
+
+    return {
+      output: result.content,
+      output_files: result.output_files,
+      token_usage: result.token_usage,
+    };
+  }
+
   /**
    * Generate placeholder conversation title
    */
@@ -2593,10 +3288,9 @@ Your response:`;
    */
   async generateAIConversationTitle(conversation, agent) {
     try {
-      // Get the conversation messages for context, decrypted
+      // Get the first messages of the conversation for context, decrypted
       // Use more messages on regeneration for better context
-      const allMessages = conversation.getDecryptedMessages();
-      const messages = allMessages.slice(0, Math.min(allMessages.length, 10));
+      const messages = await conversation.getFirstMessages(10);
       
       if (messages.length < 2) {
         return null; // Not enough context yet
@@ -2657,6 +3351,51 @@ Your response:`;
     }
   }
 
+  /**
+   * Revision fields recorded on conversations, messages and executions.
+   * Draft runs record the live revision the draft was based on.
+   */
+  getRevisionInfo(agent) {
+    const isDraft = !!agent.$locals?.draftApplied;
+    return {
+      agent_revision: isDraft ? agent.draft.base_revision : agent.version,
+      agent_draft: isDraft,
+    };
+  }
+
+  /**
+   * Draft test conversations only run the draft and live conversations only
+   * run the published agent.
+   */
+  assertConversationRevisionMode(agent, conversation) {
+    const isDraft = !!agent.$locals?.draftApplied;
+    if (!!conversation.agent_draft !== isDraft) {
+      throw new Error(
+        isDraft
+          ? 'Conversation was not started against the draft'
+          : 'Conversation belongs to a draft test session; continue it with draft=true'
+      );
+    }
+  }
+
+  /**
+   * Message shown to the customer on the handoff turn. A handoff queued
+   * outside business hours uses the tool's notice, since any other message
+   * would promise an immediate reply. Otherwise a custom message wins, then
+   * the tool's suggestion, which carries the customer's queue position.
+   */
+  getHandoffMessage(toolResult, preferredMessage) {
+    const handoff = toolResult.result || {};
+    if (handoff.queued_until) {
+      return handoff.suggested_message;
+    }
+    return (
+      preferredMessage ||
+      handoff.suggested_message ||
+      'I understand this requires specialized assistance. Let me connect you with one of our team members who can better help you with this. Please wait a moment.'
+    );
+  }
+
   /**
    * Get agent-specific tool configuration
    */
@@ -2666,6 +3405,13 @@ Your response:`;
     // Start with the tool's stored parameters (may be empty or tool may not exist)
     const config = { ...(tool?.parameters || {}) };
 
+    // MCP descriptors come from attachMcpTools only, never from stored parameters
+    delete config._mcp;
+    const mcpTool = mcpService.getAttachedTool(agent, toolName);
+    if (mcpTool) {
+      config._mcp = mcpTool;
+    }
+
     // Always add organization and project context for all tools
     config.organization_id = agent.organization;
     config.project_id = agent.project;
@@ -2751,7 +3497,9 @@ Your response:`;
    * @returns {Promise<{response: string, tools_used: Array, token_usage: Object}>}
    */
   async resumeAfterHandoffRefusal(conversationId) {
-    const conversation = await Conversation.findById(conversationId);
+    const conversation = await Conversation.findById(
+      conversationId
+    ).withMessages({ context: true });
     if (!conversation) {
       throw new Error('Conversation not found');
     }
@@ -2771,6 +3519,7 @@ Your response:`;
       ? await this.executeChatbotAgentGraph(agent, conversation, dynamicContext)
       : await this.executeAgentReasoning(agent, conversation, dynamicContext);
 
+    conversation.agent_revision = agent.version;
     if (response.content) {
       await conversation.addMessage({
         role: 'assistant',
@@ -2778,6 +3527,7 @@ Your response:`;
         thinking_process: response.thinking_process,
         tools_used: response.tools_used,
         token_usage: response.token_usage,
+        handler_info: { agent_id: agent._id, agent_revision: agent.version },
         timestamp: new Date(),
       });
     }
@@ -2789,6 +3539,74 @@ Your response:`;
     };
   }
 
+  /**
+   * Draft a reply for the human operator handling a conversation.
+   *
+   * The agent that last answered runs its normal reasoning loop (tools, RAG)
+   * over the conversation, but the reply is returned to the operator instead
+   * of being saved or sent to the user. Handoff is left out: a human already
+   * has the conversation.
+   *
+   * @param {Object} conversation - Conversation document with its messages
+   * @param {Object} [options]
+   * @param {string} [options.instructions] - operator's guidance for the draft
+   * @returns {Promise<{draft: string, agent_id: string, thinking_process: Array, tools_used: Array, token_usage: Object}>}
+   */
+  async draftOperatorReply(conversation, options = {}) {
+    // Routed conversations are answered by the specialist that last replied
+    const lastReply = [...conversation.messages]
+      .reverse()
+      .find(msg => msg.role === 'assistant' && msg.handler_info?.agent_id);
+    const agent = await Agent.findById(
+      lastReply?.handler_info.agent_id || conversation.agent
+    ).populate({
+      path: 'api_key',
+      populate: { path: 'provider' },
+    });
+    if (!agent) {
+      throw new Error('Agent not found');
+    }
+    if (conversation.agent_draft) {
+      agentRevisionService.applyDraft(agent);
+    }
+    agent.tools = agent.tools.filter(
+      tool => tool.name !== 'request_human_handoff'
+    );
+
+    const dynamicContext = {
+      ...(conversation.dynamic_context || {}),
+      reply_draft:
+        'Your reply is a draft for the human operator now handling this conversation. They will review it and send it to the user as their own message.',
+    };
+    if (options.instructions) {
+      dynamicContext.operator_instructions = options.instructions;
+    }
+
+    const useGraph = agent.config?.enable_small_agent_graph === true;
+    const response = useGraph
+      ? await this.executeChatbotAgentGraph(agent, conversation, dynamicContext)
+      : await this.executeAgentReasoning(agent, conversation, dynamicContext);
+
+    // Drafts cost like agent turns, so they count towards the conversation
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $inc: {
+          'metadata.total_cost': response.token_usage?.cost || 0,
+          'metadata.total_tokens_used': response.token_usage?.total_tokens || 0,
+        },
+      }
+    );
+
+    return {
+      draft: response.content,
+      agent_id: agent._id,
+      thinking_process: response.thinking_process,
+      tools_used: response.tools_used,
+      token_usage: response.token_usage,
+    };
+  }
+
   /**
    * Handle conversation summarization when needed
    */
@@ -2912,7 +3730,7 @@ Your response:`;
     console.log('Summarization Metrics:', {
       conversation_id: conversation._id,
       messages_summarized: messageCount,
-      total_messages: conversation.messages.length,
+      total_messages: conversation.message_count,
       summary_version: conversation.metadata.summary_version,
       tokens_used: result.token_usage.total_tokens,
       cost: result.token_usage.cost,
@@ -2920,6 +3738,36 @@ Your response:`;
     });
   }
 
+  /**
+   * Format a tool's JSON parameter schema as a bullet list for text prompts.
+   * @returns {string} empty string when the schema has no properties
+   */
+  describeToolParameters(schema) {
+    if (!schema?.properties || Object.keys(schema.properties).length === 0) {
+      return '';
+    }
+    const props = Object.entries(schema.properties)
+      .map(([k, v]) => {
+        let desc = `  - ${k} (${v.type || 'any'})`;
+        if (v.description) {
+          desc += `: ${v.description}`;
+        }
+        if (v.enum) {
+          desc += ` [${v.enum.join('|')}]`;
+        }
+        if (v.default !== undefined) {
+          desc += ` (default: ${v.default})`;
+        }
+        return desc;
+      })
+      .join('\n');
+    let text = `Parameters:\n${props}\n`;
+    if (schema.required?.length) {
+      text += `Required: ${schema.required.join(', ')}\n`;
+    }
+    return text;
+  }
+
   /**
    * Build enhanced system prompt with static content for caching optimization
    * OpenAI caches prompts >= 1024 tokens automatically. To maximize cache hits:
@@ -2930,59 +3778,85 @@ Your response:`;
     // LAYER 1: Base personality and behavior (static per agent)
     let enhancedPrompt = baseSystemPrompt;
 
-    // LAYER 2: Tool definitions (static per agent) - critical for caching
-    enhancedPrompt += `\n\n## Available Tools\n\nYou have access to the following tools:\n\n`;
-    
-    agent.tools.forEach(tool => {
-      enhancedPrompt += `### ${tool.name}\n`;
-      enhancedPrompt += `Description: ${tool.description}\n`;
-      
-      // Include endpoint information for api_caller
-      if (tool.name === 'api_caller' && tool.parameters && tool.parameters.endpoints) {
-        const endpoints = Object.keys(tool.parameters.endpoints);
-        enhancedPrompt += `Available endpoints: ${endpoints.join(', ')}\n`;
+    const nativeToolCalling = this.usesNativeToolCalling(agent);
+
+    // LAYER 2 + 3 (native tool calling): tool definitions travel as provider
+    // function definitions, so only usage rules are needed here
+    if (nativeToolCalling) {
+      enhancedPrompt += `\n\n## Tool Usage\n\n`;
+      enhancedPrompt += `Your tools are provided as functions. Call them through function calling whenever you need information or need to take an action. `;
+      enhancedPrompt += `Independent tool calls can be made together in a single turn. `;
+      enhancedPrompt += `Never describe a tool call in your reply text. Once you have what you need, reply with plain text only — no JSON, no ACTION fields.\n`;
+
+      if (agent.tools.some(t => t.name === 'request_human_handoff')) {
+        enhancedPrompt += `\nWhen handing off to a human, call request_human_handoff and include a handoff_message in the user's language.\n`;
       }
-      
-      enhancedPrompt += `\n`;
-    });
+    } else {
+      // LAYER 2: Tool definitions (static per agent) - critical for caching
+      enhancedPrompt += `\n\n## Available Tools\n\nYou have access to the following tools:\n\n`;
 
-    // LAYER 3: Response format instructions (static) - critical for caching
-    enhancedPrompt += `\n## Response Format\n\nYou must respond in one of these formats:\n\n`;
-    enhancedPrompt += `**1. To use a tool (including request_human_handoff):**\n`;
-    enhancedPrompt += `ACTION: use_tool\n`;
-    enhancedPrompt += `TOOL: tool_name\n`;
-    enhancedPrompt += `PARAMETERS: {"param1": "value1", "param2": "value2"}\n`;
-    enhancedPrompt += `REASONING: Why you need to use this tool\n\n`;
-    
-    enhancedPrompt += `IMPORTANT: ALL tools must be called with ACTION: use_tool. Never use the tool name as the action.\n\n`;
-    
-    // Only include the handoff example if this agent actually has the tool
-    if (agent.tools.some(t => t.name === 'request_human_handoff')) {
-      enhancedPrompt += `Example for human handoff:\n`;
+      agent.tools.forEach(tool => {
+        enhancedPrompt += `### ${tool.name}\n`;
+        enhancedPrompt += `Description: ${tool.description}\n`;
+
+        // Include endpoint information for api_caller
+        if (tool.name === 'api_caller' && tool.parameters && tool.parameters.endpoints) {
+          const endpoints = Object.keys(tool.parameters.endpoints);
+          enhancedPrompt += `Available endpoints: ${endpoints.join(', ')}\n`;
+        }
+
+        // MCP tools are not known to the model, so spell out their arguments
+        const mcpTool = mcpService.getAttachedTool(agent, tool.name);
+        if (mcpTool) {
+          enhancedPrompt += this.describeToolParameters(mcpTool.input_schema);
+        }
+
+        // Likewise for the metadata fields rag_search can filter on
+        if (tool.name === 'rag_search' && agent.$locals?.ragSearchSchema?.properties.filters) {
+          enhancedPrompt += this.describeToolParameters(agent.$locals.ragSearchSchema);
+        }
+
+        enhancedPrompt += `\n`;
+      });
+
+      // LAYER 3: Response format instructions (static) - critical for caching
+      enhancedPrompt += `\n## Response Format\n\nYou must respond in one of these formats:\n\n`;
+      enhancedPrompt += `**1. To use a tool (including request_human_handoff):**\n`;
       enhancedPrompt += `ACTION: use_tool\n`;
-      enhancedPrompt += `TOOL: request_human_handoff\n`;
-      enhancedPrompt += `PARAMETERS: {"reason": "Customer requested human assistance", "urgency": "low", "handoff_message": "I understand you'd like to speak with a human agent. Let me connect you with one of our team members."}\n`;
-      enhancedPrompt += `REASONING: User explicitly asked to speak with a human representative\n\n`;
-      enhancedPrompt += `Note: The handoff_message parameter is optional but recommended. It allows you to provide a contextual message in the user's language.\n\n`;
+      enhancedPrompt += `TOOL: tool_name\n`;
+      enhancedPrompt += `PARAMETERS: {"param1": "value1", "param2": "value2"}\n`;
+      enhancedPrompt += `REASONING: Why you need to use this tool\n\n`;
+
+      enhancedPrompt += `IMPORTANT: ALL tools must be called with ACTION: use_tool. Never use the tool name as the action.\n\n`;
+
+      // Only include the handoff example if this agent actually has the tool
+      if (agent.tools.some(t => t.name === 'request_human_handoff')) {
+        enhancedPrompt += `Example for human handoff:\n`;
+        enhancedPrompt += `ACTION: use_tool\n`;
+        enhancedPrompt += `TOOL: request_human_handoff\n`;
+        enhancedPrompt += `PARAMETERS: {"reason": "Customer requested human assistance", "urgency": "low", "handoff_message": "I understand you'd like to speak with a human agent. Let me connect you with one of our team members."}\n`;
+        enhancedPrompt += `REASONING: User explicitly asked to speak with a human representative\n\n`;
+        enhancedPrompt += `Note: The handoff_message parameter is optional but recommended. It allows you to provide a contextual message in the user's language.\n\n`;
+      }
+
+      enhancedPrompt += `For api_caller tool, use this format:\n`;
+      enhancedPrompt += `PARAMETERS: {\n`;
+      enhancedPrompt += `  "endpoint_name": "endpoint_name",\n`;
+      enhancedPrompt += `  "method": "GET|POST|PUT|DELETE",\n`;
+      enhancedPrompt += `  "query_params": {"key": "value"},\n`;
+      enhancedPrompt += `  "path_params": {"key": "value"},\n`;
+      enhancedPrompt += `  "body_data": {"key": "value"}\n`;
+      enhancedPrompt += `}\n\n`;
+
+      enhancedPrompt += `**2. To respond to the user:**\n`;
+      enhancedPrompt += `ACTION: respond\n`;
+      enhancedPrompt += `RESPONSE: Your response to the user\n`;
+      enhancedPrompt += `REASONING: Why this response is appropriate\n\n`;
+
+      enhancedPrompt += `**3. To continue thinking:**\n`;
+      enhancedPrompt += `ACTION: think\n`;
+      enhancedPrompt += `REASONING: What you're thinking about\n`;
     }
-    
-    enhancedPrompt += `For api_caller tool, use this format:\n`;
-    enhancedPrompt += `PARAMETERS: {\n`;
-    enhancedPrompt += `  "endpoint_name": "endpoint_name",\n`;
-    enhancedPrompt += `  "method": "GET|POST|PUT|DELETE",\n`;
-    enhancedPrompt += `  "query_params": {"key": "value"},\n`;
-    enhancedPrompt += `  "path_params": {"key": "value"},\n`;
-    enhancedPrompt += `  "body_data": {"key": "value"}\n`;
-    enhancedPrompt += `}\n\n`;
-    
-    enhancedPrompt += `**2. To respond to the user:**\n`;
-    enhancedPrompt += `ACTION: respond\n`;
-    enhancedPrompt += `RESPONSE: Your response to the user\n`;
-    enhancedPrompt += `REASONING: Why this response is appropriate\n\n`;
-    
-    enhancedPrompt += `**3. To continue thinking:**\n`;
-    enhancedPrompt += `ACTION: think\n`;
-    enhancedPrompt += `REASONING: What you're thinking about\n`;
 
     // LAYER 3.5: Summary handling instructions (static)
     enhancedPrompt += `\n## Summary Handling\n`;
@@ -3004,9 +3878,13 @@ Your response:`;
     if (currentTurnLanguage && agent.config.enforce_language_detection !== false) {
       enhancedPrompt += `\n\n## Language Requirement\n`;
       enhancedPrompt += `CRITICAL: The user's current message is written in language code "${currentTurnLanguage}" (ISO 639-1). `;
-      enhancedPrompt += `You MUST write your entire response (the RESPONSE field) in this language ("${currentTurnLanguage}"). `;
+      enhancedPrompt += nativeToolCalling
+        ? `You MUST write your entire reply to the user in this language ("${currentTurnLanguage}"). `
+        : `You MUST write your entire response (the RESPONSE field) in this language ("${currentTurnLanguage}"). `;
       enhancedPrompt += `Do NOT switch to another language unless the user explicitly asks you to. `;
-      enhancedPrompt += `Tool parameters, action fields, and reasoning may remain in English.`;
+      enhancedPrompt += nativeToolCalling
+        ? `Tool arguments may remain in English.`
+        : `Tool parameters, action fields, and reasoning may remain in English.`;
     }
 
     return enhancedPrompt;
@@ -3289,22 +4167,10 @@ Your response:`;
 
       // Include parameter schema so the planner knows the expected shape
       const systemDef = systemToolDefinitions.find(st => st.name === tool.name);
-      if (systemDef?.parameters_schema?.properties) {
-        const schema = systemDef.parameters_schema;
-        const props = Object.entries(schema.properties)
-          .map(([k, v]) => {
-            let desc = `  - ${k} (${v.type || 'any'})`;
-            if (v.description) desc += `: ${v.description}`;
-            if (v.enum) desc += ` [${v.enum.join('|')}]`;
-            if (v.default !== undefined) desc += ` (default: ${v.default})`;
-            return desc;
-          })
-          .join('\n');
-        prompt += `Parameters:\n${props}\n`;
-        if (schema.required?.length) {
-          prompt += `Required: ${schema.required.join(', ')}\n`;
-        }
-      }
+      const ragSearchSchema = tool.name === 'rag_search' ? agent.$locals?.ragSearchSchema : null;
+      prompt += this.describeToolParameters(
+        ragSearchSchema || systemDef?.parameters_schema || mcpService.getAttachedTool(agent, tool.name)?.input_schema
+      );
 
       prompt += `\n`;
     });
@@ -3709,9 +4575,10 @@ Your response:`;
 
         // Handle human handoff — return early
         if (planned.tool_name === 'request_human_handoff' && toolResult.success) {
-          const handoffMessage =
-            planned.tool_parameters.handoff_message ||
-            'I understand this requires specialized assistance. Let me connect you with one of our team members who can better help you with this. Please wait a moment.';
+          const handoffMessage = this.getHandoffMessage(
+            toolResult,
+            planned.tool_parameters.handoff_message
+          );
 
           thinkingProcess.push({
             step: 'human_handoff_requested',
@@ -3765,6 +4632,10 @@ Your response:`;
    * @returns {Promise<{content: string, thinking_process: Array, tools_used: Array, token_usage: Object}>}
    */
   async executeChatbotAgentGraph(agent, conversation, dynamicContext = {}, cancellationToken = null) {
+    // Expose tools discovered on the agent's MCP servers alongside agent.tools
+    await mcpService.attachMcpTools(agent);
+    await this.attachRagSearchSchema(agent);
+
     const thinkingProcess = [];
     const toolsUsed = [];
     const totalTokenUsage = {
@@ -3953,6 +4824,10 @@ Your response:`;
     streamCallback = null,
     cancellationToken = null
   ) {
+    // Expose tools discovered on the agent's MCP servers alongside agent.tools
+    await mcpService.attachMcpTools(agent);
+    await this.attachRagSearchSchema(agent);
+
     const thinkingProcess = [];
     const toolsUsed = [];
     const totalTokenUsage = {
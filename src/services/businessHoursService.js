@@ -0,0 +1,279 @@
+/**
+ * Business Hours Service
+ *
+ * Evaluates ChannelConfig.global_settings.business_hours in the configured
+ * global_settings.timezone:
+ *
+ *   - `schedule` maps weekdays to opening hours, either one range
+ *     ({ start: '09:00', end: '17:00' }) or a list of ranges for split
+ *     shifts. Weekdays that are missing or null are closed.
+ *   - `holidays` override the schedule for single dates: closed all day, or
+ *     open with the holiday's own `start`/`end`.
+ *   - `out_of_hours_policy` decides what happens while closed:
+ *       auto_reply      — the out-of-hours message answers, the AI does not run
+ *       ai_only         — the AI answers but cannot hand off to a human
+ *       queue_handoffs  — the AI answers; handoffs wait for the next opening
+ */
+
+const ChannelConfig = require('../models/ChannelConfig');
+
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+const POLICIES = ['auto_reply', 'ai_only', 'queue_handoffs'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// How far ahead getNextOpening looks before giving up
+const LOOKAHEAD_DAYS = 366;
+
+const DEFAULT_OUT_OF_HOURS_MESSAGE =
+  'Thanks for your message. Our team is currently unavailable; we will get back to you during business hours.';
+
+function businessHoursError(message) {
+  const error = new Error(message);
+  error.code = 'BUSINESS_HOURS_INVALID';
+  return error;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class BusinessHoursService {
+  /**
+   * Check business hours settings before they are stored.
+   * @throws BUSINESS_HOURS_INVALID
+   */
+  validate(businessHours, timezone = 'UTC') {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw businessHoursError(`Unknown timezone '${timezone}'`);
+    }
+
+    if (!businessHours) {
+      return;
+    }
+
+    if (
+      businessHours.out_of_hours_policy !== undefined &&
+      !POLICIES.includes(businessHours.out_of_hours_policy)
+    ) {
+      throw businessHoursError(
+        `out_of_hours_policy must be one of ${POLICIES.join(', ')}`
+      );
+    }
+
+    const checkRanges = (ranges, label) => {
+      for (const range of ranges) {
+        if (
+          !TIME_PATTERN.test(range?.start || '') ||
+          !TIME_PATTERN.test(range?.end || '')
+        ) {
+          throw businessHoursError(
+            `${label}: start and end must be HH:MM (00:00-24:00)`
+          );
+        }
+        if (toMinutes(range.start) >= toMinutes(range.end)) {
+          throw businessHoursError(`${label}: start must be before end`);
+        }
+      }
+    };
+
+    for (const [day, hours] of Object.entries(businessHours.schedule || {})) {
+      if (!WEEKDAYS.includes(day)) {
+        throw businessHoursError(`Unknown weekday '${day}' in schedule`);
+      }
+      checkRanges(this.toRanges(hours), day);
+    }
+
+    for (const holiday of businessHours.holidays || []) {
+      if (!DATE_PATTERN.test(holiday?.date || '')) {
+        throw businessHoursError('Holiday dates must be YYYY-MM-DD');
+      }
+      if (holiday.start || holiday.end) {
+        checkRanges([holiday], `holiday ${holiday.date}`);
+      }
+    }
+  }
+
+  toRanges(hours) {
+    if (!hours) {
+      return [];
+    }
+    return Array.isArray(hours) ? hours : [hours];
+  }
+
+  /**
+   * Date, weekday and minute of the day of `date` in `timezone`.
+   */
+  getLocalTime(date, timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+        .formatToParts(date)
+        .map(part => [part.type, part.value])
+    );
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: parts.weekday.toLowerCase(),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * Opening ranges of a local date: the holiday's hours if the date is a
+   * holiday, otherwise the weekday's schedule.
+   */
+  getRanges(businessHours, localDate, weekday) {
+    const holiday = (businessHours.holidays || []).find(
+      h => h.date === localDate
+    );
+    const ranges = holiday
+      ? holiday.start && holiday.end
+        ? [holiday]
+        : []
+      : this.toRanges(businessHours.schedule?.[weekday]);
+
+    return ranges
+      .map(range => ({
+        start: toMinutes(range.start),
+        end: toMinutes(range.end),
+      }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  isOpen(businessHours, timezone = 'UTC', date = new Date()) {
+    if (!businessHours?.enabled) {
+      return true;
+    }
+    const local = this.getLocalTime(date, timezone);
+    return this.getRanges(businessHours, local.date, local.weekday).some(
+      range => local.minutes >= range.start && local.minutes < range.end
+    );
+  }
+
+  /**
+   * UTC instant of a local wall-clock time in `timezone`.
+   */
+  toInstant(localDate, minutes, timezone) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const guess = Date.UTC(
+      year,
+      month - 1,
+      day,
+      Math.floor(minutes / 60),
+      minutes % 60
+    );
+    // Shift by the zone offset, twice so DST transitions settle
+    let instant = guess;
+    for (let i = 0; i < 2; i++) {
+      const local = this.getLocalTime(new Date(instant), timezone);
+      const [y, m, d] = local.date.split('-').map(Number);
+      const asUtc = Date.UTC(
+        y,
+        m - 1,
+        d,
+        Math.floor(local.minutes / 60),
+        local.minutes % 60
+      );
+      instant += guess - asUtc;
+    }
+    return new Date(instant);
+  }
+
+  /**
+   * Start of the next opening range after `from`, or null if the schedule
+   * never opens.
+   */
+  getNextOpening(businessHours, timezone = 'UTC', from = new Date()) {
+    const start = this.getLocalTime(from, timezone);
+    const [year, month, day] = start.date.split('-').map(Number);
+
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+      const calendarDay = new Date(Date.UTC(year, month - 1, day + offset));
+      const localDate = calendarDay.toISOString().slice(0, 10);
+      const weekday = WEEKDAYS[calendarDay.getUTCDay()];
+
+      const range = this.getRanges(businessHours, localDate, weekday).find(
+        r => offset > 0 || r.start > start.minutes
+      );
+      if (range) {
+        return this.toInstant(localDate, range.start, timezone);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Business hours status of an agent's channels.
+   *
+   * @returns {Promise<{ open: boolean, policy?: string, message?: string,
+   *   next_opening?: Date|null, timezone?: string }>}
+   */
+  async getStatus(agentId, date = new Date()) {
+    const channelConfig = await ChannelConfig.findOne({ agent: agentId })
+      .select('global_settings')
+      .lean();
+    const settings = channelConfig?.global_settings;
+    const businessHours = settings?.business_hours;
+    const timezone = settings?.timezone || 'UTC';
+
+    try {
+      if (this.isOpen(businessHours, timezone, date)) {
+        return { open: true };
+      }
+      return {
+        open: false,
+        policy: businessHours.out_of_hours_policy || 'auto_reply',
+        message:
+          businessHours.out_of_hours_message || DEFAULT_OUT_OF_HOURS_MESSAGE,
+        next_opening: this.getNextOpening(businessHours, timezone, date),
+        timezone,
+      };
+    } catch (error) {
+      // A broken stored configuration must not stop conversations
+      console.error(
+        `[BusinessHours] Ignoring invalid settings for agent ${agentId}:`,
+        error.message
+      );
+      return { open: true };
+    }
+  }
+
+  /**
+   * Next opening as customers read it, e.g. "Monday 09:00 (Europe/Lisbon)".
+   */
+  formatOpening(status) {
+    if (!status.next_opening) {
+      return null;
+    }
+    const formatted = new Intl.DateTimeFormat('en-GB', {
+      timeZone: status.timezone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).format(status.next_opening);
+    return `${formatted} (${status.timezone})`;
+  }
+}
+
+module.exports = new BusinessHoursService();
@@ -0,0 +1,190 @@
+/**
+ * Canned Response Service
+ *
+ * Per-project library of replies human operators reuse in the handoff
+ * console. Content may contain {{placeholders}} filled from the conversation:
+ *
+ *   {{context.<key>}}       the conversation's dynamic_context
+ *   {{fields.<key>}}        the conversation's custom fields
+ *   {{conversation.<key>}}  id, channel, title, user_identifier
+ *   {{agent.name}}          the agent of the conversation
+ *   {{operator.<key>}}      name and email of the operator sending the reply
+ *
+ * Operators can supply values themselves (`variables`); those take precedence.
+ */
+
+const Agent = require('../models/Agent');
+const CannedResponse = require('../models/CannedResponse');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isNil = value => value === undefined || value === null;
+
+function cannedResponseError(message) {
+  const error = new Error(message);
+  error.code = 'CANNED_RESPONSE_INVALID';
+  return error;
+}
+
+function getPath(scope, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => (isNil(value) ? undefined : value[key]), scope);
+}
+
+class CannedResponseService {
+  /**
+   * Canned responses of a project, by title.
+   *
+   * @param {string} projectId
+   * @param {Object} [filters]
+   * @param {string} [filters.q] - matched against title, shortcut and content
+   * @param {string} [filters.tag]
+   */
+  async list(projectId, filters = {}) {
+    const query = { project: projectId };
+    if (filters.q) {
+      const pattern = new RegExp(escapeRegex(String(filters.q)), 'i');
+      query.$or = [
+        { title: pattern },
+        { shortcut: pattern },
+        { content: pattern },
+      ];
+    }
+    if (filters.tag) {
+      query.tags = String(filters.tag);
+    }
+    return CannedResponse.find(query).sort({ title: 1 }).lean();
+  }
+
+  /**
+   * Placeholder values of a conversation.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {Object} [agent] - agent of the conversation
+   * @param {Object} [operator] - { name, email } of the sending operator
+   */
+  buildVariables(conversation, agent = null, operator = null) {
+    return {
+      context: conversation.dynamic_context || {},
+      fields: Object.fromEntries(
+        (conversation.custom_fields || []).map(field => [
+          field.key,
+          field.value,
+        ])
+      ),
+      conversation: {
+        id: conversation._id,
+        channel: conversation.channel,
+        title: conversation.title,
+        user_identifier: conversation.user_identifier,
+      },
+      agent: { name: agent?.name },
+      operator: { name: operator?.name, email: operator?.email },
+    };
+  }
+
+  /**
+   * Fill the placeholders of a canned response. Placeholders without a value
+   * are left in the text and reported in missing_variables.
+   *
+   * @param {string} content
+   * @param {Object} scope - see buildVariables
+   * @param {Object} [variables] - values given by the operator
+   * @returns {{ text: string, missing_variables: string[] }}
+   */
+  render(content, scope, variables = {}) {
+    const missing = new Set();
+    const text = content.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+      const given = getPath(variables || {}, path);
+      const value = isNil(given) ? getPath(scope, path) : given;
+      if (isNil(value) || value === '') {
+        missing.add(path);
+        return placeholder;
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    return { text, missing_variables: [...missing] };
+  }
+
+  /**
+   * The agent of a conversation, with its project. Null when the agent is
+   * gone or belongs to another project than `projectId`.
+   */
+  async getConversationAgent(conversation, projectId = null) {
+    const agent = await Agent.findById(conversation.agent)
+      .select('name project organization')
+      .lean();
+    if (!agent || (projectId && agent.project !== projectId)) {
+      return null;
+    }
+    return agent;
+  }
+
+  /**
+   * Canned responses of the conversation's project, filled in for it.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {Object} agent - see getConversationAgent
+   * @param {Object} [options]
+   * @param {string} [options.q]
+   * @param {string} [options.tag]
+   * @param {Object} [options.operator] - { name, email }
+   */
+  async listForConversation(conversation, agent, options = {}) {
+    const responses = await this.list(agent.project, options);
+    const scope = this.buildVariables(conversation, agent, options.operator);
+    return responses.map(response => ({
+      ...response,
+      ...this.render(response.content, scope),
+    }));
+  }
+
+  /**
+   * Text of a canned response to send in a conversation. Counts the use.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {string} responseId
+   * @param {Object} [options]
+   * @param {Object} [options.operator] - { name, email }
+   * @param {Object} [options.variables] - values given by the operator
+   * @returns {Promise<string>}
+   * @throws CANNED_RESPONSE_INVALID when the response is unknown or a
+   *   placeholder has no value
+   */
+  async renderForConversation(conversation, responseId, options = {}) {
+    const agent = await this.getConversationAgent(conversation);
+    const response = agent
+      ? await CannedResponse.findOne({
+          _id: responseId,
+          project: agent.project,
+        }).lean()
+      : null;
+    if (!response) {
+      throw cannedResponseError(
+        'Canned response not found in the project of this conversation'
+      );
+    }
+
+    const { text, missing_variables } = this.render(
+      response.content,
+      this.buildVariables(conversation, agent, options.operator),
+      options.variables
+    );
+    if (missing_variables.length > 0) {
+      throw cannedResponseError(
+        `Missing values for: ${missing_variables.join(', ')}. Pass them in variables`
+      );
+    }
+
+    await CannedResponse.updateOne(
+      { _id: response._id },
+      { $inc: { usage_count: 1 }, $set: { last_used_at: new Date() } }
+    );
+    return text;
+  }
+}
+
+module.exports = new CannedResponseService();
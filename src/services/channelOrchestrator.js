@@ -5,8 +5,13 @@
 
 const Agent = require('../models/Agent');
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const ChannelConfig = require('../models/ChannelConfig');
 const agentService = require('./agentService');
+const businessHoursService = require('./businessHoursService');
+const feedbackService = require('./feedbackService');
+const hookService = require('./hookService');
+const channelRateLimitService = require('./channelRateLimitService');
 const mediaStorageService = require('./mediaStorageService');
 const messageTransformerService = require('./messageTransformerService');
 
@@ -17,6 +22,12 @@ const EmailService = require('./channels/emailService');
 const InstagramService = require('./channels/instagramService');
 const MessengerService = require('./channels/messengerService');
 
+function templateError(message) {
+  const error = new Error(message);
+  error.code = 'TEMPLATE_NOT_SENDABLE';
+  return error;
+}
+
 class ChannelOrchestrator {
   constructor() {
     this.channelServices = new Map(); // Map of agentId_channel -> service instance
@@ -191,6 +202,45 @@ class ChannelOrchestrator {
         }
       }
 
+      // Messages of blocked senders are dropped before any conversation work
+      if (
+        await channelRateLimitService.isBlocked(
+          agentId,
+          normalizedMessage.user_identifier
+        )
+      ) {
+        console.warn(
+          `[ChannelOrchestrator] Dropped ${channel} message from ${normalizedMessage.user_identifier} (blocked)`
+        );
+        return {
+          success: true,
+          status: 'rate_limited',
+          reason: 'blocked',
+          response: null,
+          channel,
+        };
+      }
+
+      // Taps on feedback buttons are recorded instead of starting a turn
+      if (feedbackService.parsePayload(normalizedMessage.button_payload)) {
+        const reply = await feedbackService.recordButtonFeedback(
+          agentId,
+          normalizedMessage
+        );
+        if (reply) {
+          await this.sendResponse(
+            agentId,
+            channelService,
+            normalizedMessage.user_identifier,
+            { response: reply },
+            channel,
+            normalizedMessage.channel_metadata,
+            options
+          );
+        }
+        return { success: true, status: 'feedback_recorded', channel };
+      }
+
       // Show typing indicator for channels that support it
       if (channel === 'telegram' && channelService) {
         const chatId = normalizedMessage.channel_metadata?.telegram?.chat_id;
@@ -224,6 +274,44 @@ class ChannelOrchestrator {
         `[ChannelOrchestrator] Processing message for conversation: ${conversation._id}, status: ${conversation.status}, handler: ${conversation.current_handler}`
       );
 
+      const humanControlled =
+        conversation.current_handler === 'human' &&
+        conversation.status === 'human_controlled';
+
+      // Flood control: only messages that would start an agent turn are
+      // throttled, so nothing sent to a human operator is lost
+      if (!humanControlled) {
+        const rateLimit = await channelRateLimitService.check(
+          agentId,
+          normalizedMessage.user_identifier,
+          channel
+        );
+        if (!rateLimit.allowed) {
+          if (rateLimit.reply) {
+            await this.sendResponse(
+              agentId,
+              channelService,
+              normalizedMessage.user_identifier,
+              { response: rateLimit.reply },
+              channel,
+              normalizedMessage.channel_metadata,
+              options
+            );
+          }
+          console.warn(
+            `[ChannelOrchestrator] Dropped ${channel} message from ${normalizedMessage.user_identifier} (${rateLimit.reason})`
+          );
+
+          return {
+            success: true,
+            status: 'rate_limited',
+            reason: rateLimit.reason,
+            response: rateLimit.reply || null,
+            channel,
+          };
+        }
+      }
+
       // Process and store media attachments (if any) via the org's S3 config
       let storedMedia = [];
       if (normalizedMessage.media && normalizedMessage.media.length > 0 && channel !== 'website') {
@@ -248,10 +336,7 @@ class ChannelOrchestrator {
       }
 
       // Check if conversation is human-controlled
-      if (
-        conversation.current_handler === 'human' &&
-        conversation.status === 'human_controlled'
-      ) {
+      if (humanControlled) {
         console.log(
           `[ChannelOrchestrator] Conversation ${conversation._id} is human-controlled, adding message without agent processing`
         );
@@ -269,6 +354,12 @@ class ChannelOrchestrator {
         });
         await conversation.save();
 
+        // No agent turn runs, so restart inactivity timers here
+        const agent = await Agent.findById(agentId).select('hooks').lean();
+        if (agent) {
+          hookService.scheduleInactivityHooks(agent, conversation);
+        }
+
         // Optionally send acknowledgment that message was received
         // Uncomment below if you want auto-acknowledgment for every user message during human handoff
         /*
@@ -289,6 +380,40 @@ class ChannelOrchestrator {
         };
       }
 
+      // Outside business hours with the auto_reply policy, the out-of-hours
+      // message answers instead of the agent
+      const businessHours = await businessHoursService.getStatus(agentId);
+      if (!businessHours.open && businessHours.policy === 'auto_reply') {
+        const reply = await this.recordOutOfHoursTurn(
+          conversation,
+          channel,
+          normalizedMessage,
+          businessHours,
+          storedMedia
+        );
+        if (reply) {
+          await this.sendResponse(
+            agentId,
+            channelService,
+            normalizedMessage.user_identifier,
+            { response: reply },
+            channel,
+            normalizedMessage.channel_metadata,
+            { ...options, conversationId: conversation._id }
+          );
+        }
+        await this.updateChannelAnalytics(agentId, channel);
+
+        return {
+          success: true,
+          status: 'out_of_hours',
+          conversation_id: conversation._id,
+          response: reply,
+          channel,
+          next_opening: businessHours.next_opening,
+        };
+      }
+
       // Build dynamic context with channel info
       const dynamicContext = {
         channel,
@@ -366,6 +491,7 @@ class ChannelOrchestrator {
         channel,
         handoff_requested: agentResponse.handoff_requested,
         handoff_info: agentResponse.handoff_info,
+        routed_to: agentResponse.routed_to,
       };
     } catch (error) {
       console.error(
@@ -462,6 +588,30 @@ class ChannelOrchestrator {
         normalizedMessage.content = '';
       }
 
+      const businessHours = await businessHoursService.getStatus(agentId);
+      if (!businessHours.open && businessHours.policy === 'auto_reply') {
+        const reply = await this.recordOutOfHoursTurn(
+          conversation,
+          channel,
+          normalizedMessage,
+          businessHours,
+          storedMedia
+        );
+        if (reply && streamCallback) {
+          streamCallback(reply);
+        }
+        await this.updateChannelAnalytics(agentId, channel);
+
+        return {
+          success: true,
+          status: 'out_of_hours',
+          conversation_id: conversation._id,
+          response: reply,
+          channel,
+          next_opening: businessHours.next_opening,
+        };
+      }
+
       // Build dynamic context
       const dynamicContext = {
         channel,
@@ -536,6 +686,52 @@ class ChannelOrchestrator {
     }
   }
 
+  /**
+   * Store an out-of-hours turn without running the agent. The out-of-hours
+   * message is only sent once per closed period: later messages are stored
+   * silently until someone has answered.
+   * @returns {Promise<string|null>} - the reply to send, if any
+   */
+  async recordOutOfHoursTurn(
+    conversation,
+    channel,
+    normalizedMessage,
+    businessHours,
+    storedMedia = []
+  ) {
+    const lastReply = await Message.findOne({
+      conversation: conversation._id,
+      role: 'assistant',
+    })
+      .sort({ seq: -1 })
+      .select('code')
+      .lean();
+    const alreadyNotified = lastReply?.code === 'OUT_OF_HOURS';
+
+    conversation.messages.push({
+      role: 'user',
+      content: normalizedMessage.content,
+      timestamp: new Date(),
+      channel_info: {
+        channel,
+        message_id: normalizedMessage.channel_metadata?.message_id,
+        media: storedMedia.length > 0 ? storedMedia : undefined,
+      },
+    });
+    if (!alreadyNotified) {
+      conversation.messages.push({
+        role: 'assistant',
+        content: businessHours.message,
+        code: 'OUT_OF_HOURS',
+        timestamp: new Date(),
+        channel_info: { channel },
+      });
+    }
+    await conversation.save();
+
+    return alreadyNotified ? null : businessHours.message;
+  }
+
   /**
    * Get or create conversation for a user on a channel
    * @param {string} agentId - Agent ID
@@ -803,10 +999,13 @@ class ChannelOrchestrator {
       // Run message transformers (if the agent has any configured)
       let textToSend = agentResponse.response;
       let cards = [];
+      let feedbackSettings = null;
 
       try {
         const [agent, conversation] = await Promise.all([
-          Agent.findById(agentId).select('message_transformers').lean(),
+          Agent.findById(agentId)
+            .select('message_transformers config.feedback')
+            .lean(),
           Conversation.findById(options.conversationId).select('current_turn_language').lean(),
         ]);
         if (agent?.message_transformers?.length > 0) {
@@ -819,6 +1018,7 @@ class ChannelOrchestrator {
           textToSend = result.text;
           cards = result.cards;
         }
+        feedbackSettings = agent?.config?.feedback;
       } catch (transformErr) {
         console.error(`[ChannelOrchestrator] Transformer pipeline error (non-fatal):`, transformErr.message);
         // Fall through with original text
@@ -843,6 +1043,28 @@ class ChannelOrchestrator {
         }
       }
 
+      // 3. Ask the user to rate the reply
+      if (
+        feedbackSettings?.message_ratings &&
+        agentResponse.message_id &&
+        channelService.supportsReplyButtons()
+      ) {
+        try {
+          await this.sendReplyButtons(
+            channelService,
+            channel,
+            recipient,
+            feedbackSettings.rating_prompt,
+            feedbackService.ratingButtons(agentResponse.message_id)
+          );
+        } catch (ratingErr) {
+          console.error(
+            `[ChannelOrchestrator] Failed to send rating buttons via ${channel}:`,
+            ratingErr.message
+          );
+        }
+      }
+
       console.log(
         `[ChannelOrchestrator] Response sent via ${channel} to ${recipient}` +
           (cards.length > 0 ? ` (${cards.length} card${cards.length > 1 ? 's' : ''})` : '')
@@ -856,6 +1078,86 @@ class ChannelOrchestrator {
     }
   }
 
+  /**
+   * Send a question with reply buttons ({ label, payload }) through a channel
+   * that supportsReplyButtons(): an inline keyboard on Telegram, reply
+   * buttons on WhatsApp. More than three buttons become one row each on
+   * Telegram and a list on WhatsApp.
+   */
+  async sendReplyButtons(channelService, channel, recipient, text, buttons) {
+    if (channel === 'telegram') {
+      const keys = buttons.map(button => ({
+        text: button.label,
+        data: button.payload,
+      }));
+      return channelService.sendMessageWithButtons(
+        recipient,
+        text,
+        buttons.length <= 3 ? [keys] : keys
+      );
+    }
+    if (buttons.length <= 3) {
+      return channelService.sendRichCard(recipient, {
+        type: 'card',
+        body: text,
+        actions: buttons.map(button => ({
+          type: 'reply',
+          label: button.label,
+          payload: button.payload,
+        })),
+      });
+    }
+    return channelService.sendRichCard(recipient, {
+      type: 'list',
+      body: text,
+      button_label: 'Choose',
+      sections: [
+        {
+          rows: buttons.map(button => ({
+            id: button.payload,
+            title: button.label,
+          })),
+        },
+      ],
+    });
+  }
+
+  /**
+   * Send reply buttons to the user of a conversation.
+   * @returns {Promise<boolean>} false when the conversation's channel cannot
+   *   show reply buttons
+   */
+  async sendConversationButtons(conversation, text, buttons) {
+    if (!['whatsapp', 'telegram'].includes(conversation.channel)) {
+      return false;
+    }
+    await this.initializeChannelsForAgent(conversation.agent);
+    const channelService = this.getChannelService(
+      conversation.agent,
+      conversation.channel
+    );
+    if (!channelService?.supportsReplyButtons()) {
+      return false;
+    }
+
+    const recipient =
+      conversation.channel === 'telegram'
+        ? conversation.channel_metadata?.telegram?.chat_id
+        : conversation.channel_metadata?.whatsapp?.phone_number ||
+          conversation.user_identifier;
+    if (!recipient) {
+      return false;
+    }
+    await this.sendReplyButtons(
+      channelService,
+      conversation.channel,
+      recipient,
+      text,
+      buttons
+    );
+    return true;
+  }
+
   /**
    * Build a plain-text fallback from a rich card when sending fails.
    */
@@ -1044,6 +1346,63 @@ class ChannelOrchestrator {
       throw error;
     }
   }
+
+  /**
+   * Send an approved WhatsApp template to the user of a conversation and
+   * record it as a TEMPLATE_SENT system message.
+   *
+   * @param {string} agentId
+   * @param {Object} conversation - Conversation document
+   * @param {Object} template - APPROVED Template document
+   * @param {Array} [parameters] - Meta template components
+   * @returns {Promise<{ message_id: string }>}
+   * @throws TEMPLATE_NOT_SENDABLE when the conversation or channel cannot
+   *   receive templates
+   */
+  async sendTemplate(agentId, conversation, template, parameters = []) {
+    if (conversation.channel !== 'whatsapp') {
+      throw templateError('Template messages are only supported for WhatsApp');
+    }
+
+    const recipientPhone =
+      conversation.channel_metadata?.whatsapp?.phone_number ||
+      conversation.user_identifier;
+    if (!recipientPhone) {
+      throw templateError('No recipient phone number found');
+    }
+
+    await this.initializeChannelsForAgent(agentId);
+    const channelService = this.getChannelService(agentId, 'whatsapp');
+    if (!channelService) {
+      throw templateError('WhatsApp channel not configured for this agent');
+    }
+    if (channelService.whatsappConfig.provider !== 'meta') {
+      throw templateError(
+        'Template messages are only supported with Meta provider'
+      );
+    }
+
+    const result = await channelService.sendTemplateViaMetaAPI(
+      recipientPhone,
+      template.name,
+      template.language,
+      parameters
+    );
+
+    conversation.messages.push({
+      role: 'system',
+      content: `Template message sent: ${template.label || template.name} (${template.language})`,
+      code: 'TEMPLATE_SENT',
+      timestamp: new Date(),
+      channel_info: {
+        channel: 'whatsapp',
+        message_id: result.message_id,
+      },
+    });
+    await conversation.save();
+
+    return result;
+  }
 }
 
 // Export singleton instance
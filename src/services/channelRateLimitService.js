@@ -0,0 +1,302 @@
+/**
+ * Channel Rate Limit Service
+ *
+ * Per-sender flood control for inbound channel messages, configured in
+ * ChannelConfig.global_settings.rate_limiting:
+ *
+ *   - `max_messages_per_minute` / `max_messages_per_hour` are counted per
+ *     agent and user_identifier in RateLimitCounter, so every replica sees
+ *     the same totals. Only messages that would start an agent turn are
+ *     counted; messages over a limit are dropped before the agent runs.
+ *     Messages to a conversation a human operator controls always go
+ *     through.
+ *   - The first throttled message of a window is answered with
+ *     `throttle_message`; the DistributedLock collection makes sure only one
+ *     replica sends it.
+ *   - A sender with `block_after_violations` throttled messages within an
+ *     hour is blocked for `block_duration_minutes`. Blocked senders are
+ *     ignored on all channels of the agent until the block ends or an admin
+ *     lifts it.
+ */
+
+const ChannelConfig = require('../models/ChannelConfig');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const BlockedSender = require('../models/BlockedSender');
+const distributedLockService = require('./distributedLockService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const DEFAULT_THROTTLE_MESSAGE =
+  'You are sending messages too quickly. Please wait a moment before sending another message.';
+
+function rateLimitError(message) {
+  const error = new Error(message);
+  error.code = 'RATE_LIMIT_INVALID';
+  return error;
+}
+
+class ChannelRateLimitService {
+  /**
+   * Check rate limiting settings before they are stored.
+   * @throws RATE_LIMIT_INVALID
+   */
+  validate(rateLimiting) {
+    if (!rateLimiting) {
+      return;
+    }
+
+    for (const field of ['max_messages_per_minute', 'max_messages_per_hour']) {
+      const value = rateLimiting[field];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw rateLimitError(`${field} must be a positive integer`);
+      }
+    }
+    for (const field of ['block_after_violations', 'block_duration_minutes']) {
+      const value = rateLimiting[field];
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        throw rateLimitError(`${field} must be an integer of 0 or more`);
+      }
+    }
+    if (
+      rateLimiting.throttle_message !== undefined &&
+      typeof rateLimiting.throttle_message !== 'string'
+    ) {
+      throw rateLimitError('throttle_message must be a string');
+    }
+  }
+
+  /**
+   * Count a hit in the current fixed window of `windowMs`.
+   * @returns {Promise<{ count: number, resetsAt: Date }>}
+   */
+  async hit(key, windowMs, now = new Date()) {
+    const windowNumber = Math.floor(now.getTime() / windowMs);
+    const resetsAt = new Date((windowNumber + 1) * windowMs);
+    const update = () =>
+      RateLimitCounter.findOneAndUpdate(
+        { _id: `${key}:${windowNumber}` },
+        { $inc: { count: 1 }, $setOnInsert: { expires_at: resetsAt } },
+        { upsert: true, new: true }
+      ).lean();
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two replicas created the window at the same time — the retry
+      // increments the document the other one inserted
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counter = await update();
+    }
+    return { count: counter.count, resetsAt };
+  }
+
+  /**
+   * Active block of a sender, or null.
+   */
+  async getBlock(agentId, userIdentifier, now = new Date()) {
+    return BlockedSender.findOne({
+      agent: agentId,
+      user_identifier: userIdentifier,
+      $or: [{ blocked_until: null }, { blocked_until: { $gt: now } }],
+    }).lean();
+  }
+
+  /**
+   * Whether a sender is blocked, for messages that check() does not count.
+   * Fails open like check().
+   */
+  async isBlocked(agentId, userIdentifier, now = new Date()) {
+    if (!userIdentifier) {
+      return false;
+    }
+    try {
+      return !!(await this.getBlock(agentId, userIdentifier, now));
+    } catch (error) {
+      console.error(
+        `[ChannelRateLimit] Block check failed for agent ${agentId}:`,
+        error.message
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Decide whether an inbound message may reach the agent.
+   *
+   * @returns {Promise<{ allowed: boolean, reason?: 'blocked'|'throttled',
+   *   reply?: string|null, blocked_until?: Date|null }>}
+   *   `reply` is set for the one throttled message per window that should be
+   *   answered
+   */
+  async check(agentId, userIdentifier, channel, now = new Date()) {
+    if (!userIdentifier) {
+      return { allowed: true };
+    }
+
+    try {
+      const block = await this.getBlock(agentId, userIdentifier, now);
+      if (block) {
+        return {
+          allowed: false,
+          reason: 'blocked',
+          blocked_until: block.blocked_until,
+        };
+      }
+
+      const channelConfig = await ChannelConfig.findOne({ agent: agentId })
+        .select('organization project global_settings.rate_limiting')
+        .lean();
+      const limits = channelConfig?.global_settings?.rate_limiting;
+      if (!channelConfig || limits?.enabled === false) {
+        return { allowed: true };
+      }
+
+      const key = `channel:${agentId}:${userIdentifier}`;
+      const [minute, hour] = await Promise.all([
+        this.hit(`${key}:m`, MINUTE_MS, now),
+        this.hit(`${key}:h`, HOUR_MS, now),
+      ]);
+      const perMinute = limits?.max_messages_per_minute ?? 10;
+      const perHour = limits?.max_messages_per_hour ?? 100;
+
+      let resetsAt = null;
+      if (hour.count > perHour) {
+        resetsAt = hour.resetsAt;
+      } else if (minute.count > perMinute) {
+        resetsAt = minute.resetsAt;
+      }
+      if (!resetsAt) {
+        return { allowed: true };
+      }
+
+      const threshold = limits?.block_after_violations ?? 20;
+      if (threshold > 0) {
+        const violations = await this.hit(`${key}:v`, HOUR_MS, now);
+        if (violations.count >= threshold) {
+          const duration = limits?.block_duration_minutes ?? 60;
+          const blocked = await this.block(channelConfig, userIdentifier, {
+            channel,
+            reason: `Exceeded channel rate limits ${violations.count} times within an hour`,
+            automatic: true,
+            violations: violations.count,
+            durationMinutes: duration,
+            now,
+          });
+          console.warn(
+            `[ChannelRateLimit] Blocked ${userIdentifier} on agent ${agentId} after ${violations.count} throttled messages`
+          );
+          return {
+            allowed: false,
+            reason: 'blocked',
+            blocked_until: blocked.blocked_until,
+          };
+        }
+      }
+
+      // One reply per window, whichever replica gets there first
+      const notify = await distributedLockService.tryAcquire(
+        `${key}:throttle_notice`,
+        resetsAt.getTime() - now.getTime()
+      );
+      return {
+        allowed: false,
+        reason: 'throttled',
+        reply: notify
+          ? limits?.throttle_message || DEFAULT_THROTTLE_MESSAGE
+          : null,
+      };
+    } catch (error) {
+      // Flood control must not take channels down with it
+      console.error(
+        `[ChannelRateLimit] Check failed for agent ${agentId}:`,
+        error.message
+      );
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * Block a sender on all channels of an agent. Blocking an already blocked
+   * sender replaces the existing block.
+   *
+   * @param {Object} agent - document with _id, organization and project
+   *   (an Agent, or a ChannelConfig whose `agent` field is used)
+   * @param {string} userIdentifier
+   * @param {Object} [options]
+   * @param {number} [options.durationMinutes] - omitted or 0 blocks until
+   *   unblocked
+   */
+  async block(
+    agent,
+    userIdentifier,
+    {
+      channel = null,
+      reason = null,
+      automatic = false,
+      violations = 0,
+      durationMinutes = 0,
+      userId = null,
+      now = new Date(),
+    } = {}
+  ) {
+    const agentId = agent.agent || agent._id;
+    const blockedUntil =
+      durationMinutes > 0
+        ? new Date(now.getTime() + durationMinutes * MINUTE_MS)
+        : null;
+
+    return BlockedSender.findOneAndUpdate(
+      { agent: agentId, user_identifier: userIdentifier },
+      {
+        $set: {
+          organization: agent.organization,
+          project: agent.project,
+          channel,
+          reason,
+          automatic,
+          violations,
+          blocked_until: blockedUntil,
+          created_by: userId,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * Lift a block.
+   * @returns {Promise<boolean>} false when the sender was not blocked
+   */
+  async unblock(agentId, userIdentifier) {
+    const result = await BlockedSender.deleteOne({
+      agent: agentId,
+      user_identifier: userIdentifier,
+    });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Active blocks of an agent, newest first.
+   */
+  async listBlocked(agentId, { limit = 50, offset = 0 } = {}) {
+    const filter = {
+      agent: agentId,
+      $or: [{ blocked_until: null }, { blocked_until: { $gt: new Date() } }],
+    };
+    const [blocked, total] = await Promise.all([
+      BlockedSender.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      BlockedSender.countDocuments(filter),
+    ]);
+    return { blocked, total };
+  }
+}
+
+module.exports = new ChannelRateLimitService();
@@ -150,6 +150,15 @@ class BaseChannelService {
     return message; // Override to add channel-specific formatting
   }
 
+  /**
+   * Check if the channel can send reply buttons whose taps come back as
+   * `button_payload` on the normalized message
+   * @returns {boolean}
+   */
+  supportsReplyButtons() {
+    return false;
+  }
+
   /**
    * Check if channel is properly configured and enabled
    * @returns {boolean}
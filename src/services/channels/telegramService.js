@@ -326,6 +326,7 @@ class TelegramService extends BaseChannelService {
         // Treat callback as a message
         const normalized = this.normalizeMessage(callbackQuery.message);
         normalized.content = callbackQuery.data; // Button data becomes the message
+        normalized.button_payload = callbackQuery.data;
         normalized.is_button_response = true;
         return normalized;
       }
@@ -336,6 +337,13 @@ class TelegramService extends BaseChannelService {
     }
   }
 
+  /**
+   * Inline keyboard buttons come back as callback queries
+   */
+  supportsReplyButtons() {
+    return true;
+  }
+
   /**
    * Answer callback query (for button presses)
    */
@@ -738,6 +738,7 @@ class WhatsAppService extends BaseChannelService {
     });
 
     const normalized = this.normalizeMessage(message);
+    normalized.button_payload = this.extractButtonPayload(message);
     normalized.metaContact = change?.value?.contacts?.[0];
     return normalized;
   }
@@ -789,6 +790,9 @@ class WhatsAppService extends BaseChannelService {
     if (rawMessage.interactive?.button_reply?.title) {
       return rawMessage.interactive.button_reply.title;
     }
+    if (rawMessage.interactive?.list_reply?.title) {
+      return rawMessage.interactive.list_reply.title;
+    }
 
     // Media captions (Meta sends caption inside the media object, not in text.body)
     if (rawMessage.image?.caption) return rawMessage.image.caption;
@@ -798,6 +802,25 @@ class WhatsAppService extends BaseChannelService {
     return '';
   }
 
+  /**
+   * Extract the id of the tapped reply button or list row (Meta format)
+   */
+  extractButtonPayload(rawMessage) {
+    return (
+      rawMessage.interactive?.button_reply?.id ||
+      rawMessage.interactive?.list_reply?.id ||
+      rawMessage.button?.payload ||
+      null
+    );
+  }
+
+  /**
+   * Only the Meta Cloud API sends interactive reply buttons
+   */
+  supportsReplyButtons() {
+    return this.whatsappConfig.provider === 'meta';
+  }
+
   /**
    * Extract channel metadata
    */
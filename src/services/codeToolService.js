@@ -0,0 +1,248 @@
+/**
+ * Code Tool Service
+ *
+ * Runs tenant-supplied JavaScript stored on tools with
+ * implementation.type = 'code'. The code is a function body that receives
+ * `params` (the validated tool arguments) and `config` (the merged tool
+ * config) and returns — or resolves to — a JSON-serialisable result:
+ *
+ *   const nights = (new Date(params.check_out) - new Date(params.check_in)) / 864e5;
+ *   return { nights, total: nights * config.nightly_rate };
+ *
+ * Each call runs in its own worker thread (sandbox/codeToolWorker.js) with a
+ * V8 heap limit, an empty environment and a wall-clock limit after which the
+ * worker is terminated. Inside, the code has no require, process or
+ * filesystem access; `fetch` only reaches hosts listed in
+ * implementation.config.allowed_hosts.
+ *
+ * implementation.config shape:
+ * {
+ *   timeout_ms: 3000,           // max 30000
+ *   memory_mb: 32,              // max 128
+ *   allowed_hosts: ['api.exchangerate.host', '*.example.com'],
+ *   max_fetches: 5,
+ *   ...any other values, exposed to the code as `config`
+ * }
+ */
+
+const path = require('path');
+const vm = require('vm');
+const { Worker } = require('worker_threads');
+const { validateSchema } = require('../utils/schemaValidator');
+
+const WORKER_PATH = path.join(__dirname, 'sandbox', 'codeToolWorker.js');
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const MAX_TIMEOUT_MS = 30000;
+const DEFAULT_MEMORY_MB = 32;
+const MAX_MEMORY_MB = 128;
+const DEFAULT_MAX_FETCHES = 5;
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+const MAX_CODE_LENGTH = 20000;
+
+// Sandbox settings that are consumed here and not passed to the code
+const SANDBOX_CONFIG_KEYS = [
+  'timeout_ms',
+  'memory_mb',
+  'allowed_hosts',
+  'max_fetches',
+];
+
+class CodeToolService {
+  /**
+   * Whether a Tool document is executed by this service.
+   */
+  isCodeTool(tool) {
+    return !!tool && tool.implementation?.type === 'code';
+  }
+
+  /**
+   * Build a handler function compatible with ToolService handlers.
+   * @param {Object} tool - Tool document
+   * @returns {Function} (parameters, config) => Promise<result>
+   */
+  createHandler(tool) {
+    return (parameters, config) => this.execute(tool, parameters, config);
+  }
+
+  /**
+   * Check that a function body compiles, without running it.
+   * @param {string} code
+   * @returns {string|null} error message, or null when the code is valid
+   */
+  checkSyntax(code) {
+    if (typeof code !== 'string' || !code.trim()) {
+      return 'Code is required';
+    }
+    if (code.length > MAX_CODE_LENGTH) {
+      return `Code must be at most ${MAX_CODE_LENGTH} characters`;
+    }
+    try {
+      new vm.Script(`(async function (params, config) {\n'use strict';\n${code}\n})`);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Execute a code tool.
+   *
+   * @param {Object} tool       - Tool document with implementation.code
+   * @param {Object} parameters - Arguments supplied by the agent
+   * @param {Object} config     - Merged implementation + agent tool config
+   */
+  async execute(tool, parameters = {}, config = {}) {
+    const code = tool.implementation?.code;
+    if (!code) {
+      throw new Error(`Tool '${tool.name}' has no code`);
+    }
+
+    const schema = tool.parameters_schema?.toObject
+      ? tool.parameters_schema.toObject()
+      : tool.parameters_schema;
+    const parameterErrors = validateSchema(parameters, schema);
+    if (parameterErrors.length > 0) {
+      throw new Error(`Invalid parameters: ${parameterErrors.join('; ')}`);
+    }
+
+    // Sandbox limits come from the tool only, never from agent parameters
+    const limits = tool.implementation?.config || {};
+    const timeoutMs = this._clamp(
+      limits.timeout_ms,
+      DEFAULT_TIMEOUT_MS,
+      MAX_TIMEOUT_MS
+    );
+    const memoryMb = this._clamp(
+      limits.memory_mb,
+      DEFAULT_MEMORY_MB,
+      MAX_MEMORY_MB
+    );
+
+    const { result, logs } = await this._runWorker(
+      {
+        code,
+        parameters,
+        config: this.buildSandboxConfig(config),
+        timeoutMs,
+        allowedHosts: Array.isArray(limits.allowed_hosts)
+          ? limits.allowed_hosts
+          : [],
+        maxFetches: this._clamp(limits.max_fetches, DEFAULT_MAX_FETCHES, 50),
+        maxResponseBytes: MAX_RESPONSE_BYTES,
+      },
+      timeoutMs,
+      memoryMb,
+      tool.name
+    );
+
+    if (logs.length > 0) {
+      console.log(
+        `[CodeTool] '${tool.name}' console output:\n${logs.join('\n')}`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Config visible to the code: sandbox limits, internal values (prefixed
+   * with "_", e.g. decrypted API keys) and encrypted secrets are removed.
+   */
+  buildSandboxConfig(config = {}) {
+    const visible = {};
+    for (const [key, value] of Object.entries(config)) {
+      if (
+        SANDBOX_CONFIG_KEYS.includes(key) ||
+        key.startsWith('_') ||
+        key.startsWith('encrypted_')
+      ) {
+        continue;
+      }
+      visible[key] = value;
+    }
+    // Round-trip through JSON so only plain data crosses into the worker
+    return JSON.parse(JSON.stringify(visible));
+  }
+
+  _runWorker(workerData, timeoutMs, memoryMb, toolName) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      const worker = new Worker(WORKER_PATH, {
+        workerData,
+        env: {},
+        execArgv: [],
+        stdout: true,
+        stderr: true,
+        resourceLimits: {
+          maxOldGenerationSizeMb: memoryMb,
+          maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 4)),
+          stackSizeMb: 4,
+        },
+      });
+
+      const finish = (error, value) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate().catch(() => {});
+        if (error) {
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+
+      // Covers async work and busy loops that the vm timeout cannot interrupt
+      timer = setTimeout(() => {
+        finish(
+          new Error(
+            `Code tool '${toolName}' exceeded its ${timeoutMs}ms time limit`
+          )
+        );
+      }, timeoutMs + 500);
+
+      worker.on('message', message => {
+        if (message.success) {
+          finish(null, { result: message.result, logs: message.logs || [] });
+        } else {
+          if (message.logs?.length) {
+            console.log(
+              `[CodeTool] '${toolName}' console output:\n${message.logs.join('\n')}`
+            );
+          }
+          finish(new Error(`Code tool '${toolName}' failed: ${message.error}`));
+        }
+      });
+
+      worker.on('error', error => {
+        const reason =
+          error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+            ? `exceeded its ${memoryMb}MB memory limit`
+            : `failed: ${error.message}`;
+        finish(new Error(`Code tool '${toolName}' ${reason}`));
+      });
+
+      worker.on('exit', code => {
+        finish(
+          new Error(
+            `Code tool '${toolName}' exited unexpectedly (code ${code})`
+          )
+        );
+      });
+    });
+  }
+
+  _clamp(value, defaultValue, max) {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number) || number <= 0) {
+      return defaultValue;
+    }
+    return Math.min(number, max);
+  }
+}
+
+module.exports = new CodeToolService();
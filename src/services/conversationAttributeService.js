@@ -0,0 +1,225 @@
+/**
+ * Conversation Attribute Service
+ *
+ * Tags and custom fields of conversations. Tags are free-form labels;
+ * custom fields are typed values of the fields a project declares in
+ * `conversation_fields`. Operators and API clients write them through the
+ * conversations endpoints, hooks through their `tag` and `set_field`
+ * actions.
+ */
+
+const Agent = require('../models/Agent');
+const Project = require('../models/Project');
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const MAX_FIELDS = 50;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+const MAX_TEXT_LENGTH = 1000;
+
+function attributeError(message) {
+  const error = new Error(message);
+  error.code = 'CONVERSATION_ATTRIBUTES_INVALID';
+  return error;
+}
+
+class ConversationAttributeService {
+  /**
+   * Check a project's conversation_fields before they are stored.
+   * @throws CONVERSATION_ATTRIBUTES_INVALID
+   */
+  validateFieldDefinitions(fields) {
+    if (!Array.isArray(fields)) {
+      throw attributeError('conversation_fields must be an array');
+    }
+    if (fields.length > MAX_FIELDS) {
+      throw attributeError(`At most ${MAX_FIELDS} conversation fields`);
+    }
+    const keys = new Set();
+    for (const field of fields) {
+      if (!FIELD_KEY_PATTERN.test(field?.key || '')) {
+        throw attributeError(
+          'Field keys must start with a lowercase letter and contain only lowercase letters, digits and "_"'
+        );
+      }
+      if (keys.has(field.key)) {
+        throw attributeError(`Duplicate field "${field.key}"`);
+      }
+      keys.add(field.key);
+      if (!FIELD_TYPES.includes(field.type)) {
+        throw attributeError(
+          `Field "${field.key}": type must be one of: ${FIELD_TYPES.join(', ')}`
+        );
+      }
+      if (
+        field.type === 'select' &&
+        !(
+          Array.isArray(field.options) &&
+          field.options.length > 0 &&
+          field.options.every(option => typeof option === 'string')
+        )
+      ) {
+        throw attributeError(
+          `Field "${field.key}": select fields need options`
+        );
+      }
+    }
+  }
+
+  /**
+   * Trimmed, de-duplicated tags.
+   * @throws CONVERSATION_ATTRIBUTES_INVALID
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw attributeError('tags must be an array of strings');
+    }
+    const normalized = new Set();
+    for (const tag of tags) {
+      if (typeof tag !== 'string' || !tag.trim()) {
+        throw attributeError('tags must be non-empty strings');
+      }
+      if (tag.trim().length > MAX_TAG_LENGTH) {
+        throw attributeError(`Tags are at most ${MAX_TAG_LENGTH} characters`);
+      }
+      normalized.add(tag.trim());
+    }
+    return [...normalized];
+  }
+
+  /**
+   * Convert a value to the field's type. `null` clears the field.
+   * @throws CONVERSATION_ATTRIBUTES_INVALID
+   */
+  coerceValue(field, value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    switch (field.type) {
+      case 'number': {
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          throw attributeError(`Field "${field.key}" must be a number`);
+        }
+        return number;
+      }
+      case 'boolean':
+        if (value === true || value === 'true') {
+          return true;
+        }
+        if (value === false || value === 'false') {
+          return false;
+        }
+        throw attributeError(`Field "${field.key}" must be true or false`);
+      case 'date': {
+        const date = new Date(value);
+        if (typeof value === 'boolean' || isNaN(date.getTime())) {
+          throw attributeError(`Field "${field.key}" must be a date`);
+        }
+        return date;
+      }
+      case 'select':
+        if (!(field.options || []).includes(value)) {
+          throw attributeError(
+            `Field "${field.key}" must be one of: ${(field.options || []).join(', ')}`
+          );
+        }
+        return value;
+      default:
+        if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+          throw attributeError(
+            `Field "${field.key}" must be a string of at most ${MAX_TEXT_LENGTH} characters`
+          );
+        }
+        return value;
+    }
+  }
+
+  /**
+   * The conversation_fields of the project an agent belongs to.
+   */
+  async getFieldDefinitions(agentId) {
+    const agent = await Agent.findById(agentId).select('project').lean();
+    if (!agent) {
+      return [];
+    }
+    const project = await Project.findById(agent.project)
+      .select('conversation_fields')
+      .lean();
+    return project?.conversation_fields || [];
+  }
+
+  /**
+   * Change the tags and custom fields of a conversation and save it.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {Object} changes
+   * @param {string[]} [changes.tags] - replaces all tags
+   * @param {string[]} [changes.add_tags]
+   * @param {string[]} [changes.remove_tags]
+   * @param {Object} [changes.custom_fields] - key → value; null clears
+   * @throws CONVERSATION_ATTRIBUTES_INVALID
+   */
+  async update(conversation, changes) {
+    const { tags, add_tags, remove_tags, custom_fields } = changes;
+
+    if (
+      tags !== undefined ||
+      add_tags !== undefined ||
+      remove_tags !== undefined
+    ) {
+      let updated =
+        tags !== undefined ? this.normalizeTags(tags) : [...conversation.tags];
+      if (add_tags !== undefined) {
+        updated = [...new Set([...updated, ...this.normalizeTags(add_tags)])];
+      }
+      if (remove_tags !== undefined) {
+        const removed = this.normalizeTags(remove_tags);
+        updated = updated.filter(tag => !removed.includes(tag));
+      }
+      if (updated.length > MAX_TAGS) {
+        throw attributeError(`A conversation has at most ${MAX_TAGS} tags`);
+      }
+      conversation.tags = updated;
+    }
+
+    if (custom_fields !== undefined) {
+      if (
+        !custom_fields ||
+        typeof custom_fields !== 'object' ||
+        Array.isArray(custom_fields)
+      ) {
+        throw attributeError('custom_fields must be an object');
+      }
+      const definitions = await this.getFieldDefinitions(conversation.agent);
+      const values = new Map(
+        (conversation.custom_fields || []).map(field => [
+          field.key,
+          field.value,
+        ])
+      );
+      for (const [key, value] of Object.entries(custom_fields)) {
+        const definition = definitions.find(field => field.key === key);
+        if (!definition) {
+          throw attributeError(`Unknown conversation field "${key}"`);
+        }
+        const coerced = this.coerceValue(definition, value);
+        if (coerced === null) {
+          values.delete(key);
+        } else {
+          values.set(key, coerced);
+        }
+      }
+      conversation.custom_fields = [...values].map(([key, value]) => ({
+        key,
+        value,
+      }));
+    }
+
+    await conversation.save();
+    return conversation;
+  }
+}
+
+module.exports = new ConversationAttributeService();
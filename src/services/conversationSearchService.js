@@ -0,0 +1,307 @@
+/**
+ * Conversation Search Service
+ *
+ * Finds an organization's conversations by words of their messages, title
+ * or summary, combined with filters on tags, custom fields, channel,
+ * status, user identifier and dates, and counts the matches per facet.
+ *
+ * Words are matched through the blind index of utils/searchIndex.js, so
+ * conversations with gdpr.encrypt_messages are searched like the others
+ * without their plaintext ever being indexed. A conversation matches when
+ * one of its messages, or its title and summary, contains every word of the
+ * query.
+ */
+
+const Agent = require('../models/Agent');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const searchIndex = require('../utils/searchIndex');
+
+// Conversations whose messages match are collected up to this number;
+// very common words stop there
+const MAX_MESSAGE_MATCHES = 5000;
+const EXCERPTS_PER_CONVERSATION = 3;
+const EXCERPT_LENGTH = 200;
+const FACET_SIZE = 20;
+
+// gdpr is needed to decrypt the excerpts of matching messages
+const LIST_FIELDS =
+  '_id agent user_identifier title summary status channel archived tags custom_fields message_count metadata.last_activity gdpr created_at updated_at';
+
+function searchError(message) {
+  const error = new Error(message);
+  error.code = 'SEARCH_INVALID';
+  return error;
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = value =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw searchError(`${name} must be a date`);
+  }
+  return date;
+}
+
+// Query strings carry no types: match the value as stored by any field type
+function fieldValues(raw) {
+  const values = [raw];
+  if (raw !== '' && Number.isFinite(Number(raw))) {
+    values.push(Number(raw));
+  }
+  if (raw === 'true' || raw === 'false') {
+    values.push(raw === 'true');
+  }
+  return values;
+}
+
+function excerpt(content, words) {
+  const text = String(content || '');
+  const lower = text.toLowerCase();
+  const positions = words
+    .map(word => lower.indexOf(word))
+    .filter(index => index >= 0);
+  const position = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, position - EXCERPT_LENGTH / 4);
+  const snippet = text.slice(start, start + EXCERPT_LENGTH);
+  return `${start > 0 ? '…' : ''}${snippet}${start + EXCERPT_LENGTH < text.length ? '…' : ''}`;
+}
+
+class ConversationSearchService {
+  /**
+   * @param {string} organizationId
+   * @param {Object} params
+   * @param {string} [params.q] - words that must all match
+   * @param {string} [params.project_id]
+   * @param {string} [params.agent_id]
+   * @param {string|string[]} [params.channel]
+   * @param {string|string[]} [params.status]
+   * @param {string} [params.archived] - 'true' or 'false'
+   * @param {string|string[]} [params.tags] - conversations with all tags
+   * @param {string} [params.user_identifier] - prefix, case-insensitive
+   * @param {string} [params.from] - active on or after
+   * @param {string} [params.to] - started on or before
+   * @param {Object} [params.fields] - custom field key → value
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {boolean} [params.facets]
+   * @throws SEARCH_INVALID
+   */
+  async search(organizationId, params = {}) {
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), 100);
+
+    const agentFilter = { organization: organizationId };
+    if (params.project_id) {
+      agentFilter.project = params.project_id;
+    }
+    if (params.agent_id) {
+      agentFilter._id = params.agent_id;
+    }
+    const agentIds = await Agent.find(agentFilter).distinct('_id');
+
+    const filter = { agent: { $in: agentIds } };
+    const from = params.from ? parseDate(params.from, 'from') : null;
+    const to = params.to ? parseDate(params.to, 'to') : null;
+    if (from) {
+      filter['metadata.last_activity'] = { $gte: from };
+    }
+    if (to) {
+      filter.created_at = { $lte: to };
+    }
+    if (params.channel) {
+      filter.channel = { $in: toList(params.channel) };
+    }
+    if (params.status) {
+      filter.status = { $in: toList(params.status) };
+    }
+    if (params.archived === 'true') {
+      filter.archived = true;
+    } else if (params.archived === 'false') {
+      filter.archived = { $ne: true };
+    }
+    if (params.tags) {
+      filter.tags = { $all: toList(params.tags) };
+    }
+    if (params.user_identifier) {
+      filter.user_identifier = {
+        $regex: `^${escapeRegex(String(params.user_identifier))}`,
+        $options: 'i',
+      };
+    }
+    if (params.fields) {
+      if (typeof params.fields !== 'object') {
+        throw searchError('fields must be given as fields[key]=value');
+      }
+      filter.$and = Object.entries(params.fields).map(([key, value]) => ({
+        custom_fields: {
+          $elemMatch: { key, value: { $in: fieldValues(String(value)) } },
+        },
+      }));
+    }
+
+    let tokens = [];
+    let words = [];
+    if (params.q && String(params.q).trim()) {
+      words = searchIndex.tokenize(String(params.q));
+      tokens = searchIndex.queryTokens(String(params.q));
+      if (tokens.length === 0) {
+        throw searchError('q has no searchable words');
+      }
+      // Messages are only matched within the conversations the other
+      // filters allow, so other organizations' messages never use up
+      // MAX_MESSAGE_MATCHES
+      const conversationIds = await Conversation.distinct('_id', filter);
+      const messageMatch = {
+        conversation: { $in: conversationIds },
+        search_tokens: { $all: tokens },
+      };
+      if (from || to) {
+        messageMatch.timestamp = {
+          ...(from && { $gte: from }),
+          ...(to && { $lte: to }),
+        };
+      }
+      const matched = await Message.aggregate([
+        { $match: messageMatch },
+        { $group: { _id: '$conversation' } },
+        { $limit: MAX_MESSAGE_MATCHES },
+      ]);
+      filter.$or = [
+        { _id: { $in: matched.map(match => match._id) } },
+        { search_tokens: { $all: tokens } },
+      ];
+    }
+
+    const [conversations, total, facets] = await Promise.all([
+      Conversation.find(filter)
+        .select(LIST_FIELDS)
+        .populate('agent', 'name')
+        .sort({ 'metadata.last_activity': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Conversation.countDocuments(filter),
+      params.facets === false ? null : this.facets(filter),
+    ]);
+
+    const results = conversations.map(conversation => conversation.toJSON());
+    if (tokens.length > 0 && results.length > 0) {
+      await this.addMatches(results, conversations, tokens, words);
+    }
+
+    return {
+      conversations: results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      facets,
+    };
+  }
+
+  /**
+   * Number of matching conversations per status, channel, agent, tag and
+   * archived flag.
+   */
+  async facets(filter) {
+    const count = field => [
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: FACET_SIZE },
+    ];
+    const [result] = await Conversation.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          status: count('$status'),
+          channel: count('$channel'),
+          agent: count('$agent'),
+          archived: count({ $eq: ['$archived', true] }),
+          tags: [{ $unwind: '$tags' }, ...count('$tags')],
+        },
+      },
+    ]);
+
+    const agentNames = new Map(
+      (
+        await Agent.find({
+          _id: { $in: result.agent.map(bucket => bucket._id) },
+        })
+          .select('name')
+          .lean()
+      ).map(agent => [agent._id, agent.name])
+    );
+
+    const buckets = list =>
+      list.map(bucket => ({ value: bucket._id, count: bucket.count }));
+    return {
+      status: buckets(result.status),
+      channel: buckets(result.channel),
+      agent: result.agent.map(bucket => ({
+        value: bucket._id,
+        name: agentNames.get(bucket._id) || null,
+        count: bucket.count,
+      })),
+      archived: buckets(result.archived),
+      tags: buckets(result.tags),
+    };
+  }
+
+  /**
+   * Attach the newest matching messages, decrypted, to each result.
+   */
+  async addMatches(results, conversations, tokens, words) {
+    const grouped = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: results.map(result => result._id) },
+          search_tokens: { $all: tokens },
+        },
+      },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$conversation',
+          messages: {
+            $push: {
+              _id: '$_id',
+              seq: '$seq',
+              role: '$role',
+              content: '$content',
+              timestamp: '$timestamp',
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          messages: { $slice: ['$messages', EXCERPTS_PER_CONVERSATION] },
+        },
+      },
+    ]);
+    const byConversation = new Map(
+      grouped.map(group => [group._id, group.messages])
+    );
+
+    results.forEach((result, index) => {
+      const conversation = conversations[index];
+      result.matches = (byConversation.get(result._id) || []).map(message => ({
+        message_id: message._id,
+        seq: message.seq,
+        role: message.role,
+        timestamp: message.timestamp,
+        excerpt: excerpt(conversation.decryptContent(message.content), words),
+      }));
+    });
+  }
+}
+
+module.exports = new ConversationSearchService();
@@ -0,0 +1,469 @@
+/**
+ * Custom Tool Service
+ *
+ * Executes organisation-defined tools whose implementation lives outside
+ * LLM Crafter:
+ *
+ *   - webhook      — POSTs { tool, parameters, context } as JSON to a URL and
+ *                    uses the JSON response as the tool result.
+ *   - external_api — builds an arbitrary HTTP request from Mustache templates
+ *                    (url, headers, query, body) filled with the tool's
+ *                    arguments, and returns the response body.
+ *
+ * Requests are signed, time-limited and retried the same way for both types.
+ * Arguments are validated against the tool's parameters_schema before the
+ * call and the response is checked against return_schema afterwards.
+ *
+ * implementation.config shape:
+ * {
+ *   url: 'https://api.example.com/orders/{{order_id}}',
+ *   method: 'GET',                       // external_api only (webhook is always POST)
+ *   headers: { 'X-Tenant': '{{context.organization_id}}' },
+ *   query: { status: '{{status}}' },     // external_api only
+ *   body_template: { id: '{{order_id}}' } // external_api only; defaults to the arguments
+ *   response_path: 'data.order',         // optional dot path into the response
+ *   authentication: { type: 'bearer_token' | 'api_key' | 'basic', ... },
+ *   encrypted_webhook_secret: '...',     // HMAC-SHA256 signing secret (encrypted)
+ *   timeout_ms: 5000,
+ *   retries: 0,                          // extra attempts on network errors, 429 and 5xx
+ *   retry_delay_ms: 500,                 // doubled after each failed attempt
+ * }
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const Mustache = require('mustache');
+const encryptionUtil = require('../utils/encryption');
+const { validateSchema } = require('../utils/schemaValidator');
+
+const HTTP_TOOL_TYPES = ['webhook', 'external_api'];
+const MAX_RETRIES = 5;
+
+// Secret fields accepted in plain text on create/update and stored encrypted
+const SECRET_FIELDS = {
+  webhook_secret: 'encrypted_webhook_secret',
+};
+const AUTH_SECRET_FIELDS = {
+  token: 'encrypted_token',
+  key_value: 'encrypted_key_value',
+  password: 'encrypted_password',
+};
+// Where the request goes and the credentials sent with it. Taken from the
+// tool only: an agent pointing a tool at another host would receive them.
+const TOOL_ONLY_FIELDS = ['url', 'method', 'headers', 'authentication'];
+
+class CustomToolService {
+  /**
+   * Whether a Tool document is executed by this service.
+   */
+  isHttpTool(tool) {
+    return !!tool && HTTP_TOOL_TYPES.includes(tool.implementation?.type);
+  }
+
+  /**
+   * Build a handler function compatible with ToolService handlers.
+   * @param {Object} tool - Tool document
+   * @returns {Function} (parameters, config) => Promise<result>
+   */
+  createHandler(tool) {
+    return (parameters, config) => this.execute(tool, parameters, config);
+  }
+
+  /**
+   * Execute an HTTP-backed custom tool.
+   *
+   * @param {Object} tool       - Tool document (webhook or external_api)
+   * @param {Object} parameters - Arguments supplied by the agent
+   * @param {Object} config     - Merged implementation + agent tool config
+   */
+  async execute(tool, parameters = {}, mergedConfig = {}) {
+    const config = this._requestConfig(tool, mergedConfig);
+    const schema = this._plain(tool.parameters_schema);
+    const parameterErrors = validateSchema(parameters, schema);
+    if (parameterErrors.length > 0) {
+      throw new Error(`Invalid parameters: ${parameterErrors.join('; ')}`);
+    }
+
+    if (!config.url) {
+      throw new Error(`Tool '${tool.name}' has no url configured`);
+    }
+
+    // organization/project may arrive populated from getAgent()
+    const context = {
+      organization_id: this._id(config.organization_id),
+      project_id: this._id(config.project_id),
+      conversation_id: this._id(config.conversation_id),
+      agent_id: this._id(config.agent_id),
+    };
+
+    const request =
+      tool.implementation.type === 'webhook'
+        ? this.buildWebhookRequest(tool, parameters, config, context)
+        : this.buildExternalApiRequest(parameters, config, context);
+
+    const response = await this._sendWithRetries(request, config);
+
+    let result = response.data;
+    if (config.response_path) {
+      result = this._extractPath(result, config.response_path);
+    }
+
+    const returnSchema = this._plain(tool.return_schema);
+    if (
+      returnSchema?.properties &&
+      Object.keys(returnSchema.properties).length > 0
+    ) {
+      const returnErrors = validateSchema(result, returnSchema);
+      if (returnErrors.length > 0) {
+        throw new Error(
+          `Response does not match return_schema: ${returnErrors.join('; ')}`
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * The merged config with the request target and credentials of the tool
+   * itself, whatever the agent tool config sets for them.
+   */
+  _requestConfig(tool, mergedConfig) {
+    const toolConfig = this._plain(tool.implementation?.config) || {};
+    const config = { ...mergedConfig };
+    for (const key of Object.keys(config)) {
+      if (key.startsWith('encrypted_')) {
+        delete config[key];
+      }
+    }
+    for (const key of TOOL_ONLY_FIELDS) {
+      delete config[key];
+    }
+    for (const [key, value] of Object.entries(toolConfig)) {
+      if (TOOL_ONLY_FIELDS.includes(key) || key.startsWith('encrypted_')) {
+        config[key] = value;
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Webhook request: always a signed JSON POST of the call envelope.
+   */
+  buildWebhookRequest(tool, parameters, config, context) {
+    const view = this._templateView(parameters, context);
+
+    return {
+      method: 'POST',
+      url: this._render(config.url, view, encodeURIComponent),
+      headers: this._renderHeaders(config.headers, view),
+      body: JSON.stringify({
+        tool: tool.name,
+        parameters,
+        context,
+        timestamp: new Date().toISOString(),
+      }),
+    };
+  }
+
+  /**
+   * External API request: url, headers, query and body are all templated.
+   * When no body_template is configured the arguments are sent as the body.
+   */
+  buildExternalApiRequest(parameters, config, context) {
+    const view = this._templateView(parameters, context);
+    const method = (config.method || 'GET').toUpperCase();
+
+    const url = new URL(this._render(config.url, view, encodeURIComponent));
+    for (const [key, template] of Object.entries(config.query || {})) {
+      const value = this._render(String(template), view);
+      if (value !== '') {
+        url.searchParams.append(key, value);
+      }
+    }
+
+    let body = null;
+    if (['POST', 'PUT', 'PATCH'].includes(method)) {
+      const payload =
+        config.body_template !== undefined && config.body_template !== null
+          ? this._renderDeep(config.body_template, view)
+          : parameters;
+      body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    }
+
+    return {
+      method,
+      url: url.toString(),
+      headers: this._renderHeaders(config.headers, view),
+      body,
+    };
+  }
+
+  /**
+   * Send the request, signing it and retrying transient failures.
+   */
+  async _sendWithRetries(request, config) {
+    const retries = Math.min(
+      Math.max(parseInt(config.retries, 10) || 0, 0),
+      MAX_RETRIES
+    );
+    const baseDelay = config.retry_delay_ms || 500;
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this._authHeaders(config.authentication),
+      ...(config.conversation_id
+        ? { 'X-Conversation-ID': config.conversation_id }
+        : {}),
+      ...request.headers,
+    };
+
+    // HMAC-SHA256 signature of the raw body, same scheme as message transformers
+    const secret = this._decryptOptional(config.encrypted_webhook_secret);
+    if (secret) {
+      headers['X-Webhook-Signature'] = crypto
+        .createHmac('sha256', secret)
+        .update(request.body || '')
+        .digest('hex');
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        return await axios.request({
+          method: request.method,
+          url: request.url,
+          data: request.body,
+          headers,
+          timeout: config.timeout_ms || 5000,
+          validateStatus: status => status >= 200 && status < 300,
+        });
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+        const retryable = !status || status === 429 || status >= 500;
+        if (!retryable || attempt === retries) {
+          break;
+        }
+        const delay = baseDelay * Math.pow(2, attempt);
+        console.warn(
+          `[CustomTool] ${request.method} ${request.url} failed (${status || error.code || error.message}), retrying in ${delay}ms`
+        );
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    const status = lastError.response?.status;
+    throw new Error(
+      status
+        ? `HTTP ${status} from ${request.url}`
+        : `Request to ${request.url} failed: ${lastError.message}`
+    );
+  }
+
+  /**
+   * Build auth headers from the tool's (encrypted) authentication config.
+   */
+  _authHeaders(auth) {
+    if (!auth || !auth.type) {
+      return {};
+    }
+
+    switch (auth.type) {
+      case 'bearer_token': {
+        const token = this._decryptOptional(auth.encrypted_token);
+        return token ? { Authorization: `Bearer ${token}` } : {};
+      }
+      case 'api_key': {
+        const value = this._decryptOptional(auth.encrypted_key_value);
+        return value ? { [auth.key_name || 'X-API-Key']: value } : {};
+      }
+      case 'basic': {
+        const password = this._decryptOptional(auth.encrypted_password) || '';
+        const encoded = Buffer.from(
+          `${auth.username || ''}:${password}`
+        ).toString('base64');
+        return { Authorization: `Basic ${encoded}` };
+      }
+      default:
+        return {};
+    }
+  }
+
+  // ===== SECRET HANDLING (used by toolController) =====
+
+  /**
+   * Replace plain-text secrets in an implementation config with encrypted
+   * copies. Existing encrypted values are kept when no new value is given,
+   * as long as the tool still targets the same url, method and
+   * authentication type.
+   *
+   * @param {Object} config         - incoming implementation.config
+   * @param {Object} [previous={}]  - currently stored implementation.config
+   * @returns {Object} config safe to persist
+   */
+  encryptSecrets(config = {}, previous = {}) {
+    const result = { ...config };
+    if (this._targetChanged(config, previous)) {
+      previous = {};
+    }
+
+    for (const [plainKey, encryptedKey] of Object.entries(SECRET_FIELDS)) {
+      if (result[plainKey]) {
+        result[encryptedKey] = encryptionUtil.encrypt(result[plainKey]);
+      } else if (previous[encryptedKey] && result[encryptedKey] === undefined) {
+        result[encryptedKey] = previous[encryptedKey];
+      }
+      delete result[plainKey];
+    }
+
+    if (result.authentication) {
+      const auth = { ...result.authentication };
+      const previousAuth = previous.authentication || {};
+      for (const [plainKey, encryptedKey] of Object.entries(
+        AUTH_SECRET_FIELDS
+      )) {
+        if (auth[plainKey]) {
+          auth[encryptedKey] = encryptionUtil.encrypt(auth[plainKey]);
+        } else if (
+          previousAuth[encryptedKey] &&
+          auth[encryptedKey] === undefined
+        ) {
+          auth[encryptedKey] = previousAuth[encryptedKey];
+        }
+        delete auth[plainKey];
+      }
+      result.authentication = auth;
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether an updated config sends requests somewhere other than the stored
+   * one, in which case stored secrets must not follow it.
+   */
+  _targetChanged(config, previous) {
+    const method = c => (c.method || '').toUpperCase();
+    return (
+      config.url !== previous.url ||
+      method(config) !== method(previous) ||
+      config.authentication?.type !== previous.authentication?.type
+    );
+  }
+
+  /**
+   * Return a copy of an implementation config with encrypted secrets replaced
+   * by has_* flags, for API responses.
+   */
+  redactSecrets(config = {}) {
+    const result = { ...config };
+
+    for (const encryptedKey of Object.values(SECRET_FIELDS)) {
+      if (encryptedKey in result) {
+        result[`has_${encryptedKey.replace('encrypted_', '')}`] =
+          !!result[encryptedKey];
+        delete result[encryptedKey];
+      }
+    }
+
+    if (result.authentication) {
+      const auth = { ...result.authentication };
+      for (const encryptedKey of Object.values(AUTH_SECRET_FIELDS)) {
+        if (encryptedKey in auth) {
+          auth[`has_${encryptedKey.replace('encrypted_', '')}`] =
+            !!auth[encryptedKey];
+          delete auth[encryptedKey];
+        }
+      }
+      result.authentication = auth;
+    }
+
+    return result;
+  }
+
+  // ===== TEMPLATING HELPERS =====
+
+  _templateView(parameters, context) {
+    return { ...parameters, context };
+  }
+
+  /**
+   * Render a Mustache template. Values are not HTML-escaped; an optional
+   * escape function (e.g. encodeURIComponent for URLs) can be supplied.
+   */
+  _render(template, view, escape = value => String(value)) {
+    return Mustache.render(template, view, {}, { escape });
+  }
+
+  _renderHeaders(headers = {}, view) {
+    const rendered = {};
+    for (const [key, template] of Object.entries(headers || {})) {
+      rendered[key] = this._render(String(template), view);
+    }
+    return rendered;
+  }
+
+  /**
+   * Render every string inside a body template. A string that is exactly one
+   * {{placeholder}} keeps the original value type (number, object, …).
+   */
+  _renderDeep(template, view) {
+    if (typeof template === 'string') {
+      const single = /^\{\{\{?\s*([\w.]+)\s*\}?\}\}$/.exec(template);
+      if (single) {
+        const value = this._extractPath(view, single[1]);
+        return value === undefined ? null : value;
+      }
+      return this._render(template, view);
+    }
+    if (Array.isArray(template)) {
+      return template.map(item => this._renderDeep(item, view));
+    }
+    if (template && typeof template === 'object') {
+      const rendered = {};
+      for (const [key, value] of Object.entries(template)) {
+        rendered[key] = this._renderDeep(value, view);
+      }
+      return rendered;
+    }
+    return template;
+  }
+
+  _extractPath(obj, path) {
+    return path
+      .split('.')
+      .reduce(
+        (current, key) =>
+          current === null || current === undefined ? undefined : current[key],
+        obj
+      );
+  }
+
+  _decryptOptional(value) {
+    if (!value) {
+      return null;
+    }
+    try {
+      return encryptionUtil.decrypt(value);
+    } catch (error) {
+      console.error('[CustomTool] Failed to decrypt secret:', error.message);
+      return null;
+    }
+  }
+
+  _id(value) {
+    if (!value) {
+      return null;
+    }
+    return value._id ? String(value._id) : String(value);
+  }
+
+  _plain(doc) {
+    if (!doc) {
+      return null;
+    }
+    return doc.toObject ? doc.toObject() : doc;
+  }
+}
+
+module.exports = new CustomToolService();
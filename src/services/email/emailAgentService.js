@@ -32,6 +32,7 @@
 
 const Agent = require('../../models/Agent');
 const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
 const MailAccount = require('../../models/MailAccount');
 const OutboundEmail = require('../../models/OutboundEmail');
 
@@ -137,7 +138,7 @@ class EmailAgentService {
     }
 
     console.log(
-      `[EmailAgent] context account=${mailAccountId} body_len=${bodyText.length} conv_messages=${conversation.messages.length} system_prompt_len=${agent.system_prompt?.length ?? 0} tools=${agent.tools?.length ?? 0}`
+      `[EmailAgent] context account=${mailAccountId} body_len=${bodyText.length} conv_messages=${conversation.message_count} system_prompt_len=${agent.system_prompt?.length ?? 0} tools=${agent.tools?.length ?? 0}`
     );
 
     await conversation.addMessage({
@@ -250,14 +251,14 @@ class EmailAgentService {
     // Back-fill the outbound reference onto the assistant message so the
     // conversation endpoint surfaces draft/sent state without a separate query.
     if (reasoning.content) {
-      const lastMsgIdx = conversation.messages.length - 1;
-      if (lastMsgIdx >= 0) {
-        await Conversation.updateOne(
-          { _id: conversation._id },
+      const lastMsg = conversation.messages[conversation.messages.length - 1];
+      if (lastMsg) {
+        await Message.updateOne(
+          { _id: lastMsg._id },
           {
             $set: {
-              [`messages.${lastMsgIdx}.metadata.outbound_id`]: outbound._id,
-              [`messages.${lastMsgIdx}.metadata.outbound_state`]: outbound.state,
+              'metadata.outbound_id': outbound._id,
+              'metadata.outbound_state': outbound.state,
             },
           }
         );
@@ -315,7 +316,7 @@ class EmailAgentService {
         agent: agent._id,
         channel: 'email',
         'channel_metadata.email.thread_id': threadRoot,
-      });
+      }).withMessages();
       if (existing) return existing;
     }
 
@@ -360,7 +361,7 @@ class EmailAgentService {
         },
       },
       { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
+    ).withMessages();
 
     return conversation;
   }
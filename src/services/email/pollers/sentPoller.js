@@ -25,6 +25,7 @@
 const { ImapFlow } = require('imapflow');
 
 const Conversation = require('../../../models/Conversation');
+const Message = require('../../../models/Message');
 const MailAccount = require('../../../models/MailAccount');
 const OutboundEmail = require('../../../models/OutboundEmail');
 const emailParser = require('../emailParser');
@@ -199,14 +200,24 @@ async function pollSent(account) {
           const dedupKey = messageId
             || `${email.subject}|${email.from_address}|${(email.received_at || new Date()).toISOString().slice(0, 10)}`;
 
-          const alreadyPresent = conversation.messages.some(m => {
-            const mid = m.channel_info?.email?.message_id;
-            if (messageId && mid) return mid === messageId;
-            // Fallback: same subject+from+day
-            return (
-              m.channel_info?.email?.subject === email.subject &&
-              m.channel_info?.email?.from_email === email.from_address
-            );
+          const sameSubjectAndSender = {
+            'channel_info.email.subject': email.subject,
+            'channel_info.email.from_email': email.from_address,
+          };
+          const alreadyPresent = await Message.exists({
+            conversation: conversation._id,
+            ...(messageId
+              ? {
+                  $or: [
+                    { 'channel_info.email.message_id': messageId },
+                    // Fallback: same subject+from+day
+                    {
+                      'channel_info.email.message_id': { $in: [null, ''] },
+                      ...sameSubjectAndSender,
+                    },
+                  ],
+                }
+              : sameSubjectAndSender),
           });
           if (alreadyPresent) {
             result.skipped++;
@@ -335,22 +346,22 @@ async function _reconcileTrackedOutbound(
   );
 
   if (outbound.conversation) {
-    await Conversation.updateOne(
+    await Message.updateOne(
       {
-        _id: outbound.conversation,
-        'messages.metadata.outbound_id': outbound._id,
+        conversation: outbound.conversation,
+        'metadata.outbound_id': outbound._id,
       },
       {
         $set: {
-          'messages.$.content': bodyText,
-          'messages.$.timestamp': sentAt,
-          'messages.$.metadata.outbound_state': 'sent',
-          'messages.$.channel_info.email.message_id': email.message_id,
-          'messages.$.channel_info.email.subject': email.subject,
-          'messages.$.channel_info.email.from_email': email.from_address,
-          'messages.$.channel_info.email.to_addresses': email.to_addresses || [],
-          'messages.$.channel_info.email.cc_addresses': email.cc_addresses || [],
-          'messages.$.channel_info.email.body_html': email.body_html || null,
+          content: bodyText,
+          timestamp: sentAt,
+          'metadata.outbound_state': 'sent',
+          'channel_info.email.message_id': email.message_id,
+          'channel_info.email.subject': email.subject,
+          'channel_info.email.from_email': email.from_address,
+          'channel_info.email.to_addresses': email.to_addresses || [],
+          'channel_info.email.cc_addresses': email.cc_addresses || [],
+          'channel_info.email.body_html': email.body_html || null,
         },
       }
     );
@@ -387,10 +398,10 @@ async function processProviderSentMessage(account, raw, provider = {}) {
   });
   if (!conversation) return 'skipped';
 
-  const alreadyPresent = conversation.messages.some(message =>
-    email.message_id &&
-    message.channel_info?.email?.message_id === email.message_id
-  );
+  const alreadyPresent = email.message_id && await Message.exists({
+    conversation: conversation._id,
+    'channel_info.email.message_id': email.message_id,
+  });
   if (alreadyPresent) return 'skipped';
 
   await conversation.addMessage({
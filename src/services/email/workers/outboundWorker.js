@@ -22,7 +22,7 @@
 
 const MailAccount = require('../../../models/MailAccount');
 const OutboundEmail = require('../../../models/OutboundEmail');
-const Conversation = require('../../../models/Conversation');
+const Message = require('../../../models/Message');
 const lockService = require('../../distributedLockService');
 const smtpTransport = require('../transports/smtpTransport');
 const imapDraftTransport = require('../transports/imapDraftTransport');
@@ -195,13 +195,13 @@ class OutboundWorker {
     // Sync state onto the linked conversation message so the thread view
     // reflects sent/draft without a separate OutboundEmail query.
     if (outbound.conversation) {
-      await Conversation.updateOne(
+      await Message.updateOne(
         {
-          _id: outbound.conversation,
-          'messages.metadata.outbound_id': outbound._id,
+          conversation: outbound.conversation,
+          'metadata.outbound_id': outbound._id,
         },
         {
-          $set: { 'messages.$.metadata.outbound_state': 'sent' },
+          $set: { 'metadata.outbound_state': 'sent' },
         }
       ).catch(() => {}); // non-fatal
     }
@@ -0,0 +1,220 @@
+/**
+ * Embedding Service
+ *
+ * Creates the embeddings of RAG documents and queries and of FAQ questions
+ * with the embedding settings of a knowledge base (KnowledgeBase.embedding)
+ * or of the faq tool:
+ *
+ *   { "model": "nomic-embed-text", "dimensions": null,
+ *     "api_key_id": null, "endpoint": "http://embeddings.internal:11434/v1" }
+ *
+ * - api_key_id: API key of the project. Its provider's embedding API is
+ *   called (see OpenAIService.getBaseUrl).
+ * - endpoint: OpenAI-compatible embedding server, e.g. a self-hosted
+ *   Ollama, Text Embeddings Inference or vLLM, called without credentials;
+ *   texts are sent nowhere else. Project API keys only ever go to their own
+ *   provider, so api_key_id cannot be combined with it.
+ *
+ * Settings with neither use the API key of the caller (the indexing or
+ * search request, or the agent).
+ */
+
+const OpenAIService = require('./openaiService');
+const ApiKey = require('../models/ApiKey');
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+// Texts per embeddings request
+const BATCH_SIZE = 64;
+
+function embeddingError(message) {
+  const error = new Error(message);
+  error.code = 'EMBEDDING_INVALID';
+  return error;
+}
+
+class EmbeddingService {
+  /**
+   * Embedding settings with their defaults
+   *
+   * @param {Object} [embedding] - KnowledgeBase.embedding or the embedding
+   *   of the faq tool parameters
+   */
+  getSettings(embedding = null) {
+    return {
+      model: embedding?.model || DEFAULT_EMBEDDING_MODEL,
+      dimensions: embedding?.dimensions || null,
+      api_key_id: embedding?.api_key_id || null,
+      endpoint: embedding?.endpoint || null,
+    };
+  }
+
+  /**
+   * Validate embedding settings given through the API. Fields left out keep
+   * their current value.
+   *
+   * @param {Object} input - { model, dimensions, api_key_id, endpoint }
+   * @param {Object} current - settings they apply to (see getSettings)
+   * @param {string} projectId - project the API key must belong to
+   * @returns {Promise<Object>} the new settings
+   * @throws EMBEDDING_INVALID
+   */
+  async normalizeSettings(input, current, projectId) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw embeddingError('embedding must be an object');
+    }
+    const { model, dimensions, api_key_id: apiKeyId, endpoint } = input;
+    const settings = { ...this.getSettings(current) };
+
+    if (model !== undefined) {
+      if (typeof model !== 'string' || !model.trim()) {
+        throw embeddingError('embedding.model must be a model name');
+      }
+      settings.model = model.trim();
+    }
+
+    if (dimensions !== undefined) {
+      if (
+        dimensions !== null &&
+        (!Number.isInteger(dimensions) || dimensions < 1)
+      ) {
+        throw embeddingError('embedding.dimensions must be a positive integer');
+      }
+      settings.dimensions = dimensions;
+    }
+
+    if (apiKeyId !== undefined) {
+      if (apiKeyId) {
+        const apiKey = await ApiKey.findOne({
+          _id: apiKeyId,
+          project: projectId,
+        });
+        if (!apiKey) {
+          throw embeddingError(
+            'embedding.api_key_id must be an API key of this project'
+          );
+        }
+      }
+      settings.api_key_id = apiKeyId || null;
+    }
+
+    if (endpoint !== undefined) {
+      settings.endpoint = endpoint ? this.normalizeEndpoint(endpoint) : null;
+    }
+
+    if (settings.endpoint && settings.api_key_id) {
+      throw embeddingError(
+        'embedding.api_key_id cannot be combined with embedding.endpoint'
+      );
+    }
+
+    return settings;
+  }
+
+  /**
+   * Base URL of an OpenAI-compatible server, without trailing slash
+   * (requests go to <endpoint>/embeddings)
+   */
+  normalizeEndpoint(endpoint) {
+    let url;
+    try {
+      url = new URL(String(endpoint).trim());
+    } catch {
+      url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      throw embeddingError('embedding.endpoint must be an http(s) URL');
+    }
+    return url.href.replace(/\/+$/, '');
+  }
+
+  /**
+   * Whether vectors created with two settings can be compared: same model,
+   * size and server. Another API key of the same provider changes nothing.
+   * Settings using the caller's API key match any provider.
+   */
+  async isSameSpace(a, b) {
+    if (
+      a.model !== b.model ||
+      (a.dimensions || null) !== (b.dimensions || null) ||
+      (a.endpoint || null) !== (b.endpoint || null)
+    ) {
+      return false;
+    }
+    if (a.endpoint || !a.api_key_id || !b.api_key_id) {
+      return true;
+    }
+    const [providerA, providerB] = await Promise.all(
+      [a.api_key_id, b.api_key_id].map(async id => {
+        const apiKey = await ApiKey.findById(id).populate('provider');
+        return apiKey?.provider?.name || null;
+      })
+    );
+    return providerA === providerB;
+  }
+
+  /**
+   * Client for the embedding API of the settings
+   *
+   * @param {Object} settings - see getSettings
+   * @param {string|Object} [fallbackApiKey] - ID or ApiKey document (with
+   *   its provider populated) of the caller, used when the settings have
+   *   neither API key nor endpoint. Endpoints get no API key.
+   * @returns {Promise<OpenAIService>}
+   */
+  async getClient(settings, fallbackApiKey = null) {
+    if (settings.endpoint) {
+      // Never send a stored API key to an arbitrary server. The SDK needs a
+      // key even for servers that take none.
+      return new OpenAIService('none', 'custom', {
+        baseURL: settings.endpoint,
+      });
+    }
+
+    const apiKey = await this.loadApiKey(settings.api_key_id || fallbackApiKey);
+    return new OpenAIService(apiKey.getDecryptedKey(), apiKey.provider.name);
+  }
+
+  async loadApiKey(apiKey) {
+    const loaded =
+      apiKey && typeof apiKey.getDecryptedKey === 'function'
+        ? apiKey
+        : apiKey && (await ApiKey.findById(apiKey).populate('provider'));
+    if (!loaded || !loaded.is_active) {
+      throw new Error('Invalid or inactive API key');
+    }
+    return loaded;
+  }
+
+  /**
+   * Embeddings of one or several texts, in their order
+   *
+   * @param {OpenAIService} client - see getClient
+   * @param {Object} settings - see getSettings
+   * @param {string|string[]} input
+   * @returns {Promise<number[][]>}
+   */
+  async embed(client, settings, input) {
+    const texts = Array.isArray(input) ? input : [input];
+    const embeddings = [];
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+      const batch = texts.slice(start, start + BATCH_SIZE);
+      const response = await client.createEmbedding({
+        model: settings.model,
+        input: batch,
+        ...(settings.dimensions && { dimensions: settings.dimensions }),
+      });
+      if (response.data.length !== batch.length) {
+        throw new Error(
+          `Expected ${batch.length} embeddings, got ${response.data.length}`
+        );
+      }
+      const ordered = [...response.data].sort(
+        (a, b) => (a.index ?? 0) - (b.index ?? 0)
+      );
+      embeddings.push(...ordered.map(item => item.embedding));
+    }
+    return embeddings;
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -0,0 +1,686 @@
+/**
+ * Eval Service
+ *
+ * Offline evaluation of agents and prompts against an EvalDataset:
+ *
+ *   - Each case is replayed through the real execution path
+ *     (agentService.executeChatbotAgent / executeTaskAgent, or a prompt
+ *     version rendered and completed the same way as the prompt proxy).
+ *   - Deterministic checks (must/must-not mention, tool calls, handoff, JSON
+ *     schema) are scored 0 or 1; cases with a rubric are also graded by an
+ *     optional LLM judge (0-1).
+ *   - Runs are processed on the `evals.run` job queue and stored as EvalRun
+ *     documents; two runs of the same dataset can be compared case by case.
+ *
+ * When the target or judge uses the stub provider, each case's
+ * `stub_responses` / `stub_judge` script the replies (see stubProvider).
+ */
+
+const Mustache = require('mustache');
+const Agent = require('../models/Agent');
+const AgentExecution = require('../models/AgentExecution');
+const ApiKey = require('../models/ApiKey');
+const Conversation = require('../models/Conversation');
+const EvalRun = require('../models/EvalRun');
+const EvalDataset = require('../models/EvalDataset');
+const Prompt = require('../models/Prompt');
+const agentService = require('./agentService');
+const jobQueueService = require('./jobQueueService');
+const OpenAIService = require('./openaiService');
+const promptVersionService = require('./promptVersionService');
+const stubProvider = require('./stubProvider');
+const { validateSchema } = require('../utils/schemaValidator');
+
+const QUEUE_NAME = 'evals.run';
+
+const JUDGE_SYSTEM_PROMPT = `You grade the output of an AI assistant against a rubric.
+Reply with JSON only: {"score": <number between 0 and 1>, "reasoning": "<one or two sentences>"}.
+A score of 1 means the output fully satisfies the rubric, 0 means it does not satisfy it at all.`;
+
+function evalError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function emptyUsage() {
+  return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 };
+}
+
+function addUsage(total, usage = {}) {
+  for (const key of Object.keys(total)) {
+    total[key] += usage[key] || 0;
+  }
+  return total;
+}
+
+/**
+ * Whether `actual` contains everything in `expected` (objects are matched
+ * as subsets, everything else by value).
+ */
+function matchesSubset(expected, actual) {
+  if (expected === undefined || expected === null) {
+    return true;
+  }
+  if (typeof expected !== 'object') {
+    return expected === actual;
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.every(item => actual.some(value => matchesSubset(item, value)))
+    );
+  }
+  return Object.keys(expected).every(key =>
+    matchesSubset(expected[key], actual[key])
+  );
+}
+
+/**
+ * Parse JSON output, tolerating a surrounding ```json fence.
+ */
+function parseJsonOutput(output) {
+  if (typeof output !== 'string') {
+    return output;
+  }
+  const fenced = output.match(/```(?:json)?\s*([\s\S]*?)```/);
+  return JSON.parse(fenced ? fenced[1] : output);
+}
+
+function normalizeToolCalls(tools = []) {
+  return tools.map(tool => ({
+    name: tool.tool_name || tool.name,
+    arguments: tool.parameters || tool.arguments || {},
+  }));
+}
+
+class EvalService {
+  // ===== RUNS =====
+
+  /**
+   * Create a run for a dataset and queue it (or run it inline with `wait`).
+   *
+   * @param {Object} dataset
+   * @param {Object} options
+   * @param {string} [options.agentId]       - chatbot/task datasets
+   * @param {boolean} [options.useDraft]     - evaluate the agent's draft
+   * @param {string} [options.promptId]      - prompt datasets
+   * @param {number} [options.promptVersion]
+   * @param {string} [options.promptLabel]
+   * @param {Object} [options.judge]         - { api_key, model, pass_threshold }
+   * @param {string} [options.note]
+   * @param {string} [options.userId]
+   * @param {boolean} [options.wait]         - run before returning
+   */
+  async createRun(dataset, options = {}) {
+    if (dataset.cases.length === 0) {
+      throw evalError('Dataset has no cases', 'EVAL_INVALID');
+    }
+
+    const target = await this.resolveTarget(dataset, options);
+
+    if (options.judge?.api_key) {
+      const judgeKey = await ApiKey.findOne({
+        _id: options.judge.api_key,
+        project: dataset.project,
+      });
+      if (!judgeKey) {
+        throw evalError(
+          'Judge API key not found in this project',
+          'EVAL_INVALID'
+        );
+      }
+      if (!options.judge.model) {
+        throw evalError('Judge model is required', 'EVAL_INVALID');
+      }
+    }
+
+    const run = await EvalRun.create({
+      dataset: dataset._id,
+      project: dataset.project,
+      organization: dataset.organization,
+      target,
+      judge: options.judge || {},
+      note: options.note,
+      created_by: options.userId,
+    });
+
+    if (options.wait) {
+      return this.executeRun(run._id);
+    }
+
+    await jobQueueService.enqueue(
+      QUEUE_NAME,
+      { run_id: run._id },
+      { dedupKey: run._id, maxAttempts: 1, context: { dataset: dataset._id } }
+    );
+    return run;
+  }
+
+  async resolveTarget(dataset, options) {
+    if (dataset.target_type === 'prompt') {
+      const prompt = await Prompt.findOne({
+        _id: options.promptId,
+        project: dataset.project,
+      });
+      if (!prompt) {
+        throw evalError('Prompt not found in this project', 'EVAL_INVALID');
+      }
+      return {
+        type: 'prompt',
+        prompt: prompt._id,
+        prompt_version: options.promptVersion,
+        prompt_label: options.promptLabel,
+      };
+    }
+
+    const agent = await Agent.findOne({
+      _id: options.agentId,
+      project: dataset.project,
+      organization: dataset.organization,
+    });
+    if (!agent) {
+      throw evalError('Agent not found in this project', 'EVAL_INVALID');
+    }
+    if (agent.type !== dataset.target_type) {
+      throw evalError(
+        `Dataset targets ${dataset.target_type} agents but agent '${agent.name}' is a ${agent.type} agent`,
+        'EVAL_INVALID'
+      );
+    }
+    if (options.useDraft && !agent.draft?.snapshot) {
+      throw evalError('Agent has no draft', 'EVAL_INVALID');
+    }
+
+    return {
+      type: dataset.target_type,
+      agent: agent._id,
+      agent_revision: options.useDraft
+        ? agent.draft.base_revision
+        : agent.version,
+      agent_draft: !!options.useDraft,
+    };
+  }
+
+  /**
+   * Replay every case of a run's dataset and store the scored results.
+   */
+  async executeRun(runId) {
+    const run = await EvalRun.findById(runId);
+    if (!run || run.status === 'completed' || run.status === 'failed') {
+      return run;
+    }
+
+    run.status = 'running';
+    run.started_at = new Date();
+    run.results = [];
+    await run.save();
+
+    try {
+      const dataset = await EvalDataset.findById(run.dataset);
+      if (!dataset) {
+        throw new Error('Dataset was deleted');
+      }
+
+      for (const evalCase of dataset.cases) {
+        run.results.push(await this.runCase(run, evalCase));
+        // Save progress so long runs can be followed while they execute
+        await run.save();
+      }
+
+      run.summary = this.summarize(run.results);
+      run.status = 'completed';
+    } catch (error) {
+      console.error(`[Evals] Run ${run._id} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.completed_at = new Date();
+    await run.save();
+    return run;
+  }
+
+  async runCase(run, evalCase) {
+    const startedAt = Date.now();
+    const base = { case_id: evalCase._id, case_name: evalCase.name };
+
+    let execution;
+    try {
+      ({ result: execution } = await stubProvider.withScript(
+        evalCase.stub_responses,
+        () => this.executeTarget(run, evalCase)
+      ));
+    } catch (error) {
+      return {
+        ...base,
+        status: 'error',
+        score: 0,
+        checks: [],
+        error: error.message,
+        duration_ms: Date.now() - startedAt,
+      };
+    }
+
+    const checks = this.runChecks(evalCase.expected || {}, execution);
+
+    if (evalCase.expected?.rubric && run.judge?.api_key) {
+      checks.push(await this.judge(run, evalCase, execution));
+    }
+
+    const score =
+      checks.length > 0
+        ? checks.reduce((sum, check) => sum + (check.score || 0), 0) /
+          checks.length
+        : 1;
+
+    return {
+      ...base,
+      status: checks.every(check => check.passed) ? 'passed' : 'failed',
+      score,
+      checks,
+      output: execution.output,
+      tools_called: execution.tools,
+      handoff_requested: execution.handoff,
+      token_usage: execution.token_usage,
+      duration_ms: Date.now() - startedAt,
+    };
+  }
+
+  // ===== TARGETS =====
+
+  /**
+   * @returns {Promise<{ output, text, tools, handoff, token_usage, transcript }>}
+   */
+  executeTarget(run, evalCase) {
+    switch (run.target.type) {
+      case 'chatbot':
+        return this.executeChatbotCase(run, evalCase);
+      case 'task':
+        return this.executeTaskCase(run, evalCase);
+      case 'prompt':
+        return this.executePromptCase(run, evalCase);
+      default:
+        throw new Error(`Unknown eval target type '${run.target.type}'`);
+    }
+  }
+
+  async executeChatbotCase(run, evalCase) {
+    if (!evalCase.messages?.length) {
+      throw new Error('Chatbot cases need at least one message');
+    }
+
+    const transcript = [];
+    const tools = [];
+    const tokenUsage = emptyUsage();
+    let conversationId = null;
+    let handoff = false;
+    let reply = '';
+
+    try {
+      for (const message of evalCase.messages) {
+        const result = await agentService.executeChatbotAgent(
+          run.target.agent,
+          conversationId,
+          message,
+          `eval:${run._id}`,
+          evalCase.context || {},
+          null,
+          { useDraft: run.target.agent_draft, skipExperiments: true }
+        );
+        conversationId = result.conversation_id;
+        reply = result.response || '';
+        handoff = handoff || !!result.handoff_requested;
+        tools.push(...normalizeToolCalls(result.tools_used));
+        addUsage(tokenUsage, result.token_usage);
+        transcript.push({ role: 'user', content: message });
+        transcript.push({ role: 'assistant', content: reply });
+      }
+    } finally {
+      // Eval conversations must not reach operator inboxes or analytics
+      if (conversationId) {
+        await Conversation.deleteOne({ _id: conversationId });
+      }
+    }
+
+    return {
+      output: reply,
+      text: reply,
+      tools,
+      handoff,
+      token_usage: tokenUsage,
+      transcript,
+    };
+  }
+
+  async executeTaskCase(run, evalCase) {
+    if (evalCase.input === undefined || evalCase.input === null) {
+      throw new Error('Task cases need an input');
+    }
+
+    const result = await agentService.executeTaskAgent(
+      run.target.agent,
+      evalCase.input,
+      `eval:${run._id}`,
+      evalCase.context || {},
+      { useDraft: run.target.agent_draft }
+    );
+    await AgentExecution.deleteOne({ _id: result.execution_id });
+
+    return {
+      output: result.output,
+      text:
+        typeof result.output === 'string'
+          ? result.output
+          : JSON.stringify(result.output),
+      tools: normalizeToolCalls(result.tools_used),
+      handoff: false,
+      token_usage: addUsage(emptyUsage(), result.token_usage),
+      transcript: [
+        { role: 'user', content: JSON.stringify(evalCase.input) },
+        { role: 'assistant', content: JSON.stringify(result.output) },
+      ],
+    };
+  }
+
+  /**
+   * Run a prompt version the way the prompt proxy does, without the result
+   * cache and without recording a PromptExecution.
+   */
+  async executePromptCase(run, evalCase) {
+    const prompt = await Prompt.findById(run.target.prompt).populate({
+      path: 'api_key',
+      populate: { path: 'provider' },
+    });
+    if (!prompt) {
+      throw new Error('Prompt was deleted');
+    }
+
+    const version = await promptVersionService.resolve(prompt, {
+      version: run.target.prompt_version,
+      label: run.target.prompt_label,
+    });
+    if (!version.content || !version.api_key) {
+      throw new Error('Prompt content or API key not configured');
+    }
+
+    const variables = evalCase.variables || {};
+    const variableErrors = promptVersionService.validateVariables(
+      version.variables_schema,
+      variables
+    );
+    if (variableErrors.length > 0) {
+      throw new Error(`Invalid prompt variables: ${variableErrors.join('; ')}`);
+    }
+
+    const content = Mustache.render(version.content, variables);
+    const systemPrompt = version.system_prompt
+      ? Mustache.render(version.system_prompt, variables)
+      : null;
+
+    const openai = new OpenAIService(
+      version.api_key.getDecryptedKey(),
+      version.api_key.provider.name
+    );
+    const result = await openai.generateCompletion(
+      version.llm_settings.model,
+      content,
+      version.llm_settings.parameters,
+      systemPrompt
+    );
+
+    return {
+      output: result.content,
+      text: result.content || '',
+      tools: [],
+      handoff: false,
+      token_usage: addUsage(emptyUsage(), result.usage),
+      transcript: [
+        { role: 'user', content },
+        { role: 'assistant', content: result.content },
+      ],
+    };
+  }
+
+  // ===== SCORING =====
+
+  runChecks(expected, execution) {
+    const checks = [];
+    const text = (execution.text || '').toLowerCase();
+
+    for (const fact of expected.must_mention || []) {
+      const passed = text.includes(fact.toLowerCase());
+      checks.push({
+        type: 'must_mention',
+        passed,
+        score: passed ? 1 : 0,
+        detail: passed ? `Mentions "${fact}"` : `Does not mention "${fact}"`,
+      });
+    }
+
+    for (const phrase of expected.must_not_mention || []) {
+      const passed = !text.includes(phrase.toLowerCase());
+      checks.push({
+        type: 'must_not_mention',
+        passed,
+        score: passed ? 1 : 0,
+        detail: passed ? `Avoids "${phrase}"` : `Mentions "${phrase}"`,
+      });
+    }
+
+    for (const call of expected.tool_calls || []) {
+      const passed = execution.tools.some(
+        tool =>
+          tool.name === call.name &&
+          matchesSubset(call.arguments, tool.arguments)
+      );
+      checks.push({
+        type: 'tool_call',
+        passed,
+        score: passed ? 1 : 0,
+        detail: passed
+          ? `Called ${call.name}`
+          : `Expected a call to ${call.name}${call.arguments ? ` with ${JSON.stringify(call.arguments)}` : ''}; called: ${execution.tools.map(tool => tool.name).join(', ') || 'none'}`,
+      });
+    }
+
+    if (expected.handoff !== null && expected.handoff !== undefined) {
+      const passed = expected.handoff === execution.handoff;
+      checks.push({
+        type: 'handoff',
+        passed,
+        score: passed ? 1 : 0,
+        detail: execution.handoff
+          ? 'Handoff was requested'
+          : 'No handoff was requested',
+      });
+    }
+
+    if (expected.json_schema) {
+      let errors;
+      try {
+        errors = validateSchema(
+          parseJsonOutput(execution.output),
+          expected.json_schema,
+          'output'
+        );
+      } catch (error) {
+        errors = [`output is not valid JSON: ${error.message}`];
+      }
+      checks.push({
+        type: 'json_schema',
+        passed: errors.length === 0,
+        score: errors.length === 0 ? 1 : 0,
+        detail: errors.length === 0 ? 'Matches schema' : errors.join('; '),
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Grade a case against its rubric with the run's judge model.
+   */
+  async judge(run, evalCase, execution) {
+    const threshold = run.judge.pass_threshold ?? 0.7;
+
+    try {
+      const apiKey = await ApiKey.findById(run.judge.api_key).populate(
+        'provider'
+      );
+      if (!apiKey) {
+        throw new Error('Judge API key not found');
+      }
+
+      const transcript = execution.transcript
+        .map(message => `${message.role.toUpperCase()}: ${message.content}`)
+        .join('\n\n');
+      const judgePrompt = `RUBRIC:\n${evalCase.expected.rubric}\n\nCONVERSATION:\n${transcript}\n\nTOOLS CALLED: ${execution.tools.map(tool => tool.name).join(', ') || 'none'}`;
+
+      const openai = new OpenAIService(
+        apiKey.getDecryptedKey(),
+        apiKey.provider.name
+      );
+      const { result } = await stubProvider.withScript(
+        evalCase.stub_judge ? [JSON.stringify(evalCase.stub_judge)] : [],
+        () =>
+          openai.generateCompletion(
+            run.judge.model,
+            judgePrompt,
+            { temperature: 0 },
+            JUDGE_SYSTEM_PROMPT
+          )
+      );
+
+      const match = (result.content || '').match(/\{[\s\S]*\}/);
+      const verdict = match ? JSON.parse(match[0]) : null;
+      const score = Number(verdict?.score);
+      if (!verdict || Number.isNaN(score)) {
+        throw new Error(`Judge returned no score: ${result.content}`);
+      }
+
+      const clamped = Math.min(Math.max(score, 0), 1);
+      return {
+        type: 'judge',
+        passed: clamped >= threshold,
+        score: clamped,
+        detail: verdict.reasoning || '',
+      };
+    } catch (error) {
+      return {
+        type: 'judge',
+        passed: false,
+        score: 0,
+        detail: `Judge failed: ${error.message}`,
+      };
+    }
+  }
+
+  summarize(results) {
+    const total = results.length;
+    const count = status => results.filter(r => r.status === status).length;
+    const passed = count('passed');
+
+    return {
+      total,
+      passed,
+      failed: count('failed'),
+      errors: count('error'),
+      pass_rate: total > 0 ? passed / total : 0,
+      average_score:
+        total > 0
+          ? results.reduce((sum, r) => sum + (r.score || 0), 0) / total
+          : 0,
+      total_tokens: results.reduce(
+        (sum, r) => sum + (r.token_usage?.total_tokens || 0),
+        0
+      ),
+      total_cost: results.reduce(
+        (sum, r) => sum + (r.token_usage?.cost || 0),
+        0
+      ),
+    };
+  }
+
+  // ===== COMPARISON =====
+
+  /**
+   * Side-by-side comparison of two runs of the same dataset.
+   * `base` is the reference run (e.g. the live agent), `head` the candidate.
+   */
+  compareRuns(base, head) {
+    if (base.dataset !== head.dataset) {
+      throw evalError('Runs belong to different datasets', 'EVAL_INVALID');
+    }
+
+    const baseByCase = new Map(base.results.map(r => [r.case_id, r]));
+    const headByCase = new Map(head.results.map(r => [r.case_id, r]));
+    const caseIds = [...new Set([...baseByCase.keys(), ...headByCase.keys()])];
+
+    const cases = caseIds.map(caseId => {
+      const before = baseByCase.get(caseId);
+      const after = headByCase.get(caseId);
+
+      let change = 'unchanged';
+      if (!before) {
+        change = 'added';
+      } else if (!after) {
+        change = 'removed';
+      } else if (before.status !== 'passed' && after.status === 'passed') {
+        change = 'fixed';
+      } else if (before.status === 'passed' && after.status !== 'passed') {
+        change = 'regressed';
+      }
+
+      return {
+        case_id: caseId,
+        case_name: (after || before).case_name,
+        change,
+        base: before
+          ? {
+              status: before.status,
+              score: before.score,
+              output: before.output,
+            }
+          : null,
+        head: after
+          ? { status: after.status, score: after.score, output: after.output }
+          : null,
+        score_delta:
+          before && after ? (after.score || 0) - (before.score || 0) : null,
+      };
+    });
+
+    const delta = key =>
+      (head.summary?.[key] || 0) - (base.summary?.[key] || 0);
+
+    return {
+      base: { id: base._id, target: base.target, summary: base.summary },
+      head: { id: head._id, target: head.target, summary: head.summary },
+      delta: {
+        pass_rate: delta('pass_rate'),
+        average_score: delta('average_score'),
+        total_tokens: delta('total_tokens'),
+        total_cost: delta('total_cost'),
+      },
+      regressions: cases.filter(c => c.change === 'regressed').length,
+      fixes: cases.filter(c => c.change === 'fixed').length,
+      cases,
+    };
+  }
+
+  // ===== WORKER =====
+
+  startWorker({ concurrency = 1 } = {}) {
+    return jobQueueService.runWorker(
+      QUEUE_NAME,
+      payload => this.executeRun(payload.run_id),
+      { concurrency, claimTtlMs: 60 * 60 * 1000 }
+    );
+  }
+}
+
+module.exports = new EvalService();
@@ -0,0 +1,255 @@
+/**
+ * Experiment Service
+ *
+ * A/B traffic splitting between agent configurations (see AgentExperiment):
+ *
+ *   - While an experiment is running, each new chatbot conversation is
+ *     assigned to a variant and the assignment is recorded on the
+ *     Conversation. Every later turn of that conversation runs the variant.
+ *   - Assignment hashes the experiment id with the user identifier, so the
+ *     same user always lands in the same variant.
+ *   - Variants are applied in memory on top of the published agent, like
+ *     drafts. Draft test conversations and eval runs are never assigned.
+ */
+
+const crypto = require('crypto');
+const AgentExperiment = require('../models/AgentExperiment');
+
+function experimentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class ExperimentService {
+  /**
+   * Check a variant list against the agent it will run on.
+   * @throws EXPERIMENT_INVALID
+   */
+  validateVariants(agent, variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw experimentError(
+        'An experiment needs at least two variants',
+        'EXPERIMENT_INVALID'
+      );
+    }
+
+    const keys = new Set();
+    let totalWeight = 0;
+    for (const variant of variants) {
+      if (keys.has(variant.key)) {
+        throw experimentError(
+          `Duplicate variant key '${variant.key}'`,
+          'EXPERIMENT_INVALID'
+        );
+      }
+      keys.add(variant.key);
+      totalWeight += variant.weight;
+
+      const model = variant.overrides?.model;
+      if (model && !agent.api_key.provider.models.includes(model)) {
+        throw experimentError(
+          `Variant '${variant.key}': model '${model}' is not available for the agent's provider`,
+          'EXPERIMENT_INVALID'
+        );
+      }
+    }
+
+    if (Math.abs(totalWeight - 100) > 0.001) {
+      throw experimentError(
+        `Variant weights must add up to 100 (got ${totalWeight})`,
+        'EXPERIMENT_INVALID'
+      );
+    }
+  }
+
+  async create(agent, data, userId) {
+    if (agent.type !== 'chatbot') {
+      throw experimentError(
+        'Experiments split conversations and are only available for chatbot agents',
+        'EXPERIMENT_INVALID'
+      );
+    }
+    this.validateVariants(agent, data.variants);
+
+    const experiment = new AgentExperiment({
+      name: data.name,
+      description: data.description,
+      variants: data.variants,
+      agent: agent._id,
+      project: agent.project,
+      organization: agent.organization,
+      created_by: userId,
+    });
+    await experiment.save();
+    return experiment;
+  }
+
+  /**
+   * Only draft experiments can be edited: changing weights or overrides while
+   * running would move users between variants mid-experiment.
+   */
+  async update(agent, experiment, data) {
+    if (experiment.status !== 'draft') {
+      throw experimentError(
+        'Only draft experiments can be edited',
+        'EXPERIMENT_CONFLICT'
+      );
+    }
+    if (data.variants !== undefined) {
+      this.validateVariants(agent, data.variants);
+      experiment.variants = data.variants;
+    }
+    if (data.name !== undefined) {
+      experiment.name = data.name;
+    }
+    if (data.description !== undefined) {
+      experiment.description = data.description;
+    }
+    await experiment.save();
+    return experiment;
+  }
+
+  async start(agent, experiment) {
+    if (experiment.status !== 'draft') {
+      throw experimentError(
+        `Experiment is already ${experiment.status}`,
+        'EXPERIMENT_CONFLICT'
+      );
+    }
+    // The provider's models may have changed since the experiment was created
+    this.validateVariants(agent, experiment.variants);
+
+    experiment.status = 'running';
+    experiment.started_at = new Date();
+    try {
+      await experiment.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw experimentError(
+          'Another experiment is already running for this agent',
+          'EXPERIMENT_CONFLICT'
+        );
+      }
+      throw error;
+    }
+    return experiment;
+  }
+
+  async stop(experiment) {
+    if (experiment.status !== 'running') {
+      throw experimentError(
+        'Only running experiments can be stopped',
+        'EXPERIMENT_CONFLICT'
+      );
+    }
+    experiment.status = 'stopped';
+    experiment.stopped_at = new Date();
+    await experiment.save();
+    return experiment;
+  }
+
+  async remove(experiment) {
+    if (experiment.status === 'running') {
+      throw experimentError(
+        'Stop the experiment before deleting it',
+        'EXPERIMENT_CONFLICT'
+      );
+    }
+    await AgentExperiment.deleteOne({ _id: experiment._id });
+  }
+
+  /**
+   * Deterministic variant for a user: the same experiment and user identifier
+   * always map to the same point in [0, 100).
+   */
+  pickVariant(experiment, userIdentifier) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${experiment._id}:${userIdentifier}`)
+      .digest();
+    const point = (hash.readUInt32BE(0) % 10000) / 100;
+
+    let cumulative = 0;
+    for (const variant of experiment.variants) {
+      cumulative += variant.weight;
+      if (point < cumulative) {
+        return variant;
+      }
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  /**
+   * Overlay a variant's overrides onto an agent document in memory. The
+   * document is flagged so it can never be saved.
+   */
+  applyVariant(agent, variant) {
+    const overrides = variant.overrides || {};
+    if (overrides.model) {
+      agent.set('llm_settings.model', overrides.model);
+    }
+    if (typeof overrides.system_prompt === 'string') {
+      agent.set('system_prompt', overrides.system_prompt);
+    }
+    if (typeof overrides.enable_small_agent_graph === 'boolean') {
+      agent.set(
+        'config.enable_small_agent_graph',
+        overrides.enable_small_agent_graph
+      );
+    }
+    agent.$locals.experimentVariant = variant.key;
+    return agent;
+  }
+
+  /**
+   * Assign a new conversation to the agent's running experiment, or re-apply
+   * the variant an earlier turn was assigned to. Conversations of an
+   * experiment that has since stopped run the published agent.
+   *
+   * @returns {Promise<Object|null>} the applied variant
+   */
+  async applyToConversation(agent, conversation) {
+    if (agent.$locals.draftApplied || conversation.agent_draft) {
+      return null;
+    }
+
+    if (conversation.experiment) {
+      const experiment = await AgentExperiment.findOne({
+        _id: conversation.experiment,
+        status: 'running',
+      });
+      const variant = experiment?.variants.find(
+        v => v.key === conversation.experiment_variant
+      );
+      if (!variant) {
+        return null;
+      }
+      this.applyVariant(agent, variant);
+      return variant;
+    }
+
+    // Only conversations the agent has not answered yet take part
+    if (conversation.messages.some(message => message.role === 'assistant')) {
+      return null;
+    }
+
+    const experiment = await AgentExperiment.findOne({
+      agent: agent._id,
+      status: 'running',
+    });
+    if (!experiment) {
+      return null;
+    }
+
+    const variant = this.pickVariant(experiment, conversation.user_identifier);
+    conversation.experiment = experiment._id;
+    conversation.experiment_variant = variant.key;
+    await conversation.save();
+
+    this.applyVariant(agent, variant);
+    return variant;
+  }
+}
+
+module.exports = new ExperimentService();
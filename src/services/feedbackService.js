@@ -0,0 +1,389 @@
+/**
+ * Feedback Service
+ *
+ * End-user feedback on agent replies: thumbs up/down (with an optional
+ * comment) per assistant message, and a 1-5 CSAT score per conversation.
+ *
+ * Feedback arrives from the chat widget and the external API, or as taps on
+ * reply buttons on WhatsApp and Telegram. Those buttons carry a payload of
+ * the form `feedback:<message|csat>:<id>:<value>`, which channelOrchestrator
+ * hands to recordButtonFeedback instead of starting an agent turn.
+ *
+ * Every feedback keeps the agent revision that produced the rated reply, so
+ * statistics can show which revision of a prompt users were unhappy with.
+ */
+
+const Agent = require('../models/Agent');
+const Conversation = require('../models/Conversation');
+const Feedback = require('../models/Feedback');
+const Message = require('../models/Message');
+
+const PAYLOAD_PREFIX = 'feedback';
+const RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 2000;
+const CSAT_LABELS = {
+  1: '1 - Very unsatisfied',
+  2: '2 - Unsatisfied',
+  3: '3 - Neutral',
+  4: '4 - Satisfied',
+  5: '5 - Very satisfied',
+};
+
+function feedbackError(message) {
+  const error = new Error(message);
+  error.code = 'FEEDBACK_INVALID';
+  return error;
+}
+
+class FeedbackService {
+  /**
+   * Record or replace the feedback of a message or a conversation.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {Object} input
+   * @param {string} input.type - 'message' or 'csat'
+   * @param {string} [input.message_id] - rated assistant message
+   * @param {string} [input.rating] - 'up' or 'down' (message feedback)
+   * @param {number} [input.score] - 1 to 5 (CSAT)
+   * @param {string} [input.comment]
+   * @param {string} source - 'widget', 'api', 'whatsapp' or 'telegram'
+   * @throws FEEDBACK_INVALID
+   */
+  async submit(conversation, input, source) {
+    const { type, message_id, rating, score, comment } = input;
+    if (
+      comment !== undefined &&
+      comment !== null &&
+      (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)
+    ) {
+      throw feedbackError(
+        `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`
+      );
+    }
+
+    const fields = {
+      conversation: conversation._id,
+      source,
+      user_identifier: conversation.user_identifier,
+    };
+    // A rating sent again without its comment keeps the earlier comment
+    if (comment !== undefined) {
+      fields.comment = comment ? comment.trim() : null;
+    }
+
+    let filter;
+    if (type === 'message') {
+      if (!RATINGS.includes(rating)) {
+        throw feedbackError('rating must be "up" or "down"');
+      }
+      const message = message_id
+        ? await Message.findOne({
+            _id: message_id,
+            conversation: conversation._id,
+          })
+            .select('role handler_info')
+            .lean()
+        : null;
+      if (!message || message.role !== 'assistant') {
+        throw feedbackError(
+          'message_id must be an agent reply of this conversation'
+        );
+      }
+      filter = { type: 'message', message: message._id };
+      Object.assign(fields, {
+        agent: message.handler_info?.agent_id || conversation.agent,
+        agent_revision:
+          message.handler_info?.agent_revision ??
+          conversation.agent_revision ??
+          null,
+        rating,
+      });
+    } else if (type === 'csat') {
+      const value = Number(score);
+      if (!Number.isInteger(value) || value < 1 || value > 5) {
+        throw feedbackError('score must be an integer from 1 to 5');
+      }
+      filter = { type: 'csat', conversation: conversation._id };
+      Object.assign(fields, {
+        agent: conversation.agent,
+        agent_revision: conversation.agent_revision ?? null,
+        score: value,
+      });
+    } else {
+      throw feedbackError('type must be "message" or "csat"');
+    }
+
+    return Feedback.findOneAndUpdate(
+      filter,
+      { $set: fields },
+      {
+        upsert: true,
+        new: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+  }
+
+  /**
+   * Reply button payload, at most 64 bytes (Telegram's callback_data limit).
+   */
+  buttonPayload(type, id, value) {
+    return `${PAYLOAD_PREFIX}:${type}:${id}:${value}`;
+  }
+
+  /**
+   * @returns {{ type: string, id: string, value: string }|null} null when the
+   *   payload is not a feedback button
+   */
+  parsePayload(payload) {
+    const parts = typeof payload === 'string' ? payload.split(':') : [];
+    if (
+      parts.length !== 4 ||
+      parts[0] !== PAYLOAD_PREFIX ||
+      !['message', 'csat'].includes(parts[1])
+    ) {
+      return null;
+    }
+    return { type: parts[1], id: parts[2], value: parts[3] };
+  }
+
+  /**
+   * Thumbs up/down buttons under an assistant message.
+   */
+  ratingButtons(messageId) {
+    return [
+      { label: '👍', payload: this.buttonPayload('message', messageId, 'up') },
+      {
+        label: '👎',
+        payload: this.buttonPayload('message', messageId, 'down'),
+      },
+    ];
+  }
+
+  /**
+   * One button per CSAT score, best first.
+   */
+  csatButtons(conversationId) {
+    return [5, 4, 3, 2, 1].map(score => ({
+      label: CSAT_LABELS[score],
+      payload: this.buttonPayload('csat', conversationId, score),
+    }));
+  }
+
+  /**
+   * Record the tap of a feedback button sent to a channel user. Taps on
+   * buttons of other users' conversations are ignored.
+   *
+   * @param {string} agentId
+   * @param {Object} normalizedMessage - incoming message with button_payload
+   * @returns {Promise<string|null>} text to send back to the user
+   */
+  async recordButtonFeedback(agentId, normalizedMessage) {
+    const parsed = this.parsePayload(normalizedMessage.button_payload);
+    if (!parsed) {
+      return null;
+    }
+
+    let conversationId = parsed.id;
+    if (parsed.type === 'message') {
+      const message = await Message.findById(parsed.id)
+        .select('conversation')
+        .lean();
+      conversationId = message?.conversation;
+    }
+    const conversation = conversationId
+      ? await Conversation.findById(conversationId)
+      : null;
+    if (
+      !conversation ||
+      conversation.agent !== agentId ||
+      conversation.channel !== normalizedMessage.channel ||
+      conversation.user_identifier !== normalizedMessage.user_identifier
+    ) {
+      console.warn(
+        `[Feedback] Ignored ${normalizedMessage.channel} feedback button for unknown conversation ${conversationId}`
+      );
+      return null;
+    }
+
+    try {
+      await this.submit(
+        conversation,
+        parsed.type === 'message'
+          ? { type: 'message', message_id: parsed.id, rating: parsed.value }
+          : { type: 'csat', score: parsed.value },
+        normalizedMessage.channel
+      );
+    } catch (error) {
+      if (error.code !== 'FEEDBACK_INVALID') {
+        throw error;
+      }
+      console.warn(`[Feedback] Ignored feedback button: ${error.message}`);
+      return null;
+    }
+
+    // Message ratings are silent; the survey is answered once, thank the user
+    if (parsed.type !== 'csat') {
+      return null;
+    }
+    const settings = await this.getSettings(agentId);
+    return settings.csat_thank_you;
+  }
+
+  /**
+   * The agent's feedback settings, with the schema defaults.
+   */
+  async getSettings(agentId) {
+    const agent = await Agent.findById(agentId).select('config.feedback');
+    return agent?.config?.feedback || {};
+  }
+
+  /**
+   * Send the end-of-conversation CSAT survey: a CSAT_REQUESTED system
+   * message (rendered by the widget and API clients) and, on WhatsApp and
+   * Telegram, the score buttons. A conversation is surveyed once.
+   *
+   * @param {Object} conversation - Conversation document
+   * @returns {Promise<{ requested: boolean, reason?: string }>}
+   */
+  async requestCsat(conversation) {
+    if (conversation.csat_requested_at) {
+      return { requested: false, reason: 'already_requested' };
+    }
+    if (
+      await Feedback.exists({ type: 'csat', conversation: conversation._id })
+    ) {
+      return { requested: false, reason: 'already_answered' };
+    }
+
+    // Claim the survey first so concurrent requests send it once
+    const claimed = await Conversation.updateOne(
+      { _id: conversation._id, csat_requested_at: null },
+      { $set: { csat_requested_at: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return { requested: false, reason: 'already_requested' };
+    }
+
+    const settings = await this.getSettings(conversation.agent);
+    const fresh = await Conversation.findById(conversation._id);
+    fresh.messages.push({
+      role: 'system',
+      content: settings.csat_question,
+      code: 'CSAT_REQUESTED',
+      timestamp: new Date(),
+    });
+    await fresh.save();
+    conversation.csat_requested_at = fresh.csat_requested_at;
+
+    // Lazy require: channelOrchestrator requires this service
+    const channelOrchestrator = require('./channelOrchestrator');
+    await channelOrchestrator.sendConversationButtons(
+      fresh,
+      settings.csat_question,
+      this.csatButtons(fresh._id)
+    );
+    return { requested: true };
+  }
+
+  /**
+   * Feedback of an agent, newest first, with the rated reply and the user
+   * message it answered (decrypted).
+   *
+   * @param {string} agentId
+   * @param {Object} params
+   * @param {string} [params.type] - 'message' or 'csat'
+   * @param {string} [params.rating] - 'up' or 'down'
+   * @param {number} [params.revision] - agent revision
+   * @param {string} [params.with_comment] - 'true': only feedback with a comment
+   * @param {string} [params.from] - given on or after
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   */
+  async list(agentId, params = {}) {
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), 100);
+
+    const filter = { agent: agentId };
+    if (params.type) {
+      filter.type = params.type;
+    }
+    if (params.rating) {
+      filter.rating = params.rating;
+    }
+    if (params.revision !== undefined) {
+      filter.agent_revision = Number(params.revision);
+    }
+    if (params.with_comment === 'true') {
+      filter.comment = { $nin: [null, ''] };
+    }
+    if (params.from) {
+      filter.createdAt = { $gte: new Date(params.from) };
+    }
+
+    const [feedback, total] = await Promise.all([
+      Feedback.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Feedback.countDocuments(filter),
+    ]);
+
+    const messageIds = feedback.map(item => item.message).filter(Boolean);
+    const [replies, conversations] = await Promise.all([
+      Message.find({ _id: { $in: messageIds } })
+        .select('conversation seq content timestamp')
+        .lean(),
+      Conversation.find({
+        _id: { $in: [...new Set(feedback.map(item => item.conversation))] },
+      }).select('gdpr channel'),
+    ]);
+    // The user message a rated reply answered is the last one before it
+    const prompts = await Promise.all(
+      replies.map(reply =>
+        Message.findOne({
+          conversation: reply.conversation,
+          seq: { $lt: reply.seq },
+          role: 'user',
+        })
+          .sort({ seq: -1 })
+          .select('content')
+          .lean()
+      )
+    );
+    const conversationsById = new Map(
+      conversations.map(conversation => [conversation._id, conversation])
+    );
+    const repliesById = new Map(
+      replies.map((reply, index) => [
+        reply._id,
+        { ...reply, prompt: prompts[index] },
+      ])
+    );
+
+    return {
+      feedback: feedback.map(item => {
+        const conversation = conversationsById.get(item.conversation);
+        const reply = item.message ? repliesById.get(item.message) : null;
+        const decrypt = content =>
+          conversation ? conversation.decryptContent(content) : content;
+        return {
+          ...item,
+          channel: conversation?.channel || null,
+          reply: reply ? decrypt(reply.content) : null,
+          prompt: reply?.prompt ? decrypt(reply.prompt.content) : null,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,491 @@
+/**
+ * File Ingestion Service
+ *
+ * Turns uploaded files into knowledge base chunks: extracts the text of PDF,
+ * DOCX, HTML, Markdown, plain text and CSV files, then splits it into chunks
+ * of a configurable token size with some overlap between neighbours.
+ *
+ * Extraction produces sections that share a page (PDF) or a heading path
+ * (DOCX, HTML, Markdown). Chunks never span two sections, so every chunk
+ * keeps the page and heading it came from; the heading is also prepended to
+ * the chunk content so it counts for retrieval.
+ *
+ * Token counts are estimated at 4 characters per token.
+ */
+
+const path = require('path');
+const { convert: htmlToText } = require('html-to-text');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CHUNK_SIZE = 500;
+const DEFAULT_CHUNK_OVERLAP = 50;
+const MIN_CHUNK_SIZE = 50;
+const MAX_CHUNK_SIZE = 4000;
+const MAX_HEADING_LENGTH = 300;
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.text': 'text',
+  '.csv': 'csv',
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    'docx',
+  'text/html': 'html',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+  'text/csv': 'csv',
+};
+
+const MARKDOWN_HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/;
+const MARKDOWN_FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+
+// Render HTML headings as Markdown ones so HTML and DOCX share the Markdown
+// sectioning below
+const HTML_TO_TEXT_OPTIONS = {
+  wordwrap: false,
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'nav', format: 'skip' },
+    { selector: 'script', format: 'skip' },
+    { selector: 'style', format: 'skip' },
+    ...[1, 2, 3, 4, 5, 6].map(level => ({
+      selector: `h${level}`,
+      format: 'markdownHeading',
+      options: { level },
+    })),
+  ],
+  formatters: {
+    markdownHeading(elem, walk, builder, formatOptions) {
+      builder.openBlock({ leadingLineBreaks: 2 });
+      builder.addLiteral(`${'#'.repeat(formatOptions.level)} `);
+      walk(elem.children, builder);
+      builder.closeBlock({ trailingLineBreaks: 2 });
+    },
+  },
+};
+
+function ingestionError(message) {
+  const error = new Error(message);
+  error.code = 'FILE_INGESTION_INVALID';
+  return error;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+class FileIngestionService {
+  /**
+   * Format of an uploaded file, from its extension or else its MIME type.
+   *
+   * @returns {string|null} 'pdf', 'docx', 'html', 'markdown', 'text', 'csv'
+   */
+  detectFormat(filename, mimeType) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (FORMATS_BY_EXTENSION[extension]) {
+      return FORMATS_BY_EXTENSION[extension];
+    }
+    const baseMimeType = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return FORMATS_BY_MIME_TYPE[baseMimeType] || null;
+  }
+
+  /**
+   * Validate chunking options, filling in the defaults.
+   *
+   * @param {Object} [options]
+   * @param {number|string} [options.chunk_size] - tokens per chunk
+   * @param {number|string} [options.chunk_overlap] - tokens repeated from
+   *   the end of the previous chunk
+   * @returns {{ chunk_size: number, chunk_overlap: number }}
+   * @throws FILE_INGESTION_INVALID
+   */
+  normalizeChunking(options = {}) {
+    const chunkSize = this.toInteger(
+      options.chunk_size,
+      DEFAULT_CHUNK_SIZE,
+      'chunk_size'
+    );
+    if (chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+      throw ingestionError(
+        `chunk_size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} tokens`
+      );
+    }
+
+    const chunkOverlap = this.toInteger(
+      options.chunk_overlap,
+      Math.min(DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2)),
+      'chunk_overlap'
+    );
+    if (chunkOverlap < 0 || chunkOverlap > chunkSize / 2) {
+      throw ingestionError(
+        'chunk_overlap must be between 0 and half of chunk_size'
+      );
+    }
+
+    return { chunk_size: chunkSize, chunk_overlap: chunkOverlap };
+  }
+
+  toInteger(value, defaultValue, field) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw ingestionError(`${field} must be an integer`);
+    }
+    return number;
+  }
+
+  /**
+   * Extract and chunk an uploaded file.
+   *
+   * @param {Object} file - multer file ({ originalname, mimetype, buffer })
+   * @param {Object} [options]
+   * @param {Object} [options.chunking] - see normalizeChunking
+   * @param {string} [options.document_id] - defaults to the file name
+   * @param {string} [options.title] - defaults to the file name without
+   *   its extension
+   * @param {string} [options.source] - defaults to the file name
+   * @returns {Promise<Object>} { document_id, title, source, filename,
+   *   format, chunks: [{ content, page, heading }] }
+   * @throws FILE_INGESTION_INVALID
+   */
+  async ingestFile(file, options = {}) {
+    const filename = file.originalname || 'file';
+    const format = this.detectFormat(filename, file.mimetype);
+    if (!format) {
+      throw ingestionError(
+        `${filename}: unsupported file type. Upload PDF, DOCX, HTML, Markdown, plain text or CSV files`
+      );
+    }
+
+    const sections = await this.extractSections(file.buffer, format, filename);
+    const chunks = this.chunkSections(
+      sections,
+      this.normalizeChunking(options.chunking)
+    );
+    if (chunks.length === 0) {
+      throw ingestionError(`${filename}: no text could be extracted`);
+    }
+
+    return {
+      document_id: options.document_id || filename,
+      title: options.title || path.basename(filename, path.extname(filename)),
+      source: options.source || filename,
+      filename,
+      format,
+      chunks,
+    };
+  }
+
+  /**
+   * Extract the text of a file as sections.
+   *
+   * @returns {Promise<Array<{ text: string, page?: number, heading?: string }>>}
+   * @throws FILE_INGESTION_INVALID when the file cannot be read
+   */
+  async extractSections(buffer, format, filename = 'file') {
+    try {
+      switch (format) {
+        case 'pdf':
+          return await this.extractPdf(buffer);
+        case 'docx': {
+          const { value: html } = await mammoth.convertToHtml({ buffer });
+          return this.splitMarkdown(htmlToText(html, HTML_TO_TEXT_OPTIONS));
+        }
+        case 'html':
+          return this.splitMarkdown(
+            htmlToText(this.decodeText(buffer), HTML_TO_TEXT_OPTIONS)
+          );
+        case 'markdown':
+          return this.splitMarkdown(this.decodeText(buffer));
+        case 'csv':
+          return this.extractCsv(this.decodeText(buffer));
+        case 'text':
+          return [{ text: this.decodeText(buffer) }];
+        default:
+          throw ingestionError(`${filename}: unsupported file type`);
+      }
+    } catch (error) {
+      if (error.code === 'FILE_INGESTION_INVALID') {
+        throw error;
+      }
+      throw ingestionError(
+        `${filename}: could not read ${format} file (${error.message})`
+      );
+    }
+  }
+
+  async extractPdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText();
+      return result.pages.map(page => ({ text: page.text, page: page.num }));
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  decodeText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Split Markdown into one section per heading. The heading of a section is
+   * its path from the top level, e.g. "Setup > Network".
+   */
+  splitMarkdown(markdown) {
+    const sections = [];
+    const headings = [];
+    let lines = [];
+    let inFence = false;
+
+    const closeSection = () => {
+      const heading = headings.filter(Boolean).join(' > ');
+      sections.push({
+        text: lines.join('\n'),
+        heading: heading ? heading.slice(0, MAX_HEADING_LENGTH) : undefined,
+      });
+      lines = [];
+    };
+
+    for (const line of markdown.split(/\r?\n/)) {
+      if (MARKDOWN_FENCE_PATTERN.test(line)) {
+        inFence = !inFence;
+      }
+      const match = !inFence && line.match(MARKDOWN_HEADING_PATTERN);
+      if (!match) {
+        lines.push(line);
+        continue;
+      }
+
+      closeSection();
+      const level = match[1].length;
+      headings.length = level;
+      headings[level - 1] = match[2].trim();
+    }
+    closeSection();
+
+    return sections;
+  }
+
+  /**
+   * One paragraph per CSV row, as "column: value" pairs so every chunk is
+   * readable without the header row.
+   */
+  extractCsv(csv) {
+    const firstLine = csv.slice(0, csv.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length
+        ? candidate
+        : best
+    );
+    const [header = [], ...rows] = this.parseCsv(csv, delimiter);
+    const columns = header.map(
+      (column, index) => column.trim() || `column_${index + 1}`
+    );
+
+    const text = rows
+      .map(row =>
+        row
+          .map((value, index) =>
+            value.trim()
+              ? `${columns[index] || `column_${index + 1}`}: ${value.trim()}`
+              : null
+          )
+          .filter(Boolean)
+          .join(' | ')
+      )
+      .filter(Boolean)
+      .join('\n\n');
+
+    return [{ text }];
+  }
+
+  parseCsv(csv, delimiter) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < csv.length; i++) {
+      const char = csv[i];
+      if (quoted) {
+        if (char === '"' && csv[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && csv[i + 1] === '\n') {
+          i++;
+        }
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    if (value || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+  }
+
+  /**
+   * Split sections into chunks of at most chunk_size tokens. Chunks are made
+   * of whole sentences where possible; the last sentences of a chunk, up to
+   * chunk_overlap tokens, start the next chunk of the same section.
+   *
+   * @returns {Array<{ content: string, page?: number, heading?: string }>}
+   */
+  chunkSections(sections, { chunk_size, chunk_overlap }) {
+    const chunks = [];
+
+    for (const section of sections) {
+      const prefix = section.heading ? `${section.heading}\n\n` : '';
+      const budget = Math.max(
+        chunk_size - estimateTokens(prefix),
+        Math.ceil(chunk_size / 2)
+      );
+      const units = this.splitUnits(section.text, budget);
+
+      let current = [];
+      let tokens = 0;
+      let carried = 0;
+
+      const flush = () => {
+        chunks.push({
+          content: prefix + this.joinUnits(current),
+          page: section.page,
+          heading: section.heading,
+        });
+
+        const overlap = [];
+        let overlapTokens = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+          if (overlapTokens + current[i].tokens > chunk_overlap) {
+            break;
+          }
+          overlap.unshift(current[i]);
+          overlapTokens += current[i].tokens;
+        }
+        current = overlap;
+        tokens = overlapTokens;
+        carried = overlap.length;
+      };
+
+      for (const unit of units) {
+        if (tokens + unit.tokens > budget && current.length > carried) {
+          flush();
+        }
+        // Drop overlap that leaves no room for the next sentence
+        while (carried > 0 && tokens + unit.tokens > budget) {
+          tokens -= current.shift().tokens;
+          carried--;
+        }
+        current.push(unit);
+        tokens += unit.tokens;
+      }
+      if (current.length > carried) {
+        flush();
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Split text into sentences, remembering whether each one starts a
+   * paragraph or a line. Sentences longer than maxTokens are cut on words.
+   */
+  splitUnits(text, maxTokens) {
+    const units = [];
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+    for (const paragraph of text.split(/\n\s*\n/)) {
+      const lines = paragraph
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+      lines.forEach((line, lineIndex) => {
+        const sentences = line.split(/(?<=[.!?])\s+/).filter(Boolean);
+        sentences.forEach((sentence, sentenceIndex) => {
+          let separator = ' ';
+          if (sentenceIndex === 0) {
+            separator = lineIndex === 0 ? '\n\n' : '\n';
+          }
+          for (const piece of this.splitLongText(sentence, maxChars)) {
+            units.push({
+              text: piece,
+              separator,
+              tokens: estimateTokens(piece) + 1,
+            });
+            separator = ' ';
+          }
+        });
+      });
+    }
+
+    return units;
+  }
+
+  splitLongText(text, maxChars) {
+    if (text.length <= maxChars) {
+      return [text];
+    }
+
+    const pieces = [];
+    let piece = '';
+    for (const word of text.split(/\s+/)) {
+      for (let i = 0; i < word.length; i += maxChars) {
+        const part = word.slice(i, i + maxChars);
+        if (piece && piece.length + part.length + 1 > maxChars) {
+          pieces.push(piece);
+          piece = '';
+        }
+        piece = piece ? `${piece} ${part}` : part;
+      }
+    }
+    if (piece) {
+      pieces.push(piece);
+    }
+    return pieces;
+  }
+
+  joinUnits(units) {
+    return units
+      .map((unit, index) =>
+        index === 0 ? unit.text : unit.separator + unit.text
+      )
+      .join('');
+  }
+}
+
+module.exports = new FileIngestionService();
@@ -177,7 +177,7 @@ class GdprService {
     const conversations = await Conversation.find({
       agent: { $in: agentIds },
       user_identifier: userIdentifier,
-    });
+    }).withMessages();
 
     // Decrypt message content where applicable and convert to plain objects
     const exportedConversations = conversations.map(conv => {
@@ -46,6 +46,8 @@ class HandoffFallbackService {
       status: 'handoff_requested',
       current_handler: 'agent',
       'handoff_info.requested_at': { $gte: maxAgeThreshold },
+      // Handoffs queued outside business hours wait for the opening
+      'handoff_info.queued_until': { $not: { $gt: now } },
       $or: [
         { 'handoff_info.fallback_locked_until': { $exists: false } },
         { 'handoff_info.fallback_locked_until': null },
@@ -53,7 +55,7 @@ class HandoffFallbackService {
       ],
     })
       .select(
-        '_id agent handoff_info messages conversation_summary gdpr current_turn_language'
+        '_id agent handoff_info conversation_summary gdpr current_turn_language'
       )
       .limit(BATCH_SIZE)
       .lean();
@@ -86,10 +88,12 @@ class HandoffFallbackService {
 
       // Determine the reference time for the timeout window
       // (last_fallback_at for repeat attempts, requested_at for the first one)
+      // (queued handoffs count from the opening they waited for)
       const referenceTime =
         attemptsUsed > 0
           ? candidate.handoff_info.last_fallback_at
-          : candidate.handoff_info?.requested_at;
+          : candidate.handoff_info?.queued_until ||
+            candidate.handoff_info?.requested_at;
 
       if (!referenceTime) continue;
 
@@ -114,7 +118,7 @@ class HandoffFallbackService {
           $set: { 'handoff_info.fallback_locked_until': lockExpiry },
         },
         { new: true }
-      );
+      ).withMessages({ last: 20 });
 
       // Another instance claimed it first — skip
       if (!claimed) continue;
@@ -187,35 +191,28 @@ class HandoffFallbackService {
       throw new Error('LLM returned empty fallback message');
     }
 
-    // Persist the message and update fallback tracking atomically
+    // Persist the message and update fallback tracking. The conversation is
+    // still locked by this instance, so nobody else updates these fields
     const now = new Date();
-    await Conversation.findOneAndUpdate(
-      { _id: conversation._id },
-      {
-        $push: {
-          messages: {
-            role: 'assistant',
-            content: fallbackContent,
-            timestamp: now,
-            token_usage: {
-              prompt_tokens: llmResponse.usage?.prompt_tokens ?? 0,
-              completion_tokens: llmResponse.usage?.completion_tokens ?? 0,
-              total_tokens: llmResponse.usage?.total_tokens ?? 0,
-              cost: llmResponse.usage?.cost ?? 0,
-            },
-          },
-        },
-        $set: {
-          'handoff_info.last_fallback_at': now,
-          'handoff_info.fallback_locked_until': null, // release lock
-          'metadata.last_activity': now,
-        },
-        $inc: { 'handoff_info.fallback_attempts': 1 },
-      }
-    );
+    const attempt = (conversation.handoff_info.fallback_attempts ?? 0) + 1;
+    conversation.messages.push({
+      role: 'assistant',
+      content: fallbackContent,
+      timestamp: now,
+      token_usage: {
+        prompt_tokens: llmResponse.usage?.prompt_tokens ?? 0,
+        completion_tokens: llmResponse.usage?.completion_tokens ?? 0,
+        total_tokens: llmResponse.usage?.total_tokens ?? 0,
+        cost: llmResponse.usage?.cost ?? 0,
+      },
+    });
+    conversation.handoff_info.last_fallback_at = now;
+    conversation.handoff_info.fallback_locked_until = null; // release lock
+    conversation.handoff_info.fallback_attempts = attempt;
+    await conversation.save();
 
     console.log(
-      `[HandoffFallback] Sent fallback #${(conversation.handoff_info?.fallback_attempts ?? 0) + 1} ` +
+      `[HandoffFallback] Sent fallback #${attempt} ` +
         `for conversation ${conversation._id}`
     );
   }
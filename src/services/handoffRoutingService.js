@@ -0,0 +1,607 @@
+/**
+ * Handoff Routing Service
+ *
+ * Routes handoffs of agents with handoff_config.routing.enabled to the
+ * project's online external operators instead of leaving them in the shared
+ * pending list:
+ *
+ *   - Each handoff gets `required_skills`, taken from the request_human_handoff
+ *     `skills` parameter (limited to skills some operator has), the agent's
+ *     `skill_rules` keywords matched against the reason and context summary,
+ *     and `skills` returned by webhook hooks on the handoff_requested trigger.
+ *   - Queued handoffs are served by urgency, then age. Each goes to an online
+ *     operator who has every required skill and is below their concurrency
+ *     cap, picked least-active or round-robin.
+ *   - In 'offer' mode the operator accepts by taking over; in 'auto_assign'
+ *     mode the conversation is handed over at once and the operator must
+ *     reply. An operator who declines or misses accept_timeout_seconds is
+ *     skipped and the handoff goes back to the queue.
+ *
+ * Dispatching holds a per-project DistributedLock, so replicas never offer
+ * the same operator capacity twice.
+ */
+
+const Agent = require('../models/Agent');
+const Conversation = require('../models/Conversation');
+const ExternalOperator = require('../models/ExternalOperator');
+const distributedLockService = require('./distributedLockService');
+const handoffSlaService = require('./handoffSlaService');
+const hookService = require('./hookService');
+const toolService = require('./toolService');
+
+const URGENCY_RANK = { high: 0, medium: 1, low: 2 };
+const LOCK_TTL_MS = 30 * 1000;
+// Oldest queued handoffs considered per dispatch
+const QUEUE_SCAN_LIMIT = 200;
+const SWEEP_INTERVAL_MS =
+  (parseInt(process.env.HANDOFF_ROUTING_INTERVAL_SECONDS, 10) || 15) * 1000;
+
+const normalizeSkill = skill =>
+  typeof skill === 'string' ? skill.trim().toLowerCase() : '';
+
+class HandoffRoutingService {
+  /**
+   * The agent's routing settings, or null when routing is off.
+   */
+  getRouting(agent) {
+    const routing = agent?.config?.handoff_config?.routing;
+    return routing?.enabled ? routing : null;
+  }
+
+  /**
+   * Skills a handoff needs: explicit skills plus the skill_rules whose
+   * keywords appear in the reason or context summary.
+   */
+  resolveSkills(routing, { reason, contextSummary, skills = [] }) {
+    const text = `${reason || ''}\n${contextSummary || ''}`.toLowerCase();
+    const required = new Set(skills.map(normalizeSkill).filter(Boolean));
+
+    for (const rule of routing.skill_rules || []) {
+      const matches = (rule.keywords || []).some(
+        keyword => keyword && text.includes(keyword.toLowerCase())
+      );
+      if (rule.skill && matches) {
+        required.add(normalizeSkill(rule.skill));
+      }
+    }
+    return [...required];
+  }
+
+  /**
+   * Skills returned by webhook hooks on the handoff_requested trigger.
+   */
+  async getHookSkills(agent, conversation) {
+    const hasHooks = (agent.hooks || []).some(
+      hook => hook.enabled && hook.trigger === 'handoff_requested'
+    );
+    if (!hasHooks) {
+      return [];
+    }
+
+    const results = await hookService.executeHooks(
+      agent,
+      conversation,
+      conversation.handoff_info?.reason || '',
+      'system',
+      'handoff_requested'
+    );
+
+    return (results || [])
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value?.data?.skills || [])
+      .map(normalizeSkill)
+      .filter(Boolean);
+  }
+
+  /**
+   * Put a freshly requested handoff in the routing queue and try to route it.
+   *
+   * @param {string} agentId
+   * @param {Object} conversation - Conversation document, already in
+   *   handoff_requested state
+   * @param {Object} request - { reason, contextSummary, skills }
+   * @returns {Promise<Object|null>} queue status (see getQueueStatus), or
+   *   null when the agent does not route handoffs
+   */
+  async enqueue(agentId, conversation, request) {
+    const agent = await Agent.findById(agentId).populate({
+      path: 'api_key',
+      populate: { path: 'provider' },
+    });
+    const routing = this.getRouting(agent);
+    if (!routing) {
+      return null;
+    }
+
+    // The model may only ask for skills that exist in the project, or the
+    // handoff could never be routed
+    const knownSkills = (
+      await ExternalOperator.distinct('skills', { project: agent.project })
+    ).map(normalizeSkill);
+    const requestedSkills = (request.skills || []).filter(skill =>
+      knownSkills.includes(normalizeSkill(skill))
+    );
+
+    const required = this.resolveSkills(routing, {
+      reason: request.reason,
+      contextSummary: request.contextSummary,
+      skills: requestedSkills,
+    });
+    conversation.handoff_info.routing = { required_skills: required };
+
+    try {
+      required.push(
+        ...(await this.getHookSkills(agent, conversation)).filter(
+          skill => !required.includes(skill)
+        )
+      );
+    } catch (error) {
+      console.error('[HandoffRouting] Handoff hooks failed:', error.message);
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id, status: 'handoff_requested' },
+      {
+        $set: {
+          'handoff_info.routing': {
+            required_skills: required,
+            state: 'queued',
+            excluded_operators: [],
+            attempts: 0,
+          },
+        },
+      }
+    );
+
+    await this.dispatch(agent.project);
+    return this.getQueueStatus(conversation._id);
+  }
+
+  /**
+   * Queued handoffs of the given agents in serving order: urgency, then age.
+   */
+  async getQueue(agentIds, now = new Date()) {
+    const queue = await Conversation.find({
+      agent: { $in: agentIds },
+      status: 'handoff_requested',
+      'handoff_info.routing.state': 'queued',
+      // Handoffs queued outside business hours wait for the opening
+      'handoff_info.queued_until': { $not: { $gt: now } },
+    })
+      .select('agent handoff_info')
+      .sort({ 'handoff_info.requested_at': 1 })
+      .limit(QUEUE_SCAN_LIMIT)
+      .lean();
+
+    const rank = conversation =>
+      URGENCY_RANK[conversation.handoff_info?.urgency] ?? URGENCY_RANK.medium;
+    return queue.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Handoffs each operator is handling or has been offered.
+   * @returns {Promise<Map<string, number>>} external_id → count
+   */
+  async getLoad(agentIds, externalIds) {
+    const counts = await Conversation.aggregate([
+      {
+        $match: {
+          agent: { $in: agentIds },
+          $or: [
+            {
+              status: 'human_controlled',
+              'handoff_info.assigned_external_operator.external_id': {
+                $in: externalIds,
+              },
+            },
+            {
+              status: 'handoff_requested',
+              'handoff_info.routing.state': 'offered',
+              'handoff_info.routing.operator.external_id': {
+                $in: externalIds,
+              },
+            },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: {
+            $cond: [
+              { $eq: ['$status', 'human_controlled'] },
+              '$handoff_info.assigned_external_operator.external_id',
+              '$handoff_info.routing.operator.external_id',
+            ],
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+    return new Map(counts.map(entry => [entry._id, entry.count]));
+  }
+
+  /**
+   * Operator for a queued handoff, or null when nobody qualifies.
+   */
+  pickOperator(routing, handoffRouting, operators, load) {
+    const required = handoffRouting?.required_skills || [];
+    const excluded = handoffRouting?.excluded_operators || [];
+
+    const candidates = operators.filter(operator => {
+      const skills = (operator.skills || []).map(normalizeSkill);
+      const cap =
+        operator.max_concurrent || routing.max_concurrent_per_operator || 3;
+      return (
+        !excluded.includes(operator.external_id) &&
+        required.every(skill => skills.includes(skill)) &&
+        (load.get(operator.external_id) || 0) < cap
+      );
+    });
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const lastAssigned = operator =>
+      operator.last_assigned_at
+        ? new Date(operator.last_assigned_at).getTime()
+        : 0;
+    const active = operator => load.get(operator.external_id) || 0;
+
+    return candidates.sort((a, b) =>
+      routing.strategy === 'round_robin'
+        ? lastAssigned(a) - lastAssigned(b)
+        : active(a) - active(b) || lastAssigned(a) - lastAssigned(b)
+    )[0];
+  }
+
+  /**
+   * Route the queued handoffs of a project. Returns the number routed, or
+   * null when another instance is dispatching this project.
+   */
+  async dispatch(projectId) {
+    return distributedLockService.withLock(
+      `handoff_routing:${projectId}`,
+      LOCK_TTL_MS,
+      () => this.dispatchProject(projectId)
+    );
+  }
+
+  async dispatchProject(projectId) {
+    const now = new Date();
+    const agents = await Agent.find({ project: projectId }).select(
+      'project config.handoff_config'
+    );
+    const routedAgents = new Map(
+      agents.filter(agent => this.getRouting(agent)).map(a => [a._id, a])
+    );
+    if (routedAgents.size === 0) {
+      return 0;
+    }
+
+    const queue = await this.getQueue([...routedAgents.keys()], now);
+    if (queue.length === 0) {
+      return 0;
+    }
+
+    const operators = await ExternalOperator.find({
+      project: projectId,
+      status: 'online',
+    }).lean();
+    if (operators.length === 0) {
+      return 0;
+    }
+
+    const load = await this.getLoad(
+      agents.map(agent => agent._id),
+      operators.map(operator => operator.external_id)
+    );
+
+    let routed = 0;
+    for (const handoff of queue) {
+      const agent = routedAgents.get(handoff.agent);
+      const routing = this.getRouting(agent);
+      const operator = this.pickOperator(
+        routing,
+        handoff.handoff_info.routing,
+        operators,
+        load
+      );
+      if (!operator) {
+        continue;
+      }
+
+      if (await this.route(agent, routing, handoff._id, operator, now)) {
+        load.set(
+          operator.external_id,
+          (load.get(operator.external_id) || 0) + 1
+        );
+        operator.last_assigned_at = now;
+        routed++;
+      }
+    }
+    return routed;
+  }
+
+  /**
+   * Offer or assign one queued handoff to an operator.
+   * @returns {Promise<boolean>} false when the handoff left the queue meanwhile
+   */
+  async route(agent, routing, conversationId, operator, now = new Date()) {
+    const state = routing.mode === 'auto_assign' ? 'assigned' : 'offered';
+    const expiresAt = new Date(
+      now.getTime() + (routing.accept_timeout_seconds || 120) * 1000
+    );
+
+    const conversation = await Conversation.findOneAndUpdate(
+      {
+        _id: conversationId,
+        status: 'handoff_requested',
+        'handoff_info.routing.state': 'queued',
+      },
+      {
+        $set: {
+          'handoff_info.routing.state': state,
+          'handoff_info.routing.operator': {
+            external_id: operator.external_id,
+            name: operator.name,
+          },
+          'handoff_info.routing.offered_at': now,
+          'handoff_info.routing.expires_at': expiresAt,
+        },
+        $inc: { 'handoff_info.routing.attempts': 1 },
+      },
+      { new: true }
+    );
+    if (!conversation) {
+      return false;
+    }
+
+    if (state === 'assigned') {
+      await conversation.assignExternalOperator(
+        operator.external_id,
+        operator.name,
+        operator.email,
+        operator.avatar_url
+      );
+      await handoffSlaService.recordAssigned(conversationId, {
+        type: 'external',
+        id: operator.external_id,
+        name: operator.name,
+      });
+    }
+    await ExternalOperator.updateOne(
+      { _id: operator._id },
+      { $set: { last_assigned_at: now } }
+    );
+
+    console.log(
+      `[HandoffRouting] Conversation ${conversationId} ${state} to ${operator.external_id}`
+    );
+    this.notify(agent, `handoff_${state}`, conversation);
+    return true;
+  }
+
+  /**
+   * Send a routing event to the agent's handoff webhook (fire-and-forget).
+   */
+  notify(agent, event, conversation) {
+    const handoffConfig = agent.config?.handoff_config;
+    if (!handoffConfig?.webhook_url) {
+      return;
+    }
+    const routing = conversation.handoff_info?.routing || {};
+
+    toolService._fireHandoffWebhook(
+      handoffConfig.webhook_url,
+      {
+        event,
+        conversation_id: conversation._id,
+        agent_id: agent._id,
+        operator: {
+          external_id: routing.operator?.external_id || null,
+          name: routing.operator?.name || null,
+        },
+        required_skills: routing.required_skills || [],
+        urgency: conversation.handoff_info?.urgency || null,
+        expires_at: routing.expires_at
+          ? routing.expires_at.toISOString()
+          : null,
+        timestamp: new Date().toISOString(),
+      },
+      handoffConfig.webhook_secret || null
+    );
+  }
+
+  /**
+   * Whether an external operator may take over: a live offer reserves the
+   * handoff for the operator it was offered to.
+   */
+  canTakeOver(conversation, externalId, now = new Date()) {
+    const routing = conversation.handoff_info?.routing;
+    return !(
+      routing?.state === 'offered' &&
+      routing.expires_at > now &&
+      routing.operator?.external_id !== externalId
+    );
+  }
+
+  /**
+   * Mark a routed handoff as accepted by the operator handling it. Mutates
+   * the document; the caller saves it.
+   */
+  markAccepted(conversation, externalId, name) {
+    const routing = conversation.handoff_info?.routing;
+    if (!routing?.state || routing.state === 'accepted') {
+      return;
+    }
+    routing.state = 'accepted';
+    routing.operator = { external_id: externalId, name };
+    routing.expires_at = null;
+  }
+
+  /**
+   * Take a handoff back from an operator who declined it or let it expire,
+   * and route it to someone else.
+   *
+   * @param {string} conversationId
+   * @param {string} externalId - operator the handoff is offered/assigned to
+   * @param {Object} [options]
+   * @param {boolean} [options.expiredOnly] - only release when expires_at passed
+   * @returns {Promise<boolean>} false when the handoff was not routed to
+   *   this operator (anymore)
+   */
+  async release(conversationId, externalId, { expiredOnly = false } = {}) {
+    const now = new Date();
+    const current = await Conversation.findById(conversationId)
+      .select('agent status handoff_info.routing')
+      .lean();
+    const state = current?.handoff_info?.routing?.state;
+    if (!['offered', 'assigned'].includes(state)) {
+      return false;
+    }
+
+    const filter = {
+      _id: conversationId,
+      'handoff_info.routing.state': state,
+      'handoff_info.routing.operator.external_id': externalId,
+    };
+    if (expiredOnly) {
+      filter['handoff_info.routing.expires_at'] = { $lte: now };
+    }
+
+    const update = {
+      $set: {
+        'handoff_info.routing.state': 'queued',
+        'handoff_info.routing.expires_at': null,
+      },
+      $unset: { 'handoff_info.routing.operator': '' },
+      $addToSet: { 'handoff_info.routing.excluded_operators': externalId },
+    };
+    if (state === 'assigned') {
+      // Auto-assigned conversations were handed over already: take them back
+      filter.status = 'human_controlled';
+      update.$set.status = 'handoff_requested';
+      update.$set.current_handler = 'agent';
+      update.$unset['handoff_info.assigned_external_operator'] = '';
+      update.$unset['handoff_info.handed_off_at'] = '';
+    }
+
+    const result = await Conversation.updateOne(filter, update);
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    if (state === 'assigned') {
+      await handoffSlaService.recordUnassigned(conversationId);
+    }
+
+    console.log(
+      `[HandoffRouting] Conversation ${conversationId} released by ${externalId}${expiredOnly ? ' (timeout)' : ''}`
+    );
+    const agent = await Agent.findById(current.agent).select('project');
+    if (agent) {
+      await this.dispatch(agent.project);
+    }
+    return true;
+  }
+
+  /**
+   * Where a waiting handoff stands, as shown to the customer.
+   *
+   * @returns {Promise<{ state: string, position: number|null,
+   *   required_skills: string[] }|null>} position is 1-based and only set
+   *   while queued; null when the conversation is not routed
+   */
+  async getQueueStatus(conversationId) {
+    const conversation = await Conversation.findById(conversationId)
+      .select('agent status handoff_info')
+      .lean();
+    const routing = conversation?.handoff_info?.routing;
+    if (conversation?.status !== 'handoff_requested' || !routing?.state) {
+      return null;
+    }
+
+    const status = {
+      state: routing.state,
+      position: null,
+      required_skills: routing.required_skills || [],
+    };
+    if (routing.state !== 'queued') {
+      return status;
+    }
+
+    const agent = await Agent.findById(conversation.agent).select('project');
+    const agentIds = await Agent.find({ project: agent.project }).distinct(
+      '_id'
+    );
+    const urgency = conversation.handoff_info.urgency || 'medium';
+    const rank = URGENCY_RANK[urgency] ?? URGENCY_RANK.medium;
+    const moreUrgent = Object.keys(URGENCY_RANK).filter(
+      level => URGENCY_RANK[level] < rank
+    );
+
+    const ahead = await Conversation.countDocuments({
+      _id: { $ne: conversation._id },
+      agent: { $in: agentIds },
+      status: 'handoff_requested',
+      'handoff_info.routing.state': 'queued',
+      'handoff_info.queued_until': { $not: { $gt: new Date() } },
+      $or: [
+        { 'handoff_info.urgency': { $in: moreUrgent } },
+        {
+          'handoff_info.urgency': urgency,
+          'handoff_info.requested_at': {
+            $lt: conversation.handoff_info.requested_at,
+          },
+        },
+      ],
+    });
+    status.position = ahead + 1;
+    return status;
+  }
+
+  /**
+   * Requeue expired offers and assignments, then route every project that
+   * has queued handoffs (new capacity, operators coming online, openings).
+   */
+  async sweep() {
+    const now = new Date();
+    const expired = await Conversation.find({
+      'handoff_info.routing.state': { $in: ['offered', 'assigned'] },
+      'handoff_info.routing.expires_at': { $lte: now },
+    })
+      .select('_id handoff_info.routing.operator')
+      .limit(50)
+      .lean();
+
+    for (const conversation of expired) {
+      await this.release(
+        conversation._id,
+        conversation.handoff_info.routing.operator?.external_id,
+        { expiredOnly: true }
+      );
+    }
+
+    const waitingAgents = await Conversation.distinct('agent', {
+      status: 'handoff_requested',
+      'handoff_info.routing.state': 'queued',
+      'handoff_info.queued_until': { $not: { $gt: now } },
+    });
+    const projects = await Agent.distinct('project', {
+      _id: { $in: waitingAgents },
+    });
+    for (const projectId of projects) {
+      await this.dispatch(projectId);
+    }
+  }
+
+  startWorker() {
+    this.sweepHandle = setInterval(() => {
+      this.sweep().catch(error =>
+        console.error('[HandoffRouting] Sweep failed:', error.message)
+      );
+    }, SWEEP_INTERVAL_MS);
+  }
+}
+
+module.exports = new HandoffRoutingService();
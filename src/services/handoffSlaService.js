@@ -0,0 +1,328 @@
+/**
+ * Handoff SLA Service
+ *
+ * Keeps a HandoffSession per handoff so support leads can see how long users
+ * wait for a human and how operators handle the conversations they take:
+ *
+ *   - `open` when the handoff is requested, `recordAssigned` when an operator
+ *     takes over, `recordResponse` on the operator's first message and
+ *     `close` when the conversation is handed back, refused or closed.
+ *   - The agent's handoff_config.sla thresholds are copied to the session.
+ *     When one is missed, a `handoff_sla_breached` event is sent to the
+ *     agent's handoff webhook, once per session and metric.
+ *
+ * Tracking never fails the handoff itself: errors are logged and swallowed.
+ */
+
+const Agent = require('../models/Agent');
+const Conversation = require('../models/Conversation');
+const HandoffSession = require('../models/HandoffSession');
+const toolService = require('./toolService');
+
+const SWEEP_INTERVAL_MS =
+  (parseInt(process.env.HANDOFF_SLA_INTERVAL_SECONDS, 10) || 30) * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+const addSeconds = (date, seconds) =>
+  seconds ? new Date(date.getTime() + seconds * 1000) : null;
+
+class HandoffSlaService {
+  /**
+   * Start a session for a handoff that was just requested.
+   *
+   * @param {Object} conversation - Conversation document after requestHandoff
+   * @param {string} agentId
+   */
+  async open(conversation, agentId) {
+    try {
+      const agent = await Agent.findById(agentId)
+        .select('organization project config.handoff_config.sla')
+        .lean();
+      if (!agent) {
+        return null;
+      }
+
+      // A new request ends whatever was left open for this conversation
+      await this.close(conversation._id);
+
+      const handoffInfo = conversation.handoff_info || {};
+      const requestedAt = handoffInfo.requested_at || new Date();
+      const startedAt = handoffInfo.queued_until || requestedAt;
+      const sla = agent.config?.handoff_config?.sla || {};
+
+      return await HandoffSession.create({
+        conversation: conversation._id,
+        agent: agent._id,
+        organization: agent.organization,
+        project: agent.project,
+        channel: conversation.channel || null,
+        urgency: handoffInfo.urgency || 'medium',
+        requested_at: requestedAt,
+        sla_started_at: startedAt,
+        sla: {
+          first_response_seconds: sla.first_response_seconds || null,
+          handling_seconds: sla.handling_seconds || null,
+        },
+        first_response_due_at: addSeconds(
+          startedAt,
+          sla.first_response_seconds
+        ),
+      });
+    } catch (error) {
+      console.error('[HandoffSla] Failed to open session:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * The operator took over the conversation.
+   *
+   * @param {string} conversationId
+   * @param {{ type: 'internal'|'external', id: string, name: string }} operator
+   */
+  async recordAssigned(conversationId, operator, at = new Date()) {
+    try {
+      const session = await this.getOpenSession(conversationId);
+      if (!session) {
+        return;
+      }
+      await HandoffSession.updateOne(
+        { _id: session._id },
+        {
+          $set: {
+            operator: {
+              type: operator.type,
+              id: operator.id ? String(operator.id) : null,
+              name: operator.name || null,
+            },
+            assigned_at: at,
+            handling_due_at: addSeconds(at, session.sla?.handling_seconds),
+          },
+        }
+      );
+    } catch (error) {
+      console.error('[HandoffSla] Failed to record assignment:', error.message);
+    }
+  }
+
+  /**
+   * An auto-assigned handoff was declined and went back to the queue.
+   */
+  async recordUnassigned(conversationId) {
+    try {
+      await HandoffSession.updateOne(
+        { conversation: conversationId, ended_at: null },
+        {
+          $set: { assigned_at: null, handling_due_at: null },
+          $unset: { operator: '' },
+        }
+      );
+    } catch (error) {
+      console.error('[HandoffSla] Failed to record release:', error.message);
+    }
+  }
+
+  /**
+   * An operator sent a message. Only the first one counts.
+   */
+  async recordResponse(conversationId, at = new Date()) {
+    try {
+      const session = await HandoffSession.findOneAndUpdate(
+        {
+          conversation: conversationId,
+          ended_at: null,
+          first_response_at: null,
+        },
+        { $set: { first_response_at: at } },
+        { new: true }
+      ).lean();
+
+      if (
+        session?.first_response_due_at &&
+        at > session.first_response_due_at
+      ) {
+        await this.recordBreach(session, 'first_response', at);
+      }
+    } catch (error) {
+      console.error('[HandoffSla] Failed to record response:', error.message);
+    }
+  }
+
+  /**
+   * End the open session of a conversation.
+   *
+   * @param {string} conversationId
+   * @param {string} [outcome] - handed_back, refused, ended or abandoned;
+   *   by default ended when an operator had the conversation, else abandoned
+   * @param {Object} [options]
+   * @param {string} [options.refusedBy]
+   */
+  async close(
+    conversationId,
+    outcome = null,
+    { refusedBy = null, at = new Date() } = {}
+  ) {
+    try {
+      const session = await HandoffSession.findOneAndUpdate(
+        { conversation: conversationId, ended_at: null },
+        [
+          {
+            $set: {
+              ended_at: at,
+              outcome: outcome || {
+                $cond: [
+                  { $ifNull: ['$assigned_at', false] },
+                  'ended',
+                  'abandoned',
+                ],
+              },
+              refused_by: refusedBy,
+            },
+          },
+        ],
+        { new: true, sort: { requested_at: -1 } }
+      ).lean();
+      if (!session) {
+        return;
+      }
+
+      // Missed while nobody was looking (between sweeps)
+      if (
+        !session.first_response_at &&
+        session.first_response_due_at &&
+        at > session.first_response_due_at
+      ) {
+        await this.recordBreach(session, 'first_response', at);
+      }
+      if (session.handling_due_at && at > session.handling_due_at) {
+        await this.recordBreach(session, 'handling', at);
+      }
+    } catch (error) {
+      console.error('[HandoffSla] Failed to close session:', error.message);
+    }
+  }
+
+  async getOpenSession(conversationId) {
+    return HandoffSession.findOne({
+      conversation: conversationId,
+      ended_at: null,
+    })
+      .sort({ requested_at: -1 })
+      .lean();
+  }
+
+  /**
+   * Record a missed threshold and notify the agent's handoff webhook.
+   * Only the first caller per session and metric notifies.
+   */
+  async recordBreach(session, metric, at = new Date()) {
+    const result = await HandoffSession.updateOne(
+      { _id: session._id, 'breaches.metric': { $ne: metric } },
+      { $push: { breaches: { metric, breached_at: at } } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    console.warn(
+      `[HandoffSla] Conversation ${session.conversation} breached the ${metric} SLA`
+    );
+    await this.notify(session, metric, at);
+    return true;
+  }
+
+  async notify(session, metric, at) {
+    const agent = await Agent.findById(session.agent)
+      .select('config.handoff_config')
+      .lean();
+    const handoffConfig = agent?.config?.handoff_config;
+    if (!handoffConfig?.webhook_url) {
+      return;
+    }
+
+    const isFirstResponse = metric === 'first_response';
+    const startedAt = isFirstResponse
+      ? session.sla_started_at
+      : session.assigned_at;
+
+    toolService._fireHandoffWebhook(
+      handoffConfig.webhook_url,
+      {
+        event: 'handoff_sla_breached',
+        conversation_id: session.conversation,
+        agent_id: session.agent,
+        metric,
+        threshold_seconds: isFirstResponse
+          ? session.sla.first_response_seconds
+          : session.sla.handling_seconds,
+        elapsed_seconds: Math.round(
+          (at.getTime() - new Date(startedAt).getTime()) / 1000
+        ),
+        operator: session.operator?.id ? session.operator : null,
+        urgency: session.urgency,
+        requested_at: new Date(session.requested_at).toISOString(),
+        timestamp: new Date().toISOString(),
+      },
+      handoffConfig.webhook_secret || null
+    );
+  }
+
+  /**
+   * Report thresholds that ran out without the event they wait for, and
+   * close sessions of conversations that left the handoff without passing
+   * through the handoff endpoints (e.g. closed channel sessions).
+   */
+  async sweep(now = new Date()) {
+    const [noResponse, overdue] = await Promise.all([
+      HandoffSession.find({
+        ended_at: null,
+        first_response_at: null,
+        first_response_due_at: { $lte: now },
+        'breaches.metric': { $ne: 'first_response' },
+      })
+        .limit(SWEEP_BATCH_SIZE)
+        .lean(),
+      HandoffSession.find({
+        ended_at: null,
+        handling_due_at: { $lte: now },
+        'breaches.metric': { $ne: 'handling' },
+      })
+        .limit(SWEEP_BATCH_SIZE)
+        .lean(),
+    ]);
+    for (const session of noResponse) {
+      await this.recordBreach(session, 'first_response', now);
+    }
+    for (const session of overdue) {
+      await this.recordBreach(session, 'handling', now);
+    }
+
+    const open = await HandoffSession.find({ ended_at: null })
+      .select('conversation')
+      .sort({ requested_at: 1 })
+      .limit(SWEEP_BATCH_SIZE)
+      .lean();
+    if (open.length === 0) {
+      return;
+    }
+    const stillWaiting = await Conversation.find({
+      _id: { $in: open.map(session => session.conversation) },
+      status: { $in: ['handoff_requested', 'human_controlled'] },
+    }).distinct('_id');
+    for (const session of open) {
+      if (!stillWaiting.includes(session.conversation)) {
+        await this.close(session.conversation, null, { at: now });
+      }
+    }
+  }
+
+  startWorker() {
+    this.sweepHandle = setInterval(() => {
+      this.sweep().catch(error =>
+        console.error('[HandoffSla] Sweep failed:', error.message)
+      );
+    }, SWEEP_INTERVAL_MS);
+  }
+}
+
+module.exports = new HandoffSlaService();
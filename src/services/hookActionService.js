@@ -0,0 +1,422 @@
+/**
+ * Hook Action Service
+ *
+ * Declarative parts of agent hooks, so routine automations need neither an
+ * LLM call nor a webhook receiver:
+ *
+ *   - `conditions` are checked before any hook fires. Every condition must
+ *     hold; they look at the message, the detected language, the channel,
+ *     the conversation status, its tags and its dynamic_context values.
+ *   - `actions` are the steps of hooks of type 'action': tag the
+ *     conversation, set a custom field or a dynamic_context key, send a
+ *     WhatsApp template, request a human handoff, send the CSAT survey
+ *     or archive the conversation.
+ *
+ * Actions write with atomic updates instead of saving the conversation
+ * document, because the agent is usually saving that document at the same
+ * time. They also update `facts` in place, so the conditions of the hooks
+ * that run after them see the new tags, context and status.
+ */
+
+const Conversation = require('../models/Conversation');
+const Template = require('../models/Template');
+const toolService = require('./toolService');
+const conversationAttributeService = require('./conversationAttributeService');
+const feedbackService = require('./feedbackService');
+
+const MAX_PATTERN_LENGTH = 500;
+const CONTEXT_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const FIELDS = [
+  'message',
+  'language',
+  'channel',
+  'status',
+  'tags',
+  'dynamic_context',
+];
+const OPERATORS = [
+  'equals',
+  'not_equals',
+  'in',
+  'not_in',
+  'contains',
+  'not_contains',
+  'matches',
+  'exists',
+  'not_exists',
+];
+const ACTION_TYPES = [
+  'tag',
+  'set_field',
+  'set_context',
+  'send_template',
+  'request_handoff',
+  'request_csat',
+  'archive',
+];
+
+function hookError(message) {
+  const error = new Error(message);
+  error.code = 'HOOK_INVALID';
+  return error;
+}
+
+const isNil = value => value === undefined || value === null;
+
+const isEmpty = value =>
+  isNil(value) || value === '' || (Array.isArray(value) && value.length === 0);
+
+const getPath = (object, path) =>
+  String(path)
+    .split('.')
+    .reduce(
+      (current, part) => (isNil(current) ? undefined : current[part]),
+      object
+    );
+
+class HookActionService {
+  /**
+   * Check the conditions and actions of a hook before it is stored.
+   * @throws HOOK_INVALID
+   */
+  validate(hook) {
+    const label = `Hook "${hook.name}"`;
+
+    if (hook.conditions !== undefined && !Array.isArray(hook.conditions)) {
+      throw hookError(`${label}: conditions must be an array`);
+    }
+    for (const condition of hook.conditions || []) {
+      if (!FIELDS.includes(condition?.field)) {
+        throw hookError(
+          `${label}: condition field must be one of: ${FIELDS.join(', ')}`
+        );
+      }
+      const operator = condition.operator || 'equals';
+      if (!OPERATORS.includes(operator)) {
+        throw hookError(
+          `${label}: condition operator must be one of: ${OPERATORS.join(', ')}`
+        );
+      }
+      if (condition.field === 'dynamic_context' && !condition.key) {
+        throw hookError(`${label}: dynamic_context conditions require a key`);
+      }
+      if (
+        ['in', 'not_in'].includes(operator) &&
+        !Array.isArray(condition.value)
+      ) {
+        throw hookError(
+          `${label}: "${operator}" conditions require an array value`
+        );
+      }
+      if (operator === 'matches') {
+        if (
+          typeof condition.value !== 'string' ||
+          condition.value.length > MAX_PATTERN_LENGTH
+        ) {
+          throw hookError(
+            `${label}: "matches" requires a pattern of at most ${MAX_PATTERN_LENGTH} characters`
+          );
+        }
+        try {
+          new RegExp(condition.value, 'i');
+        } catch (error) {
+          throw hookError(`${label}: invalid pattern (${error.message})`);
+        }
+      }
+    }
+
+    if (hook.actions !== undefined && !Array.isArray(hook.actions)) {
+      throw hookError(`${label}: actions must be an array`);
+    }
+    if (hook.type === 'action' && !(hook.actions || []).length) {
+      throw hookError(
+        `Action hook "${hook.name}" requires at least one action`
+      );
+    }
+    for (const action of hook.actions || []) {
+      if (!ACTION_TYPES.includes(action?.type)) {
+        throw hookError(
+          `${label}: action type must be one of: ${ACTION_TYPES.join(', ')}`
+        );
+      }
+      if (
+        action.type === 'tag' &&
+        !(
+          Array.isArray(action.tags) &&
+          action.tags.length > 0 &&
+          action.tags.every(tag => typeof tag === 'string' && tag.trim())
+        )
+      ) {
+        throw hookError(`${label}: tag actions require a list of tags`);
+      }
+      if (
+        action.type === 'set_context' &&
+        !CONTEXT_KEY_PATTERN.test(action.key || '')
+      ) {
+        throw hookError(
+          `${label}: set_context actions require a key of letters, digits, "_" or "-"`
+        );
+      }
+      if (action.type === 'set_field' && !action.key) {
+        throw hookError(`${label}: set_field actions require a key`);
+      }
+      if (action.type === 'send_template' && !action.template_name) {
+        throw hookError(
+          `${label}: send_template actions require a template_name`
+        );
+      }
+      if (action.type === 'request_handoff' && !action.reason) {
+        throw hookError(`${label}: request_handoff actions require a reason`);
+      }
+    }
+  }
+
+  /**
+   * What conditions are evaluated against.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {string} message - content of the message that triggered the hook
+   */
+  buildFacts(conversation, message) {
+    return {
+      message: message || '',
+      language: conversation.current_turn_language || null,
+      channel: conversation.channel || 'website',
+      status: conversation.status,
+      tags: [...(conversation.tags || [])],
+      dynamic_context: conversation.dynamic_context || null,
+    };
+  }
+
+  /**
+   * @returns {boolean} true when every condition holds (or there are none)
+   */
+  matchesConditions(conditions, facts) {
+    return (conditions || []).every(condition =>
+      this._matches(condition, facts)
+    );
+  }
+
+  _matches(condition, facts) {
+    const actual =
+      condition.field === 'dynamic_context'
+        ? getPath(facts.dynamic_context, condition.key)
+        : facts[condition.field];
+    const expected = condition.value;
+    const values = Array.isArray(actual) ? actual.map(String) : null;
+
+    switch (condition.operator || 'equals') {
+      case 'exists':
+        return !isEmpty(actual);
+      case 'not_exists':
+        return isEmpty(actual);
+      case 'equals':
+        return values
+          ? values.includes(String(expected))
+          : !isNil(actual) && String(actual) === String(expected);
+      case 'not_equals':
+        return !this._matches({ ...condition, operator: 'equals' }, facts);
+      case 'in': {
+        const allowed = (expected || []).map(String);
+        return values
+          ? values.some(value => allowed.includes(value))
+          : !isNil(actual) && allowed.includes(String(actual));
+      }
+      case 'not_in':
+        return !this._matches({ ...condition, operator: 'in' }, facts);
+      case 'contains': {
+        if (values) {
+          return values.includes(String(expected));
+        }
+        return (
+          !isNil(actual) &&
+          String(actual).toLowerCase().includes(String(expected).toLowerCase())
+        );
+      }
+      case 'not_contains':
+        return !this._matches({ ...condition, operator: 'contains' }, facts);
+      case 'matches': {
+        if (isNil(actual)) {
+          return false;
+        }
+        const pattern = new RegExp(String(expected), 'i');
+        return values
+          ? values.some(value => pattern.test(value))
+          : pattern.test(String(actual));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Run the actions of an action hook in order. The first failing action
+   * stops the hook; the error carries the results so far in `actions`.
+   *
+   * @param {Object} hook
+   * @param {Object} agent - Agent document (with api_key.provider)
+   * @param {Object} conversation - Conversation document
+   * @param {Object} facts - from buildFacts, updated in place
+   * @returns {Promise<{ actions: Array<{ type, success, error }> }>}
+   */
+  async runActions(hook, agent, conversation, facts) {
+    const results = [];
+    for (const action of hook.actions || []) {
+      try {
+        await this._runAction(action, agent, conversation, facts);
+        results.push({ type: action.type, success: true, error: null });
+      } catch (error) {
+        results.push({
+          type: action.type,
+          success: false,
+          error: error.message,
+        });
+        error.actions = results;
+        throw error;
+      }
+    }
+    return { actions: results };
+  }
+
+  async _runAction(action, agent, conversation, facts) {
+    switch (action.type) {
+      case 'tag':
+        return this._tag(action, conversation, facts);
+      case 'set_field':
+        return this._setField(action, conversation);
+      case 'set_context':
+        return this._setContext(action, conversation, facts);
+      case 'send_template':
+        return this._sendTemplate(action, agent, conversation);
+      case 'request_handoff':
+        return this._requestHandoff(action, agent, conversation, facts);
+      case 'request_csat':
+        // Conversations already surveyed are skipped
+        return feedbackService.requestCsat(conversation);
+      case 'archive':
+        return this._archive(conversation);
+      default:
+        throw new Error(`Unknown action type "${action.type}"`);
+    }
+  }
+
+  async _tag(action, conversation, facts) {
+    const tags = action.tags.map(tag => tag.trim()).filter(Boolean);
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $addToSet: { tags: { $each: tags } } }
+    );
+    for (const tag of tags) {
+      if (!facts.tags.includes(tag)) {
+        facts.tags.push(tag);
+      }
+    }
+  }
+
+  async _setField(action, conversation) {
+    // Typed and checked against the project's conversation_fields
+    const fresh = await Conversation.findById(conversation._id);
+    await conversationAttributeService.update(fresh, {
+      custom_fields: { [action.key]: action.value ?? null },
+    });
+  }
+
+  async _setContext(action, conversation, facts) {
+    const now = new Date();
+    // Pipeline update: dynamic_context may still be null
+    await Conversation.updateOne({ _id: conversation._id }, [
+      {
+        $set: {
+          dynamic_context: {
+            $mergeObjects: [
+              { $ifNull: ['$dynamic_context', {}] },
+              { [action.key]: { $literal: action.value ?? null } },
+            ],
+          },
+          dynamic_context_updated_at: now,
+        },
+      },
+    ]);
+    facts.dynamic_context = {
+      ...(facts.dynamic_context || {}),
+      [action.key]: action.value ?? null,
+    };
+  }
+
+  async _sendTemplate(action, agent, conversation) {
+    const templates = await Template.find({
+      agent: agent._id,
+      name: action.template_name,
+      status: 'APPROVED',
+      ...(action.template_language && { language: action.template_language }),
+    });
+    if (templates.length === 0) {
+      throw new Error(`No approved template named "${action.template_name}"`);
+    }
+    // Without a fixed language, prefer the one the user writes in
+    const language = conversation.current_turn_language;
+    const template =
+      templates.find(t => language && t.language.startsWith(language)) ||
+      templates[0];
+
+    // Lazy require: channelOrchestrator requires hookService
+    const channelOrchestrator = require('./channelOrchestrator');
+    const fresh = await Conversation.findById(conversation._id);
+    await channelOrchestrator.sendTemplate(
+      agent._id,
+      fresh,
+      template,
+      action.parameters || []
+    );
+  }
+
+  async _requestHandoff(action, agent, conversation, facts) {
+    if (['handoff_requested', 'human_controlled'].includes(facts.status)) {
+      return;
+    }
+
+    // Lazy require: agentService requires hookService
+    const agentService = require('./agentService');
+    const result = await toolService.humanHandoffHandler(
+      {
+        reason: action.reason,
+        urgency: action.urgency || 'medium',
+        handoff_message: action.handoff_message,
+      },
+      agentService.getAgentToolConfig(
+        agent,
+        'request_human_handoff',
+        conversation._id
+      )
+    );
+    facts.status = 'handoff_requested';
+
+    // Tell the user, as the agent does after calling the handoff tool
+    const fresh = await Conversation.findById(conversation._id);
+    await fresh.addMessage({
+      role: 'assistant',
+      content: result.suggested_message,
+    });
+
+    if (fresh.channel && fresh.channel !== 'website') {
+      const channelOrchestrator = require('./channelOrchestrator');
+      await channelOrchestrator.sendChannelMessage(
+        agent._id,
+        fresh.channel,
+        fresh.user_identifier,
+        result.suggested_message,
+        fresh.channel_metadata
+      );
+    }
+  }
+
+  async _archive(conversation) {
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { archived: true } }
+    );
+  }
+}
+
+module.exports = new HookActionService();
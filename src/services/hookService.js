@@ -4,12 +4,17 @@ const crypto = require('crypto');
 
 const Agent = require('../models/Agent');
 const Conversation = require('../models/Conversation');
+const jobQueueService = require('./jobQueueService');
+const hookActionService = require('./hookActionService');
+
+// Inactivity hooks are delayed jobs, so pending ones survive restarts and
+// fire on whichever instance claims them
+const INACTIVITY_QUEUE = 'hooks.inactivity';
+
+const inactivityDedupKey = (conversationId, hookName) =>
+  `${conversationId}:${hookName}`;
 
 class HookService {
-  constructor() {
-    // In-memory inactivity timers: Map<conversationId, Map<hookName, timeoutId>>
-    this._inactivityTimers = new Map();
-  }
   /**
    * Execute all matching hooks for an agent on a given event.
    *
@@ -20,7 +25,7 @@ class HookService {
    * @param {Object}  conversation – Conversation document
    * @param {string}  message      – the raw message content
    * @param {string}  messageRole  – 'user' | 'human_operator' | 'system'
-   * @param {string}  event        – 'message' | 'new_conversation'
+   * @param {string}  event        – 'message' | 'new_conversation' | 'handoff_requested'
    */
   async executeHooks(agent, conversation, message, messageRole, event = 'message') {
     const hooks = (agent.hooks || []).filter(h => h.enabled);
@@ -37,16 +42,50 @@ class HookService {
 
     if (matchingHooks.length === 0) return;
 
-    // Fire all matching hooks in parallel, non-blocking
-    const results = await Promise.allSettled(
-      matchingHooks.map(hook =>
-        this._executeHook(hook, agent, conversation, message, messageRole)
-      )
+    const facts = hookActionService.buildFacts(conversation, message);
+    const firedHooks = [];
+    const results = [];
+
+    // Action hooks run first, one at a time in the configured order, so the
+    // conditions of each hook see the tags and context set by earlier ones
+    for (const hook of matchingHooks.filter(h => h.type === 'action')) {
+      if (!hookActionService.matchesConditions(hook.conditions, facts)) {
+        continue;
+      }
+      firedHooks.push(hook);
+      try {
+        const value = await this._executeHook(
+          hook,
+          agent,
+          conversation,
+          message,
+          messageRole,
+          facts
+        );
+        results.push({ status: 'fulfilled', value });
+      } catch (reason) {
+        results.push({ status: 'rejected', reason });
+      }
+    }
+
+    // Fire the other matching hooks in parallel, non-blocking
+    const otherHooks = matchingHooks.filter(
+      hook =>
+        hook.type !== 'action' &&
+        hookActionService.matchesConditions(hook.conditions, facts)
+    );
+    firedHooks.push(...otherHooks);
+    results.push(
+      ...(await Promise.allSettled(
+        otherHooks.map(hook =>
+          this._executeHook(hook, agent, conversation, message, messageRole)
+        )
+      ))
     );
 
     // Log failures (but never throw — hooks must not break the main flow)
     for (let i = 0; i < results.length; i++) {
-      const hook = matchingHooks[i];
+      const hook = firedHooks[i];
       if (results[i].status === 'rejected') {
         console.error(
           `[Hook] "${hook.name}" failed:`,
@@ -75,6 +114,10 @@ class HookService {
       return hook.trigger === 'new_conversation';
     }
 
+    if (event === 'handoff_requested') {
+      return hook.trigger === 'handoff_requested';
+    }
+
     // Inactivity hooks are never triggered directly by a message —
     // they are scheduled via scheduleInactivityHooks() and fire from a timer.
     if (hook.trigger === 'inactivity') {
@@ -97,9 +140,20 @@ class HookService {
   }
 
   /**
-   * Execute a single hook (LLM or webhook).
+   * Execute a single hook (LLM, webhook or built-in actions).
+   *
+   * @param {Object} [facts] – condition facts shared with the next hooks
+   *   (see hookActionService.buildFacts)
    */
-  async _executeHook(hook, agent, conversation, message, messageRole) {
+  async _executeHook(hook, agent, conversation, message, messageRole, facts) {
+    if (hook.type === 'action') {
+      return hookActionService.runActions(
+        hook,
+        agent,
+        conversation,
+        facts || hookActionService.buildFacts(conversation, message)
+      );
+    }
     if (hook.type === 'webhook') {
       return this._executeWebhook(hook, agent, conversation, message, messageRole);
     }
@@ -133,6 +187,17 @@ class HookService {
       current_handler: conversation.current_handler,
     };
 
+    // Handoff hooks get the request so they can pick operator skills
+    if (hook.trigger === 'handoff_requested') {
+      payload.handoff = {
+        reason: conversation.handoff_info?.reason || null,
+        urgency: conversation.handoff_info?.urgency || null,
+        context_summary: conversation.handoff_info?.handoff_message || null,
+        required_skills:
+          conversation.handoff_info?.routing?.required_skills || [],
+      };
+    }
+
     // Include external operator info if conversation was taken over
     if (conversation.handoff_info?.assigned_external_operator) {
       payload.external_operator = {
@@ -167,7 +232,16 @@ class HookService {
       throw new Error(`Webhook returned ${response.status}: ${response.statusText}`);
     }
 
-    return { webhook: true, status: response.status };
+    // A JSON reply is kept for the caller, e.g. `{ "skills": [...] }` from
+    // handoff_requested hooks
+    let data = null;
+    if (
+      (response.headers.get('content-type') || '').includes('application/json')
+    ) {
+      data = await response.json().catch(() => null);
+    }
+
+    return { webhook: true, status: response.status, data };
   }
 
   // ---------------------------------------------------------------------------
@@ -555,6 +629,7 @@ class HookService {
         tool_name: r.tool_name,
         reason: r.reason,
       })),
+      actions: result?.actions || error?.actions || [],
       error: error ? String(error.message || error) : null,
     };
 
@@ -575,13 +650,14 @@ class HookService {
    * Schedule (or reset) inactivity timers for all enabled inactivity hooks
    * on an agent/conversation pair.
    *
-   * Called on every message. Each call clears any existing timer for that
-   * conversation+hook and starts a fresh countdown.
+   * Called on every message. Each timer is a delayed job keyed by
+   * conversation and hook, so each call moves the existing job back and
+   * starts a fresh countdown.
    *
    * @param {Object} agent        – populated Agent document (with api_key.provider)
    * @param {Object} conversation – Conversation document
    */
-  scheduleInactivityHooks(agent, conversation) {
+  async scheduleInactivityHooks(agent, conversation) {
     const hooks = (agent.hooks || []).filter(
       h => h.enabled && h.trigger === 'inactivity'
     );
@@ -589,39 +665,32 @@ class HookService {
 
     const convId = String(conversation._id);
 
-    if (!this._inactivityTimers.has(convId)) {
-      this._inactivityTimers.set(convId, new Map());
-    }
-    const convTimers = this._inactivityTimers.get(convId);
-
     for (const hook of hooks) {
-      // Clear existing timer for this hook (resets the clock)
-      if (convTimers.has(hook.name)) {
-        clearTimeout(convTimers.get(hook.name));
+      try {
+        await jobQueueService.reschedule(
+          INACTIVITY_QUEUE,
+          {
+            agent_id: String(agent._id),
+            conversation_id: convId,
+            hook_name: hook.name,
+          },
+          {
+            dedupKey: inactivityDedupKey(convId, hook.name),
+            delayMs: (hook.inactivity_seconds || 60) * 1000,
+            // A failed hook is recorded in hook_executions, not retried
+            maxAttempts: 1,
+            context: { agent: String(agent._id) },
+          }
+        );
+        console.log(
+          `[Hook] Scheduled inactivity hook "${hook.name}" for conversation ${convId} in ${hook.inactivity_seconds || 60}s`
+        );
+      } catch (err) {
+        console.error(
+          `[Hook] Failed to schedule inactivity hook "${hook.name}":`,
+          err.message
+        );
       }
-
-      const delayMs = (hook.inactivity_seconds || 60) * 1000;
-
-      const timerId = setTimeout(() => {
-        // Clean up the timer reference
-        convTimers.delete(hook.name);
-        if (convTimers.size === 0) {
-          this._inactivityTimers.delete(convId);
-        }
-
-        // Fire the hook (re-fetch fresh data from DB)
-        this._fireInactivityHook(hook, agent._id, convId).catch(err => {
-          console.error(
-            `[Hook] Inactivity hook "${hook.name}" failed:`,
-            err.message
-          );
-        });
-      }, delayMs);
-
-      convTimers.set(hook.name, timerId);
-      console.log(
-        `[Hook] Scheduled inactivity hook "${hook.name}" for conversation ${convId} in ${hook.inactivity_seconds || 60}s`
-      );
     }
   }
 
@@ -631,26 +700,82 @@ class HookService {
    *
    * @param {string} conversationId
    */
-  clearInactivityTimers(conversationId) {
+  async clearInactivityTimers(conversationId) {
     const convId = String(conversationId);
-    const convTimers = this._inactivityTimers.get(convId);
-    if (!convTimers) return;
+    const cleared = await jobQueueService.cancelPending(INACTIVITY_QUEUE, {
+      'payload.conversation_id': convId,
+    });
+    if (cleared > 0) {
+      console.log(
+        `[Hook] Cleared ${cleared} inactivity timer(s) for conversation ${convId}`
+      );
+    }
+  }
+
+  /**
+   * Pending inactivity timers of an agent, soonest first.
+   *
+   * @param {string} agentId
+   * @param {Object} [filter]
+   * @param {string} [filter.conversationId]
+   * @returns {Promise<Array<{ conversation_id, hook_name, fires_at, scheduled_at }>>}
+   */
+  async listScheduledInactivityHooks(agentId, { conversationId } = {}) {
+    const filter = { 'payload.agent_id': String(agentId) };
+    if (conversationId) {
+      filter['payload.conversation_id'] = String(conversationId);
+    }
+    const jobs = await jobQueueService.listPending(INACTIVITY_QUEUE, filter, {
+      limit: 500,
+    });
+    return jobs.map(job => ({
+      conversation_id: job.payload.conversation_id,
+      hook_name: job.payload.hook_name,
+      fires_at: job.available_at,
+      scheduled_at: job.updatedAt,
+    }));
+  }
 
-    for (const [hookName, timerId] of convTimers) {
-      clearTimeout(timerId);
-      console.log(`[Hook] Cleared inactivity timer "${hookName}" for conversation ${convId}`);
+  /**
+   * Run an inactivity job: look the hook up on the current agent config, so
+   * hooks that were removed or disabled since scheduling do not fire.
+   */
+  async _runInactivityJob({ agent_id, conversation_id, hook_name }) {
+    const agent = await Agent.findById(agent_id).select('hooks').lean();
+    const hook = (agent?.hooks || []).find(
+      h => h.name === hook_name && h.enabled && h.trigger === 'inactivity'
+    );
+    if (!hook) {
+      console.log(
+        `[Hook] Inactivity hook "${hook_name}" is no longer enabled on agent ${agent_id}, skipping`
+      );
+      return;
     }
-    this._inactivityTimers.delete(convId);
+    await this._fireInactivityHook(hook, agent_id, conversation_id);
+  }
+
+  /**
+   * Start processing due inactivity timers. Every instance can run it: each
+   * timer fires once, on the instance that claims it.
+   */
+  startWorker({ concurrency = 2 } = {}) {
+    return jobQueueService.runWorker(
+      INACTIVITY_QUEUE,
+      payload => this._runInactivityJob(payload),
+      { concurrency }
+    );
   }
 
   /**
-   * Fire an inactivity hook after the timer expires.
+   * Fire an inactivity hook after its timer expires.
    * Re-fetches the conversation and agent from DB to get fresh state,
    * then checks inactivity_condition before executing.
    */
   async _fireInactivityHook(hook, agentId, conversationId) {
-    // Re-fetch fresh conversation state
-    const conversation = await Conversation.findById(conversationId);
+    // Re-fetch fresh conversation state (hooks see at most 50 messages)
+    const conversation = await Conversation.findById(
+      conversationId
+    ).withMessages({ last: 50 });
     if (!conversation) {
       console.log(`[Hook] Inactivity hook "${hook.name}": conversation ${conversationId} no longer exists, skipping`);
       return;
@@ -678,6 +803,26 @@ class HookService {
       return;
     }
 
+    // Get the last message content for context
+    const messages = conversation.getDecryptedMessages
+      ? conversation.getDecryptedMessages()
+      : conversation.messages || [];
+    const lastMessage = messages[messages.length - 1];
+    const messageContent = lastMessage?.content || '';
+    const messageRole = lastMessage?.role || 'user';
+
+    if (
+      !hookActionService.matchesConditions(
+        hook.conditions,
+        hookActionService.buildFacts(conversation, messageContent)
+      )
+    ) {
+      console.log(
+        `[Hook] Inactivity hook "${hook.name}": conditions not met, skipping`
+      );
+      return;
+    }
+
     // Re-fetch agent with populated API key
     const agent = await Agent.findById(agentId).populate({
       path: 'api_key',
@@ -688,14 +833,6 @@ class HookService {
       return;
     }
 
-    // Get the last message content for context
-    const messages = conversation.getDecryptedMessages
-      ? conversation.getDecryptedMessages()
-      : conversation.messages || [];
-    const lastMessage = messages[messages.length - 1];
-    const messageContent = lastMessage?.content || '';
-    const messageRole = lastMessage?.role || 'user';
-
     console.log(`[Hook] Firing inactivity hook "${hook.name}" for conversation ${conversationId} (condition: ${condition})`);
 
     let result;
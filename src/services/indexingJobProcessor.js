@@ -1,7 +1,20 @@
 const IndexingJob = require('../models/IndexingJob');
+const KnowledgeBase = require('../models/KnowledgeBase');
 const ragService = require('./ragService');
 const { v4: uuidv4 } = require('uuid');
 
+// Documents are stored in the job, and a MongoDB document holds at most
+// 16 MB; the rest is left for progress and results
+const MAX_JOB_DOCUMENTS_BYTES = 12 * 1024 * 1024;
+
+function jobTooLargeError() {
+  const error = new Error(
+    `Documents of a background job must not exceed ${MAX_JOB_DOCUMENTS_BYTES / (1024 * 1024)} MB of text; send them in several requests`
+  );
+  error.code = 'INDEXING_JOB_TOO_LARGE';
+  return error;
+}
+
 class IndexingJobProcessor {
   constructor() {
     this.isProcessing = false;
@@ -54,8 +67,15 @@ class IndexingJobProcessor {
   
   /**
    * Create and queue a new indexing job
+   * @throws INDEXING_JOB_TOO_LARGE
    */
   async queueIndexingJob(documents, organizationId, projectId, apiKeyId, options = {}) {
+    if (
+      Buffer.byteLength(JSON.stringify(documents)) > MAX_JOB_DOCUMENTS_BYTES
+    ) {
+      throw jobTooLargeError();
+    }
+
     const jobId = uuidv4();
     const jobType = options.type || 'single';
     
@@ -67,6 +87,7 @@ class IndexingJobProcessor {
       project_id: projectId,
       type: jobType,
       api_key_id: apiKeyId,
+      knowledge_base_id: options.knowledgeBaseId || null,
       documents: documents,
       progress: {
         total_documents: Array.isArray(documents) ? documents.length : 1,
@@ -134,6 +155,8 @@ class IndexingJobProcessor {
       console.log(`🔄 Starting indexing job ${jobId}...`);
       await job.start();
       
+      const knowledgeBase = await this.getJobKnowledgeBase(job);
+
       const results = {
         indexed_ids: [],
         errors: [],
@@ -145,9 +168,11 @@ class IndexingJobProcessor {
       
       // Process documents based on job type
       if (job.type === 'batch' && Array.isArray(job.documents)) {
-        await this.processBatchDocuments(job, results);
+        await this.processBatchDocuments(job, results, knowledgeBase);
+      } else if (job.type === 'file') {
+        await this.processFileDocuments(job, results, knowledgeBase);
       } else {
-        await this.processSingleDocument(job, results);
+        await this.processSingleDocument(job, results, knowledgeBase);
       }
       
       // Complete the job
@@ -174,10 +199,28 @@ class IndexingJobProcessor {
     }
   }
   
+  /**
+   * Knowledge base a job indexes into, null for the project's default index
+   */
+  async getJobKnowledgeBase(job) {
+    if (!job.knowledge_base_id) {
+      return null;
+    }
+
+    const knowledgeBase = await KnowledgeBase.findOne({
+      _id: job.knowledge_base_id,
+      project_id: job.project_id
+    });
+    if (!knowledgeBase) {
+      throw new Error(`Knowledge base ${job.knowledge_base_id} no longer exists`);
+    }
+    return knowledgeBase;
+  }
+
   /**
    * Process batch documents with concurrency
    */
-  async processBatchDocuments(job, results) {
+  async processBatchDocuments(job, results, knowledgeBase = null) {
     const documentBatches = job.documents;
     const batchSize = Math.min(this.config.maxConcurrentDocuments, documentBatches.length);
     
@@ -197,7 +240,8 @@ class IndexingJobProcessor {
             batch.documents || batch,
             job.organization_id,
             job.project_id,
-            job.api_key_id
+            job.api_key_id,
+            knowledgeBase
           );
           
           console.log(`✅ Batch ${globalIndex + 1} completed: ${indexedIds.length} chunks`);
@@ -263,10 +307,52 @@ class IndexingJobProcessor {
     }
   }
   
+  /**
+   * Process uploaded files, already extracted and chunked by
+   * fileIngestionService, one file at a time
+   */
+  async processFileDocuments(job, results, knowledgeBase = null) {
+    const files = job.documents;
+
+    for (let i = 0; i < files.length; i++) {
+      try {
+        console.log(`📄 Processing file ${i + 1}/${files.length}: ${files[i].filename}...`);
+
+        const indexedIds = await ragService.indexFileChunks(
+          files[i],
+          job.organization_id,
+          job.project_id,
+          job.api_key_id,
+          knowledgeBase
+        );
+
+        results.indexed_ids.push(...indexedIds);
+        results.total_successful++;
+        results.total_chunks += indexedIds.length;
+      } catch (error) {
+        console.error(`❌ Error processing file ${i + 1}:`, error);
+        results.errors.push({
+          document_index: i,
+          error: error.message,
+          timestamp: new Date()
+        });
+        results.total_failed++;
+      }
+      results.total_processed++;
+
+      await job.updateProgress({
+        processed_documents: results.total_processed,
+        successful_documents: results.total_successful,
+        failed_documents: results.total_failed,
+        indexed_chunks: results.total_chunks
+      });
+    }
+  }
+
   /**
    * Process single document or document array with concurrency
    */
-  async processSingleDocument(job, results) {
+  async processSingleDocument(job, results, knowledgeBase = null) {
     try {
       const documents = Array.isArray(job.documents) ? job.documents : [job.documents];
       console.log(`📄 Processing ${documents.length} documents with concurrency...`);
@@ -289,7 +375,8 @@ class IndexingJobProcessor {
               [doc],
               job.organization_id,
               job.project_id,
-              job.api_key_id
+              job.api_key_id,
+              knowledgeBase
             );
             
             console.log(`✅ Document ${globalIndex + 1} completed: ${indexedIds.length} chunks`);
@@ -328,7 +415,8 @@ class IndexingJobProcessor {
           documents,
           job.organization_id,
           job.project_id,
-          job.api_key_id
+          job.api_key_id,
+          knowledgeBase
         );
         
         results.indexed_ids = indexedIds;
@@ -364,7 +452,7 @@ class IndexingJobProcessor {
    */
   async getJobStatus(jobId) {
     const job = await IndexingJob.findOne({ job_id: jobId })
-      .select('job_id type status progress started_at completed_at processing_time_ms error results createdAt');
+      .select('job_id type knowledge_base_id status progress started_at completed_at processing_time_ms error results createdAt');
     
     if (!job) {
       return null;
@@ -373,6 +461,7 @@ class IndexingJobProcessor {
     const response = {
       job_id: job.job_id,
       type: job.type,
+      knowledge_base_id: job.knowledge_base_id,
       status: job.status,
       progress: {
         ...job.progress,
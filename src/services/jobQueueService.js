@@ -67,6 +67,76 @@ class JobQueueService {
     }
   }
 
+  /**
+   * Enqueue a job, or move the job already queued under the same
+   * (queue, dedupKey) to the new `delayMs` — e.g. a timer that restarts on
+   * every event. Jobs that already ran are queued again; a job that is being
+   * processed is queued again too, and its worker will not mark it done.
+   *
+   * @param {string} queue
+   * @param {Object} payload
+   * @param {Object} opts - same options as `enqueue`; `dedupKey` is required
+   */
+  async reschedule(queue, payload, opts = {}) {
+    const { dedupKey, delayMs = 0, maxAttempts = 5, context = {} } = opts;
+    if (!dedupKey) {
+      throw new Error('reschedule() requires a dedupKey');
+    }
+
+    const job = await this.enqueue(queue, payload, opts);
+    if (job) {
+      return job;
+    }
+    return JobQueue.findOneAndUpdate(
+      { queue, dedup_key: dedupKey },
+      {
+        $set: {
+          payload,
+          state: 'pending',
+          available_at: new Date(Date.now() + delayMs),
+          attempts: 0,
+          max_attempts: maxAttempts,
+          claimed_by: null,
+          claimed_at: null,
+          completed_at: null,
+          last_error: null,
+          context,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Remove pending jobs of `queue` matching `filter` (e.g. on `payload.*`).
+   * Jobs being processed are left alone.
+   *
+   * @returns {Promise<number>} number of jobs removed
+   */
+  async cancelPending(queue, filter = {}) {
+    const result = await JobQueue.deleteMany({
+      ...filter,
+      queue,
+      state: 'pending',
+    });
+    return result.deletedCount;
+  }
+
+  /**
+   * Pending jobs of `queue` matching `filter`, soonest first.
+   *
+   * @param {string} queue
+   * @param {Object} [filter]
+   * @param {Object} [opts]
+   * @param {number} [opts.limit=100]
+   */
+  async listPending(queue, filter = {}, { limit = 100 } = {}) {
+    return JobQueue.find({ ...filter, queue, state: 'pending' })
+      .sort({ available_at: 1 })
+      .limit(limit)
+      .lean();
+  }
+
   /**
    * Atomically claim the next runnable job for `queue`, returning `null` if
    * none is available. Selects:
@@ -98,12 +168,18 @@ class JobQueueService {
     );
   }
 
-  /** Mark a job as completed. */
-  async complete(jobId) {
-    await JobQueue.updateOne(
-      { _id: jobId },
-      { $set: { state: 'done', completed_at: new Date(), last_error: null } }
-    );
+  /**
+   * Mark a job as completed. With `claimedAt`, only if the job was not
+   * rescheduled or claimed again in the meantime.
+   */
+  async complete(jobId, claimedAt = undefined) {
+    const filter = { _id: jobId };
+    if (claimedAt !== undefined) {
+      filter.claimed_at = claimedAt;
+    }
+    await JobQueue.updateOne(filter, {
+      $set: { state: 'done', completed_at: new Date(), last_error: null },
+    });
   }
 
   /**
@@ -120,7 +196,7 @@ class JobQueueService {
         30 * 60 * 1000
       );
       await JobQueue.updateOne(
-        { _id: job._id },
+        { _id: job._id, claimed_at: job.claimed_at },
         {
           $set: {
             state: 'pending',
@@ -133,7 +209,7 @@ class JobQueueService {
       );
     } else {
       await JobQueue.updateOne(
-        { _id: job._id },
+        { _id: job._id, claimed_at: job.claimed_at },
         { $set: { state: 'failed', last_error: errMsg } }
       );
     }
@@ -226,7 +302,7 @@ class JobQueueService {
   async _runOne(queue, job, handler) {
     try {
       await handler(job.payload, job);
-      await this.complete(job._id);
+      await this.complete(job._id, job.claimed_at);
     } catch (err) {
       console.error(
         `[JobQueue:${queue}] job ${job._id} failed (attempt ${job.attempts}/${job.max_attempts}):`,
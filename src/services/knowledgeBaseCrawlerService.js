@@ -0,0 +1,833 @@
+/**
+ * Knowledge Base Crawler Service
+ *
+ * Keeps a knowledge base in sync with a website (KnowledgeBase.crawler).
+ * A crawl starts from seed URLs and sitemaps, follows links on the same
+ * hosts up to max_depth, and runs again every interval_hours on the job
+ * queue. Pages are fetched and turned into text like the webpage_scraper
+ * tool does (toolService), and each page is a document of the knowledge
+ * base with its URL as document_id.
+ *
+ * The content hash of each page is kept (models/CrawledPage.js) so only
+ * changed pages are embedded again, and pages that disappeared from the
+ * site are deleted from the index.
+ */
+
+const crypto = require('crypto');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const CrawledPage = require('../models/CrawledPage');
+const ApiKey = require('../models/ApiKey');
+const jobQueueService = require('./jobQueueService');
+const lockService = require('./distributedLockService');
+const fileIngestionService = require('./fileIngestionService');
+const ragService = require('./ragService');
+const toolService = require('./toolService');
+const { isPublicUrl } = require('../utils/networkGuard');
+
+const CRAWL_QUEUE = 'knowledge-bases.crawl';
+// Pages are fetched one at a time, so a large site takes a while
+const CRAWL_LOCK_TTL_MS = 2 * 60 * 60 * 1000;
+// Product token of the scraper User-Agent (toolService.fetchWebpage),
+// matched against robots.txt groups and robots meta tags
+const ROBOTS_USER_AGENT = 'llm-crafter-scraper';
+const MAX_REDIRECTS = 5;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_CRAWL_DELAY_MS = 10 * 1000;
+const MAX_URLS_PER_LIST = 100;
+const MAX_FAILED_URLS = 20;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const GONE_STATUSES = [404, 410];
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const URL_LIST_FIELDS = ['seed_urls', 'sitemap_urls'];
+const PATTERN_FIELDS = ['include_patterns', 'exclude_patterns'];
+const BOOLEAN_FIELDS = ['enabled', 'respect_robots_txt'];
+const INTEGER_RANGES = {
+  max_depth: [0, 10],
+  max_pages: [1, 5000],
+  interval_hours: [1, 720],
+};
+
+function crawlerError(message) {
+  const error = new Error(message);
+  error.code = 'KNOWLEDGE_BASE_INVALID';
+  return error;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\u0027')
+    .replace(/&amp;/g, '&');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class KnowledgeBaseCrawlerService {
+  /**
+   * Apply a crawler configuration to a knowledge base. Fields left out keep
+   * their value; a configuration without `enabled` enables the crawler, and
+   * null disables it.
+   *
+   * @param {Object} knowledgeBase - KnowledgeBase document
+   * @param {Object|null} input - { enabled, seed_urls, sitemap_urls,
+   *   include_patterns, exclude_patterns, max_depth, max_pages,
+   *   respect_robots_txt, interval_hours, api_key_id, chunk_size,
+   *   chunk_overlap }
+   * @throws KNOWLEDGE_BASE_INVALID
+   */
+  async applyConfig(knowledgeBase, input) {
+    const { crawler } = knowledgeBase;
+
+    if (input === null) {
+      crawler.enabled = false;
+      return knowledgeBase;
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw crawlerError('crawler must be an object');
+    }
+
+    for (const field of URL_LIST_FIELDS) {
+      if (input[field] !== undefined) {
+        crawler[field] = this.normalizeUrlList(input[field], field);
+      }
+    }
+
+    for (const field of PATTERN_FIELDS) {
+      if (input[field] !== undefined) {
+        crawler[field] = this.normalizePatterns(input[field], field);
+      }
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (input[field] !== undefined && typeof input[field] !== 'boolean') {
+        throw crawlerError(`crawler.${field} must be a boolean`);
+      }
+    }
+    crawler.enabled = input.enabled !== false;
+    if (input.respect_robots_txt !== undefined) {
+      crawler.respect_robots_txt = input.respect_robots_txt;
+    }
+
+    for (const [field, [min, max]] of Object.entries(INTEGER_RANGES)) {
+      if (input[field] === undefined) {
+        continue;
+      }
+      if (
+        !Number.isInteger(input[field]) ||
+        input[field] < min ||
+        input[field] > max
+      ) {
+        throw crawlerError(
+          `crawler.${field} must be an integer between ${min} and ${max}`
+        );
+      }
+      crawler[field] = input[field];
+    }
+
+    if (input.api_key_id !== undefined) {
+      if (input.api_key_id) {
+        const apiKey = await ApiKey.findOne({
+          _id: input.api_key_id,
+          project: knowledgeBase.project_id,
+        });
+        if (!apiKey) {
+          throw crawlerError(
+            'crawler.api_key_id must be an API key of this project'
+          );
+        }
+      }
+      crawler.api_key_id = input.api_key_id || null;
+    }
+
+    if (input.chunk_size !== undefined || input.chunk_overlap !== undefined) {
+      try {
+        crawler.chunking = fileIngestionService.normalizeChunking({
+          chunk_size: input.chunk_size ?? crawler.chunking.chunk_size,
+          chunk_overlap: input.chunk_overlap,
+        });
+      } catch (error) {
+        throw crawlerError(`crawler.${error.message}`);
+      }
+    }
+
+    if (crawler.enabled) {
+      if (!crawler.seed_urls.length && !crawler.sitemap_urls.length) {
+        throw crawlerError('crawler needs seed_urls or sitemap_urls');
+      }
+      if (!crawler.api_key_id) {
+        throw crawlerError('crawler.api_key_id is required');
+      }
+    }
+
+    return knowledgeBase;
+  }
+
+  normalizeUrlList(value, field) {
+    if (!Array.isArray(value) || value.length > MAX_URLS_PER_LIST) {
+      throw crawlerError(
+        `crawler.${field} must be a list of at most ${MAX_URLS_PER_LIST} URLs`
+      );
+    }
+    return value.map(item => {
+      const url = typeof item === 'string' && this.normalizeUrl(item.trim());
+      if (!url) {
+        throw crawlerError(`crawler.${field}: ${item} is not an http(s) URL`);
+      }
+      // Names are checked again when each request resolves them
+      if (!isPublicUrl(url)) {
+        throw crawlerError(`crawler.${field}: ${item} is not a public host`);
+      }
+      return url;
+    });
+  }
+
+  normalizePatterns(value, field) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw crawlerError(
+        `crawler.${field} must be a list of regular expressions`
+      );
+    }
+    for (const pattern of value) {
+      try {
+        new RegExp(pattern);
+      } catch {
+        throw crawlerError(
+          `crawler.${field}: ${pattern} is not a valid regular expression`
+        );
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Absolute http(s) URL without its fragment, or null
+   */
+  normalizeUrl(href, baseUrl = undefined) {
+    try {
+      const url = new URL(href, baseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+      }
+      url.hash = '';
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Queue the next crawl of a knowledge base, replacing the one already
+   * queued. Removes it when the crawler is disabled.
+   *
+   * @param {Object} knowledgeBase - KnowledgeBase document
+   * @param {Object} [options]
+   * @param {number} [options.delayMs=0]
+   * @returns {Promise<Date|null>} when the crawl will run
+   */
+  async schedule(knowledgeBase, { delayMs = 0 } = {}) {
+    if (!knowledgeBase.crawler.enabled) {
+      await this.unschedule(knowledgeBase);
+      return null;
+    }
+
+    const job = await jobQueueService.reschedule(
+      CRAWL_QUEUE,
+      { knowledge_base_id: knowledgeBase._id },
+      {
+        dedupKey: knowledgeBase._id,
+        delayMs,
+        // A failed crawl is recorded in crawler.last_run and the next one
+        // is already scheduled
+        maxAttempts: 1,
+        context: {
+          organization: knowledgeBase.organization_id,
+          project: knowledgeBase.project_id,
+        },
+      }
+    );
+
+    knowledgeBase.crawler.next_run_at = job.available_at;
+    await KnowledgeBase.updateOne(
+      { _id: knowledgeBase._id },
+      { $set: { 'crawler.next_run_at': job.available_at } }
+    );
+    return job.available_at;
+  }
+
+  /**
+   * Remove the queued crawl of a knowledge base
+   */
+  async unschedule(knowledgeBase) {
+    await jobQueueService.cancelPending(CRAWL_QUEUE, {
+      'payload.knowledge_base_id': knowledgeBase._id,
+    });
+    knowledgeBase.crawler.next_run_at = null;
+    await KnowledgeBase.updateOne(
+      { _id: knowledgeBase._id },
+      { $set: { 'crawler.next_run_at': null } }
+    );
+  }
+
+  /**
+   * Forget the content hashes of crawled pages after their documents were
+   * deleted from the index, so the next crawl indexes them again.
+   *
+   * @param {Object} knowledgeBase
+   * @param {string} [url] - one page; all pages when not given
+   */
+  async forgetPages(knowledgeBase, url = undefined) {
+    const filter = { knowledge_base_id: knowledgeBase._id };
+    if (url !== undefined) {
+      filter.url = url;
+    }
+    await CrawledPage.deleteMany(filter);
+  }
+
+  /**
+   * Run a queued crawl. The next one is scheduled first, so a crawl that
+   * fails or crashes does not stop the schedule.
+   */
+  async runCrawlJob({ knowledge_base_id: knowledgeBaseId }) {
+    const knowledgeBase = await KnowledgeBase.findById(knowledgeBaseId);
+    if (!knowledgeBase || !knowledgeBase.crawler.enabled) {
+      console.log(
+        `[Crawler] Crawler of knowledge base ${knowledgeBaseId} is no longer enabled, skipping`
+      );
+      return;
+    }
+
+    await this.schedule(knowledgeBase, {
+      delayMs: knowledgeBase.crawler.interval_hours * 60 * 60 * 1000,
+    });
+
+    // Its pages could not be indexed, and the next crawl catches up
+    if (knowledgeBase.reindex?.status === 'running') {
+      console.log(
+        `[Crawler] Knowledge base ${knowledgeBase._id} is being re-indexed, skipping`
+      );
+      return;
+    }
+
+    const run = await lockService.withLock(
+      `kb_crawl:${knowledgeBase._id}`,
+      CRAWL_LOCK_TTL_MS,
+      () => this.crawl(knowledgeBase)
+    );
+    if (run === null) {
+      console.log(
+        `[Crawler] Knowledge base ${knowledgeBase._id} is already being crawled, skipping`
+      );
+    }
+  }
+
+  /**
+   * Start processing queued crawls. Every instance can run it: each crawl
+   * runs on the instance that claims it.
+   */
+  startWorker({ concurrency = 1 } = {}) {
+    return jobQueueService.runWorker(
+      CRAWL_QUEUE,
+      payload => this.runCrawlJob(payload),
+      { concurrency, pollIntervalMs: 10 * 1000 }
+    );
+  }
+
+  /**
+   * Crawl the site of a knowledge base and sync its documents. The outcome
+   * is recorded in crawler.last_run.
+   *
+   * @returns {Promise<Object>} the run: status, page counts, failed_urls
+   */
+  async crawl(knowledgeBase) {
+    const run = {
+      status: 'running',
+      started_at: new Date(),
+      pages_crawled: 0,
+      pages_indexed: 0,
+      pages_unchanged: 0,
+      pages_removed: 0,
+      pages_failed: 0,
+      failed_urls: [],
+    };
+    await this.saveRun(knowledgeBase, run);
+    console.log(`[Crawler] Crawling knowledge base ${knowledgeBase._id}`);
+
+    try {
+      await this.crawlSite(knowledgeBase, run);
+      run.status = 'completed';
+    } catch (error) {
+      console.error(
+        `[Crawler] Crawl of knowledge base ${knowledgeBase._id} failed:`,
+        error
+      );
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finished_at = new Date();
+    await this.saveRun(knowledgeBase, run);
+    console.log(
+      `[Crawler] Knowledge base ${knowledgeBase._id}: ${run.pages_crawled} crawled, ${run.pages_indexed} indexed, ${run.pages_unchanged} unchanged, ${run.pages_removed} removed, ${run.pages_failed} failed`
+    );
+    return run;
+  }
+
+  async saveRun(knowledgeBase, run) {
+    knowledgeBase.crawler.last_run = run;
+    await KnowledgeBase.updateOne(
+      { _id: knowledgeBase._id },
+      { $set: { 'crawler.last_run': run } }
+    );
+  }
+
+  recordFailure(run, url, error) {
+    run.pages_failed++;
+    if (run.failed_urls.length < MAX_FAILED_URLS) {
+      run.failed_urls.push({ url, error: error.message });
+    }
+  }
+
+  /**
+   * Breadth-first crawl from the seed URLs and the URLs of the sitemaps.
+   *
+   * Pages that answer 404/410 or are no longer indexable are removed. Pages
+   * the crawl did not reach are only removed when it visited the whole site
+   * without errors: a page that failed to load may be the only link to
+   * others.
+   */
+  async crawlSite(knowledgeBase, run) {
+    const { crawler } = knowledgeBase;
+    const context = {
+      crawler,
+      hosts: new Set(
+        [...crawler.seed_urls, ...crawler.sitemap_urls].map(
+          url => new URL(url).host
+        )
+      ),
+      include: crawler.include_patterns.map(pattern => new RegExp(pattern)),
+      exclude: crawler.exclude_patterns.map(pattern => new RegExp(pattern)),
+      robots: new Map(),
+    };
+    const chunking = {
+      chunk_size: crawler.chunking.chunk_size,
+      chunk_overlap: crawler.chunking.chunk_overlap,
+    };
+
+    const existing = new Map(
+      (
+        await CrawledPage.find({ knowledge_base_id: knowledgeBase._id })
+          .select('url content_hash')
+          .lean()
+      ).map(page => [page.url, page])
+    );
+
+    const queue = crawler.seed_urls.map(url => ({ url, depth: 0 }));
+    const sitemapUrls = await this.readSitemaps(crawler.sitemap_urls, run);
+    queue.push(...sitemapUrls.map(url => ({ url, depth: 0 })));
+
+    const queued = new Set(queue.map(item => item.url));
+    const visited = new Set();
+    // Pages still on the site, indexed or failed to load this time
+    const kept = new Set();
+    // Pages loaded that are no longer indexable
+    const gone = new Set();
+    let reachedLimit = false;
+
+    while (queue.length > 0) {
+      if (run.pages_crawled >= crawler.max_pages) {
+        reachedLimit = true;
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+      if (!(await this.isAllowed(context, url))) {
+        continue;
+      }
+
+      run.pages_crawled++;
+      let page;
+      try {
+        page = await this.fetchPage(context, url);
+      } catch (error) {
+        this.recordFailure(run, url, error);
+        kept.add(url);
+        continue;
+      }
+
+      if (!page || GONE_STATUSES.includes(page.status_code)) {
+        gone.add(url);
+        continue;
+      }
+      if (visited.has(page.url)) {
+        continue;
+      }
+      visited.add(page.url);
+      if (page.status_code < 200 || page.status_code >= 300) {
+        this.recordFailure(
+          run,
+          page.url,
+          new Error(`HTTP ${page.status_code}`)
+        );
+        kept.add(page.url);
+        continue;
+      }
+
+      const contentType = page.content_type.toLowerCase();
+      if (
+        contentType &&
+        !HTML_CONTENT_TYPES.some(type => contentType.startsWith(type))
+      ) {
+        gone.add(page.url);
+        continue;
+      }
+
+      const html = page.body;
+      const directives = crawler.respect_robots_txt
+        ? this.readRobotsMeta(html)
+        : { noindex: false, nofollow: false };
+
+      if (depth < crawler.max_depth && !directives.nofollow) {
+        for (const link of this.extractLinks(html, page.url)) {
+          if (!queued.has(link)) {
+            queued.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        }
+      }
+
+      const included =
+        context.include.length === 0 ||
+        context.include.some(pattern => pattern.test(page.url));
+      const title = toolService.extractTitleFromHtml(html);
+      const text = toolService.extractTextFromHtml(html);
+      if (!included || directives.noindex || !text) {
+        gone.add(page.url);
+        continue;
+      }
+
+      kept.add(page.url);
+      const contentHash = crypto
+        .createHash('sha256')
+        .update(
+          `${chunking.chunk_size}:${chunking.chunk_overlap}\n${title}\n${text}`
+        )
+        .digest('hex');
+
+      const previous = existing.get(page.url);
+      if (previous && previous.content_hash === contentHash) {
+        await CrawledPage.updateOne(
+          { _id: previous._id },
+          { $set: { last_crawled_at: new Date() } }
+        );
+        run.pages_unchanged++;
+        continue;
+      }
+
+      try {
+        const chunks = fileIngestionService.chunkSections(
+          [{ text }],
+          chunking
+        );
+        await ragService.indexFileChunks(
+          { document_id: page.url, title, source: page.url, chunks },
+          knowledgeBase.organization_id,
+          knowledgeBase.project_id,
+          crawler.api_key_id,
+          knowledgeBase
+        );
+        await CrawledPage.updateOne(
+          { knowledge_base_id: knowledgeBase._id, url: page.url },
+          {
+            $set: {
+              organization_id: knowledgeBase.organization_id,
+              project_id: knowledgeBase.project_id,
+              title,
+              content_hash: contentHash,
+              chunk_count: chunks.length,
+              last_crawled_at: new Date(),
+              last_changed_at: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+        run.pages_indexed++;
+      } catch (error) {
+        this.recordFailure(run, page.url, error);
+      }
+    }
+
+    const crawledWholeSite = !reachedLimit && run.pages_failed === 0;
+    const removable = crawledWholeSite ? [...existing.keys()] : [...gone];
+    for (const url of removable) {
+      if (kept.has(url) || !existing.has(url)) {
+        continue;
+      }
+      await ragService.deleteByDocumentId(
+        url,
+        knowledgeBase.organization_id,
+        knowledgeBase.project_id,
+        knowledgeBase
+      );
+      await this.forgetPages(knowledgeBase, url);
+      run.pages_removed++;
+    }
+
+    return run;
+  }
+
+  /**
+   * Page URLs listed in sitemaps, following sitemap indexes. Sitemaps that
+   * cannot be read are recorded as failures.
+   */
+  async readSitemaps(sitemapUrls, run) {
+    const pageUrls = [];
+
+    const readSitemap = async (sitemapUrl, depth) => {
+      const response = await toolService.fetchWebpage(sitemapUrl, {
+        maxBytes: MAX_PAGE_BYTES,
+      });
+      if (response.status_code !== 200) {
+        throw new Error(`Sitemap answered HTTP ${response.status_code}`);
+      }
+
+      const locations = [
+        ...response.body.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi),
+      ]
+        .map(match => this.normalizeUrl(decodeEntities(match[1])))
+        .filter(Boolean);
+
+      if (!/<sitemapindex[\s>]/i.test(response.body)) {
+        pageUrls.push(...locations);
+        return;
+      }
+      if (depth >= MAX_SITEMAP_DEPTH) {
+        throw new Error('Sitemap indexes are nested too deeply');
+      }
+      for (const location of locations) {
+        try {
+          await readSitemap(location, depth + 1);
+        } catch (error) {
+          this.recordFailure(run, location, error);
+        }
+      }
+    };
+
+    for (const sitemapUrl of sitemapUrls) {
+      try {
+        await readSitemap(sitemapUrl, 0);
+      } catch (error) {
+        this.recordFailure(run, sitemapUrl, error);
+      }
+    }
+
+    return pageUrls;
+  }
+
+  /**
+   * Fetch a page, following redirects that stay within the crawl.
+   *
+   * @returns {Promise<Object|null>} the response with the final `url`, or
+   *   null when the page redirects outside of the crawl
+   */
+  async fetchPage(context, url) {
+    let currentUrl = url;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const robots = await this.getRobotsRules(context, currentUrl);
+      if (robots.crawlDelayMs > 0) {
+        await sleep(robots.crawlDelayMs);
+      }
+
+      const response = await toolService.fetchWebpage(currentUrl, {
+        maxBytes: MAX_PAGE_BYTES,
+      });
+      if (
+        !REDIRECT_STATUSES.includes(response.status_code) ||
+        !response.location
+      ) {
+        return { ...response, url: currentUrl };
+      }
+
+      currentUrl = this.normalizeUrl(response.location, currentUrl);
+      if (!currentUrl || !(await this.isAllowed(context, currentUrl))) {
+        return null;
+      }
+    }
+
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+  }
+
+  /**
+   * Whether a URL is within the crawl: on the host of a seed URL or
+   * sitemap, not excluded, and allowed by robots.txt
+   */
+  async isAllowed(context, url) {
+    const parsedUrl = new URL(url);
+    if (!context.hosts.has(parsedUrl.host)) {
+      return false;
+    }
+    if (context.exclude.some(pattern => pattern.test(url))) {
+      return false;
+    }
+
+    const robots = await this.getRobotsRules(context, url);
+    const path = `${parsedUrl.pathname}${parsedUrl.search}`;
+    let match = null;
+    for (const rule of robots.rules) {
+      if (!rule.pattern.test(path)) {
+        continue;
+      }
+      // The longest matching rule wins, Allow on a tie
+      if (
+        !match ||
+        rule.length > match.length ||
+        (rule.length === match.length && rule.allow)
+      ) {
+        match = rule;
+      }
+    }
+    return !match || match.allow;
+  }
+
+  /**
+   * robots.txt rules of the origin of a URL, fetched once per crawl. A
+   * missing robots.txt allows everything; one that cannot be loaded because
+   * of a server error disallows everything.
+   */
+  async getRobotsRules(context, url) {
+    if (!context.crawler.respect_robots_txt) {
+      return { rules: [], crawlDelayMs: 0 };
+    }
+
+    const { origin } = new URL(url);
+    if (!context.robots.has(origin)) {
+      let rules;
+      try {
+        const response = await toolService.fetchWebpage(
+          `${origin}/robots.txt`,
+          { maxBytes: MAX_PAGE_BYTES }
+        );
+        if (response.status_code >= 200 && response.status_code < 300) {
+          rules = this.parseRobotsTxt(response.body);
+        } else if (response.status_code >= 500) {
+          rules = this.parseRobotsTxt('User-agent: *\nDisallow: /');
+        } else {
+          rules = { rules: [], crawlDelayMs: 0 };
+        }
+      } catch {
+        rules = this.parseRobotsTxt('User-agent: *\nDisallow: /');
+      }
+      context.robots.set(origin, rules);
+    }
+    return context.robots.get(origin);
+  }
+
+  /**
+   * Allow/Disallow rules and Crawl-delay of the robots.txt group for the
+   * scraper, or of the `*` group
+   */
+  parseRobotsTxt(text) {
+    const groups = [];
+    let group = null;
+    let readingAgents = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const field = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!field) {
+        continue;
+      }
+      const name = field[1].toLowerCase();
+      const value = field[2].trim();
+
+      if (name === 'user-agent') {
+        if (!readingAgents) {
+          group = { agents: [], rules: [], crawlDelayMs: 0 };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        readingAgents = true;
+        continue;
+      }
+      readingAgents = false;
+      if (!group) {
+        continue;
+      }
+
+      if ((name === 'allow' || name === 'disallow') && value) {
+        const anchored = value.endsWith('$');
+        const path = anchored ? value.slice(0, -1) : value;
+        group.rules.push({
+          allow: name === 'allow',
+          length: value.length,
+          pattern: new RegExp(
+            `^${path.split('*').map(escapeRegex).join('.*')}${anchored ? '$' : ''}`
+          ),
+        });
+      } else if (name === 'crawl-delay' && Number(value) > 0) {
+        group.crawlDelayMs = Math.min(Number(value) * 1000, MAX_CRAWL_DELAY_MS);
+      }
+    }
+
+    let selected = groups.filter(g => g.agents.includes(ROBOTS_USER_AGENT));
+    if (selected.length === 0) {
+      selected = groups.filter(g => g.agents.includes('*'));
+    }
+    return {
+      rules: selected.flatMap(g => g.rules),
+      crawlDelayMs: Math.max(0, ...selected.map(g => g.crawlDelayMs)),
+    };
+  }
+
+  /**
+   * noindex/nofollow from the robots meta tags of a page
+   */
+  readRobotsMeta(html) {
+    const directives = [];
+    for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+      const name = tag.match(/name\s*=\s*["']?([^"'\s>]+)/i);
+      const content = tag.match(/content\s*=\s*["']([^"']*)["']/i);
+      if (
+        name &&
+        content &&
+        ['robots', ROBOTS_USER_AGENT].includes(name[1].toLowerCase())
+      ) {
+        directives.push(
+          ...content[1].split(',').map(d => d.trim().toLowerCase())
+        );
+      }
+    }
+    return {
+      noindex: directives.includes('noindex') || directives.includes('none'),
+      nofollow: directives.includes('nofollow') || directives.includes('none'),
+    };
+  }
+
+  /**
+   * Absolute URLs of the links of a page
+   */
+  extractLinks(html, pageUrl) {
+    const links = [];
+    const pattern = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    for (const match of html.matchAll(pattern)) {
+      const href = decodeEntities(match[1] ?? match[2] ?? match[3]);
+      const url = this.normalizeUrl(href, pageUrl);
+      if (url) {
+        links.push(url);
+      }
+    }
+    return links;
+  }
+}
+
+module.exports = new KnowledgeBaseCrawlerService();
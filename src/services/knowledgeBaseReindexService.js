@@ -0,0 +1,359 @@
+/**
+ * Knowledge Base Re-index Service
+ *
+ * Embeds the documents of a knowledge base again when its embedding
+ * settings change (KnowledgeBase.embedding): vectors of another model or
+ * size cannot be compared with the stored ones, so searches would stop
+ * finding the documents.
+ *
+ * A re-index runs on the job queue. It reads the chunks of the current
+ * index, embeds them with the new settings into the next index version (a
+ * Weaviate class, Pinecone namespace or memory store of its own, see
+ * ragService.getKnowledgeBaseScope), then switches the knowledge base over
+ * and clears the previous version. Searches use the previous version until
+ * the switch, and a failed re-index leaves it as it was. Indexing and
+ * deleting documents are refused while a re-index runs
+ * (ragService.assertWritable).
+ */
+
+const KnowledgeBase = require('../models/KnowledgeBase');
+const jobQueueService = require('./jobQueueService');
+const lockService = require('./distributedLockService');
+const embeddingService = require('./embeddingService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const ragService = require('./ragService');
+
+const REINDEX_QUEUE = 'knowledge-bases.reindex';
+// Chunks read, embedded and written at a time
+const PAGE_SIZE = 100;
+// Large knowledge bases take a while. Another instance only takes the job
+// over once this has passed, e.g. when the instance running it stopped.
+const REINDEX_TTL_MS = 2 * 60 * 60 * 1000;
+
+function reindexError(message, code = 'KNOWLEDGE_BASE_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class KnowledgeBaseReindexService {
+  /**
+   * Apply embedding settings to a knowledge base. An empty knowledge base
+   * takes them right away, and so do settings giving the same vectors
+   * (e.g. another API key of the same provider). Otherwise a re-index to
+   * them is queued: call schedule() once the knowledge base is saved.
+   *
+   * @param {Object} knowledgeBase - KnowledgeBase document
+   * @param {Object} input - { model, dimensions, api_key_id, endpoint }
+   * @returns {Promise<boolean>} whether a re-index must be scheduled
+   * @throws KNOWLEDGE_BASE_INVALID, KNOWLEDGE_BASE_REINDEXING
+   */
+  async applyEmbedding(knowledgeBase, input) {
+    this.assertNotRunning(knowledgeBase);
+
+    const current = embeddingService.getSettings(knowledgeBase.embedding);
+    let settings;
+    try {
+      settings = await embeddingService.normalizeSettings(
+        input,
+        current,
+        knowledgeBase.project_id
+      );
+    } catch (error) {
+      if (error.code !== 'EMBEDDING_INVALID') {
+        throw error;
+      }
+      throw reindexError(error.message);
+    }
+
+    const takesEffectNow =
+      knowledgeBase.isNew ||
+      (await embeddingService.isSameSpace(current, settings)) ||
+      (await knowledgeBaseService.isEmpty(knowledgeBase));
+    if (takesEffectNow) {
+      knowledgeBase.embedding = settings;
+      if (knowledgeBase.reindex?.status === 'queued') {
+        knowledgeBase.reindex.status = 'cancelled';
+      }
+      return false;
+    }
+
+    this.queue(knowledgeBase, settings);
+    return true;
+  }
+
+  /**
+   * Queue a re-index with the current embedding settings, e.g. after the
+   * model of an embedding server was updated, or retry the failed one
+   *
+   * @returns {Promise<Object>} the queued re-index
+   * @throws KNOWLEDGE_BASE_INVALID, KNOWLEDGE_BASE_REINDEXING
+   */
+  async requestReindex(knowledgeBase) {
+    this.assertNotRunning(knowledgeBase);
+
+    const retry = ['queued', 'failed'].includes(knowledgeBase.reindex?.status);
+    this.queue(
+      knowledgeBase,
+      embeddingService.getSettings(
+        retry ? knowledgeBase.reindex.embedding : knowledgeBase.embedding
+      )
+    );
+    await knowledgeBase.save();
+    await this.schedule(knowledgeBase);
+    return knowledgeBase.reindex;
+  }
+
+  assertNotRunning(knowledgeBase) {
+    if (knowledgeBase.reindex?.status === 'running') {
+      throw reindexError(
+        'The knowledge base is being re-indexed, try again once it is done',
+        'KNOWLEDGE_BASE_REINDEXING'
+      );
+    }
+  }
+
+  queue(knowledgeBase, settings) {
+    // Runs in the background, without the API key of a request
+    if (!settings.api_key_id && !settings.endpoint) {
+      throw reindexError(
+        'Re-indexing the documents needs embedding.api_key_id or embedding.endpoint'
+      );
+    }
+    knowledgeBase.reindex = {
+      status: 'queued',
+      embedding: settings,
+      queued_at: new Date(),
+      started_at: null,
+      finished_at: null,
+      chunks_total: 0,
+      chunks_done: 0,
+      error: null,
+    };
+  }
+
+  /**
+   * Queue the re-index job of a knowledge base
+   */
+  async schedule(knowledgeBase) {
+    await jobQueueService.reschedule(
+      REINDEX_QUEUE,
+      { knowledge_base_id: knowledgeBase._id },
+      {
+        dedupKey: knowledgeBase._id,
+        // A failed re-index is recorded in reindex and can be retried
+        maxAttempts: 1,
+        context: {
+          organization: knowledgeBase.organization_id,
+          project: knowledgeBase.project_id,
+        },
+      }
+    );
+  }
+
+  /**
+   * Run a queued re-index. One found running was left by an instance that
+   * stopped, and starts over.
+   */
+  async runReindexJob({ knowledge_base_id: knowledgeBaseId }) {
+    const knowledgeBase = await KnowledgeBase.findById(knowledgeBaseId);
+    if (
+      !knowledgeBase ||
+      !['queued', 'running'].includes(knowledgeBase.reindex?.status)
+    ) {
+      console.log(
+        `[Reindex] Knowledge base ${knowledgeBaseId} has no re-index queued, skipping`
+      );
+      return;
+    }
+
+    const run = await lockService.withLock(
+      `kb_reindex:${knowledgeBase._id}`,
+      REINDEX_TTL_MS,
+      () => this.reindex(knowledgeBase)
+    );
+    if (run === null) {
+      console.log(
+        `[Reindex] Knowledge base ${knowledgeBase._id} is already being re-indexed, skipping`
+      );
+    }
+  }
+
+  /**
+   * Start processing queued re-indexes
+   */
+  startWorker({ concurrency = 1 } = {}) {
+    return jobQueueService.runWorker(
+      REINDEX_QUEUE,
+      payload => this.runReindexJob(payload),
+      { concurrency, pollIntervalMs: 10 * 1000, claimTtlMs: REINDEX_TTL_MS }
+    );
+  }
+
+  /**
+   * Embed the chunks of a knowledge base with reindex.embedding into the
+   * next index version and switch over to it. The outcome is recorded in
+   * reindex.
+   *
+   * @returns {Promise<Object>} the re-index: status, chunk counts, error
+   */
+  async reindex(knowledgeBase) {
+    const { organization_id: organizationId, project_id: projectId } =
+      knowledgeBase;
+    const settings = embeddingService.getSettings(
+      knowledgeBase.reindex.embedding
+    );
+    const next = {
+      _id: knowledgeBase._id,
+      vector_database_config: knowledgeBase.vector_database_config,
+      metadata_fields: knowledgeBase.metadata_fields,
+      embedding: settings,
+      index_version: (knowledgeBase.index_version || 0) + 1,
+    };
+
+    await this.saveReindex(knowledgeBase, {
+      status: 'running',
+      started_at: new Date(),
+      finished_at: null,
+      chunks_total: 0,
+      chunks_done: 0,
+      error: null,
+    });
+    console.log(
+      `[Reindex] Re-indexing knowledge base ${knowledgeBase._id} with ${settings.model} into version ${next.index_version}`
+    );
+
+    let target = null;
+    try {
+      const source = await ragService.getVectorDatabase(
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
+      const stats = await source.getStats(organizationId, projectId);
+      await this.saveReindex(knowledgeBase, {
+        chunks_total: stats.total_documents,
+      });
+
+      target = await ragService.getVectorDatabase(
+        organizationId,
+        projectId,
+        next
+      );
+      // Left over by a re-index that failed or stopped
+      const leftover = await target.getStats(organizationId, projectId);
+      if (leftover.total_documents > 0) {
+        await target.clearIndex(organizationId, projectId);
+      }
+
+      const client = await embeddingService.getClient(settings);
+      let chunksDone = 0;
+      let after = null;
+      do {
+        const page = await source.listDocuments(organizationId, projectId, {
+          after,
+          limit: PAGE_SIZE,
+        });
+        if (page.documents.length > 0) {
+          const embeddings = await embeddingService.embed(
+            client,
+            settings,
+            page.documents.map(doc => doc.content)
+          );
+          await target.addDocuments(
+            page.documents.map((doc, i) => ({
+              ...doc,
+              embedding: embeddings[i],
+            }))
+          );
+          chunksDone += page.documents.length;
+          await this.saveReindex(knowledgeBase, { chunks_done: chunksDone });
+        }
+        after = page.next;
+      } while (after);
+
+      await this.switchVersion(knowledgeBase, next, source);
+    } catch (error) {
+      console.error(
+        `[Reindex] Re-index of knowledge base ${knowledgeBase._id} failed:`,
+        error
+      );
+      await this.saveReindex(knowledgeBase, {
+        status: 'failed',
+        finished_at: new Date(),
+        error: error.message,
+      });
+      if (target) {
+        await target
+          .clearIndex(organizationId, projectId)
+          .catch(clearError =>
+            console.error(
+              `[Reindex] Could not clear version ${next.index_version} of knowledge base ${knowledgeBase._id}:`,
+              clearError.message
+            )
+          );
+      }
+      ragService.forgetVectorDatabase(organizationId, projectId, next);
+    }
+
+    console.log(
+      `[Reindex] Knowledge base ${knowledgeBase._id}: ${knowledgeBase.reindex.status}, ${knowledgeBase.reindex.chunks_done}/${knowledgeBase.reindex.chunks_total} chunks`
+    );
+    return knowledgeBase.reindex;
+  }
+
+  /**
+   * Make the new index version the one searched and indexed into, then
+   * clear the previous one
+   */
+  async switchVersion(knowledgeBase, next, previous) {
+    const { organization_id: organizationId, project_id: projectId } =
+      knowledgeBase;
+    const finishedAt = new Date();
+    await KnowledgeBase.updateOne(
+      { _id: knowledgeBase._id },
+      {
+        $set: {
+          embedding: next.embedding,
+          index_version: next.index_version,
+          'reindex.status': 'completed',
+          'reindex.finished_at': finishedAt,
+        },
+      }
+    );
+
+    // Drop the in-memory copies of the chunks too: their vectors cannot be
+    // compared with the new ones
+    for (const [id, doc] of ragService.vectorStore.entries()) {
+      if (ragService.isInScope(doc, organizationId, projectId, knowledgeBase)) {
+        ragService.vectorStore.delete(id);
+      }
+    }
+    ragService.forgetVectorDatabase(organizationId, projectId, knowledgeBase);
+
+    try {
+      await previous.clearIndex(organizationId, projectId);
+    } catch (error) {
+      console.error(
+        `[Reindex] Could not clear version ${knowledgeBase.index_version || 0} of knowledge base ${knowledgeBase._id}:`,
+        error.message
+      );
+    }
+
+    knowledgeBase.embedding = next.embedding;
+    knowledgeBase.index_version = next.index_version;
+    knowledgeBase.reindex.status = 'completed';
+    knowledgeBase.reindex.finished_at = finishedAt;
+  }
+
+  async saveReindex(knowledgeBase, fields) {
+    const update = {};
+    for (const [field, value] of Object.entries(fields)) {
+      knowledgeBase.reindex[field] = value;
+      update[`reindex.${field}`] = value;
+    }
+    await KnowledgeBase.updateOne({ _id: knowledgeBase._id }, { $set: update });
+  }
+}
+
+module.exports = new KnowledgeBaseReindexService();
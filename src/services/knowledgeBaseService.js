@@ -0,0 +1,168 @@
+/**
+ * Knowledge Base Service
+ *
+ * Named RAG collections within a project (see models/KnowledgeBase.js).
+ * RAG endpoints take an optional knowledge_base_id and agents list the
+ * knowledge bases they may search in their rag_search tool parameters:
+ *
+ *   { "name": "rag_search", "parameters": { "knowledge_bases": ["<id>"] } }
+ *
+ * Without one, indexing and search use the project's default index.
+ */
+
+const KnowledgeBase = require('../models/KnowledgeBase');
+const CrawledPage = require('../models/CrawledPage');
+const VectorDatabaseConfig = require('../models/VectorDatabaseConfig');
+const ragService = require('./ragService');
+const ragMetadata = require('../utils/ragMetadata');
+
+function knowledgeBaseError(message, code = 'KNOWLEDGE_BASE_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class KnowledgeBaseService {
+  /**
+   * Knowledge base of a project, or null when no ID is given.
+   *
+   * @throws KNOWLEDGE_BASE_NOT_FOUND
+   */
+  async resolve(organizationId, projectId, knowledgeBaseId) {
+    if (!knowledgeBaseId) {
+      return null;
+    }
+
+    const knowledgeBase = await KnowledgeBase.findOne({
+      _id: knowledgeBaseId,
+      organization_id: organizationId,
+      project_id: projectId,
+    });
+    if (!knowledgeBase) {
+      throw knowledgeBaseError(
+        `Knowledge base ${knowledgeBaseId} not found in this project`,
+        'KNOWLEDGE_BASE_NOT_FOUND'
+      );
+    }
+    return knowledgeBase;
+  }
+
+  /**
+   * Knowledge bases of a project among the given IDs, in that order.
+   * Unknown IDs are skipped (e.g. a knowledge base deleted since an agent
+   * was configured).
+   */
+  async resolveMany(organizationId, projectId, knowledgeBaseIds = []) {
+    const knowledgeBases = await KnowledgeBase.find({
+      _id: { $in: knowledgeBaseIds },
+      organization_id: organizationId,
+      project_id: projectId,
+    });
+    return knowledgeBaseIds
+      .map(id => knowledgeBases.find(knowledgeBase => knowledgeBase._id === id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Metadata fields an agent can filter on in the given knowledge bases of a
+   * project
+   */
+  async getMetadataFields(organizationId, projectId, knowledgeBaseIds = []) {
+    if (knowledgeBaseIds.length === 0) {
+      return [];
+    }
+    const knowledgeBases = await this.resolveMany(
+      organizationId,
+      projectId,
+      knowledgeBaseIds
+    );
+    return ragService.collectMetadataFields(knowledgeBases);
+  }
+
+  /**
+   * Apply name, description, metadata fields and storage settings to a new
+   * or existing knowledge base. The vector database cannot change once it
+   * holds documents. Embedding settings are applied by
+   * knowledgeBaseReindexService.applyEmbedding.
+   *
+   * @param {Object} knowledgeBase - KnowledgeBase document
+   * @param {Object} input - { name, description, metadata_fields,
+   *   vector_database_config }
+   * @throws KNOWLEDGE_BASE_INVALID
+   */
+  async applySettings(knowledgeBase, input) {
+    if (input.name !== undefined) {
+      knowledgeBase.name = input.name;
+    }
+    if (input.description !== undefined) {
+      knowledgeBase.description = input.description;
+    }
+    if (input.metadata_fields !== undefined) {
+      try {
+        knowledgeBase.metadata_fields = ragMetadata.normalizeFieldDefinitions(
+          input.metadata_fields || []
+        );
+      } catch (error) {
+        throw knowledgeBaseError(error.message);
+      }
+      // Cached Weaviate connections know the previous fields
+      ragService.clearVectorDBCache();
+    }
+
+    if (input.vector_database_config === undefined) {
+      return knowledgeBase;
+    }
+
+    if (!knowledgeBase.isNew && !(await this.isEmpty(knowledgeBase))) {
+      throw knowledgeBaseError(
+        'Clear the knowledge base before changing its vector database'
+      );
+    }
+
+    if (input.vector_database_config) {
+      const config = await VectorDatabaseConfig.findOne({
+        _id: input.vector_database_config,
+        organization_id: knowledgeBase.organization_id,
+        project_id: knowledgeBase.project_id,
+      }).catch(() => null);
+      if (!config) {
+        throw knowledgeBaseError(
+          'vector_database_config must be a vector database configuration of this project'
+        );
+      }
+    }
+    knowledgeBase.vector_database_config = input.vector_database_config || null;
+
+    // Cached connections were opened with the previous settings
+    ragService.clearVectorDBCache();
+
+    return knowledgeBase;
+  }
+
+  /**
+   * Whether a knowledge base holds no indexed documents
+   */
+  async isEmpty(knowledgeBase) {
+    const stats = await ragService.getStats(
+      knowledgeBase.organization_id,
+      knowledgeBase.project_id,
+      knowledgeBase
+    );
+    return stats.total_documents === 0;
+  }
+
+  /**
+   * Delete a knowledge base with all its indexed documents
+   */
+  async remove(knowledgeBase) {
+    await ragService.clearIndex(
+      knowledgeBase.organization_id,
+      knowledgeBase.project_id,
+      knowledgeBase
+    );
+    await CrawledPage.deleteMany({ knowledge_base_id: knowledgeBase._id });
+    await KnowledgeBase.deleteOne({ _id: knowledgeBase._id });
+  }
+}
+
+module.exports = new KnowledgeBaseService();
@@ -0,0 +1,363 @@
+/**
+ * Minimal Model Context Protocol client.
+ *
+ * Speaks JSON-RPC 2.0 over one of the two standard MCP transports:
+ *   - stdio: spawns a local command and exchanges newline-delimited JSON
+ *     messages over its stdin/stdout
+ *   - http:  "streamable HTTP" — every message is POSTed to a single endpoint
+ *     and the reply comes back as JSON or as a short SSE stream
+ *
+ * Only the client features LLM Crafter needs are implemented: initialize,
+ * tools/list and tools/call. Requests sent by the server (ping, roots, …) are
+ * answered with an empty result or "method not found".
+ */
+
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { version } = require('../../../package.json');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class McpClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.name       - server name (for logs)
+   * @param {'stdio'|'http'} options.transport
+   * @param {string} [options.command]  - stdio: executable
+   * @param {string[]} [options.args]   - stdio: arguments
+   * @param {Object} [options.env]      - stdio: extra environment variables
+   * @param {string} [options.url]      - http: endpoint URL
+   * @param {Object} [options.headers]  - http: extra request headers
+   * @param {number} [options.timeout_ms]
+   */
+  constructor(options) {
+    this.options = options;
+    this.timeoutMs = options.timeout_ms || DEFAULT_TIMEOUT_MS;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.process = null;
+    this.buffer = '';
+    this.sessionId = null;
+    this.serverInfo = null;
+    this.connected = false;
+  }
+
+  // ===== LIFECYCLE =====
+
+  async connect() {
+    if (this.connected) {
+      return;
+    }
+
+    if (this.options.transport === 'stdio') {
+      this._startProcess();
+    }
+
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'llm-crafter', version },
+    });
+    this.serverInfo = result?.serverInfo || null;
+    this.connected = true;
+
+    await this.notify('notifications/initialized');
+  }
+
+  async close() {
+    this.connected = false;
+    this._rejectAll(
+      new Error(`MCP server '${this.options.name}' connection closed`)
+    );
+
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+      this.process = null;
+    }
+
+    if (this.options.transport === 'http' && this.sessionId) {
+      // Let the server free the session; failures are irrelevant here
+      await axios
+        .delete(this.options.url, {
+          headers: this._httpHeaders(),
+          timeout: 5000,
+        })
+        .catch(() => {});
+      this.sessionId = null;
+    }
+  }
+
+  // ===== MCP METHODS =====
+
+  /**
+   * List every tool exposed by the server (follows pagination cursors).
+   * @returns {Promise<Array<{name, description, inputSchema}>>}
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result?.tools || []));
+      cursor = result?.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool on the server.
+   * @returns {Promise<{content: Array, isError: boolean, structuredContent?: Object}>}
+   */
+  callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args });
+  }
+
+  // ===== JSON-RPC =====
+
+  async request(method, params = {}) {
+    const id = this.nextId++;
+    const message = { jsonrpc: '2.0', id, method, params };
+
+    if (this.options.transport === 'http') {
+      return this._postHttp(message);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(
+          new Error(
+            `MCP request '${method}' to '${this.options.name}' timed out after ${this.timeoutMs}ms`
+          )
+        );
+      }, this.timeoutMs);
+
+      this.pending.set(id, {
+        resolve: value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: error => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+
+      this._writeStdio(message);
+    });
+  }
+
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method, ...(params ? { params } : {}) };
+    if (this.options.transport === 'http') {
+      await this._postHttp(message);
+    } else {
+      this._writeStdio(message);
+    }
+  }
+
+  _handleMessage(message) {
+    // Response to one of our requests
+    if (message.id !== undefined && !message.method) {
+      const pending = this.pending.get(message.id);
+      if (!pending) {
+        return;
+      }
+      this.pending.delete(message.id);
+      if (message.error) {
+        pending.reject(
+          new Error(`MCP error ${message.error.code}: ${message.error.message}`)
+        );
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    // Request from the server
+    if (message.id !== undefined && message.method) {
+      const reply =
+        message.method === 'ping'
+          ? { jsonrpc: '2.0', id: message.id, result: {} }
+          : {
+              jsonrpc: '2.0',
+              id: message.id,
+              error: {
+                code: -32601,
+                message: `Method not supported: ${message.method}`,
+              },
+            };
+      if (this.options.transport === 'stdio') {
+        this._writeStdio(reply);
+      }
+    }
+
+    // Notifications (logging, list_changed, progress) are ignored
+  }
+
+  _rejectAll(error) {
+    for (const pending of this.pending.values()) {
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  // ===== STDIO TRANSPORT =====
+
+  _startProcess() {
+    const { command, args = [], env = {} } = this.options;
+
+    // Only PATH and HOME are inherited so server secrets stay out of the child
+    this.process = spawn(command, args, {
+      env: { PATH: process.env.PATH, HOME: process.env.HOME, ...env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    this.process.stdout.setEncoding('utf8');
+    this.process.stdout.on('data', chunk => {
+      this.buffer += chunk;
+      let newline;
+      while ((newline = this.buffer.indexOf('\n')) !== -1) {
+        const line = this.buffer.slice(0, newline).trim();
+        this.buffer = this.buffer.slice(newline + 1);
+        if (!line) {
+          continue;
+        }
+        try {
+          this._handleMessage(JSON.parse(line));
+        } catch {
+          console.warn(
+            `[MCP:${this.options.name}] Ignoring non-JSON output: ${line.slice(0, 200)}`
+          );
+        }
+      }
+    });
+
+    this.process.stderr.setEncoding('utf8');
+    this.process.stderr.on('data', chunk => {
+      console.log(`[MCP:${this.options.name}] ${chunk.trim()}`);
+    });
+
+    this.process.on('error', error => {
+      this.connected = false;
+      this._rejectAll(
+        new Error(
+          `MCP server '${this.options.name}' failed to start: ${error.message}`
+        )
+      );
+    });
+
+    this.process.on('exit', code => {
+      this.connected = false;
+      this.process = null;
+      this._rejectAll(
+        new Error(`MCP server '${this.options.name}' exited with code ${code}`)
+      );
+    });
+  }
+
+  _writeStdio(message) {
+    if (!this.process) {
+      throw new Error(`MCP server '${this.options.name}' is not running`);
+    }
+    this.process.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  // ===== STREAMABLE HTTP TRANSPORT =====
+
+  _httpHeaders() {
+    return {
+      ...(this.options.headers || {}),
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      'MCP-Protocol-Version': PROTOCOL_VERSION,
+      ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+    };
+  }
+
+  async _postHttp(message) {
+    let response;
+    try {
+      response = await axios.post(this.options.url, message, {
+        headers: this._httpHeaders(),
+        timeout: this.timeoutMs,
+        responseType: 'text',
+        transformResponse: data => data,
+      });
+    } catch (error) {
+      if (error.response?.status === 404 && this.sessionId) {
+        // Session expired on the server; force a fresh initialize next time
+        this.connected = false;
+        this.sessionId = null;
+      }
+      const detail = error.response
+        ? `HTTP ${error.response.status}`
+        : error.message;
+      throw new Error(
+        `MCP request to '${this.options.name}' failed: ${detail}`
+      );
+    }
+
+    const sessionId = response.headers['mcp-session-id'];
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    // Notifications are acknowledged with 202 and no body
+    if (message.id === undefined || !response.data) {
+      return null;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const messages = contentType.includes('text/event-stream')
+      ? this._parseSse(response.data)
+      : [].concat(JSON.parse(response.data));
+
+    let reply = null;
+    for (const incoming of messages) {
+      if (incoming.id === message.id && !incoming.method) {
+        reply = incoming;
+      } else {
+        this._handleMessage(incoming);
+      }
+    }
+
+    if (!reply) {
+      throw new Error(
+        `MCP server '${this.options.name}' returned no response to '${message.method}'`
+      );
+    }
+    if (reply.error) {
+      throw new Error(`MCP error ${reply.error.code}: ${reply.error.message}`);
+    }
+    return reply.result;
+  }
+
+  /**
+   * Extract JSON-RPC messages from an SSE body ("data:" lines, events
+   * separated by blank lines).
+   */
+  _parseSse(body) {
+    const messages = [];
+    for (const event of body.split(/\r?\n\r?\n/)) {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) {
+        continue;
+      }
+      try {
+        messages.push(JSON.parse(data));
+      } catch {
+        console.warn(`[MCP:${this.options.name}] Ignoring malformed SSE event`);
+      }
+    }
+    return messages;
+  }
+}
+
+module.exports = McpClient;
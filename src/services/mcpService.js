@@ -0,0 +1,366 @@
+/**
+ * MCP Service
+ *
+ * Connects agents to the Model Context Protocol servers listed in
+ * agent.mcp_servers and exposes the servers' tools as regular agent tools.
+ *
+ * At the start of a reasoning loop attachMcpTools() discovers each server's
+ * tools and appends them to the in-memory agent.tools list as
+ * `<server>__<tool>` entries. Their descriptors (server, tool name, input
+ * schema) are kept in agent.$locals.mcpTools, never in the tool parameters:
+ * those are stored and edited through the API, and a descriptor names the
+ * server to connect to. Everything downstream — prompt building, native tool
+ * definitions, the graph planner, executeToolWithConfig and AgentExecution
+ * logging — then treats them like any other tool; getAgentToolConfig passes
+ * the descriptor as `_mcp` and ToolService routes calls with an attached
+ * descriptor to callTool().
+ *
+ * Connections are pooled per agent/server and closed after IDLE_TIMEOUT_MS.
+ * Discovered tool lists are cached for TOOL_CACHE_TTL_MS.
+ */
+
+const crypto = require('crypto');
+const McpClient = require('./mcp/mcpClient');
+const encryptionUtil = require('../utils/encryption');
+
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const TOOL_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_TOOL_NAME_LENGTH = 64;
+
+class McpService {
+  constructor() {
+    this.clients = new Map(); // key -> { client, idleTimer }
+    this.toolCache = new Map(); // key -> { tools, expiresAt }
+    // Descriptors created by attachMcpTools, the only ones callTool accepts
+    this.attachedDescriptors = new WeakSet();
+  }
+
+  /**
+   * stdio servers run arbitrary commands on this host, so they are opt-in.
+   */
+  isStdioAllowed() {
+    return process.env.MCP_ALLOW_STDIO === 'true';
+  }
+
+  getEnabledServers(agent) {
+    return (agent.mcp_servers || []).filter(server => server.enabled !== false);
+  }
+
+  /**
+   * Public tool name for an MCP tool: `<server>__<tool>`, restricted to the
+   * characters and length providers accept for function names.
+   */
+  buildToolName(serverName, toolName) {
+    return `${serverName}__${toolName}`
+      .replace(/[^a-zA-Z0-9_-]/g, '_')
+      .slice(0, MAX_TOOL_NAME_LENGTH);
+  }
+
+  /**
+   * Append the agent's MCP tools to agent.tools (in memory only). Servers
+   * that cannot be reached are skipped so the agent still answers with its
+   * other tools. Safe to call more than once per request.
+   */
+  async attachMcpTools(agent) {
+    if (!agent?.$locals || agent.$locals.mcpTools) {
+      return;
+    }
+    agent.$locals.mcpTools = new Map();
+
+    const servers = this.getEnabledServers(agent);
+    if (servers.length === 0) {
+      return;
+    }
+
+    const results = await Promise.allSettled(
+      servers.map(server => this.discoverTools(agent._id, server))
+    );
+
+    results.forEach((outcome, index) => {
+      const server = this._plainServer(servers[index]);
+      if (outcome.status === 'rejected') {
+        console.warn(
+          `[MCP] Skipping server '${server.name}' for agent ${agent._id}: ${outcome.reason.message}`
+        );
+        return;
+      }
+
+      for (const tool of outcome.value) {
+        const name = this.buildToolName(server.name, tool.name);
+        if (agent.tools.some(t => t.name === name)) {
+          continue;
+        }
+        const descriptor = {
+          agent_id: agent._id,
+          server,
+          tool_name: tool.name,
+          input_schema: tool.inputSchema || {
+            type: 'object',
+            properties: {},
+          },
+        };
+        this.attachedDescriptors.add(descriptor);
+        agent.$locals.mcpTools.set(name, descriptor);
+        agent.tools.push({
+          name,
+          description:
+            tool.description || `${tool.name} (from MCP server ${server.name})`,
+          enabled: true,
+          parameters: {},
+        });
+      }
+    });
+  }
+
+  /**
+   * Descriptor of an agent tool attached by attachMcpTools, or null.
+   */
+  getAttachedTool(agent, toolName) {
+    return agent?.$locals?.mcpTools?.get(toolName) || null;
+  }
+
+  /**
+   * Whether a descriptor was created by attachMcpTools, rather than read
+   * from stored tool parameters.
+   */
+  isAttachedDescriptor(descriptor) {
+    return (
+      !!descriptor &&
+      typeof descriptor === 'object' &&
+      this.attachedDescriptors.has(descriptor)
+    );
+  }
+
+  /**
+   * Discover the tools exposed by a server, honouring allowed_tools.
+   * @returns {Promise<Array<{name, description, inputSchema}>>}
+   */
+  async discoverTools(agentId, server, { refresh = false } = {}) {
+    const key = this._clientKey(agentId, server);
+    const cached = this.toolCache.get(key);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached.tools;
+    }
+
+    const client = await this.getClient(agentId, server);
+    let tools = await client.listTools();
+
+    const allowed = server.allowed_tools || [];
+    if (allowed.length > 0) {
+      tools = tools.filter(tool => allowed.includes(tool.name));
+    }
+
+    this.toolCache.set(key, {
+      tools,
+      expiresAt: Date.now() + TOOL_CACHE_TTL_MS,
+    });
+    return tools;
+  }
+
+  /**
+   * Execute an MCP tool. Used as the ToolService handler for MCP tools.
+   *
+   * @param {Object} descriptor - see attachMcpTools
+   * @param {Object} args       - tool arguments from the model
+   * @returns {Promise<Object|string>} structured content, or the text content
+   */
+  async callTool(descriptor, args = {}) {
+    const { agent_id: agentId, server, tool_name: toolName } = descriptor;
+    const client = await this.getClient(agentId, server);
+
+    let result;
+    try {
+      result = await client.callTool(toolName, args);
+    } catch (error) {
+      // Drop the connection so the next call reconnects cleanly
+      await this._dropClient(this._clientKey(agentId, server));
+      throw error;
+    }
+
+    const text = (result?.content || [])
+      .map(part => {
+        if (part.type === 'text') {
+          return part.text;
+        }
+        if (part.type === 'resource' && part.resource?.text) {
+          return part.resource.text;
+        }
+        return `[${part.type} content]`;
+      })
+      .join('\n');
+
+    if (result?.isError) {
+      throw new Error(text || `MCP tool '${toolName}' failed`);
+    }
+
+    return result?.structuredContent || text;
+  }
+
+  /**
+   * Get a connected client for a server, reusing pooled connections.
+   */
+  async getClient(agentId, server) {
+    const key = this._clientKey(agentId, server);
+    const entry = this.clients.get(key);
+
+    if (entry && entry.client.connected) {
+      this._touch(key);
+      return entry.client;
+    }
+
+    if (server.transport === 'stdio' && !this.isStdioAllowed()) {
+      throw new Error(
+        'stdio MCP servers are disabled (set MCP_ALLOW_STDIO=true to enable)'
+      );
+    }
+
+    const client = new McpClient(this._clientOptions(server));
+    try {
+      await client.connect();
+    } catch (error) {
+      await client.close().catch(() => {});
+      throw error;
+    }
+
+    this.clients.set(key, { client, idleTimer: null });
+    this._touch(key);
+    return client;
+  }
+
+  // ===== SECRET HANDLING (used by agentController) =====
+
+  /**
+   * Prepare a server definition from the API for storage: `env` and
+   * `headers` are encrypted as JSON. When they are omitted, the values
+   * stored for the server with the same name are kept.
+   */
+  encryptServer(input, previous = null) {
+    const { env, headers, ...server } = input;
+    // Encrypted values are only ever produced here, never accepted from clients
+    delete server.encrypted_env;
+    delete server.encrypted_headers;
+    delete server.env_keys;
+    delete server.header_keys;
+
+    if (env && Object.keys(env).length > 0) {
+      server.encrypted_env = encryptionUtil.encrypt(JSON.stringify(env));
+    } else if (env === undefined && previous?.encrypted_env) {
+      server.encrypted_env = previous.encrypted_env;
+    } else {
+      server.encrypted_env = null;
+    }
+
+    if (headers && Object.keys(headers).length > 0) {
+      server.encrypted_headers = encryptionUtil.encrypt(
+        JSON.stringify(headers)
+      );
+    } else if (headers === undefined && previous?.encrypted_headers) {
+      server.encrypted_headers = previous.encrypted_headers;
+    } else {
+      server.encrypted_headers = null;
+    }
+
+    return server;
+  }
+
+  /**
+   * Server definition safe to return from the API: secret values are
+   * replaced by the list of configured keys.
+   */
+  redactServer(server) {
+    const plain = this._plainServer(server);
+    const {
+      encrypted_env: encryptedEnv,
+      encrypted_headers: encryptedHeaders,
+      ...rest
+    } = plain;
+    return {
+      ...rest,
+      env_keys: Object.keys(this._decryptJson(encryptedEnv)),
+      header_keys: Object.keys(this._decryptJson(encryptedHeaders)),
+    };
+  }
+
+  // ===== INTERNALS =====
+
+  _clientOptions(server) {
+    return {
+      name: server.name,
+      transport: server.transport,
+      command: server.command,
+      args: server.args || [],
+      env: this._decryptJson(server.encrypted_env),
+      url: server.url,
+      headers: this._decryptJson(server.encrypted_headers),
+      timeout_ms: server.timeout_ms,
+    };
+  }
+
+  /**
+   * Pool key: changes whenever the server definition changes, so edited
+   * servers get a fresh connection and tool list.
+   */
+  _clientKey(agentId, server) {
+    const plain = this._plainServer(server);
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify([
+          plain.transport,
+          plain.command,
+          plain.args,
+          plain.url,
+          plain.encrypted_env,
+          plain.encrypted_headers,
+        ])
+      )
+      .digest('hex')
+      .slice(0, 16);
+    return `${agentId}:${plain.name}:${fingerprint}`;
+  }
+
+  _touch(key) {
+    const entry = this.clients.get(key);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => {
+      this._dropClient(key).catch(() => {});
+    }, IDLE_TIMEOUT_MS);
+    entry.idleTimer.unref();
+  }
+
+  async _dropClient(key) {
+    const entry = this.clients.get(key);
+    if (!entry) {
+      return;
+    }
+    this.clients.delete(key);
+    clearTimeout(entry.idleTimer);
+    await entry.client.close().catch(() => {});
+  }
+
+  _decryptJson(value) {
+    if (!value) {
+      return {};
+    }
+    try {
+      return JSON.parse(encryptionUtil.decrypt(value));
+    } catch (error) {
+      console.error(
+        '[MCP] Failed to decrypt server credentials:',
+        error.message
+      );
+      return {};
+    }
+  }
+
+  _plainServer(server) {
+    const plain = server.toObject ? server.toObject() : { ...server };
+    delete plain._id;
+    return plain;
+  }
+}
+
+module.exports = new McpService();
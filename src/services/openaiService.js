@@ -1,4 +1,5 @@
 const OpenAI = require('openai');
+const stubProvider = require('./stubProvider');
 
 // Price per 1K tokens (as of current OpenAI pricing)
 const PRICING = {
@@ -313,13 +314,24 @@ const PRICING = {
 };
 
 class OpenAIService {
-  constructor(apiKey, provider = 'openai') {
+  /**
+   * @param {string} apiKey
+   * @param {string} [provider='openai']
+   * @param {Object} [options]
+   * @param {string} [options.baseURL] - OpenAI-compatible server to call
+   *   instead of the provider's API, e.g. a self-hosted embedding server
+   */
+  constructor(apiKey, provider = 'openai', options = {}) {
     const configuration = {
       apiKey,
-      baseURL: this.getBaseUrl(provider),
+      baseURL: options.baseURL || this.getBaseUrl(provider),
     };
 
-    this.client = new OpenAI(configuration);
+    // The stub provider answers in-process (deterministic replies for CI)
+    this.client =
+      provider === 'stub'
+        ? stubProvider.createClient()
+        : new OpenAI(configuration);
     this.provider = provider;
   }
 
@@ -431,6 +443,28 @@ class OpenAIService {
     return mappedParams;
   }
 
+  /**
+   * Build the chat messages array for a completion request.
+   * `prompt` is either a single user message string or an array of chat
+   * messages (user / assistant / tool) used by native tool-calling loops.
+   */
+  buildMessages(prompt, systemPrompt = null) {
+    const messages = [];
+
+    // Add system message if provided
+    if (systemPrompt && systemPrompt.trim()) {
+      messages.push({ role: 'system', content: systemPrompt.trim() });
+    }
+
+    if (Array.isArray(prompt)) {
+      messages.push(...prompt);
+    } else {
+      messages.push({ role: 'user', content: prompt });
+    }
+
+    return messages;
+  }
+
   async generateCompletion(
     model,
     prompt,
@@ -440,17 +474,7 @@ class OpenAIService {
     extraOptions = {}
   ) {
     const mappedParams = this.mapParameters(parameters);
-
-    // Build messages array
-    const messages = [];
-
-    // Add system message if provided
-    if (systemPrompt && systemPrompt.trim()) {
-      messages.push({ role: 'system', content: systemPrompt.trim() });
-    }
-
-    // Add user message
-    messages.push({ role: 'user', content: prompt });
+    const messages = this.buildMessages(prompt, systemPrompt);
 
     // Add structured output configuration if provided and supported
     const completionOptions = {
@@ -493,6 +517,7 @@ class OpenAIService {
 
       return {
         content: completion.choices[0].message.content,
+        tool_calls: completion.choices[0].message.tool_calls || [],
         finish_reason: completion.choices[0].finish_reason,
         usage: {
           prompt_tokens: usage.prompt_tokens,
@@ -517,17 +542,7 @@ class OpenAIService {
     extraOptions = {}
   ) {
     const mappedParams = this.mapParameters(parameters);
-
-    // Build messages array
-    const messages = [];
-
-    // Add system message if provided
-    if (systemPrompt && systemPrompt.trim()) {
-      messages.push({ role: 'system', content: systemPrompt.trim() });
-    }
-
-    // Add user message
-    messages.push({ role: 'user', content: prompt });
+    const messages = this.buildMessages(prompt, systemPrompt);
 
     // Add structured output configuration if provided and supported
     const streamOptions = {
@@ -547,9 +562,13 @@ class OpenAIService {
       const stream = await this.client.chat.completions.create(streamOptions);
 
       let fullContent = '';
+      let finishReason = 'stop';
       let promptTokens = 0;
       let completionTokens = 0;
       let cachedTokens = 0;
+      // Tool call deltas arrive in fragments keyed by index; the arguments
+      // string is only valid JSON once the stream has finished.
+      const toolCalls = [];
 
       for await (const chunk of stream) {
         const delta = chunk.choices[0]?.delta?.content;
@@ -560,6 +579,31 @@ class OpenAIService {
           }
         }
 
+        for (const toolCallDelta of chunk.choices[0]?.delta?.tool_calls || []) {
+          const index = toolCallDelta.index ?? toolCalls.length;
+          if (!toolCalls[index]) {
+            toolCalls[index] = {
+              id: '',
+              type: 'function',
+              function: { name: '', arguments: '' },
+            };
+          }
+          const toolCall = toolCalls[index];
+          if (toolCallDelta.id) {
+            toolCall.id = toolCallDelta.id;
+          }
+          if (toolCallDelta.function?.name) {
+            toolCall.function.name += toolCallDelta.function.name;
+          }
+          if (toolCallDelta.function?.arguments) {
+            toolCall.function.arguments += toolCallDelta.function.arguments;
+          }
+        }
+
+        if (chunk.choices[0]?.finish_reason) {
+          finishReason = chunk.choices[0].finish_reason;
+        }
+
         // Collect usage info when available (usually in the last chunk)
         if (chunk.usage) {
           promptTokens = chunk.usage.prompt_tokens;
@@ -571,7 +615,7 @@ class OpenAIService {
       // If usage wasn't provided in stream, estimate token counts
       if (promptTokens === 0 && completionTokens === 0) {
         // Estimate tokens: ~4 characters per token on average
-        const promptText = messages.map(m => m.content).join(' ');
+        const promptText = messages.map(m => m.content || '').join(' ');
         promptTokens = Math.ceil(promptText.length / 4);
         completionTokens = Math.ceil(fullContent.length / 4);
       }
@@ -580,7 +624,8 @@ class OpenAIService {
 
       return {
         content: fullContent,
-        finish_reason: 'stop',
+        tool_calls: toolCalls.filter(Boolean),
+        finish_reason: finishReason,
         usage: {
           prompt_tokens: promptTokens,
           completion_tokens: completionTokens,
@@ -595,7 +640,7 @@ class OpenAIService {
   }
 
   async createEmbedding(options) {
-    const { model = 'text-embedding-3-small', input } = options;
+    const { model = 'text-embedding-3-small', input, dimensions } = options;
 
     if (!input) {
       throw new Error('Input text is required for embedding');
@@ -605,6 +650,7 @@ class OpenAIService {
       const response = await this.client.embeddings.create({
         model,
         input,
+        ...(dimensions && { dimensions }),
       });
 
       if (!response.data || response.data.length === 0) {
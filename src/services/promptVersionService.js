@@ -0,0 +1,253 @@
+/**
+ * Prompt Version Service
+ *
+ * Version history, labels and variable validation for proxy prompts:
+ *
+ *   - Every change to a prompt's versioned fields (see
+ *     PromptVersion.VERSIONED_FIELDS) bumps Prompt.version and stores an
+ *     immutable PromptVersion (Prompt pre/post save hooks).
+ *   - Labels (production, staging, …) point at a version and can be moved.
+ *     Executions pick a version by number, by label, or run the latest.
+ *   - A prompt's variables_schema is checked against its templates when it is
+ *     saved and against the caller's variables before every execution.
+ */
+
+const Mustache = require('mustache');
+const PromptVersion = require('../models/PromptVersion');
+const { validateSchema } = require('../utils/schemaValidator');
+
+function promptVersionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class PromptVersionService {
+  /**
+   * Prompts created before version history have no record of their current
+   * version; store one so it can be labelled and executed by number.
+   */
+  async ensureBaseline(prompt) {
+    const exists = await PromptVersion.exists({
+      prompt: prompt._id,
+      version: prompt.version,
+    });
+    if (!exists) {
+      await PromptVersion.record(prompt);
+    }
+  }
+
+  async listVersions(promptId, { limit = 50, skip = 0 } = {}) {
+    const [versions, total] = await Promise.all([
+      PromptVersion.find({ prompt: promptId })
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit),
+      PromptVersion.countDocuments({ prompt: promptId }),
+    ]);
+    return { versions, total };
+  }
+
+  getVersion(promptId, versionNumber) {
+    return PromptVersion.findOne({ prompt: promptId, version: versionNumber });
+  }
+
+  /**
+   * Pick the version to execute.
+   *
+   * @param {Object} prompt - prompt document with api_key.provider populated
+   * @param {Object} options
+   * @param {number} [options.version] - explicit version number
+   * @param {string} [options.label]   - label name (ignored when version is set)
+   * @returns {Promise<Object>} { version, label, content, system_prompt,
+   *   llm_settings, api_key, variables_schema }
+   */
+  async resolve(prompt, { version, label } = {}) {
+    let versionNumber = prompt.version;
+    let labelName = null;
+
+    if (version !== undefined && version !== null) {
+      versionNumber = parseInt(version, 10);
+    } else if (label) {
+      const entry = prompt.getLabel(label);
+      if (!entry) {
+        throw promptVersionError(
+          `Label '${label}' not found on prompt '${prompt.name}'`,
+          'PROMPT_LABEL_NOT_FOUND'
+        );
+      }
+      versionNumber = entry.version;
+      labelName = entry.name;
+    }
+
+    if (versionNumber === prompt.version) {
+      return {
+        version: prompt.version,
+        label: labelName,
+        content: prompt.content,
+        system_prompt: prompt.system_prompt,
+        llm_settings: prompt.llm_settings,
+        api_key: prompt.api_key,
+        variables_schema: prompt.variables_schema,
+      };
+    }
+
+    const stored = Number.isNaN(versionNumber)
+      ? null
+      : await PromptVersion.findOne({
+          prompt: prompt._id,
+          version: versionNumber,
+        }).populate({ path: 'api_key', populate: { path: 'provider' } });
+    if (!stored) {
+      throw promptVersionError(
+        `Version ${version ?? versionNumber} not found on prompt '${prompt.name}'`,
+        'PROMPT_VERSION_NOT_FOUND'
+      );
+    }
+
+    return {
+      version: stored.version,
+      label: labelName,
+      content: stored.content,
+      system_prompt: stored.system_prompt,
+      llm_settings: stored.llm_settings,
+      api_key: stored.api_key,
+      variables_schema: stored.variables_schema,
+    };
+  }
+
+  /**
+   * Point a label at a version (creating the label if needed).
+   */
+  async setLabel(prompt, name, versionNumber, userId = null) {
+    if (versionNumber === prompt.version) {
+      await this.ensureBaseline(prompt);
+    } else if (
+      !(await PromptVersion.exists({
+        prompt: prompt._id,
+        version: versionNumber,
+      }))
+    ) {
+      throw promptVersionError(
+        `Version ${versionNumber} not found on prompt '${prompt.name}'`,
+        'PROMPT_VERSION_NOT_FOUND'
+      );
+    }
+
+    const entry = prompt.getLabel(name);
+    if (entry) {
+      entry.version = versionNumber;
+      entry.updated_by = userId;
+      entry.updated_at = new Date();
+    } else {
+      prompt.labels.push({
+        name,
+        version: versionNumber,
+        updated_by: userId,
+        updated_at: new Date(),
+      });
+    }
+
+    await prompt.save();
+    return prompt.getLabel(name);
+  }
+
+  async removeLabel(prompt, name) {
+    if (!prompt.getLabel(name)) {
+      throw promptVersionError(
+        `Label '${name}' not found on prompt '${prompt.name}'`,
+        'PROMPT_LABEL_NOT_FOUND'
+      );
+    }
+    prompt.labels = prompt.labels.filter(label => label.name !== name);
+    await prompt.save();
+  }
+
+  /**
+   * Top-level variable names referenced by a Mustache template. Names inside
+   * sections are resolved against the section's context and are not listed.
+   */
+  templateVariables(template) {
+    const names = new Set();
+    for (const token of Mustache.parse(template || '')) {
+      const [type, value] = token;
+      if (['name', '&', '#', '^'].includes(type) && value !== '.') {
+        names.add(value.split('.')[0]);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Check a variables schema and that it declares every top-level variable
+   * the templates use.
+   *
+   * @returns {string[]} list of problems (empty when valid)
+   */
+  checkVariablesSchema(schema, templates = []) {
+    const errors = [];
+    const templateNames = new Set();
+
+    for (const template of templates) {
+      try {
+        this.templateVariables(template).forEach(name =>
+          templateNames.add(name)
+        );
+      } catch (error) {
+        errors.push(`Invalid template: ${error.message}`);
+      }
+    }
+
+    if (schema === null || schema === undefined) {
+      return errors;
+    }
+    if (typeof schema !== 'object' || Array.isArray(schema)) {
+      return [...errors, 'variables_schema must be an object'];
+    }
+    if (schema.type && schema.type !== 'object') {
+      errors.push('variables_schema.type must be object');
+    }
+    const properties = schema.properties;
+    if (
+      !properties ||
+      typeof properties !== 'object' ||
+      Array.isArray(properties)
+    ) {
+      return [...errors, 'variables_schema.properties must be an object'];
+    }
+    for (const name of schema.required || []) {
+      if (!properties[name]) {
+        errors.push(
+          `Required variable '${name}' is not declared in properties`
+        );
+      }
+    }
+    for (const name of templateNames) {
+      if (!properties[name]) {
+        errors.push(
+          `Template variable '${name}' is not declared in variables_schema`
+        );
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Validate execution variables against a version's schema.
+   * Prompts without a schema accept any variables.
+   *
+   * @returns {string[]} list of validation errors (empty when valid)
+   */
+  validateVariables(schema, variables) {
+    if (!schema) {
+      return [];
+    }
+    return validateSchema(
+      variables || {},
+      { type: 'object', ...schema },
+      'variables'
+    );
+  }
+}
+
+module.exports = new PromptVersionService();
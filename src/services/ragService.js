@@ -1,7 +1,10 @@
-const OpenAIService = require('./openaiService');
-const ApiKey = require('../models/ApiKey');
+const KnowledgeBase = require('../models/KnowledgeBase');
 const VectorDatabaseConfig = require('../models/VectorDatabaseConfig');
 const { createVectorDatabase } = require('./vectorDatabaseService');
+const embeddingService = require('./embeddingService');
+const ragMetadata = require('../utils/ragMetadata');
+
+const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
 
 class RAGService {
   constructor() {
@@ -18,10 +21,15 @@ class RAGService {
   }
 
   /**
-   * Get or create vector database instance for organization/project
+   * Get or create vector database instance for organization/project, or for
+   * one of its knowledge bases
    */
-  async getVectorDatabase(organizationId, projectId) {
-    const key = `${organizationId}_${projectId}`;
+  async getVectorDatabase(organizationId, projectId, knowledgeBase = null) {
+    const key = this.getVectorDatabaseKey(
+      organizationId,
+      projectId,
+      knowledgeBase
+    );
 
     // Check cache first
     if (this.vectorDBInstances.has(key)) {
@@ -38,9 +46,10 @@ class RAGService {
     }
 
     // Get vector database configuration
-    let config = await VectorDatabaseConfig.findDefault(
+    let config = await this.findVectorDatabaseConfig(
       organizationId,
-      projectId
+      projectId,
+      knowledgeBase
     );
 
     // If no configuration found, use memory storage
@@ -62,6 +71,13 @@ class RAGService {
     const vectorDB = createVectorDatabase({
       provider: config.provider,
       ...providerConfig,
+      ...this.getKnowledgeBaseScope(
+        config.provider,
+        providerConfig,
+        projectId,
+        knowledgeBase
+      ),
+      metadataFields: this.getMetadataFields(knowledgeBase),
     });
 
     // Connect to the database
@@ -80,25 +96,212 @@ class RAGService {
     return vectorDB;
   }
 
+  /**
+   * Cache key of a vector database instance. Each index version of a
+   * knowledge base has its own.
+   */
+  getVectorDatabaseKey(organizationId, projectId, knowledgeBase = null) {
+    return knowledgeBase
+      ? `${organizationId}_${projectId}_${knowledgeBase._id}_v${knowledgeBase.index_version || 0}`
+      : `${organizationId}_${projectId}`;
+  }
+
+  /**
+   * Drop the cached vector database instance of a knowledge base index
+   * version, e.g. once a re-index switched away from it
+   */
+  forgetVectorDatabase(organizationId, projectId, knowledgeBase) {
+    this.vectorDBInstances.delete(
+      this.getVectorDatabaseKey(organizationId, projectId, knowledgeBase)
+    );
+  }
+
+  /**
+   * Vector database configuration of a knowledge base, or the project's
+   * default one
+   */
+  async findVectorDatabaseConfig(organizationId, projectId, knowledgeBase) {
+    if (knowledgeBase?.vector_database_config) {
+      const config = await VectorDatabaseConfig.findOne({
+        _id: knowledgeBase.vector_database_config,
+        organization_id: organizationId,
+        project_id: projectId,
+        is_active: true,
+      });
+      if (config) {
+        return config;
+      }
+    }
+    return VectorDatabaseConfig.findDefault(organizationId, projectId);
+  }
+
+  /**
+   * Provider settings that keep a knowledge base apart from the project's
+   * other documents: a Weaviate class or Pinecone namespace of its own, per
+   * index version (see knowledgeBaseReindexService). Memory storage needs
+   * none, each knowledge base gets its own instance.
+   */
+  getKnowledgeBaseScope(provider, providerConfig, projectId, knowledgeBase) {
+    if (!knowledgeBase) {
+      return {};
+    }
+    const version = knowledgeBase.index_version || 0;
+    const suffix = `${knowledgeBase._id.replace(/-/g, '')}${version > 0 ? `_v${version}` : ''}`;
+    switch (provider) {
+      case 'weaviate':
+        return {
+          className: `${providerConfig.className || 'Documents'}_${suffix}`,
+        };
+      case 'pinecone':
+        return { namespace: `${projectId}_${suffix}` };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Embedding settings of a knowledge base (see embeddingService)
+   */
+  getEmbeddingSettings(knowledgeBase = null) {
+    return embeddingService.getSettings(knowledgeBase?.embedding);
+  }
+
+  /**
+   * Embedding of a search query, with the settings of the knowledge base
+   * searched. The API key of the request is only used when the knowledge
+   * base has neither its own API key nor an embedding endpoint.
+   */
+  async embedQuery(query, apiKeyId, knowledgeBase = null) {
+    const settings = this.getEmbeddingSettings(knowledgeBase);
+    const client = await embeddingService.getClient(settings, apiKeyId);
+    const [embedding] = await embeddingService.embed(client, settings, query);
+    return embedding;
+  }
+
+  /**
+   * Refuse changes to a knowledge base being re-indexed: they would not
+   * make it into the new index
+   *
+   * @throws KNOWLEDGE_BASE_REINDEXING
+   */
+  async assertWritable(knowledgeBase) {
+    if (!knowledgeBase) {
+      return;
+    }
+    const reindexing = await KnowledgeBase.exists({
+      _id: knowledgeBase._id,
+      'reindex.status': 'running',
+    });
+    if (reindexing) {
+      const error = new Error(
+        `Knowledge base ${knowledgeBase._id} is being re-indexed, try again once it is done`
+      );
+      error.code = 'KNOWLEDGE_BASE_REINDEXING';
+      throw error;
+    }
+  }
+
+  /**
+   * Metadata field definitions of a knowledge base (none for the default
+   * index)
+   */
+  getMetadataFields(knowledgeBase = null) {
+    return (knowledgeBase?.metadata_fields || []).map(
+      ({ name, type, description }) => ({ name, type, description })
+    );
+  }
+
+  /**
+   * Metadata fields declared by any of the knowledge bases, the first
+   * declaration of a name winning
+   */
+  collectMetadataFields(knowledgeBases) {
+    const fields = [];
+    for (const knowledgeBase of knowledgeBases) {
+      for (const field of this.getMetadataFields(knowledgeBase)) {
+        if (!fields.some(known => known.name === field.name)) {
+          fields.push(field);
+        }
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Check search filters before searching: each field must be declared by
+   * one of the knowledge bases searched. Knowledge bases lacking a filtered
+   * field are left out of the search (see searchKnowledgeBases).
+   *
+   * @param {Object} [filters] - see utils/ragMetadata.js
+   * @param {Object[]} [knowledgeBases] - none for the default index
+   * @throws RAG_METADATA_INVALID
+   */
+  validateFilters(filters, knowledgeBases = []) {
+    ragMetadata.normalizeFilters(
+      this.collectMetadataFields(knowledgeBases),
+      filters
+    );
+  }
+
+  /**
+   * Whether a document of the in-memory store belongs to the
+   * organization/project and knowledge base (none for the default index)
+   */
+  isInScope(doc, organizationId, projectId, knowledgeBase = null) {
+    const scope = doc.metadata || doc;
+    return (
+      scope.organization_id === organizationId &&
+      scope.project_id === projectId &&
+      (scope.knowledge_base_id || null) ===
+        (knowledgeBase ? knowledgeBase._id : null)
+    );
+  }
+
   /**
    * Process and index JSON documents for RAG
    */
-  async indexJsonDocuments(documents, organizationId, projectId, apiKeyId) {
+  async indexJsonDocuments(
+    documents,
+    organizationId,
+    projectId,
+    apiKeyId,
+    knowledgeBase = null
+  ) {
     const startTime = Date.now();
     const indexed = [];
 
+    await this.assertWritable(knowledgeBase);
+
     try {
       // Get vector database instance
-      const vectorDB = await this.getVectorDatabase(organizationId, projectId);
+      const vectorDB = await this.getVectorDatabase(
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
+
+      const metadataFields = this.getMetadataFields(knowledgeBase);
 
       for (const doc of documents) {
         try {
+          // Declared fields are read from the document's metadata object or
+          // its top level
+          const metadata = ragMetadata.toStoredMetadata(metadataFields, {
+            ...doc,
+            ...(doc.metadata && typeof doc.metadata === 'object'
+              ? doc.metadata
+              : {}),
+          });
           const chunks = await this.processJsonDocument(
             doc,
             organizationId,
             projectId
           );
-          const embeddings = await this.generateEmbeddings(chunks, apiKeyId);
+          const embeddings = await this.generateEmbeddings(
+            chunks,
+            apiKeyId,
+            knowledgeBase
+          );
 
           for (let i = 0; i < chunks.length; i++) {
             const chunkId = `${organizationId}_${projectId}_${Date.now()}_${i}`;
@@ -111,6 +314,7 @@ class RAGService {
               chunk_index: i,
               organization_id: organizationId,
               project_id: projectId,
+              ...metadata,
               embedding: embeddings[i],
             };
 
@@ -128,6 +332,8 @@ class RAGService {
               chunk_index: documentData.chunk_index,
               organization_id: documentData.organization_id,
               project_id: documentData.project_id,
+              knowledge_base_id: knowledgeBase ? knowledgeBase._id : null,
+              ...metadata,
             });
 
             indexed.push(chunkId);
@@ -139,41 +345,193 @@ class RAGService {
       }
 
       // Update usage statistics
-      const config = await VectorDatabaseConfig.findDefault(
+      await this.updateIndexStats(
         organizationId,
-        projectId
-      );
-      if (config) {
-        config.updateUsageStats('index', {
+        projectId,
+        {
           documents_count: indexed.length,
           index_time_ms: Date.now() - startTime,
           success: true,
-        });
-        await config.save();
-      }
+        },
+        knowledgeBase
+      );
 
       return indexed;
     } catch (error) {
       console.error('RAG indexing error:', error);
 
       // Update error statistics
-      const config = await VectorDatabaseConfig.findDefault(
+      await this.updateIndexStats(
         organizationId,
-        projectId
-      );
-      if (config) {
-        config.updateUsageStats('index', {
+        projectId,
+        {
           documents_count: 0,
           index_time_ms: Date.now() - startTime,
           success: false,
+        },
+        knowledgeBase
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Index the chunks of an uploaded file (see fileIngestionService).
+   * Chunks keep the page and heading they came from. Indexing a file again
+   * with the same document_id replaces its previous chunks.
+   *
+   * @param {Object} file - { document_id, title, source, chunks, metadata }
+   *   where metadata holds values of the knowledge base's metadata fields
+   * @param {Object} [knowledgeBase] - KnowledgeBase document
+   * @returns {Promise<string[]>} indexed chunk IDs
+   */
+  async indexFileChunks(
+    file,
+    organizationId,
+    projectId,
+    apiKeyId,
+    knowledgeBase = null
+  ) {
+    const startTime = Date.now();
+    const indexed = [];
+
+    await this.assertWritable(knowledgeBase);
+
+    try {
+      const vectorDB = await this.getVectorDatabase(
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
+      const embeddings = await this.generateEmbeddings(
+        file.chunks,
+        apiKeyId,
+        knowledgeBase
+      );
+
+      await this.deleteByDocumentId(
+        file.document_id,
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
+
+      const metadata = ragMetadata.toStoredMetadata(
+        this.getMetadataFields(knowledgeBase),
+        file.metadata
+      );
+
+      for (let i = 0; i < file.chunks.length; i++) {
+        const chunk = file.chunks[i];
+        const chunkId = `${organizationId}_${projectId}_${Date.now()}_${i}`;
+        const documentData = {
+          id: chunkId,
+          content: chunk.content,
+          title: file.title || '',
+          source: file.source || '',
+          document_id: file.document_id,
+          chunk_index: i,
+          page: chunk.page,
+          heading: chunk.heading,
+          organization_id: organizationId,
+          project_id: projectId,
+          ...metadata,
+          embedding: embeddings[i],
+        };
+
+        await vectorDB.indexDocument(documentData);
+        this.vectorStore.set(chunkId, {
+          ...documentData,
+          knowledge_base_id: knowledgeBase ? knowledgeBase._id : null,
         });
-        await config.save();
+
+        indexed.push(chunkId);
       }
 
+      await this.updateIndexStats(
+        organizationId,
+        projectId,
+        {
+          documents_count: indexed.length,
+          index_time_ms: Date.now() - startTime,
+          success: true,
+        },
+        knowledgeBase
+      );
+
+      return indexed;
+    } catch (error) {
+      console.error('RAG file indexing error:', error);
+
+      await this.updateIndexStats(
+        organizationId,
+        projectId,
+        {
+          documents_count: indexed.length,
+          index_time_ms: Date.now() - startTime,
+          success: false,
+        },
+        knowledgeBase
+      );
+
       throw error;
     }
   }
 
+  /**
+   * Record an indexing run in the usage statistics of the vector database
+   * configuration, and of the knowledge base if any
+   */
+  async updateIndexStats(organizationId, projectId, stats, knowledgeBase) {
+    const config = await this.findVectorDatabaseConfig(
+      organizationId,
+      projectId,
+      knowledgeBase
+    );
+    if (config) {
+      config.updateUsageStats('index', stats);
+      await config.save();
+    }
+
+    if (knowledgeBase && stats.documents_count > 0) {
+      await KnowledgeBase.updateOne(
+        { _id: knowledgeBase._id },
+        {
+          $inc: { 'stats.indexed_chunks': stats.documents_count },
+          $set: { 'stats.last_indexed_at': new Date() },
+        }
+      );
+    }
+  }
+
+  /**
+   * Citation and knowledge base metadata of a stored chunk (vector
+   * databases return it flat)
+   */
+  extractChunkMetadata(chunk, knowledgeBase = null) {
+    const metadata = {};
+    for (const field of [
+      'title',
+      'source',
+      'document_id',
+      'chunk_index',
+      'page',
+      'heading',
+    ]) {
+      if (chunk[field] !== undefined && chunk[field] !== null) {
+        metadata[field] = chunk[field];
+      }
+    }
+    return {
+      ...metadata,
+      ...ragMetadata.fromStoredMetadata(
+        this.getMetadataFields(knowledgeBase),
+        chunk
+      ),
+    };
+  }
+
   /**
    * Process a JSON document into searchable chunks - Generic approach for any format
    */
@@ -408,9 +766,7 @@ class RAGService {
       'status',
       'state',
       'priority',
-      'brand',
-      'model',
-      'version', // Keep some domain-specific ones
+      'version',
     ];
 
     for (const field of metadataFields) {
@@ -423,25 +779,21 @@ class RAGService {
   }
 
   /**
-   * Generate embeddings for text chunks
+   * Generate embeddings for text chunks, with the embedding settings of the
+   * knowledge base (see embedQuery)
    */
-  async generateEmbeddings(chunks, apiKeyId) {
-    const apiKey = await ApiKey.findById(apiKeyId).populate('provider');
-    if (!apiKey || !apiKey.is_active) {
-      throw new Error('Invalid or inactive API key');
-    }
-
-    const decryptedKey = apiKey.getDecryptedKey();
-    const openai = new OpenAIService(decryptedKey, apiKey.provider.name);
+  async generateEmbeddings(chunks, apiKeyId, knowledgeBase = null) {
+    const settings = this.getEmbeddingSettings(knowledgeBase);
+    const client = await embeddingService.getClient(settings, apiKeyId);
 
     const embeddings = [];
     for (const chunk of chunks) {
       try {
-        const result = await openai.createEmbedding({
-          input: chunk.content,
-          model: 'text-embedding-3-small',
-        });
-        const embedding = result.data[0].embedding;
+        const [embedding] = await embeddingService.embed(
+          client,
+          settings,
+          chunk.content
+        );
         console.log(
           `  📊 Generated embedding with ${embedding.length} dimensions`
         );
@@ -449,7 +801,9 @@ class RAGService {
       } catch (error) {
         console.error('Error generating embedding:', error);
         // Use zero vector as fallback
-        embeddings.push(new Array(1536).fill(0));
+        embeddings.push(
+          new Array(settings.dimensions || DEFAULT_EMBEDDING_DIMENSIONS).fill(0)
+        );
       }
     }
 
@@ -471,6 +825,7 @@ class RAGService {
       threshold = 0.7,
       filters = {},
       includeMetadata = true,
+      knowledgeBase = null,
     } = options;
 
     console.log('🧠 RAGService.searchSimilar - Start');
@@ -480,6 +835,12 @@ class RAGService {
     console.log('  API Key ID:', apiKeyId);
     console.log('  Options:', { limit, threshold, filters });
 
+    // Invalid filters are the caller's error, not an empty result
+    const conditions = ragMetadata.normalizeFilters(
+      this.getMetadataFields(knowledgeBase),
+      filters
+    );
+
     try {
       // Check BOTH vector database AND memory store
       console.log('  📚 Checking storage systems...');
@@ -488,7 +849,11 @@ class RAGService {
       // Also check if we can get vector database instance
       let vectorDB = null;
       try {
-        vectorDB = await this.getVectorDatabase(organizationId, projectId);
+        vectorDB = await this.getVectorDatabase(
+          organizationId,
+          projectId,
+          knowledgeBase
+        );
         console.log(
           '  💾 Vector database connection:',
           vectorDB ? 'SUCCESS' : 'FAILED'
@@ -503,23 +868,8 @@ class RAGService {
       // Generate embedding for query (needed for vector database search)
       let queryEmbedding = null;
       if (vectorDB && typeof vectorDB.search === 'function') {
-        console.log('  🔑 Looking up API key for embeddings...');
-        const apiKey = await ApiKey.findById(apiKeyId).populate('provider');
-        if (!apiKey || !apiKey.is_active) {
-          console.error('  ❌ Invalid or inactive API key:', apiKeyId);
-          throw new Error('Invalid or inactive API key');
-        }
-
-        console.log('  � API key found, provider:', apiKey.provider.name);
-        const decryptedKey = apiKey.getDecryptedKey();
-        const openai = new OpenAIService(decryptedKey, apiKey.provider.name);
-
         console.log('  🧮 Generating embedding for query...');
-        const response = await openai.createEmbedding({
-          input: query,
-          model: 'text-embedding-3-small',
-        });
-        queryEmbedding = response.data[0].embedding;
+        queryEmbedding = await this.embedQuery(query, apiKeyId, knowledgeBase);
         console.log(
           '  ✅ Query embedding generated, dimensions:',
           queryEmbedding.length
@@ -539,6 +889,7 @@ class RAGService {
             {
               organization_id: organizationId,
               project_id: projectId,
+              metadata: conditions,
             }
           );
           console.log('  💾 Vector DB results:', vectorDBResults.length);
@@ -551,7 +902,10 @@ class RAGService {
                 id: result.id,
                 content: result.content || result.text,
                 similarity: result.similarity || result.score,
-                metadata: includeMetadata ? result.metadata : undefined,
+                metadata: includeMetadata
+                  ? result.metadata ||
+                    this.extractChunkMetadata(result, knowledgeBase)
+                  : undefined,
               })),
               total_results: vectorDBResults.length,
               search_method: 'semantic_vectordb',
@@ -665,24 +1019,8 @@ class RAGService {
       // Continue with memory store semantic search
       // Generate embedding for query if not already done (for in-memory search)
       if (!queryEmbedding) {
-        console.log('  🔑 Looking up API key for in-memory search...');
-        const apiKey = await ApiKey.findById(apiKeyId).populate('provider');
-        if (!apiKey || !apiKey.is_active) {
-          console.error('  ❌ Invalid or inactive API key:', apiKeyId);
-          throw new Error('Invalid or inactive API key');
-        }
-
-        console.log('  🔑 API key found, provider:', apiKey.provider.name);
-
-        const decryptedKey = apiKey.getDecryptedKey();
-        const openai = new OpenAIService(decryptedKey, apiKey.provider.name);
-
         console.log('  🧮 Generating embedding for query...');
-        const response = await openai.createEmbedding({
-          input: query,
-          model: 'text-embedding-3-small',
-        });
-        queryEmbedding = response.data[0].embedding;
+        queryEmbedding = await this.embedQuery(query, apiKeyId, knowledgeBase);
         console.log(
           '  ✅ Query embedding generated, dimensions:',
           queryEmbedding.length
@@ -705,7 +1043,11 @@ class RAGService {
             );
           }
 
-          return matchesOrg && matchesProject;
+          return (
+            matchesOrg &&
+            matchesProject &&
+            this.isInScope(doc, organizationId, projectId, knowledgeBase)
+          );
         }
       );
 
@@ -731,15 +1073,9 @@ class RAGService {
       // Apply additional filters and calculate similarity
       console.log('  🔍 Applying filters and calculating similarity...');
       const candidates = orgProjectDocs
-        .filter(doc => {
-          // Apply additional filters
-          for (const [key, value] of Object.entries(filters)) {
-            if (value && doc.metadata && doc.metadata[key] !== value) {
-              return false;
-            }
-          }
-          return true;
-        })
+        .filter(doc =>
+          ragMetadata.matchesFilters(conditions, doc.metadata || doc)
+        )
         .map(doc => ({
           ...doc,
           similarity: this.cosineSimilarity(queryEmbedding, doc.embedding),
@@ -769,7 +1105,9 @@ class RAGService {
         id: doc.id,
         content: doc.content,
         similarity: doc.similarity,
-        metadata: includeMetadata ? doc.metadata || {} : undefined,
+        metadata: includeMetadata
+          ? doc.metadata || this.extractChunkMetadata(doc, knowledgeBase)
+          : undefined,
       }));
 
       console.log('  ✅ Memory store semantic search complete');
@@ -807,11 +1145,8 @@ class RAGService {
       limit = 10,
       semanticWeight = 0.7,
       keywordWeight = 0.3,
-      brands = [],
-      models = [],
-      themes = [],
-      dateRange = null,
-      sentiment = null,
+      filters = {},
+      knowledgeBase = null,
     } = options;
 
     try {
@@ -821,7 +1156,7 @@ class RAGService {
         organizationId,
         projectId,
         apiKeyId,
-        { limit: limit * 2, threshold: 0.5 }
+        { limit: limit * 2, threshold: 0.5, filters, knowledgeBase }
       );
 
       // Get keyword matches
@@ -829,7 +1164,7 @@ class RAGService {
         query,
         organizationId,
         projectId,
-        { brands, models, themes, dateRange, sentiment }
+        { filters, knowledgeBase }
       );
 
       // Combine and rank results
@@ -859,10 +1194,120 @@ class RAGService {
     }
   }
 
+  /**
+   * Search several knowledge bases of a project and merge their results by
+   * score. Each result names the knowledge base it comes from. Knowledge
+   * bases that do not declare every filtered metadata field are skipped.
+   *
+   * @param {Object[]} knowledgeBases - KnowledgeBase documents
+   * @param {Object} [options] - searchType ('semantic', 'hybrid' or
+   *   'keyword') plus the options of the matching search method
+   */
+  async searchKnowledgeBases(
+    query,
+    organizationId,
+    projectId,
+    apiKeyId,
+    knowledgeBases,
+    options = {}
+  ) {
+    const {
+      searchType = 'semantic',
+      limit = 10,
+      includeMetadata = true,
+      filters = {},
+    } = options;
+
+    const filteredFields = Object.keys(filters || {});
+    const searched = knowledgeBases.filter(knowledgeBase =>
+      filteredFields.every(name =>
+        this.getMetadataFields(knowledgeBase).some(field => field.name === name)
+      )
+    );
+
+    const responses = await Promise.all(
+      searched.map(async knowledgeBase => {
+        const searchOptions = { ...options, limit, knowledgeBase };
+        let response;
+        if (searchType === 'hybrid') {
+          response = await this.hybridSearch(
+            query,
+            organizationId,
+            projectId,
+            apiKeyId,
+            searchOptions
+          );
+        } else if (searchType === 'keyword') {
+          const keywordResults = this.keywordSearch(
+            query,
+            organizationId,
+            projectId,
+            searchOptions
+          );
+          response = {
+            results: keywordResults.slice(0, limit).map(result => ({
+              id: result.id,
+              content: result.content,
+              similarity: result.similarity,
+              metadata: includeMetadata ? result.metadata : undefined,
+            })),
+            total_results: keywordResults.length,
+          };
+        } else {
+          response = await this.searchSimilar(
+            query,
+            organizationId,
+            projectId,
+            apiKeyId,
+            searchOptions
+          );
+        }
+
+        await KnowledgeBase.updateOne(
+          { _id: knowledgeBase._id },
+          {
+            $inc: { 'stats.total_searches': 1 },
+            $set: { 'stats.last_searched_at': new Date() },
+          }
+        );
+
+        return {
+          ...response,
+          results: (response.results || []).map(result => ({
+            ...result,
+            knowledge_base: { id: knowledgeBase._id, name: knowledgeBase.name },
+          })),
+        };
+      })
+    );
+
+    const score = result => result.finalScore ?? result.similarity ?? 0;
+    const results = responses
+      .flatMap(response => response.results)
+      .sort((a, b) => score(b) - score(a))
+      .slice(0, limit);
+
+    return {
+      query,
+      results,
+      total_results: responses.reduce(
+        (total, response) => total + (response.total_results || 0),
+        0
+      ),
+      search_method: searchType,
+      knowledge_bases: searched.map(knowledgeBase => knowledgeBase.name),
+    };
+  }
+
   /**
    * Keyword-based search with metadata filtering
+   *
+   * @param {Object} [options] - { filters, knowledgeBase }
+   * @throws RAG_METADATA_INVALID
    */
-  keywordSearch(query, organizationId, projectId, filters = {}) {
+  keywordSearch(query, organizationId, projectId, options = {}) {
+    const { filters = {}, knowledgeBase = null } = options;
+
     console.log('📝 RAGService.keywordSearch - Start');
     console.log('  Query:', query);
     console.log('  Organization ID:', organizationId);
@@ -870,52 +1315,26 @@ class RAGService {
     console.log('  Filters:', filters);
 
     const queryWords = query.toLowerCase().split(/\s+/);
-    const { brands, models, themes, dateRange, sentiment } = filters;
+    const conditions = ragMetadata.normalizeFilters(
+      this.getMetadataFields(knowledgeBase),
+      filters
+    );
 
     console.log('  📚 Total documents in vector store:', this.vectorStore.size);
     console.log('  🔤 Query words:', queryWords);
 
     const results = Array.from(this.vectorStore.values())
-      .filter(doc => {
-        // Basic filters
-        if (!doc.metadata) {
-          return false;
-        }
-        if (
-          doc.metadata.organization_id !== organizationId ||
-          doc.metadata.project_id !== projectId
-        ) {
-          return false;
-        }
-
-        // Brand filter
-        if (brands.length > 0 && !brands.includes(doc.metadata.brand)) {
-          return false;
-        }
-
-        // Model filter
-        if (models.length > 0 && !models.includes(doc.metadata.model)) {
-          return false;
-        }
-
-        // Theme filter
-        if (themes.length > 0) {
-          const docThemes = doc.metadata.themes || [];
-          if (!themes.some(theme => docThemes.includes(theme))) {
-            return false;
-          }
-        }
-
-        // Sentiment filter
-        if (sentiment && doc.metadata.sentiment !== sentiment) {
-          return false;
-        }
-
-        return true;
-      })
+      .filter(
+        doc =>
+          doc.content &&
+          this.isInScope(doc, organizationId, projectId, knowledgeBase) &&
+          ragMetadata.matchesFilters(conditions, doc.metadata || doc)
+      )
       .map(doc => {
+        const metadata =
+          doc.metadata || this.extractChunkMetadata(doc, knowledgeBase);
         const content = doc.content.toLowerCase();
-        const title = (doc.metadata.title || '').toLowerCase();
+        const title = (metadata.title || '').toLowerCase();
 
         // Calculate keyword match score
         const contentMatches = queryWords.filter(word =>
@@ -930,6 +1349,7 @@ class RAGService {
 
         return {
           ...doc,
+          metadata,
           keywordScore,
           similarity: keywordScore, // For compatibility
         };
@@ -998,14 +1418,18 @@ class RAGService {
   /**
    * Get document statistics
    */
-  async getStats(organizationId, projectId) {
+  async getStats(organizationId, projectId, knowledgeBase = null) {
     console.log('📈 RAGService.getStats - Start');
     console.log('  Organization ID:', organizationId);
     console.log('  Project ID:', projectId);
 
     try {
       // Try to get stats from vector database first
-      const vectorDB = await this.getVectorDatabase(organizationId, projectId);
+      const vectorDB = await this.getVectorDatabase(
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
 
       if (vectorDB && typeof vectorDB.getStats === 'function') {
         console.log('  📊 Getting stats from vector database');
@@ -1025,17 +1449,15 @@ class RAGService {
     console.log('  📊 Getting stats from in-memory store');
     console.log('  Total documents in store:', this.vectorStore.size);
 
-    const docs = Array.from(this.vectorStore.values()).filter(
-      doc =>
-        doc.metadata.organization_id === organizationId &&
-        doc.metadata.project_id === projectId
+    const docs = Array.from(this.vectorStore.values()).filter(doc =>
+      this.isInScope(doc, organizationId, projectId, knowledgeBase)
     );
 
     console.log('  Documents for org/project:', docs.length);
 
     // Calculate date range from indexed_at field
     const indexedDates = docs
-      .map(d => new Date(d.metadata.indexed_at || Date.now()).getTime())
+      .map(d => new Date(d.metadata?.indexed_at || Date.now()).getTime())
       .filter(t => !isNaN(t));
     const dateRange =
       indexedDates.length > 0
@@ -1084,14 +1506,20 @@ class RAGService {
   /**
    * Clear all indexed data for an organization/project
    */
-  async clearIndex(organizationId, projectId) {
+  async clearIndex(organizationId, projectId, knowledgeBase = null) {
     console.log('🗑️ RAGService.clearIndex - Start');
     console.log('  Organization ID:', organizationId);
     console.log('  Project ID:', projectId);
 
+    await this.assertWritable(knowledgeBase);
+
     try {
       // Try to clear from vector database first
-      const vectorDB = await this.getVectorDatabase(organizationId, projectId);
+      const vectorDB = await this.getVectorDatabase(
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
 
       if (vectorDB && typeof vectorDB.clearIndex === 'function') {
         console.log('  🗑️ Clearing index from vector database');
@@ -1101,10 +1529,7 @@ class RAGService {
         // Also clear from memory store to keep it in sync
         const toDeleteFromMemory = [];
         for (const [id, doc] of this.vectorStore.entries()) {
-          if (
-            doc.metadata.organization_id === organizationId &&
-            doc.metadata.project_id === projectId
-          ) {
+          if (this.isInScope(doc, organizationId, projectId, knowledgeBase)) {
             toDeleteFromMemory.push(id);
           }
         }
@@ -1125,10 +1550,7 @@ class RAGService {
     const toDelete = [];
 
     for (const [id, doc] of this.vectorStore.entries()) {
-      if (
-        doc.metadata.organization_id === organizationId &&
-        doc.metadata.project_id === projectId
-      ) {
+      if (this.isInScope(doc, organizationId, projectId, knowledgeBase)) {
         toDelete.push(id);
       }
     }
@@ -1148,15 +1570,26 @@ class RAGService {
   /**
    * Delete documents by document_id
    */
-  async deleteByDocumentId(documentId, organizationId, projectId) {
+  async deleteByDocumentId(
+    documentId,
+    organizationId,
+    projectId,
+    knowledgeBase = null
+  ) {
     console.log('🗑️ RAGService.deleteByDocumentId - Start');
     console.log('  Document ID:', documentId);
     console.log('  Organization ID:', organizationId);
     console.log('  Project ID:', projectId);
 
+    await this.assertWritable(knowledgeBase);
+
     try {
       // Try to delete from vector database first
-      const vectorDB = await this.getVectorDatabase(organizationId, projectId);
+      const vectorDB = await this.getVectorDatabase(
+        organizationId,
+        projectId,
+        knowledgeBase
+      );
 
       if (vectorDB && typeof vectorDB.deleteDocument === 'function') {
         console.log('  🗑️ Deleting from vector database');
@@ -1166,8 +1599,7 @@ class RAGService {
         const toDeleteFromMemory = [];
         for (const [id, doc] of this.vectorStore.entries()) {
           if (
-            doc.organization_id === organizationId &&
-            doc.project_id === projectId &&
+            this.isInScope(doc, organizationId, projectId, knowledgeBase) &&
             doc.document_id === documentId
           ) {
             toDeleteFromMemory.push(id);
@@ -1195,8 +1627,7 @@ class RAGService {
 
     for (const [id, doc] of this.vectorStore.entries()) {
       if (
-        doc.organization_id === organizationId &&
-        doc.project_id === projectId &&
+        this.isInScope(doc, organizationId, projectId, knowledgeBase) &&
         doc.document_id === documentId
       ) {
         toDelete.push(id);
@@ -0,0 +1,178 @@
+/**
+ * Worker thread entry point for code tools (see codeToolService).
+ *
+ * The tenant's function body runs inside a fresh vm context with string code
+ * generation disabled. Nothing from this thread is exposed to it directly:
+ * fetch and console are defined by in-context bootstrap code that only holds
+ * the host bridge functions in a closure, and all data crosses the boundary
+ * as JSON strings. The worker itself runs with an empty process.env and
+ * V8 heap limits, and is terminated by the parent when it runs too long.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+const MAX_LOG_LINES = 50;
+const MAX_LOG_LINE_LENGTH = 1000;
+
+const {
+  code,
+  parameters,
+  config,
+  timeoutMs,
+  allowedHosts,
+  maxFetches,
+  maxResponseBytes,
+} = workerData;
+
+const logs = [];
+let fetchCount = 0;
+
+/**
+ * Whether a URL targets one of the whitelisted hosts.
+ * Entries may be exact hostnames or "*.example.com" wildcards.
+ */
+function isHostAllowed(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return allowedHosts.some(entry => {
+    const allowed = String(entry).toLowerCase();
+    if (allowed.startsWith('*.')) {
+      return host.endsWith(allowed.slice(1)) || host === allowed.slice(2);
+    }
+    return host === allowed;
+  });
+}
+
+/**
+ * Host side of the sandbox fetch. Only strings go in and out; the callback
+ * is an in-context function.
+ */
+function fetchBridge(rawUrl, optionsJson, callback) {
+  const respond = (error, payload) => {
+    try {
+      callback(error, payload);
+    } catch {
+      // Exceptions thrown by sandbox code inside the callback are ignored here
+    }
+  };
+
+  (async () => {
+    fetchCount++;
+    if (fetchCount > maxFetches) {
+      throw new Error(`fetch limit of ${maxFetches} calls exceeded`);
+    }
+
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch {
+      throw new Error(`Invalid URL: ${rawUrl}`);
+    }
+    if (!isHostAllowed(url)) {
+      throw new Error(`fetch to host '${url.hostname}' is not allowed`);
+    }
+
+    const options = JSON.parse(optionsJson || '{}');
+    const method = String(options.method || 'GET').toUpperCase();
+    const response = await fetch(url, {
+      method,
+      headers: options.headers || {},
+      body: ['GET', 'HEAD'].includes(method) ? undefined : options.body,
+      redirect: 'error',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    const body = await response.text();
+    if (Buffer.byteLength(body) > maxResponseBytes) {
+      throw new Error(`Response exceeds ${maxResponseBytes} bytes`);
+    }
+
+    return JSON.stringify({
+      status: response.status,
+      ok: response.ok,
+      headers: Object.fromEntries(response.headers.entries()),
+      body,
+    });
+  })().then(
+    payload => respond(null, payload),
+    error => respond(String(error.message || error), null)
+  );
+}
+
+function logBridge(level, line) {
+  if (logs.length < MAX_LOG_LINES) {
+    logs.push(`[${level}] ${String(line).slice(0, MAX_LOG_LINE_LENGTH)}`);
+  }
+}
+
+// Runs inside the sandbox; receives the bridges once and keeps them private.
+const BOOTSTRAP = `(function (fetchBridge, logBridge) {
+  'use strict';
+  const format = args => args
+    .map(a => (typeof a === 'string' ? a : JSON.stringify(a)))
+    .join(' ');
+  globalThis.console = {
+    log: (...args) => logBridge('log', format(args)),
+    info: (...args) => logBridge('info', format(args)),
+    warn: (...args) => logBridge('warn', format(args)),
+    error: (...args) => logBridge('error', format(args)),
+  };
+  globalThis.fetch = (url, options = {}) => new Promise((resolve, reject) => {
+    fetchBridge(String(url), JSON.stringify(options), (error, payload) => {
+      if (error) {
+        reject(new Error(error));
+        return;
+      }
+      const data = JSON.parse(payload);
+      resolve({
+        status: data.status,
+        ok: data.ok,
+        headers: data.headers,
+        text: async () => data.body,
+        json: async () => JSON.parse(data.body),
+      });
+    });
+  });
+  return async (fn, parametersJson, configJson) => {
+    const result = await fn(JSON.parse(parametersJson), JSON.parse(configJson));
+    return result === undefined ? 'null' : JSON.stringify(result);
+  };
+})`;
+
+async function run() {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+  });
+
+  const setup = vm.runInContext(BOOTSTRAP, context, { timeout: timeoutMs });
+  const invoke = setup(fetchBridge, logBridge);
+
+  const fn = new vm.Script(
+    `(async function (params, config) {\n'use strict';\n${code}\n})`,
+    { filename: 'tool.js', lineOffset: -2 }
+  ).runInContext(context, { timeout: timeoutMs });
+
+  const resultJson = await invoke(
+    fn,
+    JSON.stringify(parameters),
+    JSON.stringify(config)
+  );
+
+  if (typeof resultJson !== 'string') {
+    throw new Error('Code tool must return a JSON-serialisable value');
+  }
+  return JSON.parse(resultJson);
+}
+
+run().then(
+  result => parentPort.postMessage({ success: true, result, logs }),
+  error =>
+    parentPort.postMessage({
+      success: false,
+      error: String((error && error.message) || error),
+      logs,
+    })
+);
@@ -0,0 +1,248 @@
+/**
+ * Stub LLM provider
+ *
+ * An in-process stand-in for the OpenAI client used when a provider is named
+ * `stub`. It never touches the network, so agents, prompts and evaluation
+ * suites can run deterministically in CI. Enable it with
+ * ENABLE_STUB_PROVIDER=true (registers the `stub` provider with the
+ * `stub-model` model) and create an API key for it with any key value.
+ *
+ * Replies come from the active script (see `withScript`), consumed in order.
+ * Each entry is one of:
+ *   - "text" or { content: "text" } — plain assistant message
+ *   - { respond: "text" }           — final answer; rendered in the text-mode
+ *                                     agent format when the request uses it
+ *   - { use_tool: "name", parameters: {…} } — tool call; native tool_calls
+ *                                     when the request offers `tools`,
+ *                                     ACTION/TOOL/PARAMETERS text otherwise
+ *
+ * Without a script (or once it is exhausted) the stub echoes the last user
+ * message.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const STUB_MODELS = ['stub-model'];
+const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+
+const scriptStorage = new AsyncLocalStorage();
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function messageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  if (Array.isArray(message.content)) {
+    return message.content
+      .map(part => part.text || '')
+      .filter(Boolean)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Turn a script entry into an assistant message for this request.
+ */
+function renderEntry(entry, options) {
+  const nativeTools = Array.isArray(options.tools) && options.tools.length > 0;
+  const textMode = options.messages.some(m =>
+    messageText(m).includes('ACTION:')
+  );
+
+  if (typeof entry === 'string') {
+    return { content: entry };
+  }
+
+  if (entry.use_tool) {
+    const parameters = entry.parameters || {};
+    if (nativeTools) {
+      return {
+        content: null,
+        tool_calls: [
+          {
+            id: `call_${crypto.randomBytes(6).toString('hex')}`,
+            type: 'function',
+            function: {
+              name: entry.use_tool,
+              arguments: JSON.stringify(parameters),
+            },
+          },
+        ],
+      };
+    }
+    return {
+      content: `ACTION: use_tool\nTOOL: ${entry.use_tool}\nREASONING: ${entry.reasoning || 'Scripted tool call'}\nPARAMETERS: ${JSON.stringify(parameters)}`,
+    };
+  }
+
+  if (entry.respond !== undefined) {
+    if (textMode && !nativeTools) {
+      return {
+        content: `ACTION: respond\nREASONING: ${entry.reasoning || 'Scripted response'}\nRESPONSE: ${entry.respond}`,
+      };
+    }
+    return { content: entry.respond };
+  }
+
+  return { content: entry.content ?? '' };
+}
+
+function nextReply(options) {
+  const state = scriptStorage.getStore();
+  if (state && state.index < state.entries.length) {
+    return renderEntry(state.entries[state.index++], options);
+  }
+
+  const lastUser = [...options.messages]
+    .reverse()
+    .find(message => message.role === 'user');
+  return renderEntry(
+    { respond: `Stub reply: ${lastUser ? messageText(lastUser) : ''}` },
+    options
+  );
+}
+
+function buildCompletion(options) {
+  const message = nextReply(options);
+  const promptTokens = estimateTokens(
+    options.messages.map(messageText).join('\n')
+  );
+  const completionTokens = estimateTokens(
+    message.content || JSON.stringify(message.tool_calls || [])
+  );
+
+  return {
+    id: `stub-${crypto.randomBytes(6).toString('hex')}`,
+    object: 'chat.completion',
+    model: options.model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', ...message },
+        finish_reason: message.tool_calls ? 'tool_calls' : 'stop',
+      },
+    ],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+}
+
+async function* streamCompletion(completion) {
+  const { message, finish_reason } = completion.choices[0];
+
+  for (const word of (message.content || '').split(/(?<=\s)/)) {
+    yield { choices: [{ index: 0, delta: { content: word } }] };
+  }
+  if (message.tool_calls) {
+    yield {
+      choices: [
+        {
+          index: 0,
+          delta: {
+            tool_calls: message.tool_calls.map((call, index) => ({
+              index,
+              ...call,
+            })),
+          },
+        },
+      ],
+    };
+  }
+  yield {
+    choices: [{ index: 0, delta: {}, finish_reason }],
+    usage: completion.usage,
+  };
+}
+
+/**
+ * Deterministic unit-length embedding derived from the input text.
+ */
+function embed(text, dimensions) {
+  const vector = [];
+  let block = Buffer.alloc(0);
+  let counter = 0;
+  while (vector.length < dimensions) {
+    if (block.length === 0) {
+      block = crypto
+        .createHash('sha256')
+        .update(`${counter++}:${text}`)
+        .digest();
+    }
+    vector.push(block[0] / 127.5 - 1);
+    block = block.subarray(1);
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Client with the subset of the OpenAI SDK surface used by OpenAIService.
+ */
+function createClient() {
+  return {
+    chat: {
+      completions: {
+        create: async options => {
+          const completion = buildCompletion(options);
+          return options.stream ? streamCompletion(completion) : completion;
+        },
+      },
+    },
+    embeddings: {
+      create: async ({ model, input, dimensions }) => {
+        const inputs = Array.isArray(input) ? input : [input];
+        return {
+          model,
+          data: inputs.map((text, index) => ({
+            index,
+            embedding: embed(
+              String(text),
+              dimensions || DEFAULT_EMBEDDING_DIMENSIONS
+            ),
+          })),
+          usage: {
+            prompt_tokens: inputs.reduce(
+              (n, t) => n + estimateTokens(String(t)),
+              0
+            ),
+            total_tokens: inputs.reduce(
+              (n, t) => n + estimateTokens(String(t)),
+              0
+            ),
+          },
+        };
+      },
+    },
+  };
+}
+
+/**
+ * Run `fn` with a reply script. Every stub completion requested while `fn`
+ * runs (including nested tool and agent calls) consumes the next entry.
+ *
+ * @returns {Promise<{ result: *, consumed: number }>}
+ */
+async function withScript(entries, fn) {
+  const state = { entries: entries || [], index: 0 };
+  const result = await scriptStorage.run(state, fn);
+  return { result, consumed: state.index };
+}
+
+function isEnabled() {
+  return process.env.ENABLE_STUB_PROVIDER === 'true';
+}
+
+module.exports = {
+  STUB_MODELS,
+  createClient,
+  withScript,
+  isEnabled,
+};
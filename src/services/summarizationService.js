@@ -238,7 +238,7 @@ Guidelines:
     }
 
     // Fallback checks
-    const messageCount = conversation.messages.length;
+    const messageCount = conversation.message_count;
     const messagesSinceLastSummary =
       messageCount - (conversation.metadata.last_summary_index + 1);
 
@@ -265,8 +265,11 @@ Guidelines:
     const decryptedMessages = conversation.getDecryptedMessages();
 
     if (lastSummaryIndex >= 0) {
-      // Summarize messages after the last summary
-      return decryptedMessages.slice(lastSummaryIndex + 1);
+      // Summarize messages after the last summary. Only the newest messages
+      // may be loaded, so positions are seq numbers (unsaved ones have none)
+      return decryptedMessages.filter(
+        msg => msg.seq === undefined || msg.seq > lastSummaryIndex
+      );
     } else {
       // No previous summary, summarize all but keep recent messages
       const totalMessages = decryptedMessages.length;
@@ -1,6 +1,8 @@
 const Tool = require('../models/Tool');
 const OpenAIService = require('./openaiService');
 const ragService = require('./ragService');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const embeddingService = require('./embeddingService');
 const InternetSearchService = require('./internetSearchService');
 const https = require('https');
 const http = require('http');
@@ -10,12 +12,18 @@ const fs = require('fs');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const voiceService = require('./voiceService');
+const customToolService = require('./customToolService');
+const codeToolService = require('./codeToolService');
+const mcpService = require('./mcpService');
 const encryptionUtil = require('../utils/encryption');
+const { isPublicUrl, publicLookup } = require('../utils/networkGuard');
 const ApiKey = require('../models/ApiKey');
 const Organization = require('../models/Organization');
 const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 
+const SCRAPER_USER_AGENT = 'Mozilla/5.0 (compatible; LLM-Crafter-Scraper/1.0)';
+
 // Language-specific abbreviation dictionaries for multi-language FAQ support
 const LANGUAGE_ABBREVIATIONS = {
   en: {
@@ -282,10 +290,13 @@ class ToolService {
   }
 
   /**
-   * Execute a tool by name with parameters
+   * Execute a tool by name with parameters, resolving custom tools within
+   * the given organization
    */
-  async executeTool(toolName, parameters = {}) {
-    return this.executeToolWithConfig(toolName, parameters, {});
+  async executeTool(toolName, parameters = {}, organizationId = null) {
+    return this.executeToolWithConfig(toolName, parameters, {
+      organization_id: organizationId,
+    });
   }
 
   /**
@@ -293,24 +304,33 @@ class ToolService {
    */
   async executeToolWithConfig(toolName, parameters = {}, agentToolConfig = {}) {
     const startTime = Date.now();
+    // Custom tools are only visible to the organization that owns them
+    const toolScope = Tool.visibleTo(
+      agentToolConfig.organization_id?._id || agentToolConfig.organization_id
+    );
+    // MCP tools carry the server descriptor attached for this run and are
+    // never resolved to a stored or built-in tool of the same name
+    const mcpDescriptor = mcpService.isAttachedDescriptor(agentToolConfig._mcp)
+      ? agentToolConfig._mcp
+      : null;
 
     try {
       console.log(`Executing tool '${toolName}' with parameters:`, parameters);
       console.log('Agent tool config:', agentToolConfig);
 
-      // Get tool handler
-      const handler = this.toolHandlers.get(toolName);
-      if (!handler) {
-        throw new Error(`No handler registered for tool '${toolName}'`);
-      }
-
       // For built-in tools, use agent config directly
       // Try to get tool definition from database for validation/logging, but don't fail if DB is unavailable
       let tool = null;
       let baseConfig = {};
 
       try {
-        tool = await Tool.findOne({ name: toolName, is_active: true });
+        if (!mcpDescriptor) {
+          tool = await Tool.findOne({
+            name: toolName,
+            is_active: true,
+            ...toolScope,
+          });
+        }
         if (tool) {
           // Validate parameters if tool exists in DB
           tool.validateParameters(parameters);
@@ -323,6 +343,21 @@ class ToolService {
         );
       }
 
+      // Get tool handler: MCP first, then built-in handlers, then
+      // org-defined HTTP and code tools
+      let handler = mcpDescriptor
+        ? params => mcpService.callTool(mcpDescriptor, params)
+        : this.toolHandlers.get(toolName);
+      if (!handler && customToolService.isHttpTool(tool)) {
+        handler = customToolService.createHandler(tool);
+      }
+      if (!handler && codeToolService.isCodeTool(tool)) {
+        handler = codeToolService.createHandler(tool);
+      }
+      if (!handler) {
+        throw new Error(`No handler registered for tool '${toolName}'`);
+      }
+
       // Merge tool config with agent-specific config
       const mergedConfig = {
         ...baseConfig,
@@ -372,7 +407,9 @@ class ToolService {
 
       // Try to record failed usage
       try {
-        const tool = await Tool.findOne({ name: toolName });
+        const tool =
+          !mcpDescriptor &&
+          (await Tool.findOne({ name: toolName, ...toolScope }));
         if (tool) {
           await tool.recordUsage(false, executionTime);
         }
@@ -390,18 +427,21 @@ class ToolService {
   }
 
   /**
-   * Get available tools for an agent
+   * Get available tools for an agent: system tools plus the organization's
+   * own custom tools
    */
-  async getAvailableTools(toolNames = []) {
+  async getAvailableTools(toolNames = [], organizationId = null) {
     if (toolNames.length === 0) {
-      return await Tool.find({ is_active: true }).select(
-        'name display_name description parameters_schema'
-      );
+      return await Tool.find({
+        is_active: true,
+        ...Tool.visibleTo(organizationId),
+      }).select('name display_name description parameters_schema');
     }
 
     return await Tool.find({
       name: { $in: toolNames },
       is_active: true,
+      ...Tool.visibleTo(organizationId),
     }).select('name display_name description parameters_schema');
   }
 
@@ -534,6 +574,38 @@ class ToolService {
    * Local webpage scraper implementation
    */
   async localWebpageScraper(url, startTime) {
+    const { body } = await this.fetchWebpage(url);
+
+    try {
+      // Extract text content from HTML
+      const textContent = this.extractTextFromHtml(body);
+      const title = this.extractTitleFromHtml(body);
+
+      return {
+        url,
+        provider: 'local',
+        content: textContent,
+        title,
+        success: true,
+        scrape_time_ms: Date.now() - startTime,
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse HTML: ${error.message}`);
+    }
+  }
+
+  /**
+   * GET a URL without following redirects. Also used by the knowledge base
+   * crawler (see knowledgeBaseCrawlerService.js). Hosts that are not public
+   * are refused (see utils/networkGuard.js).
+   *
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - fail when the body is larger
+   * @returns {Promise<{ status_code: number, content_type: string,
+   *   location: string|null, body: string }>}
+   */
+  async fetchWebpage(url, { maxBytes = null } = {}) {
     return new Promise((resolve, reject) => {
       const https = require('https');
       const http = require('http');
@@ -543,38 +615,42 @@ class ToolService {
         const parsedUrl = new URL(url);
         const protocol = parsedUrl.protocol === 'https:' ? https : http;
 
+        // Only public hosts: IP literals are checked here, names when they
+        // are resolved for the connection
+        if (!isPublicUrl(parsedUrl)) {
+          reject(new Error(`${parsedUrl.hostname} is not a public host`));
+          return;
+        }
+
         const options = {
           method: 'GET',
           timeout: 10000,
+          lookup: publicLookup,
           headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; LLM-Crafter-Scraper/1.0)',
+            'User-Agent': SCRAPER_USER_AGENT,
           },
         };
 
         const req = protocol.request(parsedUrl, options, res => {
-          let data = '';
+          const chunks = [];
+          let size = 0;
 
           res.on('data', chunk => {
-            data += chunk;
+            size += chunk.length;
+            if (maxBytes && size > maxBytes) {
+              req.destroy(new Error(`Response larger than ${maxBytes} bytes`));
+              return;
+            }
+            chunks.push(chunk);
           });
 
           res.on('end', () => {
-            try {
-              // Extract text content from HTML
-              const textContent = this.extractTextFromHtml(data);
-              const title = this.extractTitleFromHtml(data);
-
-              resolve({
-                url,
-                provider: 'local',
-                content: textContent,
-                title: title,
-                success: true,
-                scrape_time_ms: Date.now() - startTime,
-              });
-            } catch (error) {
-              reject(new Error(`Failed to parse HTML: ${error.message}`));
-            }
+            resolve({
+              status_code: res.statusCode,
+              content_type: res.headers['content-type'] || '',
+              location: res.headers.location || null,
+              body: Buffer.concat(chunks).toString('utf8'),
+            });
           });
         });
 
@@ -1156,8 +1232,8 @@ class ToolService {
     );
 
     try {
-      // First try semantic similarity if API key is available
-      if (config._agent_api_key) {
+      // First try semantic similarity if embeddings can be created
+      if (config._agent_api_key || config.embedding) {
         console.log('Attempting semantic similarity matching...');
         const semanticResult = await this.calculateSemanticSimilarity(
           question,
@@ -1276,49 +1352,29 @@ class ToolService {
   }
 
   /**
-   * Calculate semantic similarity using OpenAI embeddings
+   * Calculate semantic similarity using embeddings: with the embedding
+   * settings of the faq tool (config.embedding, see embeddingService), or
+   * else with the agent's API key and its provider
    */
   async calculateSemanticSimilarity(question, faqs, config) {
     console.log('Starting semantic similarity calculation...');
     console.log(`Question: "${question}"`);
     console.log(`Question length: ${question.length}`);
 
-    if (!config._agent_api_key) {
-      console.log('No agent API key available for semantic similarity');
-      return null;
-    }
-
     try {
-      // Create OpenAI service instance with agent's API key
-      console.log('Creating OpenAI service instance...');
-      let openaiService;
-
-      if (
-        typeof config._agent_api_key === 'object' &&
-        config._agent_api_key.getDecryptedKey
-      ) {
-        // It's an API key object, decrypt it
-        const decryptedKey = config._agent_api_key.getDecryptedKey();
-        console.log(
-          `Decrypted API key length: ${decryptedKey ? decryptedKey.length : 'null'}`
-        );
-        openaiService = new OpenAIService(decryptedKey);
-      } else if (typeof config._agent_api_key === 'string') {
-        // It's already a string
-        console.log(
-          `API key is string, length: ${config._agent_api_key.length}`
-        );
-        openaiService = new OpenAIService(config._agent_api_key);
-      } else {
-        console.error('Invalid API key format:', typeof config._agent_api_key);
-        return null;
-      }
+      const settings = embeddingService.getSettings(config.embedding);
+      console.log(`Creating embedding client for ${settings.model}...`);
+      const client = await embeddingService.getClient(
+        settings,
+        config._agent_api_key
+      );
 
       // Get embedding for the question
       console.log('Getting embedding for question...');
       const questionEmbedding = await this.getTextEmbedding(
         question,
-        openaiService
+        client,
+        settings
       );
       if (!questionEmbedding) {
         console.error('Failed to get question embedding');
@@ -1335,7 +1391,8 @@ class ToolService {
             console.log(`Processing FAQ ${index + 1}: "${faq.question}"`);
             const faqEmbedding = await this.getTextEmbedding(
               faq.question,
-              openaiService
+              client,
+              settings
             );
             if (!faqEmbedding) {
               console.log(`Failed to get embedding for FAQ: "${faq.question}"`);
@@ -1383,9 +1440,9 @@ class ToolService {
   }
 
   /**
-   * Get text embedding using OpenAI
+   * Get text embedding (see embeddingService)
    */
-  async getTextEmbedding(text, openaiService) {
+  async getTextEmbedding(text, client, settings) {
     try {
       // Validate and clean the input text
       if (!text || typeof text !== 'string') {
@@ -1403,26 +1460,20 @@ class ToolService {
         `Getting embedding for text: "${cleanText}" (length: ${cleanText.length})`
       );
 
-      // Call the OpenAI service with proper parameter format
-      const response = await openaiService.createEmbedding({
-        input: cleanText,
-        model: 'text-embedding-3-small',
-      });
-
-      if (
-        !response ||
-        !response.data ||
-        !response.data[0] ||
-        !response.data[0].embedding
-      ) {
-        console.error('Invalid embedding response structure:', response);
+      const [embedding] = await embeddingService.embed(
+        client,
+        settings,
+        cleanText
+      );
+      if (!embedding) {
+        console.error('No embedding returned for:', cleanText);
         return null;
       }
 
       console.log(
-        `Successfully got embedding with ${response.data[0].embedding.length} dimensions`
+        `Successfully got embedding with ${embedding.length} dimensions`
       );
-      return response.data[0].embedding;
+      return embedding;
     } catch (error) {
       console.error('Failed to get text embedding:', error.message);
       return null;
@@ -1932,10 +1983,7 @@ class ToolService {
       limit = 10,
       threshold = 0.7,
       search_type = 'semantic', // 'semantic', 'hybrid', 'keyword'
-      brands = [],
-      models = [],
-      themes = [],
-      sentiment = null,
+      filters = {},
       include_metadata = true,
       organization_id,
       project_id,
@@ -1988,64 +2036,98 @@ class ToolService {
 
       console.log(`🔍 Executing ${search_type} search...`);
 
-      switch (search_type) {
-        case 'hybrid':
-          searchResults = await ragService.hybridSearch(
-            query,
-            organizationId,
-            projectId,
-            apiKeyId,
-            {
-              limit,
-              brands,
-              models,
-              themes,
-              sentiment,
-              semanticWeight: config.semantic_weight || 0.7,
-              keywordWeight: config.keyword_weight || 0.3,
-            }
+      // Agents that list knowledge bases search only those; the others
+      // search the project's default index
+      const knowledgeBaseIds = Array.isArray(config.knowledge_bases)
+        ? config.knowledge_bases
+        : [];
+      if (knowledgeBaseIds.length > 0) {
+        const knowledgeBases = await knowledgeBaseService.resolveMany(
+          config.organization_id,
+          config.project_id,
+          knowledgeBaseIds
+        );
+        if (knowledgeBases.length === 0) {
+          throw new Error(
+            'None of the knowledge bases configured for this agent exist'
           );
-          break;
+        }
+        ragService.validateFilters(filters, knowledgeBases);
+
+        searchResults = await ragService.searchKnowledgeBases(
+          query,
+          config.organization_id,
+          config.project_id,
+          apiKeyId,
+          knowledgeBases,
+          {
+            searchType: search_type,
+            limit,
+            threshold,
+            filters,
+            includeMetadata: include_metadata,
+            semanticWeight: config.semantic_weight || 0.7,
+            keywordWeight: config.keyword_weight || 0.3,
+          }
+        );
+      } else {
+        // The default index has no metadata fields to filter on
+        ragService.validateFilters(filters);
+
+        switch (search_type) {
+          case 'hybrid':
+            searchResults = await ragService.hybridSearch(
+              query,
+              organizationId,
+              projectId,
+              apiKeyId,
+              {
+                limit,
+                semanticWeight: config.semantic_weight || 0.7,
+                keywordWeight: config.keyword_weight || 0.3,
+              }
+            );
+            break;
 
-        case 'keyword':
-          console.log('  📝 Keyword search - no embeddings needed');
-          const keywordResults = ragService.keywordSearch(
-            query,
-            organizationId,
-            projectId,
-            { brands, models, themes, sentiment }
-          );
+          case 'keyword': {
+            console.log('  📝 Keyword search - no embeddings needed');
+            const keywordResults = ragService.keywordSearch(
+              query,
+              organizationId,
+              projectId
+            );
 
-          console.log('  📊 Keyword results count:', keywordResults.length);
-
-          searchResults = {
-            query,
-            results: keywordResults.slice(0, limit).map(result => ({
-              id: result.id,
-              content: result.content,
-              similarity: result.similarity,
-              metadata: include_metadata ? result.metadata : undefined,
-            })),
-            total_results: keywordResults.length,
-            search_method: 'keyword',
-          };
-          break;
+            console.log('  📊 Keyword results count:', keywordResults.length);
+
+            searchResults = {
+              query,
+              results: keywordResults.slice(0, limit).map(result => ({
+                id: result.id,
+                content: result.content,
+                similarity: result.similarity,
+                metadata: include_metadata ? result.metadata : undefined,
+              })),
+              total_results: keywordResults.length,
+              search_method: 'keyword',
+            };
+            break;
+          }
 
-        default: // semantic
-          console.log('  🧠 Semantic search - generating embeddings...');
-          searchResults = await ragService.searchSimilar(
-            query,
-            organizationId,
-            projectId,
-            apiKeyId,
-            {
-              limit,
-              threshold,
-              filters: { brands, models, themes, sentiment },
-              includeMetadata: include_metadata,
-            }
-          );
-          break;
+          default: // semantic
+            console.log('  🧠 Semantic search - generating embeddings...');
+            searchResults = await ragService.searchSimilar(
+              query,
+              organizationId,
+              projectId,
+              apiKeyId,
+              {
+                limit,
+                threshold,
+                includeMetadata: include_metadata,
+              }
+            );
+            break;
+        }
       }
 
       console.log('  ✅ Search completed');
@@ -2105,6 +2187,7 @@ class ToolService {
       urgency = 'medium',
       context_summary,
       handoff_message,
+      skills,
     } = parameters;
 
     if (!reason) {
@@ -2119,8 +2202,27 @@ class ToolService {
     });
 
     try {
-      // Gating: if require_online_operator is enabled, check availability
-      if (config.require_online_operator && config.project_id) {
+      // Outside the channels' business hours, handoffs are either refused or
+      // queued until the next opening, depending on the agent's policy
+      let queuedUntil = null;
+      let openingText = null;
+      if (config.agent_id) {
+        const businessHoursService = require('./businessHoursService');
+        const hours = await businessHoursService.getStatus(config.agent_id);
+        if (!hours.open) {
+          openingText = businessHoursService.formatOpening(hours);
+          if (hours.policy !== 'queue_handoffs') {
+            throw new Error(
+              `Our team is outside business hours${openingText ? ` until ${openingText}` : ''}. Keep helping the customer yourself and do not promise that a team member will reply now.`
+            );
+          }
+          queuedUntil = hours.next_opening;
+        }
+      }
+
+      // Gating: if require_online_operator is enabled, check availability.
+      // Queued handoffs are picked up at opening, so nobody needs to be online.
+      if (config.require_online_operator && config.project_id && !queuedUntil) {
         const ExternalOperator = require('../models/ExternalOperator');
         const onlineCount = await ExternalOperator.countDocuments({
           project: config.project_id,
@@ -2170,7 +2272,10 @@ class ToolService {
       }
 
       // Find the conversation
-      const conversation = await Conversation.findById(conversation_id);
+      // Recent messages are passed to handoff_requested hooks
+      const conversation = await Conversation.findById(
+        conversation_id
+      ).withMessages({ last: 50 });
       if (!conversation) {
         throw new Error('Conversation not found for handoff request');
       }
@@ -2180,9 +2285,14 @@ class ToolService {
         'agent',
         reason,
         urgency,
-        context_summary
+        context_summary,
+        queuedUntil
       );
 
+      // Start the SLA clock for this handoff
+      const handoffSlaService = require('./handoffSlaService');
+      await handoffSlaService.open(conversation, agent_id);
+
       // Fire handoff webhook if configured (non-blocking)
       const webhookUrl = config.handoff_webhook_url;
       if (webhookUrl) {
@@ -2194,16 +2304,39 @@ class ToolService {
           reason,
           urgency,
           context_summary: context_summary || null,
+          queued_until: queuedUntil ? queuedUntil.toISOString() : null,
           timestamp: new Date().toISOString(),
         };
         this._fireHandoffWebhook(webhookUrl, webhookPayload, webhookSecret);
       }
 
+      // Skill-based routing to external operators, when the agent uses it
+      let queue = null;
+      try {
+        const handoffRoutingService = require('./handoffRoutingService');
+        queue = await handoffRoutingService.enqueue(agent_id, conversation, {
+          reason,
+          contextSummary: context_summary,
+          skills: Array.isArray(skills) ? skills : [],
+        });
+      } catch (routingError) {
+        // The handoff stays in the pending list for manual takeover
+        console.error('Handoff routing failed:', routingError.message);
+      }
+
       // Use custom handoff message if provided, otherwise use default
       const defaultMessage =
         'I understand this requires specialized assistance. Let me connect you with one of our team members who can better help you with this. Please wait a moment.';
 
-      const messageContent = handoff_message || defaultMessage;
+      // A queued handoff must not promise an immediate reply
+      let messageContent = queuedUntil
+        ? `Our team is currently offline. A team member will pick up this conversation when we open again${openingText ? ` on ${openingText}` : ''}.`
+        : handoff_message || defaultMessage;
+      // The custom message is in the customer's language; only the English
+      // default gets the queue position appended
+      if (!queuedUntil && !handoff_message && queue?.position) {
+        messageContent += ` You are number ${queue.position} in the queue.`;
+      }
 
       // Return the handoff result with suggested message
       // The agent execution flow will add the actual message to avoid duplicates
@@ -2213,6 +2346,8 @@ class ToolService {
         handoff_requested: true,
         conversation_status: 'handoff_requested',
         suggested_message: messageContent,
+        queued_until: queuedUntil,
+        queue,
       };
     } catch (error) {
       console.error('Human handoff request failed:', error.message);
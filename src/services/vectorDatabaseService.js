@@ -19,6 +19,62 @@ try {
   );
 }
 
+const {
+  pickStoredMetadata,
+  matchesFilters,
+  toWeaviateOperands,
+  toPineconeClauses,
+  weaviateProperties,
+} = require('../utils/ragMetadata');
+
+const WEAVIATE_PROPERTIES = [
+  {
+    name: 'content',
+    dataType: ['text'],
+    description: 'Document content',
+  },
+  {
+    name: 'title',
+    dataType: ['string'],
+    description: 'Document title',
+  },
+  {
+    name: 'source',
+    dataType: ['string'],
+    description: 'Document source',
+  },
+  {
+    name: 'document_id',
+    dataType: ['string'],
+    description: 'Original document ID',
+  },
+  {
+    name: 'chunk_index',
+    dataType: ['int'],
+    description: 'Chunk index within document',
+  },
+  {
+    name: 'page',
+    dataType: ['int'],
+    description: 'Page of the source file',
+  },
+  {
+    name: 'heading',
+    dataType: ['text'],
+    description: 'Heading path of the chunk in the source file',
+  },
+  {
+    name: 'organization_id',
+    dataType: ['string'],
+    description: 'Organization ID',
+  },
+  {
+    name: 'project_id',
+    dataType: ['string'],
+    description: 'Project ID',
+  },
+];
+
 /**
  * Vector Database Interface
  * Provides a unified interface for different vector database providers
@@ -173,6 +229,19 @@ class VectorDatabaseInterface {
   async clearIndex(organizationId, projectId) {
     throw new Error('clearIndex method must be implemented by subclass');
   }
+
+  /**
+   * One page of the stored chunks of an organization/project, without their
+   * vectors, e.g. to embed them again with another model
+   *
+   * @param {Object} [options]
+   * @param {string} [options.after] - `next` of the previous page
+   * @param {number} [options.limit=100]
+   * @returns {Promise<{documents: Object[], next: string|null}>}
+   */
+  async listDocuments(organizationId, projectId, options = {}) {
+    throw new Error('listDocuments method must be implemented by subclass');
+  }
 }
 
 /**
@@ -216,6 +285,8 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
     });
 
     this.className = config.className || 'Documents';
+    // Metadata fields declared by the knowledge base (see utils/ragMetadata.js)
+    this.metadataProperties = weaviateProperties(config.metadataFields || []);
   }
 
   async connect() {
@@ -225,13 +296,39 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
 
   async ensureSchema() {
     // Check if class exists
+    let existingClass;
     try {
-      await this.client.schema.classGetter().withClassName(this.className).do();
+      existingClass = await this.client.schema
+        .classGetter()
+        .withClassName(this.className)
+        .do();
       console.log(`✅ Weaviate class '${this.className}' exists`);
-    } catch (error) {
+    } catch {
       // Class doesn't exist, create it
       console.log(`📝 Creating Weaviate class '${this.className}'`);
       await this.createSchema();
+      return;
+    }
+
+    // Classes created before page/heading support lack those properties, and
+    // metadata fields are added to knowledge bases over time
+    const existingProperties = new Set(
+      (existingClass.properties || []).map(property => property.name)
+    );
+    for (const property of [
+      ...WEAVIATE_PROPERTIES,
+      ...this.metadataProperties,
+    ]) {
+      if (!existingProperties.has(property.name)) {
+        await this.client.schema
+          .propertyCreator()
+          .withClassName(this.className)
+          .withProperty(property)
+          .do();
+        console.log(
+          `✅ Added property '${property.name}' to Weaviate class '${this.className}'`
+        );
+      }
     }
   }
 
@@ -239,44 +336,10 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
     const classSchema = {
       class: this.className,
       description: 'LLM Crafter document storage for RAG',
-      properties: [
-        {
-          name: 'content',
-          dataType: ['text'],
-          description: 'Document content',
-        },
-        {
-          name: 'title',
-          dataType: ['string'],
-          description: 'Document title',
-        },
-        {
-          name: 'source',
-          dataType: ['string'],
-          description: 'Document source',
-        },
-        {
-          name: 'document_id',
-          dataType: ['string'],
-          description: 'Original document ID',
-        },
-        {
-          name: 'chunk_index',
-          dataType: ['int'],
-          description: 'Chunk index within document',
-        },
-        {
-          name: 'organization_id',
-          dataType: ['string'],
-          description: 'Organization ID',
-        },
-        {
-          name: 'project_id',
-          dataType: ['string'],
-          description: 'Project ID',
-        },
-      ],
+      properties: [...WEAVIATE_PROPERTIES, ...this.metadataProperties],
       vectorizer: 'none', // We'll provide our own vectors
+      // Needed by IsNull, i.e. exists filters on metadata fields
+      invertedIndexConfig: { indexNullState: true },
     };
 
     await this.client.schema.classCreator().withClass(classSchema).do();
@@ -297,8 +360,11 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
             source: doc.source || '',
             document_id: doc.document_id,
             chunk_index: doc.chunk_index || 0,
+            page: doc.page,
+            heading: doc.heading,
             organization_id: doc.organization_id,
             project_id: doc.project_id,
+            ...pickStoredMetadata(doc),
           })
           .withVector(doc.embedding)
           .do();
@@ -313,23 +379,33 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
     return results;
   }
 
+  getResultFields() {
+    return [
+      'content title source document_id chunk_index page heading organization_id project_id',
+      ...this.metadataProperties.map(property => property.name),
+    ].join(' ');
+  }
+
   async search(query, embedding, limit = 10, filters = {}) {
     try {
       let searchQuery = this.client.graphql
         .get()
         .withClassName(this.className)
-        .withFields(
-          'content title source document_id chunk_index organization_id project_id'
-        )
+        .withFields(this.getResultFields())
         .withNearVector({
           vector: embedding,
           certainty: 0.7,
         })
         .withLimit(limit);
 
-      // Add organization/project filters if provided
-      if (filters.organization_id || filters.project_id) {
-        const whereConditions = [];
+      // Add organization/project and metadata filters if provided
+      const metadataOperands = toWeaviateOperands(filters.metadata || []);
+      if (
+        filters.organization_id ||
+        filters.project_id ||
+        metadataOperands.length > 0
+      ) {
+        const whereConditions = [...metadataOperands];
 
         if (filters.organization_id) {
           whereConditions.push({
@@ -347,10 +423,10 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
           });
         }
 
-        // Combine conditions with AND if both exist
+        // Combine conditions with AND if several exist
         if (whereConditions.length === 1) {
           searchQuery = searchQuery.withWhere(whereConditions[0]);
-        } else if (whereConditions.length === 2) {
+        } else {
           searchQuery = searchQuery.withWhere({
             operator: 'And',
             operands: whereConditions,
@@ -554,6 +630,46 @@ class WeaviateVectorDB extends VectorDatabaseInterface {
       throw error;
     }
   }
+
+  async listDocuments(
+    organizationId,
+    projectId,
+    { after = null, limit = 100 } = {}
+  ) {
+    // Cursor pages cannot be filtered: chunks of other projects sharing the
+    // class are skipped here
+    let listQuery = this.client.graphql
+      .get()
+      .withClassName(this.className)
+      .withFields(`${this.getResultFields()} _additional { id }`)
+      .withLimit(limit);
+    if (after) {
+      listQuery = listQuery.withAfter(after);
+    }
+
+    const result = await listQuery.do();
+    const objects = result.data.Get[this.className] || [];
+    const documents = objects
+      .filter(
+        object =>
+          object.organization_id === organizationId &&
+          object.project_id === projectId
+      )
+      .map(({ _additional, ...properties }) => ({
+        ...Object.fromEntries(
+          Object.entries(properties).filter(([, value]) => value !== null)
+        ),
+        id: _additional.id,
+      }));
+
+    return {
+      documents,
+      next:
+        objects.length === limit
+          ? objects[objects.length - 1]._additional.id
+          : null,
+    };
+  }
 }
 
 /**
@@ -571,6 +687,8 @@ class PineconeVectorDB extends VectorDatabaseInterface {
 
     this.indexName = config.indexName;
     this.apiKey = config.apiKey;
+    // Set for knowledge bases; otherwise the project_id is the namespace
+    this.namespace = config.namespace;
   }
 
   async connect() {
@@ -626,7 +744,7 @@ class PineconeVectorDB extends VectorDatabaseInterface {
     }
 
     // Use project_id as namespace for data isolation
-    const namespace = documents[0]?.project_id;
+    const namespace = this.namespace || documents[0]?.project_id;
     if (!namespace) {
       throw new Error(
         'project_id is required for Pinecone namespace isolation'
@@ -642,8 +760,12 @@ class PineconeVectorDB extends VectorDatabaseInterface {
         source: doc.source || '',
         document_id: doc.document_id,
         chunk_index: doc.chunk_index || 0,
+        // Pinecone rejects null metadata values
+        ...(doc.page !== undefined && doc.page !== null && { page: doc.page }),
+        ...(doc.heading && { heading: doc.heading }),
         organization_id: doc.organization_id,
         project_id: doc.project_id,
+        ...pickStoredMetadata(doc),
       },
     }));
 
@@ -664,7 +786,7 @@ class PineconeVectorDB extends VectorDatabaseInterface {
     }
 
     // Use project_id as namespace for data isolation
-    const namespace = filters.project_id;
+    const namespace = this.namespace || filters.project_id;
     if (!namespace) {
       throw new Error(
         'project_id is required in filters for Pinecone namespace isolation'
@@ -674,9 +796,9 @@ class PineconeVectorDB extends VectorDatabaseInterface {
     console.log(`  🔍 Querying Pinecone namespace: ${namespace}`);
 
     // Build metadata filter (exclude project_id since it's used as namespace)
-    const metadataFilter = {};
+    const clauses = toPineconeClauses(filters.metadata || []);
     if (filters.organization_id) {
-      metadataFilter.organization_id = filters.organization_id;
+      clauses.unshift({ organization_id: filters.organization_id });
     }
 
     const queryOptions = {
@@ -686,8 +808,9 @@ class PineconeVectorDB extends VectorDatabaseInterface {
     };
 
     // Add filter if we have metadata filters
-    if (Object.keys(metadataFilter).length > 0) {
-      queryOptions.filter = metadataFilter;
+    if (clauses.length > 0) {
+      queryOptions.filter =
+        clauses.length === 1 ? clauses[0] : { $and: clauses };
     }
 
     const results = await this.index.namespace(namespace).query(queryOptions);
@@ -699,26 +822,28 @@ class PineconeVectorDB extends VectorDatabaseInterface {
   }
 
   async deleteDocument(documentId, projectId) {
+    const namespace = this.namespace || projectId;
     // Use deleteMany with filter to delete all chunks with this document_id
     // Note: Need to use namespace for proper scoping
-    await this.index.namespace(projectId).deleteMany({
+    await this.index.namespace(namespace).deleteMany({
       document_id: documentId,
     });
     return true;
   }
 
   async getStats(organizationId, projectId) {
+    const namespace = this.namespace || projectId;
     try {
-      console.log(`  📊 Getting stats for Pinecone namespace: ${projectId}`);
+      console.log(`  📊 Getting stats for Pinecone namespace: ${namespace}`);
 
       // Use describeIndexStats with filter for the namespace
       const stats = await this.index.describeIndexStats();
 
       // Get stats for the specific namespace
-      const namespaceStats = stats.namespaces?.[projectId];
+      const namespaceStats = stats.namespaces?.[namespace];
 
       if (!namespaceStats) {
-        console.log(`  ℹ️ No data found in namespace: ${projectId}`);
+        console.log(`  ℹ️ No data found in namespace: ${namespace}`);
         return {
           total_documents: 0,
           indexed_range: null,
@@ -736,20 +861,21 @@ class PineconeVectorDB extends VectorDatabaseInterface {
   }
 
   async clearIndex(organizationId, projectId) {
+    const namespace = this.namespace || projectId;
     try {
       // Get count before deletion
       const statsBefore = await this.getStats(organizationId, projectId);
       const countBefore = statsBefore.total_documents;
 
       console.log(
-        `  🗑️ Deleting all vectors from Pinecone namespace: ${projectId} (${countBefore} vectors)`
+        `  🗑️ Deleting all vectors from Pinecone namespace: ${namespace} (${countBefore} vectors)`
       );
 
       // Delete all vectors in the namespace
-      await this.index.namespace(projectId).deleteAll();
+      await this.index.namespace(namespace).deleteAll();
 
       console.log(
-        `  ✅ Deleted ${countBefore} vectors from namespace: ${projectId}`
+        `  ✅ Deleted ${countBefore} vectors from namespace: ${namespace}`
       );
 
       return {
@@ -760,6 +886,30 @@ class PineconeVectorDB extends VectorDatabaseInterface {
       throw error;
     }
   }
+
+  async listDocuments(
+    organizationId,
+    projectId,
+    { after = null, limit = 100 } = {}
+  ) {
+    const namespace = this.index.namespace(this.namespace || projectId);
+    // Listing is only supported by serverless indexes
+    const page = await namespace.listPaginated({
+      limit,
+      ...(after && { paginationToken: after }),
+    });
+    const ids = (page.vectors || []).map(vector => vector.id);
+    const fetched = ids.length > 0 ? await namespace.fetch(ids) : null;
+
+    const documents = ids
+      .map(id => fetched.records[id])
+      .filter(
+        record => record && record.metadata?.organization_id === organizationId
+      )
+      .map(record => ({ ...record.metadata, id: record.id }));
+
+    return { documents, next: page.pagination?.next || null };
+  }
 }
 
 /**
@@ -797,9 +947,17 @@ class MemoryVectorDB extends VectorDatabaseInterface {
     return results;
   }
 
-  async search(query, embedding, limit = 10) {
+  async search(query, embedding, limit = 10, filters = {}) {
+    const documents = this.documents.filter(
+      doc =>
+        (!filters.organization_id ||
+          doc.organization_id === filters.organization_id) &&
+        (!filters.project_id || doc.project_id === filters.project_id) &&
+        matchesFilters(filters.metadata || [], doc)
+    );
+
     // Simple cosine similarity search
-    const similarities = this.documents.map(doc => {
+    const similarities = documents.map(doc => {
       const similarity = this.cosineSimilarity(embedding, doc.embedding);
       return { ...doc, similarity };
     });
@@ -861,6 +1019,31 @@ class MemoryVectorDB extends VectorDatabaseInterface {
     };
   }
 
+  async listDocuments(
+    organizationId,
+    projectId,
+    { after = null, limit = 100 } = {}
+  ) {
+    const start = after ? Number(after) : 0;
+    const documents = this.documents
+      .slice(start, start + limit)
+      .filter(
+        doc =>
+          doc.organization_id === organizationId && doc.project_id === projectId
+      )
+      .map(doc => {
+        const listed = { ...doc };
+        delete listed.embedding;
+        return listed;
+      });
+
+    return {
+      documents,
+      next:
+        start + limit < this.documents.length ? String(start + limit) : null,
+    };
+  }
+
   cosineSimilarity(vecA, vecB) {
     if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
 
@@ -0,0 +1,1021 @@
+/**
+ * Workflow Service
+ *
+ * Executes workflow agents: a declarative graph of steps stored in
+ * agent.workflow (see docs/features/workflow-agents.md).
+ *
+ *   - Steps run in order unless a step names its `next` step or a condition
+ *     step branches. Step types: llm, tool, condition, loop, approval, agent.
+ *   - Each step's input and output is persisted in AgentExecution.step_runs
+ *     before the next step starts. A run that dies mid-way resumes at the
+ *     step it was executing; completed steps are not repeated.
+ *   - The process executing a run holds a lease on the execution. Running
+ *     executions whose lease expired are picked up by the `workflows.run`
+ *     worker, which is also how runs continue after an approval.
+ */
+
+const Agent = require('../models/Agent');
+const AgentExecution = require('../models/AgentExecution');
+const OpenAIService = require('./openaiService');
+const toolService = require('./toolService');
+const mcpService = require('./mcpService');
+const jobQueueService = require('./jobQueueService');
+const agentRevisionService = require('./agentRevisionService');
+
+const QUEUE_NAME = 'workflows.run';
+
+const STEP_TYPES = ['llm', 'tool', 'condition', 'loop', 'approval', 'agent'];
+// Loop bodies run straight through: no branching or pausing inside a loop
+const LOOP_BODY_TYPES = ['llm', 'tool', 'agent'];
+const OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'in',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'exists',
+  'not_exists',
+];
+const END = 'end';
+const STEP_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MAX_STEPS = 100;
+const DEFAULT_MAX_ITEMS = 100;
+// Guards against `next` cycles that never reach the end
+const MAX_STEP_RUNS = 500;
+// Workflows calling workflows calling …
+const MAX_AGENT_DEPTH = 3;
+
+const LEASE_MS = 2 * 60 * 1000;
+const LEASE_RENEW_MS = 30 * 1000;
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SINGLE_TEMPLATE_PATTERN = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+function workflowError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// agentService requires this module, so it is loaded lazily
+function getAgentService() {
+  return require('./agentService');
+}
+
+class WorkflowService {
+  // ===== DEFINITION =====
+
+  /**
+   * Check a workflow definition before it is stored on an agent.
+   *
+   * @param {Object} agent
+   * @param {Object} workflow
+   * @param {string[]} [models] - models of the agent's provider, for llm
+   *   steps that override the model
+   * @throws WORKFLOW_INVALID
+   */
+  async validateDefinition(agent, workflow, models = null) {
+    const steps = workflow?.steps;
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw workflowError(
+        'A workflow needs at least one step',
+        'WORKFLOW_INVALID'
+      );
+    }
+
+    const allSteps = [
+      ...steps,
+      ...steps.flatMap(step =>
+        step.type === 'loop' && Array.isArray(step.steps) ? step.steps : []
+      ),
+    ];
+    if (allSteps.length > MAX_STEPS) {
+      throw workflowError(
+        `A workflow can have at most ${MAX_STEPS} steps`,
+        'WORKFLOW_INVALID'
+      );
+    }
+
+    const ids = new Set();
+    for (const step of allSteps) {
+      if (typeof step?.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+        throw workflowError(
+          'Step ids may only contain letters, digits, underscores and hyphens',
+          'WORKFLOW_INVALID'
+        );
+      }
+      if (step.id === END || ids.has(step.id)) {
+        throw workflowError(
+          `Step id '${step.id}' is reserved or used twice`,
+          'WORKFLOW_INVALID'
+        );
+      }
+      ids.add(step.id);
+    }
+
+    const topLevelIds = new Set(steps.map(step => step.id));
+    const checkTarget = (step, field, target) => {
+      if (target !== undefined && target !== END && !topLevelIds.has(target)) {
+        throw workflowError(
+          `Step '${step.id}': ${field} '${target}' is not a step of this workflow`,
+          'WORKFLOW_INVALID'
+        );
+      }
+    };
+
+    for (const step of steps) {
+      await this.validateStep(agent, step, STEP_TYPES, models);
+      checkTarget(step, 'next', step.next);
+      if (step.type === 'condition') {
+        step.branches.forEach(branch =>
+          checkTarget(step, 'branch target', branch.next)
+        );
+        checkTarget(step, 'default', step.default);
+      }
+      if (step.type === 'approval') {
+        checkTarget(step, 'on_reject', step.on_reject);
+      }
+      if (step.type === 'loop') {
+        for (const bodyStep of step.steps) {
+          await this.validateStep(agent, bodyStep, LOOP_BODY_TYPES, models);
+          if (bodyStep.next !== undefined) {
+            throw workflowError(
+              `Loop body step '${bodyStep.id}' cannot set next`,
+              'WORKFLOW_INVALID'
+            );
+          }
+        }
+      }
+    }
+  }
+
+  async validateStep(agent, step, allowedTypes, models) {
+    const invalid = message => {
+      throw workflowError(`Step '${step.id}': ${message}`, 'WORKFLOW_INVALID');
+    };
+
+    if (!allowedTypes.includes(step.type)) {
+      invalid(`type must be one of ${allowedTypes.join(', ')}`);
+    }
+
+    switch (step.type) {
+      case 'llm':
+        if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+          invalid('prompt is required');
+        }
+        if (
+          step.output_format !== undefined &&
+          !['text', 'json'].includes(step.output_format)
+        ) {
+          invalid('output_format must be text or json');
+        }
+        if (step.model && models && !models.includes(step.model)) {
+          invalid(`model '${step.model}' is not available for the provider`);
+        }
+        break;
+
+      case 'tool': {
+        const configured = agent.tools.some(tool => tool.name === step.tool);
+        // MCP tools are discovered at run time and named <server>__<tool>
+        const mcpTool =
+          agent.mcp_servers?.length > 0 && /__/.test(step.tool || '');
+        if (!configured && !mcpTool) {
+          invalid(`tool '${step.tool}' is not configured on this agent`);
+        }
+        break;
+      }
+
+      case 'condition':
+        if (!Array.isArray(step.branches) || step.branches.length === 0) {
+          invalid('branches are required');
+        }
+        for (const branch of step.branches) {
+          if (
+            typeof branch?.when?.path !== 'string' ||
+            !OPERATORS.includes(branch.when.operator)
+          ) {
+            invalid(
+              `each branch needs when.path and a when.operator out of ${OPERATORS.join(', ')}`
+            );
+          }
+          if (typeof branch.next !== 'string') {
+            invalid('each branch needs a next step');
+          }
+        }
+        break;
+
+      case 'loop':
+        if (typeof step.items !== 'string' || !step.items) {
+          invalid('items must be the path of an array, e.g. input.orders');
+        }
+        if (!Array.isArray(step.steps) || step.steps.length === 0) {
+          invalid('a loop needs at least one body step');
+        }
+        break;
+
+      case 'agent': {
+        if (step.agent === agent._id) {
+          invalid('a workflow cannot call itself');
+        }
+        const target = await Agent.findOne({
+          _id: step.agent,
+          project: agent.project,
+        }).select('type');
+        if (!target || !['task', 'workflow'].includes(target.type)) {
+          invalid('agent must be a task or workflow agent of this project');
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // ===== TEMPLATES & CONDITIONS =====
+
+  /**
+   * Read a dotted path ("steps.classify.output.items[0].id") from the scope.
+   */
+  getPath(scope, path) {
+    return String(path)
+      .replace(/\[(\d+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .reduce(
+        (value, key) =>
+          value === undefined || value === null ? undefined : value[key],
+        scope
+      );
+  }
+
+  /**
+   * Substitute {{path}} placeholders. A string that is a single placeholder
+   * resolves to the raw value, so objects and arrays pass through intact;
+   * placeholders inside text are inserted as text (objects as JSON).
+   * Objects and arrays are resolved recursively.
+   */
+  resolveTemplate(value, scope) {
+    if (typeof value === 'string') {
+      const single = value.match(SINGLE_TEMPLATE_PATTERN);
+      if (single) {
+        const resolved = this.getPath(scope, single[1]);
+        return resolved === undefined ? null : resolved;
+      }
+      return value.replace(TEMPLATE_PATTERN, (match, path) => {
+        const resolved = this.getPath(scope, path);
+        if (resolved === undefined || resolved === null) {
+          return '';
+        }
+        return typeof resolved === 'object'
+          ? JSON.stringify(resolved)
+          : String(resolved);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveTemplate(item, scope));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.resolveTemplate(item, scope),
+        ])
+      );
+    }
+    return value;
+  }
+
+  evaluateCondition(when, scope) {
+    const actual = this.getPath(scope, when.path);
+    const expected = this.resolveTemplate(when.value, scope);
+
+    const equals = (a, b) =>
+      a === b ||
+      (!isMissing(a) &&
+        !isMissing(b) &&
+        typeof a !== 'object' &&
+        typeof b !== 'object' &&
+        String(a) === String(b));
+
+    switch (when.operator) {
+      case 'equals':
+        return equals(actual, expected);
+      case 'not_equals':
+        return !equals(actual, expected);
+      case 'contains':
+        if (Array.isArray(actual)) {
+          return actual.some(item => equals(item, expected));
+        }
+        return typeof actual === 'string' && actual.includes(String(expected));
+      case 'in':
+        return (
+          Array.isArray(expected) && expected.some(item => equals(actual, item))
+        );
+      case 'gt':
+        return Number(actual) > Number(expected);
+      case 'gte':
+        return Number(actual) >= Number(expected);
+      case 'lt':
+        return Number(actual) < Number(expected);
+      case 'lte':
+        return Number(actual) <= Number(expected);
+      case 'exists':
+        return !isMissing(actual);
+      case 'not_exists':
+        return isMissing(actual);
+      default:
+        return false;
+    }
+  }
+
+  // ===== EXECUTION =====
+
+  /**
+   * Start a run of a workflow agent and execute it until it finishes or
+   * pauses for approval.
+   *
+   * @param {Object} agent - workflow agent with api_key.provider populated
+   *   (and the draft applied for draft runs)
+   * @param {Object} [options]
+   * @param {Function} [options.onEvent] - receives step events while running
+   * @param {number} [options.depth]     - nesting level of sub-agent calls
+   */
+  async start(agent, input, userIdentifier, dynamicContext = {}, options = {}) {
+    const steps = agent.workflow?.steps;
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw workflowError(
+        'Workflow agent has no workflow definition',
+        'WORKFLOW_INVALID'
+      );
+    }
+
+    const execution = new AgentExecution({
+      agent: agent._id,
+      type: 'workflow',
+      input,
+      ...getAgentService().getRevisionInfo(agent),
+      metadata: {
+        user_identifier: userIdentifier,
+      },
+      workflow_state: {
+        definition: JSON.parse(JSON.stringify(agent.workflow)),
+        context: dynamicContext,
+        cursor: steps[0].id,
+        lease_until: new Date(Date.now() + LEASE_MS),
+      },
+    });
+    await execution.save();
+    await execution.start();
+
+    return this.run(agent, execution, options);
+  }
+
+  /**
+   * Execute steps from the execution's cursor. The caller must hold the
+   * execution's lease.
+   */
+  async run(agent, execution, options = {}) {
+    const onEvent = options.onEvent || (() => {});
+    const state = execution.workflow_state;
+    const { definition } = state;
+
+    const renewal = setInterval(() => {
+      AgentExecution.updateOne(
+        { _id: execution._id, status: 'running' },
+        {
+          $set: {
+            'workflow_state.lease_until': new Date(Date.now() + LEASE_MS),
+          },
+        }
+      ).catch(error =>
+        console.error('[Workflow] Lease renewal failed:', error.message)
+      );
+    }, LEASE_RENEW_MS);
+
+    try {
+      await mcpService.attachMcpTools(agent);
+
+      const runtime = {
+        agent,
+        execution,
+        options,
+        onEvent,
+        openai: new OpenAIService(
+          agent.api_key.getDecryptedKey(),
+          agent.api_key.provider.name
+        ),
+      };
+      const scope = this.buildScope(execution);
+      let lastOutput = null;
+
+      while (state.cursor) {
+        if (execution.step_runs.length >= MAX_STEP_RUNS) {
+          throw workflowError(
+            `Workflow exceeded ${MAX_STEP_RUNS} step runs`,
+            'WORKFLOW_LIMIT_EXCEEDED'
+          );
+        }
+
+        const step = definition.steps.find(s => s.id === state.cursor);
+        if (!step) {
+          throw workflowError(
+            `Step '${state.cursor}' not found`,
+            'WORKFLOW_INVALID'
+          );
+        }
+
+        const result = await this.executeStep(runtime, step, scope);
+        if (result.waiting) {
+          return this.toResult(execution);
+        }
+
+        scope.steps[step.id] = { output: result.output };
+        lastOutput = result.output;
+        state.cursor = result.next;
+        await execution.save();
+      }
+
+      const output =
+        definition.output !== undefined
+          ? this.resolveTemplate(definition.output, scope)
+          : lastOutput;
+
+      state.lease_until = null;
+      await execution.complete(output);
+      return this.toResult(execution);
+    } catch (error) {
+      state.lease_until = null;
+      await execution.fail(error);
+      throw error;
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+
+  /**
+   * Template scope of a (resumed) run: the input, the dynamic context and
+   * the latest output of every finished top-level step.
+   */
+  buildScope(execution) {
+    const steps = {};
+    for (const run of execution.step_runs) {
+      if (!run.parent_step && ['completed', 'rejected'].includes(run.status)) {
+        steps[run.step_id] = { output: run.output };
+      }
+    }
+    return {
+      input: execution.input,
+      context: execution.workflow_state.context || {},
+      steps,
+    };
+  }
+
+  nextStepId(definition, step, target = step.next) {
+    if (target === END) {
+      return null;
+    }
+    if (target) {
+      return target;
+    }
+    const index = definition.steps.findIndex(s => s.id === step.id);
+    return definition.steps[index + 1]?.id || null;
+  }
+
+  async executeStep(runtime, step, scope) {
+    const { execution, onEvent } = runtime;
+    const definition = execution.workflow_state.definition;
+
+    // A run left 'running' belongs to a process that died mid-step
+    const interrupted = execution.step_runs
+      .filter(run => run.step_id === step.id && !run.parent_step)
+      .pop();
+    const resumedLoop =
+      step.type === 'loop' && interrupted?.status === 'running'
+        ? interrupted
+        : null;
+    if (interrupted?.status === 'running' && !resumedLoop) {
+      interrupted.status = 'interrupted';
+    }
+
+    switch (step.type) {
+      case 'condition': {
+        const index = step.branches.findIndex(branch =>
+          this.evaluateCondition(branch.when, scope)
+        );
+        const target = index === -1 ? step.default : step.branches[index].next;
+        const next = this.nextStepId(definition, step, target);
+        const output = {
+          branch: index === -1 ? 'default' : index,
+          next: next || END,
+        };
+        this.recordRun(execution, step, {
+          status: 'completed',
+          output,
+          completed_at: new Date(),
+        });
+        onEvent({ type: 'step_completed', step_id: step.id, output });
+        return { output, next };
+      }
+
+      case 'approval': {
+        const message = String(
+          this.resolveTemplate(step.message || 'Approval required', scope)
+        );
+        this.recordRun(execution, step, {
+          status: 'waiting',
+          input: { message },
+        });
+        execution.status = 'waiting_approval';
+        execution.workflow_state.approval = {
+          step_id: step.id,
+          message,
+          requested_at: new Date(),
+        };
+        execution.workflow_state.lease_until = null;
+        await execution.save();
+        onEvent({ type: 'approval_requested', step_id: step.id, message });
+        return { waiting: true };
+      }
+
+      case 'loop': {
+        const output = await this.executeLoop(
+          runtime,
+          step,
+          scope,
+          resumedLoop
+        );
+        return { output, next: this.nextStepId(definition, step) };
+      }
+
+      default: {
+        const output = await this.executeActionStep(runtime, step, scope);
+        return { output, next: this.nextStepId(definition, step) };
+      }
+    }
+  }
+
+  recordRun(execution, step, fields) {
+    execution.step_runs.push({
+      step_id: step.id,
+      type: step.type,
+      started_at: new Date(),
+      ...fields,
+    });
+    return execution.step_runs[execution.step_runs.length - 1];
+  }
+
+  /**
+   * Run an llm, tool or agent step, persisting its input before and its
+   * output after the call.
+   */
+  async executeActionStep(runtime, step, scope, loop = null) {
+    const { execution, onEvent } = runtime;
+    const input = this.resolveStepInput(runtime, step, scope);
+
+    const run = this.recordRun(execution, step, {
+      input,
+      ...(loop && { parent_step: loop.step.id, iteration: loop.index }),
+    });
+    await execution.save();
+    onEvent({
+      type: 'step_started',
+      step_id: step.id,
+      step_type: step.type,
+      ...(loop && { iteration: loop.index }),
+    });
+
+    try {
+      let output;
+      if (step.type === 'llm') {
+        output = await this.executeLlmStep(runtime, step, input);
+      } else if (step.type === 'tool') {
+        output = await this.executeToolStep(runtime, step, input);
+      } else {
+        output = await this.executeAgentStep(runtime, step, input);
+      }
+
+      run.status = 'completed';
+      run.output = output;
+      run.completed_at = new Date();
+      await execution.save();
+      onEvent({
+        type: 'step_completed',
+        step_id: step.id,
+        output,
+        ...(loop && { iteration: loop.index }),
+      });
+      return output;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      run.completed_at = new Date();
+      onEvent({ type: 'step_failed', step_id: step.id, error: error.message });
+      throw error;
+    }
+  }
+
+  resolveStepInput(runtime, step, scope) {
+    switch (step.type) {
+      case 'llm':
+        return {
+          prompt: String(this.resolveTemplate(step.prompt, scope) ?? ''),
+          system_prompt:
+            step.system_prompt !== undefined
+              ? String(this.resolveTemplate(step.system_prompt, scope) ?? '')
+              : runtime.agent.system_prompt,
+          model: step.model || runtime.agent.llm_settings.model,
+        };
+      case 'tool':
+        return this.resolveTemplate(step.parameters || {}, scope);
+      default:
+        return this.resolveTemplate(
+          step.input === undefined ? '{{input}}' : step.input,
+          scope
+        );
+    }
+  }
+
+  async executeLlmStep(runtime, step, input) {
+    const { agent, execution, openai } = runtime;
+    const json = step.output_format === 'json';
+    const parameters = {
+      ...agent.toObject().llm_settings.parameters,
+      ...(step.parameters || {}),
+    };
+
+    const response = await openai.generateCompletion(
+      input.model,
+      input.prompt,
+      parameters,
+      json
+        ? `${input.system_prompt}\n\nRespond with a single JSON object only.`
+        : input.system_prompt,
+      null,
+      { prompt_cache_key: `agent_${agent._id}` }
+    );
+    this.addUsage(execution, response.usage);
+
+    if (!json) {
+      return response.content;
+    }
+    const match = (response.content || '').match(/\{[\s\S]*\}/);
+    try {
+      return JSON.parse(match ? match[0] : response.content);
+    } catch {
+      throw workflowError(
+        `Step '${step.id}' did not return valid JSON`,
+        'WORKFLOW_STEP_FAILED'
+      );
+    }
+  }
+
+  async executeToolStep(runtime, step, parameters) {
+    const { agent, execution } = runtime;
+    const toolResult = await toolService.executeToolWithConfig(
+      step.tool,
+      parameters,
+      getAgentService().getAgentToolConfig(agent, step.tool, execution._id)
+    );
+
+    execution.tools_executed.push({
+      tool_name: step.tool,
+      parameters,
+      result: toolResult.success ? toolResult.result : undefined,
+      execution_time_ms: toolResult.execution_time_ms,
+      status: toolResult.success ? 'success' : 'error',
+      error_message: toolResult.success ? undefined : toolResult.error,
+    });
+    execution.usage.tool_calls_count += 1;
+
+    if (!toolResult.success) {
+      throw workflowError(
+        `Tool ${step.tool} failed: ${toolResult.error}`,
+        'WORKFLOW_STEP_FAILED'
+      );
+    }
+    if (toolResult.result?._output_file) {
+      execution.output_files.push({
+        ...toolResult.result._output_file,
+        tool_name: step.tool,
+      });
+    }
+    return toolResult.result;
+  }
+
+  async executeAgentStep(runtime, step, input) {
+    const { agent, execution, options } = runtime;
+    const depth = (options.depth || 0) + 1;
+    if (depth > MAX_AGENT_DEPTH) {
+      throw workflowError(
+        `Sub-agent calls are limited to ${MAX_AGENT_DEPTH} levels`,
+        'WORKFLOW_LIMIT_EXCEEDED'
+      );
+    }
+
+    const target = await Agent.exists({
+      _id: step.agent,
+      project: agent.project,
+    });
+    if (!target) {
+      throw workflowError(
+        `Agent ${step.agent} not found in this project`,
+        'WORKFLOW_STEP_FAILED'
+      );
+    }
+
+    const result = await getAgentService().executeTaskAgent(
+      step.agent,
+      input,
+      execution.metadata.user_identifier,
+      execution.workflow_state.context || {},
+      { workflowDepth: depth }
+    );
+    this.addUsage(execution, result.token_usage);
+
+    if (result.status !== 'completed') {
+      throw workflowError(
+        `Agent ${step.agent} paused for approval; sub-agents cannot wait for approval`,
+        'WORKFLOW_STEP_FAILED'
+      );
+    }
+    return result.output;
+  }
+
+  /**
+   * Run the loop body once per item. The loop's step run collects one output
+   * per finished iteration, so a resumed loop continues with the next item.
+   */
+  async executeLoop(runtime, step, scope, resumedRun) {
+    const { execution, onEvent } = runtime;
+    const items = this.getPath(scope, step.items);
+    if (!Array.isArray(items)) {
+      throw workflowError(
+        `Step '${step.id}': ${step.items} is not an array`,
+        'WORKFLOW_STEP_FAILED'
+      );
+    }
+    const maxItems = step.max_items || DEFAULT_MAX_ITEMS;
+    if (items.length > maxItems) {
+      throw workflowError(
+        `Step '${step.id}': ${items.length} items exceed max_items (${maxItems})`,
+        'WORKFLOW_LIMIT_EXCEEDED'
+      );
+    }
+
+    const run =
+      resumedRun ||
+      this.recordRun(execution, step, {
+        input: { count: items.length },
+        output: [],
+      });
+    const results = [...(run.output || [])];
+    if (resumedRun) {
+      execution.step_runs
+        .filter(r => r.parent_step === step.id && r.status === 'running')
+        .forEach(r => {
+          r.status = 'interrupted';
+        });
+    }
+    onEvent({ type: 'step_started', step_id: step.id, step_type: 'loop' });
+
+    try {
+      for (let index = results.length; index < items.length; index++) {
+        const iterationScope = {
+          ...scope,
+          steps: { ...scope.steps },
+          item: items[index],
+          index,
+        };
+        let iterationOutput = null;
+        for (const bodyStep of step.steps) {
+          iterationOutput = await this.executeActionStep(
+            runtime,
+            bodyStep,
+            iterationScope,
+            { step, index }
+          );
+          iterationScope.steps[bodyStep.id] = { output: iterationOutput };
+        }
+
+        results.push(iterationOutput);
+        run.output = results;
+        await execution.save();
+      }
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      run.completed_at = new Date();
+      throw error;
+    }
+
+    run.status = 'completed';
+    run.completed_at = new Date();
+    onEvent({ type: 'step_completed', step_id: step.id, output: results });
+    return results;
+  }
+
+  addUsage(execution, usage) {
+    if (!usage) {
+      return;
+    }
+    execution.usage.prompt_tokens += usage.prompt_tokens || 0;
+    execution.usage.completion_tokens += usage.completion_tokens || 0;
+    execution.usage.total_tokens += usage.total_tokens || 0;
+    execution.usage.cost += usage.cost || 0;
+  }
+
+  toResult(execution) {
+    return {
+      execution_id: execution._id,
+      output: execution.output,
+      output_files: execution.output_files || [],
+      thinking_process: execution.thinking_process,
+      tools_used: execution.tools_executed,
+      step_runs: execution.step_runs,
+      token_usage: execution.usage,
+      status: execution.status,
+      ...(execution.status === 'waiting_approval' && {
+        approval: execution.workflow_state.approval,
+      }),
+    };
+  }
+
+  // ===== APPROVALS & RESUMPTION =====
+
+  /**
+   * Approve or reject the approval step a run is waiting on. The run
+   * continues in the background; rejecting a step without on_reject fails
+   * the run.
+   *
+   * @throws WORKFLOW_NOT_WAITING
+   */
+  async decide(execution, { approved, comment }, userId) {
+    if (
+      execution.type !== 'workflow' ||
+      execution.status !== 'waiting_approval'
+    ) {
+      throw workflowError(
+        'Execution is not waiting for approval',
+        'WORKFLOW_NOT_WAITING'
+      );
+    }
+
+    const state = execution.workflow_state;
+    const step = state.definition.steps.find(
+      s => s.id === state.approval.step_id
+    );
+    const run = execution.step_runs
+      .filter(r => r.step_id === step.id && r.status === 'waiting')
+      .pop();
+
+    Object.assign(state.approval, {
+      approved,
+      comment,
+      decided_by: userId,
+      decided_at: new Date(),
+    });
+    if (run) {
+      run.status = approved ? 'completed' : 'rejected';
+      run.output = { approved, comment: comment || null };
+      run.completed_at = new Date();
+    }
+
+    if (!approved && !step.on_reject) {
+      state.cursor = null;
+      return execution.fail(
+        workflowError(
+          `Rejected at step '${step.id}'${comment ? `: ${comment}` : ''}`,
+          'WORKFLOW_REJECTED'
+        )
+      );
+    }
+
+    state.cursor = this.nextStepId(
+      state.definition,
+      step,
+      approved ? step.next : step.on_reject
+    );
+    execution.status = 'running';
+    // Expired right away: whichever process picks up the job resumes it
+    state.lease_until = new Date();
+    await execution.save();
+
+    await jobQueueService.enqueue(
+      QUEUE_NAME,
+      { execution_id: execution._id },
+      {
+        dedupKey: `${execution._id}:${execution.step_runs.length}`,
+        maxAttempts: 1,
+        context: { agent: execution.agent },
+      }
+    );
+    return execution;
+  }
+
+  /**
+   * Continue a running execution whose lease expired (crashed process or
+   * approval decided). Does nothing if another process holds the lease.
+   */
+  async resume(executionId) {
+    const now = new Date();
+    const execution = await AgentExecution.findOneAndUpdate(
+      {
+        _id: executionId,
+        type: 'workflow',
+        status: 'running',
+        $or: [
+          { 'workflow_state.lease_until': null },
+          { 'workflow_state.lease_until': { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          'workflow_state.lease_until': new Date(now.getTime() + LEASE_MS),
+        },
+      },
+      { new: true }
+    );
+    if (!execution) {
+      return null;
+    }
+
+    const agent = await Agent.findById(execution.agent).populate({
+      path: 'api_key',
+      populate: {
+        path: 'provider',
+      },
+    });
+    if (!agent) {
+      await execution.fail(
+        workflowError('Agent no longer exists', 'WORKFLOW_AGENT_MISSING')
+      );
+      return null;
+    }
+    if (execution.agent_draft && agentRevisionService.hasDraft(agent)) {
+      agentRevisionService.applyDraft(agent);
+    }
+
+    console.log(
+      `[Workflow] Resuming execution ${execution._id} at step '${execution.workflow_state.cursor}'`
+    );
+    try {
+      return await this.run(agent, execution);
+    } catch (error) {
+      // Already recorded on the execution by run()
+      console.error(
+        `[Workflow] Execution ${execution._id} failed:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Queue every running execution whose lease has expired.
+   */
+  async recoverStalled() {
+    const stalled = await AgentExecution.find({
+      type: 'workflow',
+      status: 'running',
+      'workflow_state.lease_until': { $lt: new Date() },
+    }).select('_id agent workflow_state.lease_until');
+
+    for (const execution of stalled) {
+      await jobQueueService.enqueue(
+        QUEUE_NAME,
+        { execution_id: execution._id },
+        {
+          dedupKey: `${execution._id}:lease:${execution.workflow_state.lease_until.getTime()}`,
+          maxAttempts: 1,
+          context: { agent: execution.agent },
+        }
+      );
+    }
+    return stalled.length;
+  }
+
+  startWorker({ concurrency = 2 } = {}) {
+    this.recoveryHandle = setInterval(() => {
+      this.recoverStalled().catch(error =>
+        console.error('[Workflow] Recovery scan failed:', error.message)
+      );
+    }, RECOVERY_INTERVAL_MS);
+
+    return jobQueueService.runWorker(
+      QUEUE_NAME,
+      payload => this.resume(payload.execution_id),
+      { concurrency, claimTtlMs: 60 * 60 * 1000 }
+    );
+  }
+}
+
+module.exports = new WorkflowService();
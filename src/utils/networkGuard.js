@@ -0,0 +1,106 @@
+/**
+ * Guard for requests to user-supplied URLs (crawler, webpage scraper).
+ *
+ * Only public addresses may be reached: loopback, private, link-local
+ * (including cloud metadata at 169.254.169.254), carrier-grade NAT,
+ * multicast and reserved ranges are refused. Host names are checked when
+ * they are resolved for the connection itself (publicLookup), so a name
+ * cannot resolve to a public address for the check and to a private one
+ * for the request.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // NAT64 addresses can reach any IPv4 range. IPv4-mapped addresses
+  // (::ffff:10.0.0.1) are matched against the IPv4 ranges by BlockList.
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+function blockedAddressError(hostname, address) {
+  const error = new Error(
+    `${hostname} resolves to ${address}, which is not a public address`
+  );
+  error.code = 'ADDRESS_NOT_ALLOWED';
+  return error;
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} whether the address may be requested
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check of a URL that needs no DNS: IP literals must be public and
+ * localhost names are refused. Other names are checked by publicLookup.
+ *
+ * @param {string|URL} url
+ * @returns {boolean}
+ */
+function isPublicUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname);
+  }
+  return hostname !== 'localhost' && !hostname.endsWith('.localhost');
+}
+
+/**
+ * dns.lookup replacement for http(s).request that fails when the host
+ * resolves to an address that is not public.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(blockedAddressError(hostname, blocked.address));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  isPublicUrl,
+  publicLookup,
+};
@@ -0,0 +1,95 @@
+/**
+ * Structural diff between two JSON-like values.
+ *
+ * Produces a flat list of leaf changes with dotted paths. Arrays whose items
+ * are all objects with a string `name` (tools, hooks, transformers, MCP
+ * servers) are matched by name so reordering or inserting an entry does not
+ * report every following item as changed. `_id` keys are ignored because
+ * sub-document ids are regenerated when arrays are rewritten.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNamedList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(item => isPlainObject(item) && typeof item.name === 'string')
+  );
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : String(key);
+}
+
+/**
+ * @param {*} from
+ * @param {*} to
+ * @param {string} [path='']
+ * @returns {Array<{path: string, op: 'added'|'removed'|'changed', from?: *, to?: *}>}
+ */
+function diffObjects(from, to, path = '') {
+  if (from === undefined && to === undefined) {
+    return [];
+  }
+  if (from === undefined) {
+    return [{ path, op: 'added', to }];
+  }
+  if (to === undefined) {
+    return [{ path, op: 'removed', from }];
+  }
+
+  // Named lists are compared entry by entry, keyed by name
+  if (
+    (isNamedList(from) || isNamedList(to)) &&
+    Array.isArray(from) &&
+    Array.isArray(to)
+  ) {
+    const changes = [];
+    const fromByName = new Map(from.map(item => [item.name, item]));
+    const toByName = new Map(to.map(item => [item.name, item]));
+    const names = new Set([...fromByName.keys(), ...toByName.keys()]);
+    for (const name of names) {
+      changes.push(
+        ...diffObjects(
+          fromByName.get(name),
+          toByName.get(name),
+          `${path}[${name}]`
+        )
+      );
+    }
+    return changes;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const changes = [];
+    const length = Math.max(from.length, to.length);
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffObjects(from[i], to[i], `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const key of keys) {
+      if (key === '_id') {
+        continue;
+      }
+      changes.push(...diffObjects(from[key], to[key], joinPath(path, key)));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    return [{ path, op: 'changed', from, to }];
+  }
+  return [];
+}
+
+module.exports = {
+  diffObjects,
+};
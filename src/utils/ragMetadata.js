@@ -0,0 +1,539 @@
+/**
+ * Metadata fields and search filters for RAG documents.
+ *
+ * A knowledge base declares the metadata fields of its documents (see
+ * models/KnowledgeBase.js). Values are stored with each chunk, next to its
+ * citation metadata, under a key naming the field and its type
+ * (meta_<type>_<name>): a field can change type without clashing with
+ * values, or Weaviate properties, of the previous type. Dates are stored as
+ * epoch milliseconds so that every vector database can compare them.
+ *
+ * Search filters are an object keyed by field name, combined with AND:
+ *
+ *   {
+ *     "product": "router",                  equal (contains, for string_array)
+ *     "region": ["eu", "us"],               any of
+ *     "year": { "gte": 2022, "lt": 2025 },  range, for numbers and dates
+ *     "archived": { "exists": false }       has a value or not
+ *   }
+ *
+ * normalizeFilters turns them into conditions, which matchesFilters,
+ * toWeaviateOperands and toPineconeClauses apply to each store.
+ */
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'string_array'];
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+// Citation metadata returned with every result
+const RESERVED_NAMES = [
+  'title',
+  'source',
+  'document_id',
+  'chunk_index',
+  'page',
+  'heading',
+];
+const MAX_FIELDS = 50;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_IN_VALUES = 100;
+const STORAGE_PREFIX = 'meta_';
+
+const OPERATORS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'exists'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const RANGE_TYPES = ['number', 'date'];
+
+const WEAVIATE_DATA_TYPES = {
+  string: 'text',
+  string_array: 'text[]',
+  number: 'number',
+  date: 'number',
+  boolean: 'boolean',
+};
+const WEAVIATE_OPERATORS = {
+  eq: 'Equal',
+  gt: 'GreaterThan',
+  gte: 'GreaterThanEqual',
+  lt: 'LessThan',
+  lte: 'LessThanEqual',
+};
+const PINECONE_OPERATORS = {
+  eq: '$eq',
+  in: '$in',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  exists: '$exists',
+};
+
+function metadataError(message) {
+  const error = new Error(message);
+  error.code = 'RAG_METADATA_INVALID';
+  return error;
+}
+
+function storageKey(field) {
+  return `${STORAGE_PREFIX}${field.type}_${field.name}`;
+}
+
+/**
+ * Validate the metadata field definitions of a knowledge base.
+ *
+ * @param {Array<{ name: string, type: string, description?: string }>} definitions
+ * @returns {Array<{ name: string, type: string, description: string }>}
+ * @throws RAG_METADATA_INVALID
+ */
+function normalizeFieldDefinitions(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw metadataError('metadata_fields must be an array');
+  }
+  if (definitions.length > MAX_FIELDS) {
+    throw metadataError(`At most ${MAX_FIELDS} metadata fields are allowed`);
+  }
+
+  const names = new Set();
+  return definitions.map(definition => {
+    const { name, type, description } = definition || {};
+    if (typeof name !== 'string' || !FIELD_NAME_PATTERN.test(name)) {
+      throw metadataError(
+        `Invalid metadata field name "${name}": use up to 64 lowercase letters, digits and underscores, starting with a letter`
+      );
+    }
+    if (RESERVED_NAMES.includes(name)) {
+      throw metadataError(`${name} is a reserved metadata field name`);
+    }
+    if (names.has(name)) {
+      throw metadataError(`Metadata field ${name} is declared twice`);
+    }
+    names.add(name);
+    if (!FIELD_TYPES.includes(type)) {
+      throw metadataError(
+        `Metadata field ${name}: type must be one of ${FIELD_TYPES.join(', ')}`
+      );
+    }
+    if (
+      description !== undefined &&
+      description !== null &&
+      typeof description !== 'string'
+    ) {
+      throw metadataError(`Metadata field ${name}: description must be text`);
+    }
+    return {
+      name,
+      type,
+      description: (description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+    };
+  });
+}
+
+/**
+ * Convert a value to the stored form of a field. Numbers and booleans are
+ * also accepted as strings (multipart uploads send nothing else) and dates
+ * as ISO 8601 strings or epoch milliseconds.
+ *
+ * @throws RAG_METADATA_INVALID
+ */
+function coerceValue(field, value) {
+  switch (field.type) {
+    case 'string':
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+      }
+      break;
+    case 'number': {
+      const number =
+        typeof value === 'string' && value.trim() !== ''
+          ? Number(value)
+          : value;
+      if (typeof number === 'number' && Number.isFinite(number)) {
+        return number;
+      }
+      break;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      break;
+    case 'date': {
+      let time = NaN;
+      if (typeof value === 'number') {
+        time = value;
+      } else if (typeof value === 'string') {
+        time = Date.parse(value);
+      } else if (value instanceof Date) {
+        time = value.getTime();
+      }
+      if (Number.isFinite(time)) {
+        return time;
+      }
+      break;
+    }
+    case 'string_array':
+      if (Array.isArray(value) && value.every(v => typeof v === 'string')) {
+        return value;
+      }
+      if (typeof value === 'string') {
+        return [value];
+      }
+      break;
+  }
+  throw metadataError(
+    `Metadata field ${field.name} expects a ${field.type.replace('_', ' ')} value`
+  );
+}
+
+/**
+ * Stored form of the metadata values of a document, keyed by storage key.
+ * Missing values and empty arrays are left out.
+ *
+ * @param {Array} fields - field definitions of the knowledge base
+ * @param {Object} values - values keyed by field name
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - reject unknown fields and invalid
+ *   values instead of skipping them
+ * @returns {Object}
+ * @throws RAG_METADATA_INVALID in strict mode
+ */
+function toStoredMetadata(fields, values, { strict = false } = {}) {
+  const stored = {};
+  if (values === undefined || values === null) {
+    return stored;
+  }
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    if (strict) {
+      throw metadataError('metadata must be an object keyed by field name');
+    }
+    return stored;
+  }
+
+  if (strict) {
+    for (const name of Object.keys(values)) {
+      if (fields.length === 0) {
+        throw metadataError(
+          'Document metadata needs a knowledge base with metadata fields'
+        );
+      }
+      if (!fields.some(field => field.name === name)) {
+        throw metadataError(`Unknown metadata field ${name}`);
+      }
+    }
+  }
+
+  for (const field of fields) {
+    const value = values[field.name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    try {
+      const storedValue = coerceValue(field, value);
+      if (!Array.isArray(storedValue) || storedValue.length > 0) {
+        stored[storageKey(field)] = storedValue;
+      }
+    } catch (error) {
+      if (strict) {
+        throw error;
+      }
+      console.warn(`⚠️ ${error.message}, value not indexed`);
+    }
+  }
+  return stored;
+}
+
+/**
+ * Metadata values of a stored chunk keyed by field name, dates as ISO 8601
+ */
+function fromStoredMetadata(fields, stored) {
+  const values = {};
+  for (const field of fields) {
+    const value = stored[storageKey(field)];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    values[field.name] =
+      field.type === 'date' ? new Date(value).toISOString() : value;
+  }
+  return values;
+}
+
+/**
+ * Stored metadata entries of a chunk, as vector databases receive them
+ */
+function pickStoredMetadata(chunk) {
+  const stored = {};
+  for (const [key, value] of Object.entries(chunk)) {
+    if (
+      key.startsWith(STORAGE_PREFIX) &&
+      value !== undefined &&
+      value !== null
+    ) {
+      stored[key] = value;
+    }
+  }
+  return stored;
+}
+
+function buildCondition(field, operator, value) {
+  const condition = { key: storageKey(field), type: field.type, operator };
+
+  if (operator === 'exists') {
+    if (typeof value !== 'boolean') {
+      throw metadataError(`exists on ${field.name} must be true or false`);
+    }
+    return { ...condition, value };
+  }
+  if (RANGE_OPERATORS.includes(operator) && !RANGE_TYPES.includes(field.type)) {
+    throw metadataError(
+      `${operator} only applies to number and date fields, not to ${field.name}`
+    );
+  }
+
+  // string_array fields are matched one element at a time
+  const valueField =
+    field.type === 'string_array' ? { ...field, type: 'string' } : field;
+  if (operator === 'in') {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.length > MAX_IN_VALUES) {
+      throw metadataError(
+        `in on ${field.name} needs 1 to ${MAX_IN_VALUES} values`
+      );
+    }
+    return { ...condition, value: values.map(v => coerceValue(valueField, v)) };
+  }
+  return { ...condition, value: coerceValue(valueField, value) };
+}
+
+/**
+ * Validate search filters against field definitions.
+ *
+ * @param {Array} fields - field definitions of the knowledge base
+ * @param {Object} [filters] - filters keyed by field name
+ * @returns {Array<{ key, type, operator, value }>} conditions, all of which
+ *   must match
+ * @throws RAG_METADATA_INVALID
+ */
+function normalizeFilters(fields, filters) {
+  if (filters === undefined || filters === null) {
+    return [];
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw metadataError('filters must be an object keyed by metadata field');
+  }
+
+  const conditions = [];
+  for (const [name, filter] of Object.entries(filters)) {
+    if (fields.length === 0) {
+      throw metadataError(
+        'Metadata filters need a knowledge base with metadata fields'
+      );
+    }
+    const field = fields.find(f => f.name === name);
+    if (!field) {
+      throw metadataError(`Unknown metadata field ${name}`);
+    }
+
+    let operators = { eq: filter };
+    if (Array.isArray(filter)) {
+      operators = { in: filter };
+    } else if (filter !== null && typeof filter === 'object') {
+      operators = filter;
+    }
+    if (Object.keys(operators).length === 0) {
+      throw metadataError(`Filter on ${name} has no operator`);
+    }
+
+    for (const [operator, value] of Object.entries(operators)) {
+      if (!OPERATORS.includes(operator)) {
+        throw metadataError(
+          `Unknown filter operator ${operator} on ${name}. Use ${OPERATORS.join(', ')}`
+        );
+      }
+      if (value === undefined || value === null) {
+        throw metadataError(`Filter ${operator} on ${name} needs a value`);
+      }
+      conditions.push(buildCondition(field, operator, value));
+    }
+  }
+  return conditions;
+}
+
+/**
+ * Whether a stored chunk (flat, as in the memory stores) matches all
+ * conditions
+ */
+function matchesFilters(conditions, stored) {
+  return conditions.every(({ key, operator, value }) => {
+    const actual = stored[key];
+    const present = actual !== undefined && actual !== null;
+    if (operator === 'exists') {
+      return present === value;
+    }
+    if (!present) {
+      return false;
+    }
+
+    const actualValues = Array.isArray(actual) ? actual : [actual];
+    switch (operator) {
+      case 'eq':
+        return actualValues.includes(value);
+      case 'in':
+        return value.some(v => actualValues.includes(v));
+      case 'gt':
+        return actual > value;
+      case 'gte':
+        return actual >= value;
+      case 'lt':
+        return actual < value;
+      case 'lte':
+        return actual <= value;
+      default:
+        return false;
+    }
+  });
+}
+
+function weaviateValue(type, value) {
+  switch (type) {
+    case 'number':
+    case 'date':
+      return { valueNumber: value };
+    case 'boolean':
+      return { valueBoolean: value };
+    default:
+      return { valueText: value };
+  }
+}
+
+/**
+ * Weaviate where operands for the conditions, to combine with And.
+ * exists uses IsNull, which needs a class indexing null state.
+ */
+function toWeaviateOperands(conditions) {
+  return conditions.map(({ key, type, operator, value }) => {
+    const path = [key];
+    if (operator === 'exists') {
+      return { path, operator: 'IsNull', valueBoolean: !value };
+    }
+    if (operator === 'in') {
+      const operands = value.map(v => ({
+        path,
+        operator: 'Equal',
+        ...weaviateValue(type, v),
+      }));
+      return operands.length === 1 ? operands[0] : { operator: 'Or', operands };
+    }
+    return {
+      path,
+      operator: WEAVIATE_OPERATORS[operator],
+      ...weaviateValue(type, value),
+    };
+  });
+}
+
+/**
+ * Pinecone metadata filter clauses for the conditions, to combine with $and
+ */
+function toPineconeClauses(conditions) {
+  return conditions.map(({ key, type, operator, value }) => {
+    // $in matches list metadata containing any of the values
+    if (type === 'string_array' && operator === 'eq') {
+      return { [key]: { $in: [value] } };
+    }
+    return { [key]: { [PINECONE_OPERATORS[operator]]: value } };
+  });
+}
+
+/**
+ * Weaviate class properties holding the metadata fields
+ */
+function weaviateProperties(fields) {
+  return fields.map(field => ({
+    name: storageKey(field),
+    dataType: [WEAVIATE_DATA_TYPES[field.type]],
+    // Whole values, so that Equal matches exactly
+    ...(['string', 'string_array'].includes(field.type) && {
+      tokenization: 'field',
+    }),
+    description: field.description || `Metadata field ${field.name}`,
+  }));
+}
+
+function valueSchema(field) {
+  switch (field.type) {
+    case 'number':
+      return { type: 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'date':
+      return { type: 'string', description: 'ISO 8601 date' };
+    default:
+      return { type: 'string' };
+  }
+}
+
+/**
+ * JSON schema of the filters parameter of rag_search, listing the fields an
+ * agent can filter on
+ */
+function describeFilters(fields) {
+  const fieldList = fields
+    .map(field => {
+      const type = field.type.replace('_', ' ');
+      return field.description
+        ? `${field.name} (${type}): ${field.description}`
+        : `${field.name} (${type})`;
+    })
+    .join('; ');
+
+  const properties = {};
+  for (const field of fields) {
+    const value = valueSchema(field);
+    const operators = {
+      eq: value,
+      in: { type: 'array', items: value },
+      exists: { type: 'boolean' },
+    };
+    if (RANGE_TYPES.includes(field.type)) {
+      for (const operator of RANGE_OPERATORS) {
+        operators[operator] = value;
+      }
+    }
+    properties[field.name] = {
+      ...(field.description && { description: field.description }),
+      anyOf: [
+        value,
+        { type: 'array', items: value },
+        { type: 'object', properties: operators, additionalProperties: false },
+      ],
+    };
+  }
+
+  return {
+    type: 'object',
+    description:
+      'Metadata filters, all of which must match. Keyed by field; the value is the value to match, ' +
+      'a list of accepted values, or an object of operators: eq, in, gt, gte, lt, lte (numbers and dates) ' +
+      `or exists (true/false). String array fields match when they contain the value. Fields: ${fieldList}`,
+    properties,
+    additionalProperties: false,
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  normalizeFieldDefinitions,
+  toStoredMetadata,
+  fromStoredMetadata,
+  pickStoredMetadata,
+  normalizeFilters,
+  matchesFilters,
+  toWeaviateOperands,
+  toPineconeClauses,
+  weaviateProperties,
+  describeFilters,
+};
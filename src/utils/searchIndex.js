@@ -0,0 +1,97 @@
+/**
+ * Blind index for conversation search.
+ *
+ * Searchable text (message content, conversation titles and summaries) is
+ * split into words, and each word is stored as a keyed hash instead of the
+ * word itself. Queries hash their words the same way, so search works on
+ * whole words without any plaintext reaching the database indexes — which
+ * matters for conversations stored with gdpr.encrypt_messages.
+ *
+ * The key is derived from ENCRYPTION_KEY: changing that key requires
+ * re-indexing (scripts/index-conversation-search.js).
+ */
+
+const crypto = require('crypto');
+const encryption = require('./encryption');
+
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 64;
+// Per indexed text; long emails do not need every word indexed
+const MAX_TOKENS = 500;
+const TOKEN_LENGTH = 16;
+
+let indexKey = null;
+
+function getIndexKey() {
+  if (!indexKey) {
+    indexKey = crypto
+      .createHmac('sha256', encryption.encryptionKey)
+      .update('conversation-search-index')
+      .digest();
+  }
+  return indexKey;
+}
+
+/**
+ * Lowercased words of a text without diacritics, each once.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  const words = text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  const unique = new Set(
+    (words || []).filter(
+      word => word.length >= MIN_WORD_LENGTH && word.length <= MAX_WORD_LENGTH
+    )
+  );
+  return [...unique].slice(0, MAX_TOKENS);
+}
+
+function blind(word) {
+  return crypto
+    .createHmac('sha256', getIndexKey())
+    .update(word)
+    .digest('base64url')
+    .slice(0, TOKEN_LENGTH);
+}
+
+/**
+ * Index tokens of one or more texts.
+ *
+ * @param {...string} texts
+ * @returns {string[]}
+ */
+function indexTokens(...texts) {
+  const tokens = new Set();
+  for (const text of texts) {
+    for (const word of tokenize(text)) {
+      tokens.add(blind(word));
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * Tokens a search query must all match. Empty when the query has no
+ * searchable words.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+function queryTokens(query) {
+  return tokenize(query).map(blind);
+}
+
+module.exports = {
+  tokenize,
+  indexTokens,
+  queryTokens,
+};